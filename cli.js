@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+// cli.js
+
+// --- Command-Line Tool ---
+// Generates embroidery files from the command line with the same stitch engine as the page,
+// one design per word or per row of a CSV file:
+//   node cli.js [options] WORD...
+//   node cli.js [options] --csv names.csv [--column Name]
+// Run `node cli.js --help` for the options.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const engine = require('./stitch-engine.js');
+const DEFAULT_FONT_DATA = require('./fonts/default-font.js');
+
+const OUTPUT_FORMATS = ['dst', 'svg'];
+const MIRROR_AXES = { horizontal: [true, false], vertical: [false, true], both: [true, true] }; // [left to right, upside down]
+
+const USAGE = `Usage:
+  node cli.js [options] WORD...
+  node cli.js [options] --csv FILE [--column NAME]
+
+Writes one embroidery file per word, or per row of a CSV file. Thread markup such as
+"[Red]ANN" works as on the page, and \\n in a word starts a new line.
+
+Input and output:
+  --csv FILE                Read the words from the first column of a CSV file
+  --column NAME             Read them from the column with this header instead
+  -o, --out DIR             Folder to write the files to (default: current folder)
+  -f, --format LIST         Comma-separated formats: ${OUTPUT_FORMATS.join(', ')} (default: dst)
+  --font FILE               Font file in the Turtle Stitch font format (default: ${DEFAULT_FONT_DATA.name})
+
+Design settings (defaults as on the page):
+  --stitch-length MM        Target stitch length (${engine.DEFAULT_STITCH_SETTINGS.targetLengthMm})
+  --min-stitch-length MM    Shortest stitch (${engine.DEFAULT_STITCH_SETTINGS.minLengthMm})
+  --max-stitch-length MM    Longest stitch (${engine.DEFAULT_STITCH_SETTINGS.maxLengthMm})
+  --stitch-type TYPE        ${engine.STITCH_TYPES.join(', ')} (${engine.DEFAULT_STITCH_SETTINGS.type})
+  --segment-stitches RULES  Stitch types of glyphs or segments, e.g. "A satin; O 1-2 bean"
+  --satin-width MM          Width of satin columns (${engine.DEFAULT_STITCH_SETTINGS.satinWidthMm})
+  --satin-spacing MM        Distance between satin stitches (${engine.DEFAULT_STITCH_SETTINGS.satinSpacingMm})
+  --no-underlay             Sew satin columns without a centre-run underlay
+  --optimize-travel         Reverse characters where that shortens the jumps
+  --align ALIGNMENT         ${Object.keys(engine.TEXT_ALIGNMENTS).join(', ')} (${engine.DEFAULT_LAYOUT_SETTINGS.alignment})
+  --line-spacing FACTOR     Line spacing (${engine.DEFAULT_LAYOUT_SETTINGS.lineSpacing})
+  --letter-height MM        Height of the letters (${engine.DEFAULT_LAYOUT_SETTINGS.letterHeightMm})
+  --fill-style STYLE        ${engine.FILL_STYLES.join(', ')} (${engine.DEFAULT_FILL_SETTINGS.style})
+  --fill-angle DEGREES      Angle of the fill rows (${engine.DEFAULT_FILL_SETTINGS.angleDegrees})
+  --fill-spacing MM         Distance between fill rows (${engine.DEFAULT_FILL_SETTINGS.spacingMm})
+  --fill-start CORNER       ${engine.FILL_START_CORNERS.join(', ')} (${engine.DEFAULT_FILL_SETTINGS.startCorner})
+  --thread NAME             Default thread (${engine.THREAD_PALETTE[engine.DEFAULT_THREAD_SETTINGS.defaultThread].name})
+  --segment-colors RULES    Segment colours, e.g. "A 1-9 Gold; O 5 Red"
+  --baseline MODE           ${engine.BASELINE_MODES.join(', ')} (${engine.DEFAULT_BASELINE_SETTINGS.mode})
+  --arc-radius MM           Radius of an arc baseline (${engine.DEFAULT_BASELINE_SETTINGS.radiusMm})
+  --arc-start-angle DEGREES Where the text starts on the arc (${engine.DEFAULT_BASELINE_SETTINGS.startAngleDegrees})
+  --arc-orientation SIDE    ${engine.BASELINE_ORIENTATIONS.join(', ')} (${engine.DEFAULT_BASELINE_SETTINGS.orientation})
+  --polyline POINTS         Polyline baseline as "x,y x,y ..." in mm
+  --rotate DEGREES          Turn the design counter-clockwise (${engine.DEFAULT_TRANSFORM_SETTINGS.rotationDegrees})
+  --mirror AXIS             Mirror the design: ${Object.keys(MIRROR_AXES).join(', ')}
+  --rotate-letters DEGREES  Turn each letter counter-clockwise (${engine.DEFAULT_TRANSFORM_SETTINGS.characterRotationDegrees})
+  --mirror-letters AXIS     Mirror each letter: ${Object.keys(MIRROR_AXES).join(', ')}
+  --slant DEGREES           Lean the letters like italics, at most ${engine.MAX_SLANT_DEGREES} (${engine.DEFAULT_TRANSFORM_SETTINGS.slantDegrees})
+  --passes N                Sew every line N times, 2 or 3 for bold letters (${engine.DEFAULT_TRANSFORM_SETTINGS.passes})
+
+Hoop (designs are only checked against a hoop when --hoop is given):
+  --hoop WIDTHxHEIGHT       Sewing area in mm, e.g. ${engine.HOOP_SIZES.map(hoop => `${hoop.widthMm}x${hoop.heightMm}`).join(', ')}
+  --auto-shrink             Make letters smaller where a design doesn't fit the hoop
+  --min-letter-height MM    Smallest letters auto-shrink may use (${engine.DEFAULT_HOOP_SETTINGS.minLetterHeightMm})
+
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+    csv: { type: 'string' },
+    column: { type: 'string' },
+    out: { type: 'string', short: 'o', default: '.' },
+    format: { type: 'string', short: 'f', default: 'dst' },
+    font: { type: 'string' },
+    'stitch-length': { type: 'string' },
+    'min-stitch-length': { type: 'string' },
+    'max-stitch-length': { type: 'string' },
+    'stitch-type': { type: 'string' },
+    'segment-stitches': { type: 'string' },
+    'satin-width': { type: 'string' },
+    'satin-spacing': { type: 'string' },
+    'no-underlay': { type: 'boolean', default: false },
+    'optimize-travel': { type: 'boolean', default: false },
+    align: { type: 'string' },
+    'line-spacing': { type: 'string' },
+    'fill-style': { type: 'string' },
+    'fill-angle': { type: 'string' },
+    'fill-spacing': { type: 'string' },
+    'fill-start': { type: 'string' },
+    thread: { type: 'string' },
+    'segment-colors': { type: 'string' },
+    baseline: { type: 'string' },
+    'arc-radius': { type: 'string' },
+    'arc-start-angle': { type: 'string' },
+    'arc-orientation': { type: 'string' },
+    polyline: { type: 'string' },
+    rotate: { type: 'string' },
+    mirror: { type: 'string' },
+    'rotate-letters': { type: 'string' },
+    'mirror-letters': { type: 'string' },
+    slant: { type: 'string' },
+    passes: { type: 'string' },
+    'letter-height': { type: 'string' },
+    hoop: { type: 'string' },
+    'auto-shrink': { type: 'boolean', default: false },
+    'min-letter-height': { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Thrown for command-line arguments that can't be used. The message says what to change.
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message - What is wrong with the arguments.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Reads a number option.
+ * @param {Object<string, string>} values - Parsed option values.
+ * @param {string} name - Name of the option.
+ * @param {boolean} [positive=false] - Whether the number must be greater than 0.
+ * @returns {number|undefined} The number, or undefined if the option was not given.
+ * @throws {UsageError} If the value is not a (positive) number.
+ */
+function readNumberOption(values, name, positive = false) {
+    if (values[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || (positive && value <= 0)) {
+        throw new UsageError(`--${name} must be a ${positive ? 'positive ' : ''}number, not '${values[name]}'.`);
+    }
+    return value;
+}
+
+/**
+ * Reads an option that must be one of a list of choices.
+ * @param {Object<string, string>} values - Parsed option values.
+ * @param {string} name - Name of the option.
+ * @param {Array<string>} choices - The allowed values.
+ * @returns {string|undefined} The value, or undefined if the option was not given.
+ * @throws {UsageError} If the value is not one of the choices.
+ */
+function readChoiceOption(values, name, choices) {
+    if (values[name] !== undefined && !choices.includes(values[name])) {
+        throw new UsageError(`--${name} must be one of ${choices.join(', ')}.`);
+    }
+    return values[name];
+}
+
+/**
+ * Drops the keys of an object whose value is undefined, so they don't replace defaults.
+ * @param {Object} object - The object to clean.
+ * @returns {Object} A copy without the undefined values.
+ */
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Turns the parsed options into design setting overrides for createDesignSettings().
+ * @param {Object<string, (string|boolean)>} values - Parsed option values.
+ * @returns {Object} The overrides.
+ * @throws {UsageError} If an option value can't be used.
+ */
+function buildSettingsOverrides(values) {
+    const stitch = {
+        ...engine.DEFAULT_STITCH_SETTINGS,
+        ...withoutUndefined({
+            targetLengthMm: readNumberOption(values, 'stitch-length', true),
+            minLengthMm: readNumberOption(values, 'min-stitch-length', true),
+            maxLengthMm: readNumberOption(values, 'max-stitch-length', true),
+            type: readChoiceOption(values, 'stitch-type', engine.STITCH_TYPES),
+            satinWidthMm: readNumberOption(values, 'satin-width', true),
+            satinSpacingMm: readNumberOption(values, 'satin-spacing', true),
+            satinUnderlay: values['no-underlay'] ? false : undefined
+        })
+    };
+    if (!(stitch.minLengthMm <= stitch.targetLengthMm && stitch.targetLengthMm <= stitch.maxLengthMm)) {
+        throw new UsageError('Stitch lengths must have min ≤ stitch length ≤ max.');
+    }
+
+    if (values['segment-stitches'] !== undefined) {
+        stitch.segmentTypes = engine.parseSegmentStitchTypes(values['segment-stitches']);
+        if (!stitch.segmentTypes) {
+            throw new UsageError(`Write --segment-stitches as "A satin; O 1-2 bean" using ${engine.STITCH_TYPES.join(', ')}.`);
+        }
+    }
+
+    let defaultThread;
+    if (values.thread !== undefined) {
+        defaultThread = engine.findThreadIndex(values.thread);
+        if (defaultThread === -1) {
+            throw new UsageError(`Unknown thread '${values.thread}'. Threads: ${engine.THREAD_PALETTE.map(thread => thread.name).join(', ')}.`);
+        }
+    }
+    let segmentRules;
+    if (values['segment-colors'] !== undefined) {
+        segmentRules = engine.parseSegmentColorRules(values['segment-colors']);
+        if (!segmentRules) {
+            throw new UsageError('Write --segment-colors as "A 1-9 Gold; O 5 Red" using thread names from the palette.');
+        }
+    }
+    let hoopSize;
+    if (values.hoop !== undefined) {
+        const match = values.hoop.trim().match(/^(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)$/i);
+        if (!match || !(Number(match[1]) > 0 && Number(match[2]) > 0)) {
+            throw new UsageError(`--hoop must be a width and height in mm such as 130x180, not '${values.hoop}'.`);
+        }
+        hoopSize = { widthMm: Number(match[1]), heightMm: Number(match[2]) };
+    } else if (values['auto-shrink'] || values['min-letter-height'] !== undefined) {
+        throw new UsageError('--auto-shrink and --min-letter-height need --hoop.');
+    }
+    let polylineMm;
+    if (values.polyline !== undefined) {
+        polylineMm = engine.parseBaselinePoints(values.polyline);
+        if (!polylineMm) {
+            throw new UsageError('--polyline needs at least two different points as "x,y x,y ..." in mm.');
+        }
+    }
+
+    const slantDegrees = readNumberOption(values, 'slant');
+    if (slantDegrees !== undefined && Math.abs(slantDegrees) > engine.MAX_SLANT_DEGREES) {
+        throw new UsageError(`--slant must be between -${engine.MAX_SLANT_DEGREES} and ${engine.MAX_SLANT_DEGREES} degrees.`);
+    }
+    const passes = readNumberOption(values, 'passes', true);
+    if (passes !== undefined && !(Number.isInteger(passes) && passes <= engine.MAX_PASSES)) {
+        throw new UsageError(`--passes must be a whole number from 1 to ${engine.MAX_PASSES}.`);
+    }
+    const mirrorAxis = readChoiceOption(values, 'mirror', Object.keys(MIRROR_AXES));
+    const letterMirrorAxis = readChoiceOption(values, 'mirror-letters', Object.keys(MIRROR_AXES));
+
+    return {
+        stitch: stitch,
+        fill: withoutUndefined({
+            style: readChoiceOption(values, 'fill-style', engine.FILL_STYLES),
+            angleDegrees: readNumberOption(values, 'fill-angle'),
+            spacingMm: readNumberOption(values, 'fill-spacing', true),
+            startCorner: readChoiceOption(values, 'fill-start', engine.FILL_START_CORNERS)
+        }),
+        layout: withoutUndefined({
+            alignment: readChoiceOption(values, 'align', Object.keys(engine.TEXT_ALIGNMENTS)),
+            lineSpacing: readNumberOption(values, 'line-spacing', true),
+            letterHeightMm: readNumberOption(values, 'letter-height', true)
+        }),
+        threads: withoutUndefined({ defaultThread, segmentRules }),
+        baseline: withoutUndefined({
+            mode: readChoiceOption(values, 'baseline', engine.BASELINE_MODES),
+            radiusMm: readNumberOption(values, 'arc-radius', true),
+            startAngleDegrees: readNumberOption(values, 'arc-start-angle'),
+            orientation: readChoiceOption(values, 'arc-orientation', engine.BASELINE_ORIENTATIONS),
+            polylineMm: polylineMm
+        }),
+        transform: withoutUndefined({
+            rotationDegrees: readNumberOption(values, 'rotate'),
+            mirrorHorizontal: mirrorAxis && MIRROR_AXES[mirrorAxis][0],
+            mirrorVertical: mirrorAxis && MIRROR_AXES[mirrorAxis][1],
+            characterRotationDegrees: readNumberOption(values, 'rotate-letters'),
+            characterMirrorHorizontal: letterMirrorAxis && MIRROR_AXES[letterMirrorAxis][0],
+            characterMirrorVertical: letterMirrorAxis && MIRROR_AXES[letterMirrorAxis][1],
+            slantDegrees: slantDegrees,
+            passes: passes
+        }),
+        hoop: withoutUndefined({
+            ...hoopSize,
+            autoShrink: values['auto-shrink'],
+            minLetterHeightMm: readNumberOption(values, 'min-letter-height', true)
+        }),
+        optimizeTravel: values['optimize-travel']
+    };
+}
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted, with "" for a quote inside them.
+ * @param {string} text - The CSV file contents.
+ * @returns {Array<Array<string>>} The rows, without empty lines.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, ''); // Spreadsheets often start the file with a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads the words to stitch from a CSV file.
+ * @param {string} fileName - Path of the CSV file.
+ * @param {string|undefined} column - Header of the column holding the words; without it every row's first field is used.
+ * @returns {Array<string>} The words.
+ * @throws {UsageError} If the column doesn't exist.
+ */
+function readCsvWords(fileName, column) {
+    const rows = parseCsv(fs.readFileSync(fileName, 'utf8'));
+    if (column === undefined) {
+        return rows.map(fields => fields[0]);
+    }
+    const header = (rows.shift() || []).map(name => name.trim().toLowerCase());
+    const columnIndex = header.indexOf(column.trim().toLowerCase());
+    if (columnIndex === -1) {
+        throw new UsageError(`${fileName} has no column '${column}'.`);
+    }
+    return rows.map(fields => fields[columnIndex] || '');
+}
+
+/**
+ * Picks a file name that hasn't been used yet in this run, e.g. ANNA, ANNA_2, ANNA_3.
+ * @param {string} baseName - The preferred name, without extension.
+ * @param {Set<string>} usedNames - Names already written; the chosen name is added.
+ * @returns {string} The name to use.
+ */
+function chooseUniqueName(baseName, usedNames) {
+    let name = baseName;
+    for (let count = 2; usedNames.has(name.toLowerCase()); count++) {
+        name = `${baseName}_${count}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * Runs the tool.
+ * @param {Array<string>} args - Command-line arguments, without the node and script paths.
+ * @returns {number} The exit code: 0 if every design was written, 1 if some were skipped, 2 for bad arguments.
+ */
+function main(args) {
+    let values;
+    let words;
+    let formats;
+    let settings;
+    try {
+        const parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+        values = parsed.values;
+        if (values.help) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+
+        if (values.csv !== undefined && parsed.positionals.length > 0) {
+            throw new UsageError('Give either words or --csv, not both.');
+        }
+        if (values.column !== undefined && values.csv === undefined) {
+            throw new UsageError('--column needs --csv.');
+        }
+        words = values.csv === undefined ? parsed.positionals : readCsvWords(values.csv, values.column);
+        if (words.length === 0) {
+            throw new UsageError('Nothing to stitch: give one or more words, or a CSV file with --csv.');
+        }
+
+        formats = values.format.split(',').map(format => format.trim().toLowerCase());
+        const unknownFormat = formats.find(format => !OUTPUT_FORMATS.includes(format));
+        if (unknownFormat !== undefined) {
+            throw new UsageError(`Unknown format '${unknownFormat}'. Formats: ${OUTPUT_FORMATS.join(', ')}.`);
+        }
+
+        const fontData = values.font === undefined ? DEFAULT_FONT_DATA : JSON.parse(fs.readFileSync(values.font, 'utf8'));
+        settings = engine.createDesignSettings(engine.loadFont(fontData), buildSettingsOverrides(values));
+    } catch (error) {
+        // Argument parsing and file system errors carry a code; a font file may be invalid JSON or an invalid font
+        const isInputError = error instanceof UsageError || error instanceof engine.FontValidationError ||
+            error instanceof SyntaxError || typeof error.code === 'string';
+        if (!isInputError) {
+            throw error;
+        }
+        process.stderr.write(`Error: ${error.message}\nRun with --help for usage.\n`);
+        return 2;
+    }
+
+    fs.mkdirSync(values.out, { recursive: true });
+    const usedNames = new Set();
+    let skipped = 0;
+    for (const word of words) {
+        const text = word.trim().replace(/\\n/g, '\n');
+        const design = values.hoop === undefined ? engine.buildTextDesign(text, settings) : engine.fitTextDesignToHoop(text, settings);
+        const warnings = [];
+        if (design.skippedChars.length > 0) {
+            warnings.push(`skipped undefined '${design.skippedChars.join(', ')}'`);
+        }
+        if (design.unknownThreads.length > 0) {
+            warnings.push(`unknown threads '${design.unknownThreads.join(', ')}'`);
+        }
+        if (warnings.length > 0) {
+            process.stderr.write(`Warning for '${word}': ${warnings.join('; ')}.\n`);
+        }
+        if (design.plan.length === 0) {
+            process.stderr.write(`Skipping '${word}': it has no characters the font can stitch.\n`);
+            skipped++;
+            continue;
+        }
+        if (design.fits === false) {
+            process.stderr.write(`Skipping '${word}': at ${design.widthMm.toFixed(1)} x ${design.heightMm.toFixed(1)} mm ` +
+                `with ${design.letterHeightMm} mm letters it doesn't fit the ${values.hoop} hoop.\n`);
+            skipped++;
+            continue;
+        }
+        if (design.letterHeightMm !== undefined && design.letterHeightMm !== settings.layout.letterHeightMm) {
+            process.stderr.write(`Note for '${word}': letters shrunk to ${design.letterHeightMm} mm to fit the hoop.\n`);
+        }
+
+        const label = design.text.replace(/\n/g, ' ');
+        const baseName = chooseUniqueName(engine.designFileBaseName(design.text), usedNames);
+        const fileNames = formats.map(format => {
+            const fileName = path.join(values.out, `${baseName}.${format}`);
+            const data = format === 'dst' ? engine.buildDstFile(design.plan, label) : engine.buildSvgDocument(design.items, design.text);
+            fs.writeFileSync(fileName, data);
+            return fileName;
+        });
+        const summary = engine.summarizeStitchPlan(design.plan);
+        process.stdout.write(`${fileNames.join(', ')}: ${summary.stitches} stitches, ${summary.trims} trims, ` +
+            `${summary.stops} colour changes, ${(summary.threadLengthMm / 1000).toFixed(2)} m thread, ` +
+            `${summary.widthMm.toFixed(1)} x ${summary.heightMm.toFixed(1)} mm\n`);
+
+        const problems = engine.countSewabilityProblems(engine.findSewabilityProblems(design.plan));
+        const limits = engine.DEFAULT_SEWABILITY_LIMITS;
+        const problemParts = [];
+        if (problems.short > 0) {
+            problemParts.push(`${problems.short} stitches under ${limits.shortStitchMm} mm`);
+        }
+        if (problems.long > 0) {
+            problemParts.push(`${problems.long} stitches over ${limits.longStitchMm} mm`);
+        }
+        if (problems.dense > 0) {
+            problemParts.push(`${problems.dense} areas with over ${limits.maxStitchesPerCell} stitches per mm²`);
+        }
+        if (problemParts.length > 0) {
+            process.stderr.write(`Check '${word}': ${problemParts.join(', ')}.\n`);
+        }
+    }
+    return skipped > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,1251 @@
+// fonts/default-font.js
+
+// --- Default Font ---
+// The built-in block lettering, stored in the Turtle Stitch font format and
+// loaded through loadFont() in stitch-engine.js exactly like a font file.
+// Each glyph lists its drawing segments in stitching order, inside a 6 x 8 units box.
+// A glyph may also be written as { segments: [...], advance: 7, metadata: {...} },
+// or as { outlines: [...] } to have its fill generated from closed polygons;
+// glyphs without an advance take the standard 7 units (6 wide plus a 1 unit gap).
+const DEFAULT_FONT_DATA = {
+    format: 'turtle-stitch-font',
+    version: 1,
+    name: 'Block Fill',
+    units: { width: 6, height: 8 },
+    metadata: {
+        description: 'Block capitals, digits and punctuation filled with diagonal running stitches.'
+    },
+    glyphs: {
+        'A': [
+            // Original 'A' animation segments
+            [[6, 8], [0, 8]],   // Top horizontal
+            [[0, 8], [0, 0]],   // Left vertical
+            [[0, 0], [0.75, 8]],
+            [[0, 1], [1.5, 8]],
+            [[0, 2], [2.25, 8]],
+            [[0, 3], [3, 8]],
+            [[0, 4], [3.75, 8]],
+            [[0, 5], [4.5, 8]],
+            [[0, 6], [5.25, 8]],
+            [[0, 7], [6, 8]],
+            [[6, 8], [6, 0]], // Right vertical
+            [[6, 0], [5.25, 8]],
+            [[6, 1], [4.5, 8]],
+            [[6, 2], [3.75, 8]],
+            [[6, 3], [3, 8]],
+            [[6, 4], [2.25, 8]],
+            [[6, 5], [1.5, 8]],
+            [[6, 6], [0.75, 8]],
+            [[6, 7], [0, 8]]
+        ],
+        // 'B' animation segments based on B7.py
+        'B': [
+            [[6, 8], [0, 8]],   // Top horizontal
+            [[0, 8], [0, 0]],   // Left vertical
+            [[0, 0], [0.75, 8]],
+            [[0, 1], [1.5, 8]],
+            [[0, 2], [2.25, 8]],
+            [[0, 3], [3, 8]],
+            [[0, 4], [3.75, 8]],
+            [[0, 5], [4.5, 8]],
+            [[0, 6], [5.25, 8]],
+            [[0, 7], [6, 8]],
+            [[6, 8], [4.8, 4]],
+            [[6, 7.2], [3.6, 4]],
+            [[6, 6.4], [2.4, 4]],
+            [[6, 5.6], [1.2, 4]],
+            [[6, 4.8], [0, 4]],
+            [[0, 4], [6, 4]],
+            [[6, 4], [4.8, 0]],
+            [[6, 3.2], [3.6, 0]],
+            [[6, 2.4], [2.4, 0]],
+            [[6, 1.6], [1.2, 0]],
+            [[6, 0.8], [0, 0]],
+            [[0, 0], [6, 0]],
+            [[6, 0], [6, 8]],
+        ],
+        // 'C' animation segments based on C7.py
+        'C': [
+            [[0, 0], [0, 8]],   // Left vertical
+            [[0, 8], [6, 8]],   // Top horizontal
+            [[6, 8], [0, 7]],
+            [[5.25, 8], [0, 6]],
+            [[4.5, 8], [0, 5]],
+            [[3.75, 8], [0, 4]],
+            [[3, 8], [0, 3]],
+            [[2.25, 8], [0, 2]],
+            [[1.5, 8], [0, 1]],
+            [[0.75, 8], [0, 0]],
+            [[0, 0], [6, 0]],    // Bottom horizontal
+            [[6, 0], [0, 1]],
+            [[5.25, 0], [0, 2]],
+            [[4.5, 0], [0, 3]],
+            [[3.75, 0], [0, 4]],
+            [[3, 0], [0, 5]],
+            [[2.25, 0], [0, 6]],
+            [[1.5, 0], [0, 7]],
+            [[0.75, 0], [0, 8]],
+        ],
+         // 'D' animation segments based on D7.py
+        'D': [
+            [[6, 8], [6, 0]],    // Right vertical
+            [[6, 0], [0, 0]],    // Bottom horizontal
+            [[0, 0], [6, 1]],
+            [[0.75, 0], [6, 2]],
+            [[1.5, 0], [6, 3]],
+            [[2.25, 0], [6, 4]],
+            [[3, 0], [6, 5]],
+            [[3.75, 0], [6, 6]],
+            [[4.5, 0], [6, 7]],
+            [[5.25, 0], [6, 8]],
+            [[6, 8], [0, 8]],    // Top horizontal
+            [[0, 8], [6, 7]],
+            [[0.75, 8], [6, 6]],
+            [[1.5, 8], [6, 5]],
+            [[2.25, 8], [6, 4]],
+            [[3, 8], [6, 3]],
+            [[3.75, 8], [6, 2]],
+            [[4.5, 8], [6, 1]],
+            [[5.25, 8], [6, 0]],
+        ],
+        // 'E' animation segments based on E7.py
+        'E': [
+            [[0, 4], [6, 4]],   // Middle horizontal
+            [[6, 4], [0, 3.6]],
+            [[4.8, 4], [0, 3.2]],
+            [[3.6, 4], [0, 2.8]],
+            [[2.4, 4], [0, 2.4]],
+            [[1.2, 4], [0, 2]],
+            [[0, 2], [1.2, 0]],
+            [[0, 1.6], [2.4, 0]],
+            [[0, 1.2], [3.6, 0]],
+            [[0, 0.8], [4.8, 0]],
+            [[0, 0.4], [6, 0]],
+            [[6, 0], [0, 0]],    // Bottom horizontal
+            [[0, 0], [0, 4]],    // Lower left vertical
+            [[0, 4], [0, 8]],    // Upper left vertical
+            [[0, 8], [6, 8]],    // Top horizontal
+            [[6, 8], [0, 7.6]],
+            [[4.8, 8], [0, 7.2]],
+            [[3.6, 8], [0, 6.8]],
+            [[2.4, 8], [0, 6.4]],
+            [[1.2, 8], [0, 6]],
+            [[0, 6], [1.2, 4]],
+            [[0, 5.6], [2.4, 4]],
+            [[0, 5.2], [3.6, 4]],
+            [[0, 4.8], [4.8, 4]],
+            [[0, 4.4], [6, 4]], // Connects back to the middle horizontal
+        ],
+        // 'F' animation segments based on F7.py
+        'F': [
+            [[0, 0], [0, 8]],    // Left vertical
+            [[0, 8], [6, 8]],    // Top horizontal
+            [[6, 8], [0, 7]],
+            [[5.25, 8], [0, 6]],
+            [[4.5, 8], [0, 5]],
+            [[3.75, 8], [0, 4]],
+            [[3, 8], [0, 3]],
+            [[2.25, 8], [0, 2]],
+            [[1.5, 8], [0, 1]],
+            [[0.75, 8], [0, 0]], // Connects back to bottom left
+            [[0, 0], [1.5, 4]],
+            [[0, 1], [3, 4]],
+            [[0, 2], [4.5, 4]],
+            [[0, 3], [6, 4]],
+            [[6, 4], [0, 4]],    // Middle horizontal
+        ],
+
+        'G': [
+            [[0, 8], [0, 0]],   // Left vertical
+            [[0, 0], [6, 0]],   // Bottom horizontal
+            [[6, 0], [6, 4]],   // Right vertical (partial)
+            [[6, 4], [3, 4]],   // Middle horizontal (right to left)
+            [[3, 4], [6, 3]],   // Diagonal to top-right
+            [[3.75, 4], [6, 2]],
+            [[4.5, 4], [6, 1]],
+            [[5.25, 4], [6, 0]],
+            [[6, 0], [0, 1]],   // Diagonal to top-left
+            [[5.25, 0], [0, 2]],
+            [[4.5, 0], [0, 3]],
+            [[3.75, 0], [0, 4]],
+            [[3, 0], [0, 5]],
+            [[2.25, 0], [0, 6]],
+            [[1.5, 0], [0, 7]],
+            [[0.75, 0], [0, 8]],
+            [[0, 8], [6, 8]],   // Top horizontal
+            [[6, 8], [0, 7.2]], // Diagonal to bottom-left
+            [[4.8, 8], [0, 6.4]],
+            [[3.6, 8], [0, 5.6]],
+            [[2.4, 8], [0, 4.8]],
+            [[1.2, 8], [0, 4]]   // Middle horizontal (left to right)
+        ],
+
+        'H': [
+            [[0, 4], [3, 4]],
+            [[3, 4], [0, 5]],
+            [[2.25, 4], [0, 6]],
+            [[1.5, 4], [0, 7]],
+            [[0.75, 4], [0, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 0], [0.75, 4]],
+            [[0, 1], [1.5, 4]],
+            [[0, 2], [2.25, 4]],
+            [[0, 3], [3, 4]],
+            [[3, 4], [6, 5]],
+            [[3.75, 4], [6, 6]],
+            [[4.5, 4], [6, 7]],
+            [[5.25, 4], [6, 8]],
+            [[6, 8], [6, 0]],
+            [[6, 0], [5.25, 4]],
+            [[6, 1], [4.5, 4]],
+            [[6, 2], [3.75, 4]],
+            [[6, 3], [3, 4]],
+            [[3, 4], [6, 4]],   
+        ],
+
+        'I': [
+            [[3, 0], [3, 4]],
+            [[3, 4], [2.25, 0]],
+            [[3, 3], [1.5, 0]],
+            [[3, 2], [0.75, 0]],
+            [[3, 1], [0, 0]],
+            [[0, 0], [6, 0]],
+            [[6, 0], [3, 1]],
+            [[5.25, 0], [3, 2]],
+            [[4.5, 0], [3, 3]],
+            [[3.75, 0], [3, 4]],
+            [[3, 4], [3, 8]],
+            [[3, 8], [0, 8]],
+            [[0, 8], [3, 7]],
+            [[0.75, 8], [3, 6]],
+            [[1.5, 8], [3, 5]],
+            [[2.25, 8], [3, 4]],
+            [[3, 4], [3.75, 8]],
+            [[3, 5], [4.5, 8]],
+            [[3, 6], [5.25, 8]],
+            [[3, 7], [6, 8]],
+            [[6, 8], [3, 8]],
+        ],
+
+        'J': [
+            [[0, 0], [6, 0]],
+            [[6, 0], [6, 8]],
+            [[6, 8], [5.25, 0]],
+            [[6, 7], [4.5, 0]],
+            [[6, 6], [3.75, 0]],
+            [[6, 5], [3, 0]],
+            [[6, 4], [2.25, 0]],
+            [[6, 3], [1.5, 0]],
+            [[6, 2], [0.75, 0]],
+            [[6, 1], [0, 0]],
+        ],
+
+        'K': [
+            [[0, 4], [6, 0]],
+            [[6, 0], [0, 3.2]],
+            [[4.8, 0.8], [0, 2.4]],
+            [[3.6, 1.6], [0, 1.6]],
+            [[2.4, 2.4], [0, 0.8]],
+            [[1.2, 3.2], [0, 0]],
+            [[0, 0], [0, 8]],
+            [[0, 8], [1.2, 4.8]],
+            [[0, 7.2], [2.4, 5.6]],
+            [[0, 6.4], [3.6, 6.4]],
+            [[0, 5.6], [4.8, 7.2]],
+            [[0, 4.8], [6, 8]],
+            [[6, 8], [0, 4]],
+        ],
+
+        'L':[
+            [[0, 8],[0, 0]],   // Left vertical
+            [[0, 0],[6, 0]],   // Bottom horizontal
+            [[6, 0],[0, 1]],
+            [[5.25, 0],[0, 2]],
+            [[4.5, 0],[0, 3]],
+            [[3.75, 0],[0, 4]],
+            [[3, 0],[0, 5]],
+            [[2.25, 0],[0, 6]],
+            [[1.5, 0],[0, 7]],
+            [[0.75, 0],[0, 8]],
+        ],
+
+        'M':[
+            [[3, 4], [0, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 0], [0.375, 7.5]],
+            [[0, 1], [0.75, 7]],
+            [[0, 2], [1.125, 6.5]],
+            [[0, 3], [1.5, 6]],
+            [[0, 4], [1.875, 5.5]],
+            [[0, 5], [2.25, 5]],
+            [[0, 6], [2.625, 4.5]],
+            [[0, 7], [3, 4]],
+            [[3, 4], [6, 8]],
+            [[6, 8], [6, 0]],
+            [[6, 0], [5.625, 7.5]],
+            [[6, 1], [5.25, 7]],
+            [[6, 2], [4.875, 6.5]],
+            [[6, 3], [4.5, 6]],
+            [[6, 4], [4.125, 5.5]],
+            [[6, 5], [3.75, 5]],
+            [[6, 6], [3.375, 4.5]],
+            [[6, 7], [3, 4]]
+        ],
+
+        'N': [
+            [[3, 4], [0, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 0], [0.375, 7.5]],
+            [[0, 1], [0.75, 7]],
+            [[0, 2], [1.125, 6.5]],
+            [[0, 3], [1.5, 6]],
+            [[0, 4], [1.875, 5.5]],
+            [[0, 5], [2.25, 5]],
+            [[0, 6], [2.625, 4.5]],
+            [[0, 7], [3, 4]],
+            [[3, 4], [6, 0]],
+            [[6, 0], [6, 8]],
+            [[6, 8], [5.625, 0.5]],
+            [[6, 7], [5.25, 1]],
+            [[6, 6], [4.875, 1.5]],
+            [[6, 5], [4.5, 2]],
+            [[6, 4], [4.125, 2.5]],
+            [[6, 3], [3.75, 3]],
+            [[6, 2], [3.725, 3.5]],
+            [[6, 1], [3, 4]],
+        ],
+
+        'O': [
+            [[1.5, 8], [1.5, 0]],
+            [[1.5, 0], [0, 1]],
+            [[0, 1], [1.5, 2]],
+            [[1.5, 2], [0, 3]],
+            [[0, 3], [1.5, 4]],
+            [[1.5, 4], [0, 5]],
+            [[0, 5], [1.5, 6]],
+            [[1.5, 6], [0, 7]],
+            [[0, 7], [1.5, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 1.5], [6, 1.5]],
+            [[6, 1.5], [5, 0]],
+            [[5, 0], [4, 1.5]],
+            [[4, 1.5], [3, 0]],
+            [[3, 0], [2, 1.5]],
+            [[2, 1.5], [1, 0]],
+            [[1, 0], [0, 1.5]],
+            [[0, 0], [6, 0]],
+            [[4.5, 0], [4.5, 8]],
+            [[4.5, 8], [6, 7]],
+            [[6, 7], [4.5, 6]],
+            [[4.5, 6], [6, 5]],
+            [[6, 5], [4.5, 4]],
+            [[4.5, 4], [6, 3]],
+            [[6, 3], [4.5, 2]],
+            [[4.5, 2], [6, 1]],
+            [[6, 1], [4.5, 0]],
+            [[6, 0], [6, 8]],
+            [[6, 6.5], [0, 6.5]],
+            [[0, 6.5], [1, 8]],
+            [[1, 8], [2, 6.5]],
+            [[2, 6.5], [3, 8]],
+            [[3, 8], [4, 6.5]],
+            [[4, 6.5], [5, 8]],
+            [[5, 8], [6, 6.5]],
+            [[6, 8], [0, 8]],
+        ],
+
+        'P': [
+            [[0, 0], [0, 8]],
+            [[0, 8], [1.5, 7]],
+            [[1.5, 7], [0, 6]],
+            [[0, 6], [1.5, 5]],
+            [[1.5, 5], [0, 4]],
+            [[0, 4], [1.5, 3]],
+            [[1.5, 3], [0, 2]],
+            [[0, 2], [1.5, 1]],
+            [[1.5, 1], [0, 0]],
+            [[1.5, 0], [1.5, 8]],
+            [[0, 8], [6, 8]],
+            [[6, 8], [5, 6.5]],
+            [[5, 6.5], [4, 8]],
+            [[4, 8], [3, 6.5]],
+            [[3, 6.5], [2, 8]],
+            [[2, 8], [1, 6.5]],
+            [[1, 6.5], [0, 8]],
+            [[0, 6.5], [6, 6.5]],
+            [[6, 8], [6, 3.5]],
+            [[6, 3.5], [4.5, 4.625]],
+            [[4.5, 4.625], [6, 5.75]],
+            [[6, 5.75], [4.5, 6.875]],
+            [[4.5, 6.875], [6, 8]],
+            [[4.5, 8], [4.5, 3.5]],
+            [[6, 3.5], [0, 3.5]],
+            [[0, 3.5], [1, 5]],
+            [[1, 5], [2, 3.5]],
+            [[2, 3.5], [3, 5]],
+            [[3, 5], [4, 3.5]],
+            [[4, 3.5], [5, 5]],
+            [[5, 5], [6, 3.5]],
+            [[6, 5], [0, 5]],
+        ],
+
+        'Q': [
+            [[1.5, 8], [1.5, 0]],
+            [[1.5, 0], [0, 1]],
+            [[0, 1], [1.5, 2]],
+            [[1.5, 2], [0, 3]],
+            [[0, 3], [1.5, 4]],
+            [[1.5, 4], [0, 5]],
+            [[0, 5], [1.5, 6]],
+            [[1.5, 6], [0, 7]],
+            [[0, 7], [1.5, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 1.5], [6, 1.5]],
+            [[6, 1.5], [5, 0]],
+            [[5, 0], [4, 1.5]],
+            [[4, 1.5], [3, 0]],
+            [[3, 0], [2, 1.5]],
+            [[2, 1.5], [1, 0]],
+            [[1, 0], [0, 1.5]],
+            [[0, 0], [6, 0]],
+            [[4.5, 0], [4.5, 8]],
+            [[4.5, 8], [6, 7]],
+            [[6, 7], [4.5, 6]],
+            [[4.5, 6], [6, 5]],
+            [[6, 5], [4.5, 4]],
+            [[4.5, 4], [6, 3]],
+            [[6, 3], [4.5, 2]],
+            [[4.5, 2], [6, 1]],
+            [[6, 1], [4.5, 0]],
+            [[6, 0], [6, 8]],
+            [[6, 6.5], [0, 6.5]],
+            [[0, 6.5], [1, 8]],
+            [[1, 8], [2, 6.5]],
+            [[2, 6.5], [3, 8]],
+            [[3, 8], [4, 6.5]],
+            [[4, 6.5], [5, 8]],
+            [[5, 8], [6, 6.5]],
+            [[6, 8], [0, 8]],
+            [[3, 3], [6, 0]],
+            [[6, 0], [3.128, 0.75]],
+            [[3.128, 0.75], [4.5, 1.5]],
+            [[4.5, 1.5], [1.628, 2.25]],
+            [[1.628, 2.25], [3, 3]],
+            [[0.878, 3], [3.878, 0]],
+        ],
+
+        'R': [
+            [[0, 0], [0, 8]],
+            [[0, 8], [1.459, 7]],
+            [[1.459, 7], [0, 6]],
+            [[0, 6], [1.459, 5]],
+            [[1.459, 5], [0, 4]],
+            [[0, 4], [1.459, 3]],
+            [[1.459, 3], [0, 2]],
+            [[0, 2], [1.459, 1]],
+            [[1.459, 1], [0, 0]],
+            [[1.459, 0], [1.459, 8]],
+            [[0, 8], [5.837, 8]],
+            [[5.837, 8], [4.864, 6.5]],
+            [[4.864, 6.5], [3.891, 8]],
+            [[3.891, 8], [2.918, 6.5]],
+            [[2.918, 6.5], [1.946, 8]],
+            [[1.946, 8], [0.973, 6.5]],
+            [[0.973, 6.5], [0, 8]],
+            [[0, 6.5], [5.837, 6.5]],
+            [[5.837, 8], [5.837, 3.5]],
+            [[5.837, 3.5], [4.377, 4.625]],
+            [[4.377, 4.625], [5.837, 5.75]],
+            [[5.837, 5.75], [4.377, 6.875]],
+            [[4.377, 6.875], [5.837, 8]],
+            [[4.377, 8], [4.377, 3.5]],
+            [[5.837, 3.5], [0, 3.5]],
+            [[0, 3.5], [0.973, 5]],
+            [[0.973, 5], [1.946, 3.5]],
+            [[1.946, 3.5], [2.918, 5]],
+            [[2.918, 5], [3.891, 3.5]],
+            [[3.891, 3.5], [4.864, 5]],
+            [[4.864, 5], [5.837, 3.5]],
+            [[5.837, 5], [0, 5]],
+            [[3.082, 4.25], [6, 0]],
+            [[6, 0], [3.728, 0.708]],
+            [[3.728, 0.708], [5.027, 1.417]],
+            [[5.027, 1.417], [2.755, 2.125]],
+            [[2.755, 2.125], [4.054, 2.833]],
+            [[4.054, 2.833], [1.782, 3.542]],
+            [[1.782, 3.542], [3.082, 4.25]],
+            [[1.296, 4.25], [4.214, 0]],
+        ],
+
+        'S': [
+            [[6, 6.5], [0, 6.5]],
+            [[0, 6.5], [1, 8]],
+            [[1, 8], [2, 6.5]],
+            [[2, 6.5], [3, 8]],
+            [[3, 8], [4, 6.5]],
+            [[4, 6.5], [5, 8]],
+            [[5, 8], [6, 6.5]],
+            [[6, 8], [0, 8]],
+            [[1.5, 8], [1.5, 3.5]],
+            [[1.5, 3.5], [0, 4.625]],
+            [[0, 4.625], [1.5, 5.75]],
+            [[1.5, 5.75], [0, 6.875]],
+            [[0, 6.875], [1.5, 8]],
+            [[0, 8], [0, 3.5]],
+            [[0, 4.75], [6, 4.75]],
+            [[6, 4.75], [5, 3.25]],
+            [[5, 3.25], [4, 4.75]],
+            [[4, 4.75], [3, 3.25]],
+            [[3, 3.25], [2, 4.75]],
+            [[2, 4.75], [1, 3.25]],
+            [[1, 3.25], [0, 4.75]],
+            [[0, 3.25], [6, 3.25]],
+            [[6, 4.75], [6, 0]],
+            [[6, 0], [4.5, 0.792]],
+            [[4.5, 0.792], [6, 1.583]],
+            [[6, 1.583], [4.5, 2.375]],
+            [[4.5, 2.375], [6, 3.167]],
+            [[6, 3.167], [4.5, 3.958]],
+            [[4.5, 3.958], [6, 4.75]],
+            [[4.5, 4.75], [4.5, 0]],
+            [[6, 0], [0, 0]],
+            [[0, 0], [1, 1.5]],
+            [[1, 1.5], [2, 0]],
+            [[2, 0], [3, 1.5]],
+            [[3, 1.5], [4, 0]],
+            [[4, 0], [5, 1.5]],
+            [[5, 1.5], [6, 0]],
+            [[6, 1.5], [0, 1.5]],
+        ],
+
+        'T': [
+            [[0, 8], [6, 8]],
+            [[6, 8], [5, 6.5]],
+            [[5, 6.5], [4, 8]],
+            [[4, 8], [3, 6.5]],
+            [[3, 6.5], [2, 8]],
+            [[2, 8], [1, 6.5]],
+            [[1, 6.5], [0, 8]],
+            [[0, 6.5], [6, 6.5]],
+            [[3.75, 8], [3.75, 0]],
+            [[3.75, 0], [2.25, 1]],
+            [[2.25, 1], [3.75, 2]],
+            [[3.75, 2], [2.25, 3]],
+            [[2.25, 3], [3.75, 4]],
+            [[3.75, 4], [2.25, 5]],
+            [[2.25, 5], [3.75, 6]],
+            [[3.75, 6], [2.25, 7]],
+            [[2.25, 7], [3.75, 8]],
+            [[2.25, 8], [2.25, 0]],
+        ],
+
+        'U': [
+            [[1.5, 8], [1.5, 0]],
+            [[1.5, 0], [0, 1]],
+            [[0, 1], [1.5, 2]],
+            [[1.5, 2], [0, 3]],
+            [[0, 3], [1.5, 4]],
+            [[1.5, 4], [0, 5]],
+            [[0, 5], [1.5, 6]],
+            [[1.5, 6], [0, 7]],
+            [[0, 7], [1.5, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 1.5], [6, 1.5]],
+            [[6, 1.5], [5, 0]],
+            [[5, 0], [4, 1.5]],
+            [[4, 1.5], [3, 0]],
+            [[3, 0], [2, 1.5]],
+            [[2, 1.5], [1, 0]],
+            [[1, 0], [0, 1.5]],
+            [[0, 0], [6, 0]],
+            [[4.5, 0], [4.5, 8]],
+            [[4.5, 8], [6, 7]],
+            [[6, 7], [4.5, 6]],
+            [[4.5, 6], [6, 5]],
+            [[6, 5], [4.5, 4]],
+            [[4.5, 4], [6, 3]],
+            [[6, 3], [4.5, 2]],
+            [[4.5, 2], [6, 1]],
+            [[6, 1], [4.5, 0]],
+            [[6, 0], [6, 8]],
+        ],
+
+        'V': [
+            [[1.552, 8], [3.776, 0.75]],
+            [[3.776, 0.75], [1.945, 1.656]],
+            [[1.945, 1.656], [3.22, 2.562]],
+            [[3.22, 2.562], [1.39, 3.469]],
+            [[1.39, 3.469], [2.664, 4.375]],
+            [[2.664, 4.375], [0.833, 5.281]],
+            [[0.833, 5.281], [2.108, 6.188]],
+            [[2.108, 6.188], [0.278, 7.094]],
+            [[0.278, 7.094], [1.552, 8]],
+            [[0, 8], [2.224, 0.75]],
+            [[2.224, 0.75], [4.448, 8]],
+            [[4.448, 8], [5.722, 7.094]],
+            [[5.722, 7.094], [3.892, 6.188]],
+            [[3.892, 6.188], [5.167, 5.281]],
+            [[5.167, 5.281], [3.336, 4.375]],
+            [[3.336, 4.375], [4.61, 3.469]],
+            [[4.61, 3.469], [2.78, 2.562]],
+            [[2.78, 2.562], [4.055, 1.656]],
+            [[4.055, 1.656], [2.224, 0.75]],
+            [[3.776, 0.75], [6, 8]],
+        ],
+
+        'W': [
+            [[1.506, 8], [2.255, 0.75]],
+            [[2.255, 0.75], [0.655, 1.656]],
+            [[0.655, 1.656], [2.068, 2.562]],
+            [[2.068, 2.562], [0.468, 3.469]],
+            [[0.468, 3.469], [1.88, 4.375]],
+            [[1.88, 4.375], [0.281, 5.281]],
+            [[0.281, 5.281], [1.694, 6.188]],
+            [[1.694, 6.188], [0.094, 7.094]],
+            [[0.094, 7.094], [1.506, 8]],
+            [[0, 8], [0.749, 0.75]],
+            [[0.708, 0.75], [2.206, 5]],
+            [[2.206, 5], [3.544, 4.292]],
+            [[3.544, 4.292], [1.707, 3.583]],
+            [[1.707, 3.583], [3.045, 2.875]],
+            [[3.045, 2.875], [1.207, 2.167]],
+            [[1.207, 2.167], [2.546, 1.458]],
+            [[2.546, 1.458], [0.708, 0.75]],
+            [[2.296, 0.75], [3.794, 5]],
+            [[3.794, 5], [5.292, 0.75]],
+            [[5.292, 0.75], [3.454, 1.458]],
+            [[3.454, 1.458], [4.793, 2.167]],
+            [[4.793, 2.167], [2.955, 2.875]],
+            [[2.955, 2.875], [4.293, 3.583]],
+            [[4.293, 3.583], [2.456, 4.292]],
+            [[2.456, 4.292], [3.794, 5]],
+            [[2.206, 5], [3.704, 0.75]],
+            [[3.745, 0.75], [4.494, 8]],
+            [[4.494, 8], [5.906, 7.094]],
+            [[5.906, 7.094], [4.306, 6.188]],
+            [[4.306, 6.188], [5.719, 5.281]],
+            [[5.719, 5.281], [4.12, 4.375]],
+            [[4.12, 4.375], [5.532, 3.469]],
+            [[5.532, 3.469], [3.932, 2.562]],
+            [[3.932, 2.562], [5.345, 1.656]],
+            [[5.345, 1.656], [3.745, 0.75]],
+            [[5.251, 0.75], [6, 8]],
+        ],
+
+        'X': [
+            [[1.661, 8], [6, 0]],
+            [[6, 0], [3.905, 0.8]],
+            [[3.905, 0.8], [5.132, 1.6]],
+            [[5.132, 1.6], [3.038, 2.4]],
+            [[3.038, 2.4], [4.264, 3.2]],
+            [[4.264, 3.2], [2.17, 4]],
+            [[2.17, 4], [3.396, 4.8]],
+            [[3.396, 4.8], [1.302, 5.6]],
+            [[1.302, 5.6], [2.528, 6.4]],
+            [[2.528, 6.4], [0.434, 7.2]],
+            [[0.434, 7.2], [1.661, 8]],
+            [[0, 8], [4.339, 0]],
+            [[0, 0], [4.339, 8]],
+            [[4.339, 8], [5.566, 7.2]],
+            [[5.566, 7.2], [3.472, 6.4]],
+            [[3.472, 6.4], [4.698, 5.6]],
+            [[4.698, 5.6], [2.604, 4.8]],
+            [[2.604, 4.8], [3.83, 4]],
+            [[3.83, 4], [1.736, 3.2]],
+            [[1.736, 3.2], [2.962, 2.4]],
+            [[2.962, 2.4], [0.868, 1.6]],
+            [[0.868, 1.6], [2.095, 0.8]],
+            [[2.095, 0.8], [0, 0]],
+            [[1.661, 0], [6, 8]],
+        ],
+
+        'Y': [
+            [[1.661, 8], [3.83, 4]],
+            [[3.83, 4], [1.808, 4.667]],
+            [[1.808, 4.667], [3.107, 5.333]],
+            [[3.107, 5.333], [1.085, 6]],
+            [[1.085, 6], [2.384, 6.667]],
+            [[2.384, 6.667], [0.362, 7.333]],
+            [[0.362, 7.333], [1.661, 8]],
+            [[0, 8], [2.17, 4]],
+            [[2.17, 4], [4.339, 8]],
+            [[4.339, 8], [5.638, 7.333]],
+            [[5.638, 7.333], [3.616, 6.667]],
+            [[3.616, 6.667], [4.915, 6]],
+            [[4.915, 6], [2.893, 5.333]],
+            [[2.893, 5.333], [4.192, 4.667]],
+            [[4.192, 4.667], [2.17, 4]],
+            [[3.83, 4], [6, 8]],
+            [[3.723, 4], [3.723, 0]],
+            [[3.723, 0], [2.277, 1]],
+            [[2.277, 1], [3.723, 2]],
+            [[3.723, 2], [2.277, 3]],
+            [[2.277, 3], [3.723, 4]],
+            [[2.277, 4], [2.277, 0]],
+        ],
+
+        'Z': [
+            [[0.154, 8], [5.846, 8]],
+            [[5.846, 8], [4.898, 6.5]],
+            [[4.898, 6.5], [3.949, 8]],
+            [[3.949, 8], [3, 6.5]],
+            [[3, 6.5], [2.051, 8]],
+            [[2.051, 8], [1.102, 6.5]],
+            [[1.102, 6.5], [0.154, 8]],
+            [[0.154, 6.5], [5.846, 6.5]],
+            [[6, 7.25], [1.731, 0.75]],
+            [[1.731, 0.75], [0.533, 1.562]],
+            [[0.533, 1.562], [2.798, 2.375]],
+            [[2.798, 2.375], [1.601, 3.188]],
+            [[1.601, 3.188], [3.865, 4]],
+            [[3.865, 4], [2.668, 4.812]],
+            [[2.668, 4.812], [4.933, 5.625]],
+            [[4.933, 5.625], [3.735, 6.438]],
+            [[3.735, 6.438], [6, 7.25]],
+            [[4.269, 7.25], [0, 0.75]],
+            [[0.154, 1.5], [5.846, 1.5]],
+            [[5.846, 1.5], [4.898, 0]],
+            [[4.898, 0], [3.949, 1.5]],
+            [[3.949, 1.5], [3, 0]],
+            [[3, 0], [2.051, 1.5]],
+            [[2.051, 1.5], [1.102, 0]],
+            [[1.102, 0], [0.154, 1.5]],
+            [[0.154, 0], [5.846, 0]],
+        ],
+
+        // --- Digits ---
+        '0': [
+            [[1.5, 8], [1.5, 0]],
+            [[1.5, 0], [0, 1]],
+            [[0, 1], [1.5, 2]],
+            [[1.5, 2], [0, 3]],
+            [[0, 3], [1.5, 4]],
+            [[1.5, 4], [0, 5]],
+            [[0, 5], [1.5, 6]],
+            [[1.5, 6], [0, 7]],
+            [[0, 7], [1.5, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 1.5], [6, 1.5]],
+            [[6, 1.5], [5, 0]],
+            [[5, 0], [4, 1.5]],
+            [[4, 1.5], [3, 0]],
+            [[3, 0], [2, 1.5]],
+            [[2, 1.5], [1, 0]],
+            [[1, 0], [0, 1.5]],
+            [[0, 0], [6, 0]],
+            [[4.5, 0], [4.5, 8]],
+            [[4.5, 8], [6, 7]],
+            [[6, 7], [4.5, 6]],
+            [[4.5, 6], [6, 5]],
+            [[6, 5], [4.5, 4]],
+            [[4.5, 4], [6, 3]],
+            [[6, 3], [4.5, 2]],
+            [[4.5, 2], [6, 1]],
+            [[6, 1], [4.5, 0]],
+            [[6, 0], [6, 8]],
+            [[6, 6.5], [0, 6.5]],
+            [[0, 6.5], [1, 8]],
+            [[1, 8], [2, 6.5]],
+            [[2, 6.5], [3, 8]],
+            [[3, 8], [4, 6.5]],
+            [[4, 6.5], [5, 8]],
+            [[5, 8], [6, 6.5]],
+            [[6, 8], [0, 8]],
+            [[0.625, 1.5], [3.625, 6.5]],
+            [[3.625, 6.5], [4.875, 5.667]],
+            [[4.875, 5.667], [2.625, 4.833]],
+            [[2.625, 4.833], [3.875, 4]],
+            [[3.875, 4], [1.625, 3.167]],
+            [[1.625, 3.167], [2.875, 2.333]],
+            [[2.875, 2.333], [0.625, 1.5]],
+            [[2.375, 1.5], [5.375, 6.5]],
+        ],
+
+        '1': [
+            [[1.25, 6.665], [3, 8]],
+            [[3, 8], [2.125, 5.574]],
+            [[2.125, 5.574], [1.25, 6.665]],
+            [[1.25, 4.906], [3, 6.241]],
+            [[3.75, 7.121], [3.75, 0]],
+            [[3.75, 0], [2.25, 0.89]],
+            [[2.25, 0.89], [3.75, 1.78]],
+            [[3.75, 1.78], [2.25, 2.67]],
+            [[2.25, 2.67], [3.75, 3.56]],
+            [[3.75, 3.56], [2.25, 4.45]],
+            [[2.25, 4.45], [3.75, 5.34]],
+            [[3.75, 5.34], [2.25, 6.231]],
+            [[2.25, 6.231], [3.75, 7.121]],
+            [[2.25, 7.121], [2.25, 0]],
+            [[0, 1.335], [6, 1.335]],
+            [[6, 1.335], [5, 0]],
+            [[5, 0], [4, 1.335]],
+            [[4, 1.335], [3, 0]],
+            [[3, 0], [2, 1.335]],
+            [[2, 1.335], [1, 0]],
+            [[1, 0], [0, 1.335]],
+            [[0, 0], [6, 0]],
+        ],
+
+        '2': [
+            [[0, 8], [6, 8]],
+            [[6, 8], [5, 6.5]],
+            [[5, 6.5], [4, 8]],
+            [[4, 8], [3, 6.5]],
+            [[3, 6.5], [2, 8]],
+            [[2, 8], [1, 6.5]],
+            [[1, 6.5], [0, 8]],
+            [[0, 6.5], [6, 6.5]],
+            [[6, 8], [6, 4]],
+            [[6, 4], [4.5, 5]],
+            [[4.5, 5], [6, 6]],
+            [[6, 6], [4.5, 7]],
+            [[4.5, 7], [6, 8]],
+            [[4.5, 8], [4.5, 4]],
+            [[6, 3.25], [0, 3.25]],
+            [[0, 3.25], [1, 4.75]],
+            [[1, 4.75], [2, 3.25]],
+            [[2, 3.25], [3, 4.75]],
+            [[3, 4.75], [4, 3.25]],
+            [[4, 3.25], [5, 4.75]],
+            [[5, 4.75], [6, 3.25]],
+            [[6, 4.75], [0, 4.75]],
+            [[1.5, 4.75], [1.5, 0]],
+            [[1.5, 0], [0, 0.792]],
+            [[0, 0.792], [1.5, 1.583]],
+            [[1.5, 1.583], [0, 2.375]],
+            [[0, 2.375], [1.5, 3.167]],
+            [[1.5, 3.167], [0, 3.958]],
+            [[0, 3.958], [1.5, 4.75]],
+            [[0, 4.75], [0, 0]],
+            [[0, 1.5], [6, 1.5]],
+            [[6, 1.5], [5, 0]],
+            [[5, 0], [4, 1.5]],
+            [[4, 1.5], [3, 0]],
+            [[3, 0], [2, 1.5]],
+            [[2, 1.5], [1, 0]],
+            [[1, 0], [0, 1.5]],
+            [[0, 0], [6, 0]],
+        ],
+
+        '3': [
+            [[0, 8], [6, 8]],
+            [[6, 8], [5, 6.5]],
+            [[5, 6.5], [4, 8]],
+            [[4, 8], [3, 6.5]],
+            [[3, 6.5], [2, 8]],
+            [[2, 8], [1, 6.5]],
+            [[1, 6.5], [0, 8]],
+            [[0, 6.5], [6, 6.5]],
+            [[6, 8], [6, 0]],
+            [[6, 0], [4.5, 1]],
+            [[4.5, 1], [6, 2]],
+            [[6, 2], [4.5, 3]],
+            [[4.5, 3], [6, 4]],
+            [[6, 4], [4.5, 5]],
+            [[4.5, 5], [6, 6]],
+            [[6, 6], [4.5, 7]],
+            [[4.5, 7], [6, 8]],
+            [[4.5, 8], [4.5, 0]],
+            [[6, 0], [0, 0]],
+            [[0, 0], [1, 1.5]],
+            [[1, 1.5], [2, 0]],
+            [[2, 0], [3, 1.5]],
+            [[3, 1.5], [4, 0]],
+            [[4, 0], [5, 1.5]],
+            [[5, 1.5], [6, 0]],
+            [[6, 1.5], [0, 1.5]],
+            [[1.5, 4.75], [6, 4.75]],
+            [[6, 4.75], [4.875, 3.25]],
+            [[4.875, 3.25], [3.75, 4.75]],
+            [[3.75, 4.75], [2.625, 3.25]],
+            [[2.625, 3.25], [1.5, 4.75]],
+            [[1.5, 3.25], [6, 3.25]],
+        ],
+
+        '4': [
+            [[1.5, 8], [1.5, 3.25]],
+            [[1.5, 3.25], [0, 4.042]],
+            [[0, 4.042], [1.5, 4.833]],
+            [[1.5, 4.833], [0, 5.625]],
+            [[0, 5.625], [1.5, 6.417]],
+            [[1.5, 6.417], [0, 7.208]],
+            [[0, 7.208], [1.5, 8]],
+            [[0, 8], [0, 3.25]],
+            [[0, 4.75], [6, 4.75]],
+            [[6, 4.75], [5, 3.25]],
+            [[5, 3.25], [4, 4.75]],
+            [[4, 4.75], [3, 3.25]],
+            [[3, 3.25], [2, 4.75]],
+            [[2, 4.75], [1, 3.25]],
+            [[1, 3.25], [0, 4.75]],
+            [[0, 3.25], [6, 3.25]],
+            [[5.25, 8], [5.25, 0]],
+            [[5.25, 0], [3.75, 1]],
+            [[3.75, 1], [5.25, 2]],
+            [[5.25, 2], [3.75, 3]],
+            [[3.75, 3], [5.25, 4]],
+            [[5.25, 4], [3.75, 5]],
+            [[3.75, 5], [5.25, 6]],
+            [[5.25, 6], [3.75, 7]],
+            [[3.75, 7], [5.25, 8]],
+            [[3.75, 8], [3.75, 0]],
+        ],
+
+        '5': [
+            [[6, 6.5], [0, 6.5]],
+            [[0, 6.5], [1, 8]],
+            [[1, 8], [2, 6.5]],
+            [[2, 6.5], [3, 8]],
+            [[3, 8], [4, 6.5]],
+            [[4, 6.5], [5, 8]],
+            [[5, 8], [6, 6.5]],
+            [[6, 8], [0, 8]],
+            [[1.5, 8], [1.5, 3.25]],
+            [[1.5, 3.25], [0, 4.042]],
+            [[0, 4.042], [1.5, 4.833]],
+            [[1.5, 4.833], [0, 5.625]],
+            [[0, 5.625], [1.5, 6.417]],
+            [[1.5, 6.417], [0, 7.208]],
+            [[0, 7.208], [1.5, 8]],
+            [[0, 8], [0, 3.25]],
+            [[0, 4.75], [6, 4.75]],
+            [[6, 4.75], [5, 3.25]],
+            [[5, 3.25], [4, 4.75]],
+            [[4, 4.75], [3, 3.25]],
+            [[3, 3.25], [2, 4.75]],
+            [[2, 4.75], [1, 3.25]],
+            [[1, 3.25], [0, 4.75]],
+            [[0, 3.25], [6, 3.25]],
+            [[6, 4.75], [6, 0]],
+            [[6, 0], [4.5, 0.792]],
+            [[4.5, 0.792], [6, 1.583]],
+            [[6, 1.583], [4.5, 2.375]],
+            [[4.5, 2.375], [6, 3.167]],
+            [[6, 3.167], [4.5, 3.958]],
+            [[4.5, 3.958], [6, 4.75]],
+            [[4.5, 4.75], [4.5, 0]],
+            [[6, 0], [0, 0]],
+            [[0, 0], [1, 1.5]],
+            [[1, 1.5], [2, 0]],
+            [[2, 0], [3, 1.5]],
+            [[3, 1.5], [4, 0]],
+            [[4, 0], [5, 1.5]],
+            [[5, 1.5], [6, 0]],
+            [[6, 1.5], [0, 1.5]],
+        ],
+
+        '6': [
+            [[6, 6.5], [0, 6.5]],
+            [[0, 6.5], [1, 8]],
+            [[1, 8], [2, 6.5]],
+            [[2, 6.5], [3, 8]],
+            [[3, 8], [4, 6.5]],
+            [[4, 6.5], [5, 8]],
+            [[5, 8], [6, 6.5]],
+            [[6, 8], [0, 8]],
+            [[1.5, 8], [1.5, 0]],
+            [[1.5, 0], [0, 1]],
+            [[0, 1], [1.5, 2]],
+            [[1.5, 2], [0, 3]],
+            [[0, 3], [1.5, 4]],
+            [[1.5, 4], [0, 5]],
+            [[0, 5], [1.5, 6]],
+            [[1.5, 6], [0, 7]],
+            [[0, 7], [1.5, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 1.5], [6, 1.5]],
+            [[6, 1.5], [5, 0]],
+            [[5, 0], [4, 1.5]],
+            [[4, 1.5], [3, 0]],
+            [[3, 0], [2, 1.5]],
+            [[2, 1.5], [1, 0]],
+            [[1, 0], [0, 1.5]],
+            [[0, 0], [6, 0]],
+            [[4.5, 0], [4.5, 4.75]],
+            [[4.5, 4.75], [6, 3.958]],
+            [[6, 3.958], [4.5, 3.167]],
+            [[4.5, 3.167], [6, 2.375]],
+            [[6, 2.375], [4.5, 1.583]],
+            [[4.5, 1.583], [6, 0.792]],
+            [[6, 0.792], [4.5, 0]],
+            [[6, 0], [6, 4.75]],
+            [[6, 3.25], [0, 3.25]],
+            [[0, 3.25], [1, 4.75]],
+            [[1, 4.75], [2, 3.25]],
+            [[2, 3.25], [3, 4.75]],
+            [[3, 4.75], [4, 3.25]],
+            [[4, 3.25], [5, 4.75]],
+            [[5, 4.75], [6, 3.25]],
+            [[6, 4.75], [0, 4.75]],
+        ],
+
+        '7': [
+            [[0, 8], [5.939, 8]],
+            [[5.939, 8], [4.949, 6.5]],
+            [[4.949, 6.5], [3.959, 8]],
+            [[3.959, 8], [2.969, 6.5]],
+            [[2.969, 6.5], [1.98, 8]],
+            [[1.98, 8], [0.99, 6.5]],
+            [[0.99, 6.5], [0, 8]],
+            [[0, 6.5], [5.939, 6.5]],
+            [[6, 7.25], [3.031, 0]],
+            [[3.031, 0], [1.794, 0.906]],
+            [[1.794, 0.906], [3.773, 1.812]],
+            [[3.773, 1.812], [2.537, 2.719]],
+            [[2.537, 2.719], [4.515, 3.625]],
+            [[4.515, 3.625], [3.279, 4.531]],
+            [[3.279, 4.531], [5.258, 5.438]],
+            [[5.258, 5.438], [4.021, 6.344]],
+            [[4.021, 6.344], [6, 7.25]],
+            [[4.393, 7.25], [1.423, 0]],
+        ],
+
+        '8': [
+            [[1.5, 8], [1.5, 0]],
+            [[1.5, 0], [0, 1]],
+            [[0, 1], [1.5, 2]],
+            [[1.5, 2], [0, 3]],
+            [[0, 3], [1.5, 4]],
+            [[1.5, 4], [0, 5]],
+            [[0, 5], [1.5, 6]],
+            [[1.5, 6], [0, 7]],
+            [[0, 7], [1.5, 8]],
+            [[0, 8], [0, 0]],
+            [[0, 1.5], [6, 1.5]],
+            [[6, 1.5], [5, 0]],
+            [[5, 0], [4, 1.5]],
+            [[4, 1.5], [3, 0]],
+            [[3, 0], [2, 1.5]],
+            [[2, 1.5], [1, 0]],
+            [[1, 0], [0, 1.5]],
+            [[0, 0], [6, 0]],
+            [[4.5, 0], [4.5, 8]],
+            [[4.5, 8], [6, 7]],
+            [[6, 7], [4.5, 6]],
+            [[4.5, 6], [6, 5]],
+            [[6, 5], [4.5, 4]],
+            [[4.5, 4], [6, 3]],
+            [[6, 3], [4.5, 2]],
+            [[4.5, 2], [6, 1]],
+            [[6, 1], [4.5, 0]],
+            [[6, 0], [6, 8]],
+            [[6, 6.5], [0, 6.5]],
+            [[0, 6.5], [1, 8]],
+            [[1, 8], [2, 6.5]],
+            [[2, 6.5], [3, 8]],
+            [[3, 8], [4, 6.5]],
+            [[4, 6.5], [5, 8]],
+            [[5, 8], [6, 6.5]],
+            [[6, 8], [0, 8]],
+            [[0, 4.75], [6, 4.75]],
+            [[6, 4.75], [5, 3.25]],
+            [[5, 3.25], [4, 4.75]],
+            [[4, 4.75], [3, 3.25]],
+            [[3, 3.25], [2, 4.75]],
+            [[2, 4.75], [1, 3.25]],
+            [[1, 3.25], [0, 4.75]],
+            [[0, 3.25], [6, 3.25]],
+        ],
+
+        '9': [
+            [[6, 3.25], [0, 3.25]],
+            [[0, 3.25], [1, 4.75]],
+            [[1, 4.75], [2, 3.25]],
+            [[2, 3.25], [3, 4.75]],
+            [[3, 4.75], [4, 3.25]],
+            [[4, 3.25], [5, 4.75]],
+            [[5, 4.75], [6, 3.25]],
+            [[6, 4.75], [0, 4.75]],
+            [[0, 3.25], [0, 8]],
+            [[0, 8], [1.5, 7.208]],
+            [[1.5, 7.208], [0, 6.417]],
+            [[0, 6.417], [1.5, 5.625]],
+            [[1.5, 5.625], [0, 4.833]],
+            [[0, 4.833], [1.5, 4.042]],
+            [[1.5, 4.042], [0, 3.25]],
+            [[1.5, 3.25], [1.5, 8]],
+            [[0, 8], [6, 8]],
+            [[6, 8], [5, 6.5]],
+            [[5, 6.5], [4, 8]],
+            [[4, 8], [3, 6.5]],
+            [[3, 6.5], [2, 8]],
+            [[2, 8], [1, 6.5]],
+            [[1, 6.5], [0, 8]],
+            [[0, 6.5], [6, 6.5]],
+            [[6, 8], [6, 0]],
+            [[6, 0], [4.5, 1]],
+            [[4.5, 1], [6, 2]],
+            [[6, 2], [4.5, 3]],
+            [[4.5, 3], [6, 4]],
+            [[6, 4], [4.5, 5]],
+            [[4.5, 5], [6, 6]],
+            [[6, 6], [4.5, 7]],
+            [[4.5, 7], [6, 8]],
+            [[4.5, 8], [4.5, 0]],
+            [[6, 0], [0, 0]],
+            [[0, 0], [1, 1.5]],
+            [[1, 1.5], [2, 0]],
+            [[2, 0], [3, 1.5]],
+            [[3, 1.5], [4, 0]],
+            [[4, 0], [5, 1.5]],
+            [[5, 1.5], [6, 0]],
+            [[6, 1.5], [0, 1.5]],
+        ],
+
+        // --- Space and punctuation ---
+        // Space advances to the next character position without stitching.
+        // Punctuation is drawn from the left edge of its box with a narrower advance.
+        ' ': { segments: [], advance: 4 },
+
+        '.': {
+            segments: [
+                [[0, 0], [0, 1.5]],
+                [[0, 1.5], [1.5, 0.75]],
+                [[1.5, 0.75], [0, 0]],
+                [[1.5, 0], [1.5, 1.5]],
+            ],
+            advance: 2.5
+        },
+
+        ',': {
+            segments: [
+                [[2.382, 1.75], [1.632, 0]],
+                [[1.632, 0], [0.375, 0.875]],
+                [[0.375, 0.875], [2.382, 1.75]],
+                [[0.75, 1.75], [0, 0]],
+            ],
+            advance: 3.5
+        },
+
+        '-': {
+            segments: [
+                [[0, 4.75], [4, 4.75]],
+                [[4, 4.75], [3, 3.25]],
+                [[3, 3.25], [2, 4.75]],
+                [[2, 4.75], [1, 3.25]],
+                [[1, 3.25], [0, 4.75]],
+                [[0, 3.25], [4, 3.25]],
+            ],
+            advance: 5
+        },
+
+        '&': [
+            [[0.926, 5], [0.926, 7.5]],
+            [[0.926, 7.5], [1.822, 6.25]],
+            [[1.822, 6.25], [0.926, 5]],
+            [[1.822, 5], [1.822, 7.5]],
+            [[0.926, 8], [4.062, 8]],
+            [[4.062, 8], [3.278, 7]],
+            [[3.278, 7], [2.494, 8]],
+            [[2.494, 8], [1.71, 7]],
+            [[1.71, 7], [0.926, 8]],
+            [[0.926, 7], [4.062, 7]],
+            [[4.062, 7.5], [4.062, 5.5]],
+            [[4.062, 5.5], [3.166, 6.5]],
+            [[3.166, 6.5], [4.062, 7.5]],
+            [[3.166, 7.5], [3.166, 5.5]],
+            [[4.247, 5.5], [1.56, 2.5]],
+            [[1.56, 2.5], [0.965, 3.25]],
+            [[0.965, 3.25], [2.903, 4]],
+            [[2.903, 4], [2.308, 4.75]],
+            [[2.308, 4.75], [4.247, 5.5]],
+            [[2.98, 5.5], [0.293, 2.5]],
+            [[1.374, 2.5], [1.374, 0.5]],
+            [[1.374, 0.5], [0.478, 1.5]],
+            [[0.478, 1.5], [1.374, 2.5]],
+            [[0.478, 2.5], [0.478, 0.5]],
+            [[0.478, 1], [3.614, 1]],
+            [[3.614, 1], [2.83, 0]],
+            [[2.83, 0], [2.046, 1]],
+            [[2.046, 1], [1.262, 0]],
+            [[1.262, 0], [0.478, 1]],
+            [[0.478, 0], [3.614, 0]],
+            [[3.06, 0.5], [4.852, 3.25]],
+            [[4.852, 3.25], [5.511, 2.562]],
+            [[5.511, 2.562], [3.956, 1.875]],
+            [[3.956, 1.875], [4.615, 1.188]],
+            [[4.615, 1.188], [3.06, 0.5]],
+            [[4.167, 0.5], [5.959, 3.25]],
+            [[2.865, 4], [6, 0]],
+            [[6, 0], [4.287, 0.667]],
+            [[4.287, 0.667], [4.956, 1.333]],
+            [[4.956, 1.333], [3.243, 2]],
+            [[3.243, 2], [3.91, 2.667]],
+            [[3.91, 2.667], [2.197, 3.333]],
+            [[2.197, 3.333], [2.865, 4]],
+            [[1.675, 4], [4.81, 0]],
+        ],
+
+        '!': {
+            segments: [
+                [[1.5, 8], [1.5, 2.5]],
+                [[1.5, 2.5], [0, 3.417]],
+                [[0, 3.417], [1.5, 4.333]],
+                [[1.5, 4.333], [0, 5.25]],
+                [[0, 5.25], [1.5, 6.167]],
+                [[1.5, 6.167], [0, 7.083]],
+                [[0, 7.083], [1.5, 8]],
+                [[0, 8], [0, 2.5]],
+                [[1.5, 1.5], [1.5, 0]],
+                [[1.5, 0], [0, 0.75]],
+                [[0, 0.75], [1.5, 1.5]],
+                [[0, 1.5], [0, 0]],
+            ],
+            advance: 2.5
+        },
+
+        "'": {
+            segments: [
+                [[1.5, 8], [1.5, 5.5]],
+                [[1.5, 5.5], [0, 6.75]],
+                [[0, 6.75], [1.5, 8]],
+                [[0, 8], [0, 5.5]],
+            ],
+            advance: 2.5
+        },
+
+        // --- Outline glyphs ---
+        // These are drawn as closed polygons; their fill is generated from the fill settings.
+        '+': {
+            outlines: [
+                [[2.25, 1.75], [3.75, 1.75], [3.75, 3.25], [5.25, 3.25], [5.25, 4.75], [3.75, 4.75],
+                    [3.75, 6.25], [2.25, 6.25], [2.25, 4.75], [0.75, 4.75], [0.75, 3.25], [2.25, 3.25]]
+            ]
+        },
+
+        ':': {
+            outlines: [
+                [[0, 0], [1.5, 0], [1.5, 1.5], [0, 1.5]],
+                [[0, 4], [1.5, 4], [1.5, 5.5], [0, 5.5]]
+            ],
+            advance: 2.5
+        },
+
+        '/': {
+            outlines: [
+                [[0, 0], [1.75, 0], [6, 8], [4.25, 8]]
+            ]
+        },
+
+        '=': {
+            outlines: [
+                [[0.75, 2.25], [5.25, 2.25], [5.25, 3.75], [0.75, 3.75]],
+                [[0.75, 4.75], [5.25, 4.75], [5.25, 6.25], [0.75, 6.25]]
+            ]
+        },
+        // Add more characters here as needed.
+    },
+    // Pairs that can sit closer than their advance widths, in font units
+    kerning: {
+        'T.': -2,
+        'T,': -2,
+        'F.': -2,
+        'F,': -2,
+        "L'": -2
+    }
+};
+
+// Let Node tools such as cli.js load the default font with require()
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DEFAULT_FONT_DATA;
+}
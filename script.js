@@ -3,74 +3,75 @@
 const canvas = document.getElementById('patternCanvas');
 const ctx = canvas.getContext('2d');
 
-// --- Data Coordinate System ---
-// These define the logical bounds of our drawing space, independent of pixel size.
-const X_MIN = -0.5;
-const X_MAX = 10;
-const Y_MIN = -0.5;
-const Y_MAX = 10;
-
-const DATA_RANGE_X = X_MAX - X_MIN; // Total width of data: 10 - (-0.5) = 10.5
-const DATA_RANGE_Y = Y_MAX - Y_MIN; // Total height of data: 10 - (-0.5) = 10.5
-
-// Define the effective width of a character in data units for horizontal spacing.
-const CHAR_WIDTH_DATA_UNITS = 7;
-
 // --- Size Multiplier ---
-// Increase this value to make the letters larger.
+// Increase this value to make the character in the glyph editor larger.
 const SIZE_MULTIPLIER = 1.8; // Increased size further (adjust as needed)
 
+// --- Hoop View ---
+// Designs are drawn at their real size inside the chosen hoop, which is fitted to the canvas.
+// The canvas takes the hoop's proportions, up to a maximum height.
+const HOOP_MARGIN_PX = 12;
+const MAX_CANVAS_HEIGHT_PX = 600;
+
 
 // --- Dynamic Scaling and Offset Variables ---
 let currentCanvasWidth = 0;
 let currentCanvasHeight = 0;
-let baseScale = 0; // Base scale factor based on the minimum canvas dimension
-let wordScaleFactor = 1; // Additional scale factor for the word if it's too long
+let pixelsPerDataUnit = 0; // Set by the hoop, or by the character size in the glyph editor
+let canvasPixelRatio = 1; // Device pixels per CSS pixel the canvas was last sized for
 
-// Pixel offsets for centering the entire scaled word block on the canvas
+// Pixel offsets that place the data origin (X_MIN, Y_MIN) on the canvas
 let centerXOffsetPixels = 0;
 let centerYOffsetPixels = 0;
 
+// Box around the stitches of the design currently shown (see measureItems()), or null if there is none
+let designBounds = null;
+
+// --- Zoom and Pan ---
+// The fitted view can be zoomed around the canvas centre and moved by a number of pixels.
+// Both are applied to the scale and offsets transformPoint() uses, so everything drawn
+// follows them, and they are kept when the canvas is resized.
+const MIN_VIEW_ZOOM = 0.5;
+const MAX_VIEW_ZOOM = 40;
+const WHEEL_ZOOM_RATE = 0.002; // Zoom change per pixel the mouse wheel scrolls, as a power of e
+
+let viewZoom = 1;
+let viewPanX = 0;
+let viewPanY = 0;
+
 
 /**
  * Updates canvas dimensions and recalculates scaling/offset based on current client size.
  * This should be called on initial load and on window resize.
  */
 function updateCanvasDimensions() {
+    // Outside the glyph editor the canvas has the proportions of the hoop
+    if (glyphEditorActive) {
+        canvas.style.height = '';
+    } else {
+        const hoopHeightPixels = canvas.clientWidth * hoopSettings.heightMm / hoopSettings.widthMm;
+        canvas.style.height = `${Math.round(Math.min(hoopHeightPixels, MAX_CANVAS_HEIGHT_PX))}px`;
+    }
+
     // Get the actual rendered size of the canvas element from CSS
     currentCanvasWidth = canvas.clientWidth;
     currentCanvasHeight = canvas.clientHeight;
 
-    // Set the canvas's internal drawing buffer size to match its display size
-    // This prevents blurring on high-density displays
-    canvas.width = currentCanvasWidth;
-    canvas.height = currentCanvasHeight;
-
-    // --- Calculate the base scale factor based on the minimum canvas dimension ---
-    // This scale factor ensures the core character shape fits within the smaller
-    // dimension of the canvas while maintaining its aspect ratio.
-    const availableCanvasMinDimension = Math.min(currentCanvasWidth, currentCanvasHeight);
-    const dataMaxDimension = Math.max(DATA_RANGE_X, DATA_RANGE_Y); // Assume character fits in a square data space
-
-    // Avoid division by zero if canvas dimensions are 0
-    if (availableCanvasMinDimension === 0 || dataMaxDimension === 0) {
-        baseScale = 0;
-    } else {
-        // The baseScale is how many pixels per data unit based on the smaller canvas dimension.
-        // We apply the SIZE_MULTIPLIER here to make the base character size larger.
-        baseScale = (availableCanvasMinDimension / dataMaxDimension) * SIZE_MULTIPLIER;
+    // Give the drawing buffers one pixel per device pixel, so nothing is blurred on
+    // high-density displays, and keep drawing in CSS pixels through the context transform
+    const pixelRatio = window.devicePixelRatio || 1;
+    if (pixelRatio !== canvasPixelRatio) {
+        canvasPixelRatio = pixelRatio;
+        fabricPattern = null; // The fabric tile is drawn at the pixel ratio
     }
-
-    // Recalculate scaling and centering for the current word based on the new canvas size
-    if (wordToAnimate) {
-        calculateWordScalingAndOffset(wordToAnimate);
-    } else {
-        // Reset scaling and offset if no word is set
-        wordScaleFactor = 1;
-        centerXOffsetPixels = 0;
-        centerYOffsetPixels = 0;
+    for (const [target, targetCtx] of [[canvas, ctx], [stitchLayer, stitchLayerCtx]]) {
+        target.width = Math.round(currentCanvasWidth * pixelRatio);
+        target.height = Math.round(currentCanvasHeight * pixelRatio);
+        targetCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
     }
 
+    fitView();
+
     // Redraw the current state after resizing
     // Use requestAnimationFrame for redrawing after resize to avoid tearing during rapid resizing
     requestAnimationFrame(redrawCanvasContent);
@@ -78,64 +79,144 @@ function updateCanvasDimensions() {
 
 
 /**
- * Calculates the wordScaleFactor and pixel offsets needed to center the word
- * within the current canvas dimensions, maintaining aspect ratio.
- * @param {string} word - The word to be animated.
+ * Scales and centres a single character on the canvas for the glyph editor. The character
+ * is sized from the smaller canvas dimension and SIZE_MULTIPLIER, shrunk if that would not fit.
+ */
+function fitGlyphEditorView() {
+    const dataWidth = CHAR_WIDTH_DATA_UNITS;
+    const dataHeight = DATA_RANGE_Y;
+    const availableCanvasMinDimension = Math.min(currentCanvasWidth, currentCanvasHeight);
+    const baseScale = (availableCanvasMinDimension / Math.max(DATA_RANGE_X, DATA_RANGE_Y)) * SIZE_MULTIPLIER;
+    const fitScale = Math.min(currentCanvasWidth / dataWidth, currentCanvasHeight / dataHeight) * 0.95; // Leave a small margin
+    pixelsPerDataUnit = Math.min(baseScale, fitScale);
+
+    centerXOffsetPixels = (currentCanvasWidth - dataWidth * pixelsPerDataUnit) / 2;
+    centerYOffsetPixels = (currentCanvasHeight - dataHeight * pixelsPerDataUnit) / 2;
+}
+
+
+/**
+ * Scales the canvas so the hoop fills it, and centres the current design's stitches in the hoop.
  */
-function calculateWordScalingAndOffset(word) {
-    // Calculate the total width needed for the word in data units without additional word scaling
-    const unscaledRequiredDataWidth = word.length * CHAR_WIDTH_DATA_UNITS;
-    const unscaledRequiredDataHeight = DATA_RANGE_Y; // Height is constant for all characters
+function fitHoopView() {
+    const pixelsPerMm = Math.max(0, Math.min(
+        (currentCanvasWidth - 2 * HOOP_MARGIN_PX) / hoopSettings.widthMm,
+        (currentCanvasHeight - 2 * HOOP_MARGIN_PX) / hoopSettings.heightMm));
+    pixelsPerDataUnit = pixelsPerMm * DATA_UNIT_MM;
+
+    const centre = getHoopCentre();
+    centerXOffsetPixels = currentCanvasWidth / 2 - (centre.x - X_MIN) * pixelsPerDataUnit;
+    centerYOffsetPixels = currentCanvasHeight / 2 - (centre.y - Y_MIN) * pixelsPerDataUnit;
+}
 
-    // Calculate the pixel dimensions the word would take with only the baseScale applied
-    const baseScaledPixelWidth = unscaledRequiredDataWidth * baseScale;
-    const baseScaledPixelHeight = unscaledRequiredDataHeight * baseScale;
+/**
+ * Finds where the centre of the hoop is in design data units: the middle of the current design.
+ * @returns {{x: number, y: number}} The hoop centre.
+ */
+function getHoopCentre() {
+    if (!designBounds) {
+        return { x: 0, y: 0 };
+    }
+    return { x: (designBounds.minX + designBounds.maxX) / 2, y: (designBounds.minY + designBounds.maxY) / 2 };
+}
 
-    // Determine the additional word scaling factor needed to fit the word into the canvas
-    // This factor is applied *on top of* the baseScale.
-    let widthFitFactor = 1;
-    if (baseScaledPixelWidth > currentCanvasWidth) {
-        widthFitFactor = (currentCanvasWidth / baseScaledPixelWidth) * 0.95; // Leave a small margin
+/**
+ * Fits the hoop, or the glyph editor's character, to the canvas and then applies the zoom and pan.
+ * The stitch layer is drawn again at the new scale.
+ */
+function fitView() {
+    invalidateStitchLayer();
+    if (glyphEditorActive) {
+        fitGlyphEditorView();
+    } else {
+        fitHoopView();
     }
 
-    let heightFitFactor = 1;
-     if (baseScaledPixelHeight > currentCanvasHeight) {
-         heightFitFactor = (currentCanvasHeight / baseScaledPixelHeight) * 0.95; // Leave a small margin
-     }
+    const canvasCentreX = currentCanvasWidth / 2;
+    const canvasCentreY = currentCanvasHeight / 2;
+    pixelsPerDataUnit *= viewZoom;
+    centerXOffsetPixels = (centerXOffsetPixels - canvasCentreX) * viewZoom + canvasCentreX + viewPanX;
+    centerYOffsetPixels = (centerYOffsetPixels - canvasCentreY) * viewZoom + canvasCentreY - viewPanY; // Offsets count upwards
+}
+
+/**
+ * Zooms the view around a point on the canvas, which stays where it is.
+ * @param {number} canvasX - X coordinate of the point on the canvas in pixels.
+ * @param {number} canvasY - Y coordinate of the point on the canvas in pixels.
+ * @param {number} factor - How much to zoom in (above 1) or out (below 1).
+ */
+function zoomViewAt(canvasX, canvasY, factor) {
+    const zoom = Math.min(MAX_VIEW_ZOOM, Math.max(MIN_VIEW_ZOOM, viewZoom * factor));
+    const fromCentreX = canvasX - currentCanvasWidth / 2;
+    const fromCentreY = canvasY - currentCanvasHeight / 2;
+    viewPanX = fromCentreX - (fromCentreX - viewPanX) * zoom / viewZoom;
+    viewPanY = fromCentreY - (fromCentreY - viewPanY) * zoom / viewZoom;
+    viewZoom = zoom;
+    fitView();
+    redrawCanvasContent();
+}
+
+/**
+ * Moves the view by a number of pixels.
+ * @param {number} deltaX - Pixels to move right.
+ * @param {number} deltaY - Pixels to move down.
+ */
+function panView(deltaX, deltaY) {
+    viewPanX += deltaX;
+    viewPanY += deltaY;
+    fitView();
+    redrawCanvasContent();
+}
 
-     // The wordScaleFactor is the minimum of the width and height fit factors
-     // to ensure the entire word fits within the canvas bounds.
-     wordScaleFactor = Math.min(widthFitFactor, heightFitFactor);
+/**
+ * Goes back to the fitted view, without zoom or pan.
+ */
+function resetView() {
+    viewZoom = 1;
+    viewPanX = 0;
+    viewPanY = 0;
+}
 
+/**
+ * Centres the hoop on a new design, or on nothing, and shows it in the fitted view.
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}|null} bounds - Box around the design's stitches, as from measureItems().
+ */
+function showDesignInHoop(bounds) {
+    designBounds = bounds;
+    resetView();
+    updateCanvasDimensions();
+}
 
-    // Calculate the final scaled pixel dimensions of the entire word block
-    const finalScaledPixelWidth = baseScaledPixelWidth * wordScaleFactor;
-    const finalScaledPixelHeight = baseScaledPixelHeight * wordScaleFactor;
 
-    // Calculate the pixel offsets needed to center the final scaled word block on the canvas.
-    centerXOffsetPixels = (currentCanvasWidth - finalScaledPixelWidth) / 2;
-    centerYOffsetPixels = (currentCanvasHeight - finalScaledPixelHeight) / 2;
+/**
+ * Checks whether the stitches inside a box fit the chosen hoop.
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}|null} bounds - Box in data units, as from measureItems().
+ * @returns {boolean} True if they fit, or if there are no stitches.
+ */
+function fitsHoop(bounds) {
+    return !bounds || ((bounds.maxX - bounds.minX) * DATA_UNIT_MM <= hoopSettings.widthMm &&
+        (bounds.maxY - bounds.minY) * DATA_UNIT_MM <= hoopSettings.heightMm);
 }
 
 
 /**
  * Transforms a point from a character's local data coordinates to canvas coordinates,
- * applying character offset, the base scale factor, word scale factor,
+ * applying character offset, the drawing scale (pixelsPerDataUnit)
  * and final pixel centering offsets.
  * @param {number} dataX - X coordinate in the character's local data space (e.g., 0-6 for 'A').
  * @param {number} dataY - Y coordinate in the data space.
- * @param {number} charXOffsetDataUnits - Horizontal offset for the character in data units (based on its position in the word).
+ * @param {number} charXOffsetDataUnits - Horizontal offset for the character in data units (based on its position in the line).
+ * @param {number} charYOffsetDataUnits - Vertical offset of the character's line in data units.
  * @returns {{x: number, y: number}} - Object with canvas X and Y coordinates.
  */
-function transformPoint(dataX, dataY, charXOffsetDataUnits = 0) {
+function transformPoint(dataX, dataY, charXOffsetDataUnits = 0, charYOffsetDataUnits = 0) {
     // Apply character offset in data units
     const transformedDataX = dataX + charXOffsetDataUnits;
-    const transformedDataY = dataY; // Y coordinate is relative to the character's base line
+    const transformedDataY = dataY + charYOffsetDataUnits; // Y coordinate is relative to the character's line
 
-    // Scale the point using the baseScale and wordScaleFactor, relative to the data origin (X_MIN, Y_MIN)
-    // The baseScale already includes the SIZE_MULTIPLIER.
-    const scaledX = (transformedDataX - X_MIN) * baseScale * wordScaleFactor;
-    const scaledY = (transformedDataY - Y_MIN) * baseScale * wordScaleFactor;
+    // Scale the point relative to the data origin (X_MIN, Y_MIN)
+    const scaledX = (transformedDataX - X_MIN) * pixelsPerDataUnit;
+    const scaledY = (transformedDataY - Y_MIN) * pixelsPerDataUnit;
 
     // Apply the pixel offsets for centering and adjust for the canvas's top-left origin
     const canvasX = scaledX + centerXOffsetPixels;
@@ -145,572 +226,3166 @@ function transformPoint(dataX, dataY, charXOffsetDataUnits = 0) {
 }
 
 /**
- * Interpolates points along a line segment.
- * @param {Array<Array<number>>} segment - [startPoint, endPoint] e.g., [[x1, y1], [x2, y2]]
- * @param {number} [steps=20] - Number of points to generate along the segment.
- * @returns {Array<Array<number>>} An array of interpolated points.
+ * Maps a canvas position back to data coordinates. This is the inverse of transformPoint.
+ * @param {number} canvasX - X coordinate on the canvas in pixels.
+ * @param {number} canvasY - Y coordinate on the canvas in pixels.
+ * @param {number} charXOffsetDataUnits - Horizontal offset of the character in data units.
+ * @returns {{x: number, y: number}} - Object with data X and Y coordinates.
  */
-function interpolateSegment(segment, steps = 20) {
-    const start = segment[0];
-    const end = segment[1];
-    const interpolatedPoints = [];
-
-    // Ensure we include the start and end points
-    for (let i = 0; i <= steps; i++) {
-        const t = i / steps; // Interpolation factor (0 to 1)
-        const x = start[0] + t * (end[0] - start[0]);
-        const y = start[1] + t * (end[1] - start[1]);
-        interpolatedPoints.push([x, y]);
+function inverseTransformPoint(canvasX, canvasY, charXOffsetDataUnits = 0) {
+    if (pixelsPerDataUnit === 0) {
+        return { x: 0, y: 0 };
     }
-    return interpolatedPoints;
+
+    const scaledX = canvasX - centerXOffsetPixels;
+    const scaledY = (currentCanvasHeight - canvasY) - centerYOffsetPixels; // Undo the Y-axis inversion
+
+    return {
+        x: scaledX / pixelsPerDataUnit + X_MIN - charXOffsetDataUnits,
+        y: scaledY / pixelsPerDataUnit + Y_MIN
+    };
 }
 
+// --- Design Settings ---
+// The settings the stitch engine (stitch-engine.js) builds designs with.
+// The settings controls change them in place.
+const stitchSettings = { ...DEFAULT_STITCH_SETTINGS };
+const fillSettings = { ...DEFAULT_FILL_SETTINGS };
+const layoutSettings = { ...DEFAULT_LAYOUT_SETTINGS };
+const threadSettings = { ...DEFAULT_THREAD_SETTINGS };
+const baselineSettings = { ...DEFAULT_BASELINE_SETTINGS };
+const hoopSettings = { ...DEFAULT_HOOP_SETTINGS };
+const transformSettings = { ...DEFAULT_TRANSFORM_SETTINGS };
+let segmentColorsText = ''; // The segment colours behind threadSettings.segmentRules, as typed
+let segmentStitchTypesText = ''; // The segment stitch types behind stitchSettings.segmentTypes, as typed
+
+// What the stitch summary checks the design against
+const sewabilityLimits = { ...DEFAULT_SEWABILITY_LIMITS };
+let stitchesPerMinute = DEFAULT_STITCHES_PER_MINUTE;
+
 // --- Character Drawing Data ---
-// Define the drawing segments for each character.
+// Drawing segments for each character of the active font, with any custom glyphs
+// from the glyph editor layered on top. Filled in by selectFont().
 // The order of segments is crucial for the "pen stroke" animation.
-const CHARACTER_DRAWING_DATA = {
-    'A': [
-        // Original 'A' animation segments
-        [[6, 8], [0, 8]],   // Top horizontal
-        [[0, 8], [0, 0]],   // Left vertical
-        [[0, 0], [0.75, 8]],
-        [[0, 1], [1.5, 8]],
-        [[0, 2], [2.25, 8]],
-        [[0, 3], [3, 8]],
-        [[0, 4], [3.75, 8]],
-        [[0, 5], [4.5, 8]],
-        [[0, 6], [5.25, 8]],
-        [[0, 7], [6, 8]],
-        [[6, 8], [6, 0]], // Right vertical
-        [[6, 0], [5.25, 8]],
-        [[6, 1], [4.5, 8]],
-        [[6, 2], [3.75, 8]],
-        [[6, 3], [3, 8]],
-        [[6, 4], [2.25, 8]],
-        [[6, 5], [1.5, 8]],
-        [[6, 6], [0.75, 8]],
-        [[6, 7], [0, 8]]
-    ],
-    // 'B' animation segments based on B7.py
-    'B': [
-        [[6, 8], [0, 8]],   // Top horizontal
-        [[0, 8], [0, 0]],   // Left vertical
-        [[0, 0], [0.75, 8]],
-        [[0, 1], [1.5, 8]],
-        [[0, 2], [2.25, 8]],
-        [[0, 3], [3, 8]],
-        [[0, 4], [3.75, 8]],
-        [[0, 5], [4.5, 8]],
-        [[0, 6], [5.25, 8]],
-        [[0, 7], [6, 8]],
-        [[6, 8], [4.8, 4]],
-        [[6, 7.2], [3.6, 4]],
-        [[6, 6.4], [2.4, 4]],
-        [[6, 5.6], [1.2, 4]],
-        [[6, 4.8], [0, 4]],
-        [[0, 4], [6, 4]],
-        [[6, 4], [4.8, 0]],
-        [[6, 3.2], [3.6, 0]],
-        [[6, 2.4], [2.4, 0]],
-        [[6, 1.6], [1.2, 0]],
-        [[6, 0.8], [0, 0]],
-        [[0, 0], [6, 0]],
-        [[6, 0], [6, 8]],
-    ],
-    // 'C' animation segments based on C7.py
-    'C': [
-        [[0, 0], [0, 8]],   // Left vertical
-        [[0, 8], [6, 8]],   // Top horizontal
-        [[6, 8], [0, 7]],
-        [[5.25, 8], [0, 6]],
-        [[4.5, 8], [0, 5]],
-        [[3.75, 8], [0, 4]],
-        [[3, 8], [0, 3]],
-        [[2.25, 8], [0, 2]],
-        [[1.5, 8], [0, 1]],
-        [[0.75, 8], [0, 0]],
-        [[0, 0], [6, 0]],    // Bottom horizontal
-        [[6, 0], [0, 1]],
-        [[5.25, 0], [0, 2]],
-        [[4.5, 0], [0, 3]],
-        [[3.75, 0], [0, 4]],
-        [[3, 0], [0, 5]],
-        [[2.25, 0], [0, 6]],
-        [[1.5, 0], [0, 7]],
-        [[0.75, 0], [0, 8]],
-    ],
-     // 'D' animation segments based on D7.py
-    'D': [
-        [[6, 8], [6, 0]],    // Right vertical
-        [[6, 0], [0, 0]],    // Bottom horizontal
-        [[0, 0], [6, 1]],
-        [[0.75, 0], [6, 2]],
-        [[1.5, 0], [6, 3]],
-        [[2.25, 0], [6, 4]],
-        [[3, 0], [6, 5]],
-        [[3.75, 0], [6, 6]],
-        [[4.5, 0], [6, 7]],
-        [[5.25, 0], [6, 8]],
-        [[6, 8], [0, 8]],    // Top horizontal
-        [[0, 8], [6, 7]],
-        [[0.75, 8], [6, 6]],
-        [[1.5, 8], [6, 5]],
-        [[2.25, 8], [6, 4]],
-        [[3, 8], [6, 3]],
-        [[3.75, 8], [6, 2]],
-        [[4.5, 8], [6, 1]],
-        [[5.25, 8], [6, 0]],
-    ],
-    // 'E' animation segments based on E7.py
-    'E': [
-        [[0, 4], [6, 4]],   // Middle horizontal
-        [[6, 4], [0, 3.6]],
-        [[4.8, 4], [0, 3.2]],
-        [[3.6, 4], [0, 2.8]],
-        [[2.4, 4], [0, 2.4]],
-        [[1.2, 4], [0, 2]],
-        [[0, 2], [1.2, 0]],
-        [[0, 1.6], [2.4, 0]],
-        [[0, 1.2], [3.6, 0]],
-        [[0, 0.8], [4.8, 0]],
-        [[0, 0.4], [6, 0]],
-        [[6, 0], [0, 0]],    // Bottom horizontal
-        [[0, 0], [0, 4]],    // Lower left vertical
-        [[0, 4], [0, 8]],    // Upper left vertical
-        [[0, 8], [6, 8]],    // Top horizontal
-        [[6, 8], [0, 7.6]],
-        [[4.8, 8], [0, 7.2]],
-        [[3.6, 8], [0, 6.8]],
-        [[2.4, 8], [0, 6.4]],
-        [[1.2, 8], [0, 6]],
-        [[0, 6], [1.2, 4]],
-        [[0, 5.6], [2.4, 4]],
-        [[0, 5.2], [3.6, 4]],
-        [[0, 4.8], [4.8, 4]],
-        [[0, 4.4], [6, 4]], // Connects back to the middle horizontal
-    ],
-    // 'F' animation segments based on F7.py
-    'F': [
-        [[0, 0], [0, 8]],    // Left vertical
-        [[0, 8], [6, 8]],    // Top horizontal
-        [[6, 8], [0, 7]],
-        [[5.25, 8], [0, 6]],
-        [[4.5, 8], [0, 5]],
-        [[3.75, 8], [0, 4]],
-        [[3, 8], [0, 3]],
-        [[2.25, 8], [0, 2]],
-        [[1.5, 8], [0, 1]],
-        [[0.75, 8], [0, 0]], // Connects back to bottom left
-        [[0, 0], [1.5, 4]],
-        [[0, 1], [3, 4]],
-        [[0, 2], [4.5, 4]],
-        [[0, 3], [6, 4]],
-        [[6, 4], [0, 4]],    // Middle horizontal
-    ],
-
-'G': [
-    [[0, 8], [0, 0]],   // Left vertical
-    [[0, 0], [6, 0]],   // Bottom horizontal
-    [[6, 0], [6, 4]],   // Right vertical (partial)
-    [[6, 4], [3, 4]],   // Middle horizontal (right to left)
-    [[3, 4], [6, 3]],   // Diagonal to top-right
-    [[3.75, 4], [6, 2]],
-    [[4.5, 4], [6, 1]],
-    [[5.25, 4], [6, 0]],
-    [[6, 0], [0, 1]],   // Diagonal to top-left
-    [[5.25, 0], [0, 2]],
-    [[4.5, 0], [0, 3]],
-    [[3.75, 0], [0, 4]],
-    [[3, 0], [0, 5]],
-    [[2.25, 0], [0, 6]],
-    [[1.5, 0], [0, 7]],
-    [[0.75, 0], [0, 8]],
-    [[0, 8], [6, 8]],   // Top horizontal
-    [[6, 8], [0, 7.2]], // Diagonal to bottom-left
-    [[4.8, 8], [0, 6.4]],
-    [[3.6, 8], [0, 5.6]],
-    [[2.4, 8], [0, 4.8]],
-    [[1.2, 8], [0, 4]]   // Middle horizontal (left to right)
-],
-
-'H': [
-    [[0, 4], [3, 4]],
-    [[3, 4], [0, 5]],
-    [[2.25, 4], [0, 6]],
-    [[1.5, 4], [0, 7]],
-    [[0.75, 4], [0, 8]],
-    [[0, 8], [0, 0]],
-    [[0, 0], [0.75, 4]],
-    [[0, 1], [1.5, 4]],
-    [[0, 2], [2.25, 4]],
-    [[0, 3], [3, 4]],
-    [[3, 4], [6, 5]],
-    [[3.75, 4], [6, 6]],
-    [[4.5, 4], [6, 7]],
-    [[5.25, 4], [6, 8]],
-    [[6, 8], [6, 0]],
-    [[6, 0], [5.25, 4]],
-    [[6, 1], [4.5, 4]],
-    [[6, 2], [3.75, 4]],
-    [[6, 3], [3, 4]],
-    [[3, 4], [6, 4]],   
-],
-
-'I': [
-    [[3, 0], [3, 4]],
-    [[3, 4], [2.25, 0]],
-    [[3, 3], [1.5, 0]],
-    [[3, 2], [0.75, 0]],
-    [[3, 1], [0, 0]],
-    [[0, 0], [6, 0]],
-    [[6, 0], [3, 1]],
-    [[5.25, 0], [3, 2]],
-    [[4.5, 0], [3, 3]],
-    [[3.75, 0], [3, 4]],
-    [[3, 4], [3, 8]],
-    [[3, 8], [0, 8]],
-    [[0, 8], [3, 7]],
-    [[0.75, 8], [3, 6]],
-    [[1.5, 8], [3, 5]],
-    [[2.25, 8], [3, 4]],
-    [[3, 4], [3.75, 8]],
-    [[3, 5], [4.5, 8]],
-    [[3, 6], [5.25, 8]],
-    [[3, 7], [6, 8]],
-    [[6, 8], [3, 8]],
-],
-
-'J': [
-    [[0, 0], [6, 0]],
-    [[6, 0], [6, 8]],
-    [[6, 8], [5.25, 0]],
-    [[6, 7], [4.5, 0]],
-    [[6, 6], [3.75, 0]],
-    [[6, 5], [3, 0]],
-    [[6, 4], [2.25, 0]],
-    [[6, 3], [1.5, 0]],
-    [[6, 2], [0.75, 0]],
-    [[6, 1], [0, 0]],
-],
-
-'K': [
-    [[0, 4], [6, 0]],
-    [[6, 0], [0, 3.2]],
-    [[4.8, 0.8], [0, 2.4]],
-    [[3.6, 1.6], [0, 1.6]],
-    [[2.4, 2.4], [0, 0.8]],
-    [[1.2, 3.2], [0, 0]],
-    [[0, 0], [0, 8]],
-    [[0, 8], [1.2, 4.8]],
-    [[0, 7.2], [2.4, 5.6]],
-    [[0, 6.4], [3.6, 6.4]],
-    [[0, 5.6], [4.8, 7.2]],
-    [[0, 4.8], [6, 8]],
-    [[6, 8], [0, 4]],
-],
-
-'L':[
-    [[0, 8],[0, 0]],   // Left vertical
-    [[0, 0],[6, 0]],   // Bottom horizontal
-    [[6, 0],[0, 1]],
-    [[5.25, 0],[0, 2]],
-    [[4.5, 0],[0, 3]],
-    [[3.75, 0],[0, 4]],
-    [[3, 0],[0, 5]],
-    [[2.25, 0],[0, 6]],
-    [[1.5, 0],[0, 7]],
-    [[0.75, 0],[0, 8]],
-],
-
-'M':[
-    [[3, 4], [0, 8]],
-    [[0, 8], [0, 0]],
-    [[0, 0], [0.375, 7.5]],
-    [[0, 1], [0.75, 7]],
-    [[0, 2], [1.125, 6.5]],
-    [[0, 3], [1.5, 6]],
-    [[0, 4], [1.875, 5.5]],
-    [[0, 5], [2.25, 5]],
-    [[0, 6], [2.625, 4.5]],
-    [[0, 7], [3, 4]],
-    [[3, 4], [6, 8]],
-    [[6, 8], [6, 0]],
-    [[6, 0], [5.625, 7.5]],
-    [[6, 1], [5.25, 7]],
-    [[6, 2], [4.875, 6.5]],
-    [[6, 3], [4.5, 6]],
-    [[6, 4], [4.125, 5.5]],
-    [[6, 5], [3.75, 5]],
-    [[6, 6], [3.375, 4.5]],
-    [[6, 7], [3, 4]]
-],
-
-'N': [
-    [[3, 4], [0, 8]],
-    [[0, 8], [0, 0]],
-    [[0, 0], [0.375, 7.5]],
-    [[0, 1], [0.75, 7]],
-    [[0, 2], [1.125, 6.5]],
-    [[0, 3], [1.5, 6]],
-    [[0, 4], [1.875, 5.5]],
-    [[0, 5], [2.25, 5]],
-    [[0, 6], [2.625, 4.5]],
-    [[0, 7], [3, 4]],
-    [[3, 4], [6, 0]],
-    [[6, 0], [6, 8]],
-    [[6, 8], [5.625, 0.5]],
-    [[6, 7], [5.25, 1]],
-    [[6, 6], [4.875, 1.5]],
-    [[6, 5], [4.5, 2]],
-    [[6, 4], [4.125, 2.5]],
-    [[6, 3], [3.75, 3]],
-    [[6, 2], [3.725, 3.5]],
-    [[6, 1], [3, 4]],
-]
-    // Add more characters here as needed.
-};
+const CHARACTER_DRAWING_DATA = {};
+// Filled segments of the active font's outline glyphs at the current settings (see generateOutlineGlyphs())
+let outlineGlyphs = {};
+
+
+// Loaded fonts by name, and the one whose glyphs are in CHARACTER_DRAWING_DATA
+const registeredFonts = new Map();
+let activeFont = null;
+// The active font with its custom outline glyphs layered over it, which designs are built with
+let designFont = null;
+
+/**
+ * Gathers the active font, its glyphs and the current settings for the stitch engine.
+ * @returns {Object} Design settings (see createDesignSettings() in stitch-engine.js).
+ */
+function getDesignSettings() {
+    return {
+        font: designFont,
+        glyphs: CHARACTER_DRAWING_DATA,
+        outlineGlyphs: outlineGlyphs,
+        stitch: stitchSettings,
+        fill: fillSettings,
+        layout: layoutSettings,
+        threads: threadSettings,
+        baseline: baselineSettings,
+        hoop: hoopSettings,
+        transform: transformSettings,
+        optimizeTravel: optimizeTravelInput.checked
+    };
+}
+
+/**
+ * Makes a loaded font available for selection, replacing any font with the same name.
+ * @param {Object} font - A font returned by loadFont().
+ */
+function registerFont(font) {
+    registeredFonts.set(font.name, font);
+}
+
+/**
+ * Makes a registered font the active one and rebuilds CHARACTER_DRAWING_DATA from
+ * its glyphs plus the custom glyphs saved for it.
+ * @param {string} fontName - Name of a registered font.
+ * @returns {boolean} True if the font was found.
+ */
+function selectFont(fontName) {
+    const font = registeredFonts.get(fontName);
+    if (!font) {
+        return false;
+    }
+
+    activeFont = font;
+    designFont = { ...font, glyphs: { ...font.glyphs } };
+    for (const char of Object.keys(CHARACTER_DRAWING_DATA)) {
+        delete CHARACTER_DRAWING_DATA[char];
+    }
+    for (const [char, glyph] of Object.entries(font.glyphs)) {
+        CHARACTER_DRAWING_DATA[char] = glyph.segments;
+    }
+    applyCustomGlyphs();
+    outlineGlyphs = generateOutlineGlyphs(designFont, fillSettings, stitchSettings, getLetterScale(layoutSettings));
+    return true;
+}
+
+/**
+ * Builds font data for the active font, including its custom glyphs, so it can be shared.
+ * @returns {Object} Font data in the Turtle Stitch font format.
+ */
+function buildActiveFontData() {
+    const glyphs = {};
+    for (const [char, segments] of Object.entries(CHARACTER_DRAWING_DATA)) {
+        const fontGlyph = designFont.glyphs[char];
+        // A custom glyph has its own shape, so the font's advance and outlines no longer fit it
+        const isFontShape = fontGlyph && fontGlyph.segments === segments;
+        const advance = isFontShape ? fontGlyph.advance : null;
+        const hasMetadata = fontGlyph && Object.keys(fontGlyph.metadata).length > 0;
+        const hasOutlines = isFontShape && fontGlyph.outlines !== null;
+        if (!hasOutlines && advance === null && !hasMetadata) {
+            glyphs[char] = segments;
+            continue;
+        }
+
+        if (hasOutlines) {
+            glyphs[char] = { outlines: fontGlyph.outlines };
+            if (fontGlyph.handSegments.length > 0) {
+                glyphs[char].segments = fontGlyph.handSegments;
+            }
+            if (fontGlyph.fill) {
+                glyphs[char].fill = fontGlyph.fill;
+            }
+        } else {
+            glyphs[char] = { segments: segments };
+        }
+        if (advance !== null) {
+            glyphs[char].advance = advance;
+        }
+        if (hasMetadata) {
+            glyphs[char].metadata = fontGlyph.metadata;
+        }
+    }
+    return {
+        format: FONT_FORMAT,
+        version: FONT_FORMAT_VERSION,
+        name: activeFont.name,
+        units: activeFont.units,
+        metadata: activeFont.metadata,
+        glyphs: glyphs,
+        kerning: activeFont.kerning
+    };
+}
+
+
+/**
+ * Builds a short, human-readable list of the characters defined in CHARACTER_DRAWING_DATA,
+ * collapsing consecutive runs into ranges (e.g. "A-Z, 0-9, space and . , -").
+ * @returns {string} The supported character set for use in UI messages.
+ */
+function describeSupportedCharacters() {
+    const chars = Object.keys(CHARACTER_DRAWING_DATA).filter(char => !isGeneratedGlyph(char));
+    const letters = chars.filter(char => /[A-Z]/.test(char)).sort();
+    const digits = chars.filter(char => /[0-9]/.test(char)).sort();
+    const others = chars.filter(char => !/[A-Z0-9]/.test(char));
+
+    // Collapse runs of three or more consecutive characters into "first-last"
+    const collapseRuns = (sortedChars) => {
+        const parts = [];
+        let runStart = 0;
+        for (let i = 1; i <= sortedChars.length; i++) {
+            const runEnded = i === sortedChars.length ||
+                sortedChars[i].charCodeAt(0) !== sortedChars[i - 1].charCodeAt(0) + 1;
+            if (runEnded) {
+                const runLength = i - runStart;
+                if (runLength >= 3) {
+                    parts.push(`${sortedChars[runStart]}-${sortedChars[i - 1]}`);
+                } else {
+                    parts.push(...sortedChars.slice(runStart, i));
+                }
+                runStart = i;
+            }
+        }
+        return parts;
+    };
+
+    const parts = [...collapseRuns(letters), ...collapseRuns(digits)];
+    if (others.includes(' ')) {
+        parts.push('space');
+    }
+    const punctuation = others.filter(char => char !== ' ');
+    if (punctuation.length === 0) {
+        return parts.join(', ');
+    }
+    return `${parts.join(', ')} and ${punctuation.join(' ')}`;
+}
 
 
 // --- Animation State Variables ---
 let wordToAnimate = '';
+let wordThreads = []; // Thread of each character of wordToAnimate
 let currentWordCharIndex = 0;
 let processedPointsForCurrentChar = [];
 let totalFramesForCurrentChar = 0;
 let currentFrame = 0;
-let animationActive = false;
+let animationActive = false; // True while a design is part-way through stitching, even when paused
+let animationPaused = false;
 let animationFrameId = null;
 
+// Characters (or imported stitch paths) queued for animation, in the same shape as completedCharacters
+let animationItems = [];
 let completedCharacters = [];
 
+// Index of each item's first point across the whole design, and the total number of points,
+// so playback can seek to any stitch of the word
+let itemStartStitchIndices = [];
+let totalAnimationStitches = 0;
+let animationNote = ''; // Extra information shown with the playback status, e.g. skipped characters
+let sewabilityProblems = []; // Problems found in animationItems, highlighted once stitched
+
 // --- DOM Elements ---
 const textInput = document.getElementById('wordInput');
 const animateButton = document.getElementById('animateBtn');
 const messageDiv = document.getElementById('message');
+const exportDstButton = document.getElementById('exportDstBtn');
+const exportSvgButton = document.getElementById('exportSvgBtn');
+const importFileInput = document.getElementById('importFileInput');
+const editGlyphsButton = document.getElementById('editGlyphsBtn');
+const turtleInput = document.getElementById('turtleInput');
+const runTurtleButton = document.getElementById('runTurtleBtn');
+const glyphEditorPanel = document.getElementById('glyphEditor');
+const glyphCharInput = document.getElementById('glyphCharInput');
+const snapSelect = document.getElementById('snapSelect');
+const segmentList = document.getElementById('segmentList');
+const previewGlyphButton = document.getElementById('previewGlyphBtn');
+const saveGlyphButton = document.getElementById('saveGlyphBtn');
+const revertGlyphButton = document.getElementById('revertGlyphBtn');
+const saveGeneratedButton = document.getElementById('saveGeneratedBtn');
+const exportFontButton = document.getElementById('exportFontBtn');
+const fontSelect = document.getElementById('fontSelect');
+const fontFileInput = document.getElementById('fontFileInput');
+const fallbackFontInput = document.getElementById('fallbackFontInput');
+const undoButton = document.getElementById('undoBtn');
+const redoButton = document.getElementById('redoBtn');
+const saveProjectButton = document.getElementById('saveProjectBtn');
+const projectFileInput = document.getElementById('projectFileInput');
+const stitchSummaryDiv = document.getElementById('stitchSummary');
+const optimizeTravelInput = document.getElementById('optimizeTravelInput');
+const stitchesPerMinuteInput = document.getElementById('stitchesPerMinuteInput');
+const shortStitchInput = document.getElementById('shortStitchInput');
+const longStitchInput = document.getElementById('longStitchInput');
+const stitchDensityInput = document.getElementById('stitchDensityInput');
+const showProblemsInput = document.getElementById('showProblemsInput');
+const previewModeSelect = document.getElementById('previewModeSelect');
+const fabricTextureSelect = document.getElementById('fabricTextureSelect');
+const fabricColorInput = document.getElementById('fabricColorInput');
+const alignmentSelect = document.getElementById('alignmentSelect');
+const lineSpacingInput = document.getElementById('lineSpacingInput');
+const letterHeightInput = document.getElementById('letterHeightInput');
+const hoopSelect = document.getElementById('hoopSelect');
+const hoopWidthInput = document.getElementById('hoopWidthInput');
+const hoopHeightInput = document.getElementById('hoopHeightInput');
+const autoShrinkInput = document.getElementById('autoShrinkInput');
+const minLetterHeightInput = document.getElementById('minLetterHeightInput');
+const baselineSelect = document.getElementById('baselineSelect');
+const arcRadiusInput = document.getElementById('arcRadiusInput');
+const arcStartAngleInput = document.getElementById('arcStartAngleInput');
+const arcOrientationSelect = document.getElementById('arcOrientationSelect');
+const polylineInput = document.getElementById('polylineInput');
+const rotationInput = document.getElementById('rotationInput');
+const mirrorHorizontalInput = document.getElementById('mirrorHorizontalInput');
+const mirrorVerticalInput = document.getElementById('mirrorVerticalInput');
+const characterRotationInput = document.getElementById('characterRotationInput');
+const characterMirrorHorizontalInput = document.getElementById('characterMirrorHorizontalInput');
+const characterMirrorVerticalInput = document.getElementById('characterMirrorVerticalInput');
+const slantInput = document.getElementById('slantInput');
+const passesSelect = document.getElementById('passesSelect');
+const fillStyleSelect = document.getElementById('fillStyleSelect');
+const fillAngleInput = document.getElementById('fillAngleInput');
+const fillSpacingInput = document.getElementById('fillSpacingInput');
+const fillStartSelect = document.getElementById('fillStartSelect');
+const threadSelect = document.getElementById('threadSelect');
+const segmentColorsInput = document.getElementById('segmentColorsInput');
+const stitchLengthInput = document.getElementById('stitchLengthInput');
+const minStitchLengthInput = document.getElementById('minStitchLengthInput');
+const maxStitchLengthInput = document.getElementById('maxStitchLengthInput');
+const stitchTypeSelect = document.getElementById('stitchTypeSelect');
+const satinWidthInput = document.getElementById('satinWidthInput');
+const satinSpacingInput = document.getElementById('satinSpacingInput');
+const satinUnderlayInput = document.getElementById('satinUnderlayInput');
+const segmentStitchTypesInput = document.getElementById('segmentStitchTypesInput');
+const playPauseButton = document.getElementById('playPauseBtn');
+const stepBackButton = document.getElementById('stepBackBtn');
+const stepForwardButton = document.getElementById('stepForwardBtn');
+const timelineSlider = document.getElementById('timelineSlider');
+const speedSelect = document.getElementById('speedSelect');
+const fitViewButton = document.getElementById('fitViewBtn');
+const recordFormatSelect = document.getElementById('recordFormatSelect');
+const recordSizeSelect = document.getElementById('recordSizeSelect');
+const recordFrameRateInput = document.getElementById('recordFrameRateInput');
+const recordBackgroundInput = document.getElementById('recordBackgroundInput');
+const recordHoldInput = document.getElementById('recordHoldInput');
+const recordButton = document.getElementById('recordBtn');
+const stitchTooltip = document.getElementById('stitchTooltip');
+
+/**
+ * Shows the stitch, jump, trim and colour change counts of the current design, its thread
+ * length, size and sewing time, the order its threads are used in and any sewability problems.
+ * The problems are kept in sewabilityProblems for highlighting.
+ * @param {Array<Object>} items - The items being stitched.
+ */
+function showStitchPlanSummary(items) {
+    const plan = buildStitchPlan(items);
+    const summary = summarizeStitchPlan(plan);
+    sewabilityProblems = findSewabilityProblems(plan, sewabilityLimits);
+    invalidateStitchLayer(); // Its highlights may have changed
+
+    const problemCounts = countSewabilityProblems(sewabilityProblems);
+    const problemParts = [];
+    if (problemCounts.short > 0) {
+        problemParts.push(`${problemCounts.short} stitches under ${sewabilityLimits.shortStitchMm} mm`);
+    }
+    if (problemCounts.long > 0) {
+        problemParts.push(`${problemCounts.long} stitches over ${sewabilityLimits.longStitchMm} mm`);
+    }
+    if (problemCounts.dense > 0) {
+        problemParts.push(`${problemCounts.dense} dense areas`);
+    }
+    const problemText = problemParts.length > 0 ? `Check: ${problemParts.join(', ')}` : 'No sewability problems';
+
+    const sewingTime = formatSewingTime(estimateSewingMinutes(summary, stitchesPerMinute));
+    stitchSummaryDiv.textContent =
+        `${summary.stitches} stitches · ${summary.jumps} jumps (${summary.jumpLengthMm.toFixed(1)} mm) · ${summary.trims} trims` +
+        ` · ${summary.stops} colour changes · ${(summary.threadLengthMm / 1000).toFixed(2)} m thread` +
+        ` · ${summary.widthMm.toFixed(1)} × ${summary.heightMm.toFixed(1)} mm · ${sewingTime} at ${stitchesPerMinute} spm` +
+        ` · Threads: ${describeThreadSequence(items)} · ${problemText}`;
+}
 
 /**
- * Prepares all necessary animation data (interpolated points) for a given character.
- * This function now flattens all segments into a single list of points.
- * @param {string} char - The character for which to prepare the animation.
+ * Prepares all necessary animation data (interpolated points) for the character
+ * (or imported stitch path) at the given position in animationItems.
+ * The points were already flattened when the items were built.
+ * @param {number} itemIndex - Position of the item in animationItems.
  * @returns {boolean} True if data was prepared successfully, false otherwise.
  */
-function prepareAnimationForCharacter(char) {
-    const charDrawingSegments = CHARACTER_DRAWING_DATA[char];
+function prepareAnimationForCharacter(itemIndex) {
+    const item = animationItems[itemIndex];
 
-    if (!charDrawingSegments) {
-        console.warn(`No drawing data found for character: '${char}'. Skipping.`);
+    if (!item) {
+        console.warn(`No drawing data found for animation item ${itemIndex}. Skipping.`);
         processedPointsForCurrentChar = [];
         totalFramesForCurrentChar = 0;
         return false;
     }
 
-    // Flatten all interpolated points from all segments into a single array
+    processedPointsForCurrentChar = item.processedPoints;
+    totalFramesForCurrentChar = processedPointsForCurrentChar.length; // Total frames = total points
+    currentFrame = 0; // Always reset frame count when preparing for a new character
+    return true;
+}
+
+/**
+ * Describes an animation item for status messages.
+ * @param {{char: string, label?: string}} item - A character or imported path from animationItems.
+ * @returns {string} The item's label, or the quoted character.
+ */
+function describeAnimationItem(item) {
+    return item.label || `'${item.char}'`;
+}
+
+/**
+ * Starts animating a new set of items from the beginning, replacing whatever was drawn before.
+ * Scaling and centering must already have been calculated for the design.
+ * @param {Array<{char: string, processedPoints: Array<Array<number>>, xOffset: number, yOffset: number}>} items - Characters or paths to animate in order.
+ * @returns {boolean} True if the animation started, false if there was nothing to animate.
+ */
+function startAnimation(items) {
+    // Reset all animation state variables for a new design
+    animationItems = items;
+    currentWordCharIndex = 0;
+    currentFrame = 0;
     processedPointsForCurrentChar = [];
-    for (const segment of charDrawingSegments) {
-        // Add points for the current segment.
-        // We skip the very first point of subsequent segments if it's the same as
-        // the last point of the previous segment to avoid drawing the same point twice,
-        // maintaining a continuous stroke.
-        const interpolated = interpolateSegment(segment);
-        if (processedPointsForCurrentChar.length > 0 &&
-            interpolated.length > 0 &&
-            processedPointsForCurrentChar[processedPointsForCurrentChar.length - 1][0] === interpolated[0][0] &&
-            processedPointsForCurrentChar[processedPointsForCurrentChar.length - 1][1] === interpolated[0][1]) {
-             // If the start of the new segment is the same as the end of the previous,
-             // add points starting from the second point of the new segment.
-             processedPointsForCurrentChar.push(...interpolated.slice(1));
-        } else {
-             // Otherwise, add all points of the new segment.
-             processedPointsForCurrentChar.push(...interpolated);
-        }
+    completedCharacters = []; // Clear previously completed characters on the canvas
+    ctx.clearRect(0, 0, currentCanvasWidth, currentCanvasHeight); // Clear the canvas before starting a new animation
+    showStitchPlanSummary(items);
+
+    itemStartStitchIndices = [];
+    totalAnimationStitches = 0;
+    for (const item of items) {
+        itemStartStitchIndices.push(totalAnimationStitches);
+        totalAnimationStitches += item.processedPoints.length;
     }
+    timelineSlider.max = Math.max(0, totalAnimationStitches - 1);
+    timelineSlider.value = 0;
 
-    totalFramesForCurrentChar = processedPointsForCurrentChar.length; // Total frames = total points
-    currentFrame = 0; // Always reset frame count when preparing for a new character
+    // Prepare data for the very first item BEFORE starting animation
+    if (!prepareAnimationForCharacter(0)) {
+        return false;
+    }
+
+    animationActive = true; // Activate the animation loop
+    animationPaused = false;
+    lastTimestamp = performance.now(); // Reset timestamp for smooth start
+    animationFrameId = requestAnimationFrame(animate); // Start the animation loop
+    updatePlaybackControls();
     return true;
 }
 
 /**
  * Draws the content on the canvas. This includes completed characters and the current animating character.
+ * Completed characters are copied from the stitch layer, so only the current character is drawn point by point.
  * This function is called by the animation loop and the resize handler.
  */
 function redrawCanvasContent() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear the canvas completely
-    ctx.lineWidth = 1.5;
-    ctx.strokeStyle = 'black';
+    ctx.clearRect(0, 0, currentCanvasWidth, currentCanvasHeight); // Clear the canvas completely
 
-    // 1. Draw all characters that have already finished animating.
-    for (const completedCharData of completedCharacters) {
-        drawPath(completedCharData.processedPoints, completedCharData.xOffset);
+    // The realistic preview sews onto fabric; the glyph grid and segments sit on top of it
+    if (previewSettings.mode === 'realistic') {
+        drawFabric();
+    }
+    // In editor mode the glyph grid and segments sit underneath any preview animation
+    if (glyphEditorActive) {
+        drawGlyphEditor();
+    } else {
+        drawHoop();
     }
 
-    // 2. Draw the current character's partial animation if animation is active
-    if (animationActive && currentWordCharIndex < wordToAnimate.length) {
-        const currentChar = wordToAnimate[currentWordCharIndex];
-        const currentXOffsetDataUnits = currentWordCharIndex * CHAR_WIDTH_DATA_UNITS;
+    // 1. All characters that have already finished animating, each in its own thread.
+    updateStitchLayer();
+    ctx.drawImage(stitchLayer, 0, 0, currentCanvasWidth, currentCanvasHeight);
+
+    // 2. Draw the current character's partial animation, and the needle's travel to it, if animation is active
+    if (animationActive && currentWordCharIndex < animationItems.length) {
+        const currentItem = animationItems[currentWordCharIndex];
 
          // Prepare animation data if needed (should usually be done before animation starts)
          // This check is mostly a safeguard.
         if (processedPointsForCurrentChar.length === 0) {
-             prepareAnimationForCharacter(currentChar);
+             prepareAnimationForCharacter(currentWordCharIndex);
         }
 
+        drawTravelPath(ctx, stitchLayerTravelEnd, currentItem);
         const pointsToDrawForCurrentChar = processedPointsForCurrentChar.slice(0, currentFrame + 1);
-        drawPath(pointsToDrawForCurrentChar, currentXOffsetDataUnits);
+        drawStitches(ctx, pointsToDrawForCurrentChar, currentItem.xOffset, currentItem.yOffset, currentItem.thread);
+    }
+
+    if (showProblemsInput.checked) {
+        drawSewabilityProblems(ctx, stitchLayerProblemCount, getCurrentStitchIndex());
     }
 }
 
+/**
+ * Highlights sewability problems among the stitches sewn so far: orange dots on
+ * short stitches, red lines over stitches that are too long and red squares where
+ * stitches are too dense.
+ * @param {CanvasRenderingContext2D} context - Where to draw.
+ * @param {number} firstProblem - Index in sewabilityProblems of the first problem to draw.
+ * @param {number} lastStitchIndex - Index of the last stitch sewn; later problems are left out.
+ * @returns {number} Index in sewabilityProblems of the first problem that was left out.
+ */
+function drawSewabilityProblems(context, firstProblem, lastStitchIndex) {
+    context.save();
+    let problemIndex = firstProblem;
+    // Problems are in stitching order
+    for (; problemIndex < sewabilityProblems.length && sewabilityProblems[problemIndex].stitchIndex <= lastStitchIndex; problemIndex++) {
+        const problem = sewabilityProblems[problemIndex];
+        const point = transformPoint(problem.x, problem.y);
+        if (problem.type === 'dense') {
+            const corner = transformPoint(problem.x + problem.size, problem.y + problem.size);
+            context.fillStyle = 'rgba(217, 83, 79, 0.35)';
+            context.fillRect(point.x, corner.y, corner.x - point.x, point.y - corner.y);
+        } else if (problem.type === 'long') {
+            context.strokeStyle = 'rgba(217, 83, 79, 0.6)';
+            context.lineWidth = STITCH_LINE_WIDTH_PX * 3;
+            const from = transformPoint(problem.fromX, problem.fromY);
+            context.beginPath();
+            context.moveTo(from.x, from.y);
+            context.lineTo(point.x, point.y);
+            context.stroke();
+        } else {
+            context.fillStyle = 'rgba(240, 140, 0, 0.8)';
+            context.beginPath();
+            context.arc(point.x, point.y, STITCH_LINE_WIDTH_PX * 2, 0, 2 * Math.PI);
+            context.fill();
+        }
+    }
+    context.restore();
+    return problemIndex;
+}
 
-// --- Helper to Draw a Path ---
-// This function draws a sequence of points.
-function drawPath(points, xOffset) {
-    if (points.length < 2) return; // Need at least two points to draw a line
+// --- Stitch Layer ---
+// Finished characters are drawn once onto an offscreen canvas, which every frame copies to
+// the page in one go, so frames don't get slower as the text gets longer. The layer grows
+// by a character whenever one is finished, and is drawn again from scratch when the view,
+// the preview or the finished characters themselves change.
+const stitchLayer = document.createElement('canvas');
+const stitchLayerCtx = stitchLayer.getContext('2d');
+let stitchLayerItems = null; // The finished characters drawn on the layer in order, or null to start again
+let stitchLayerStitchCount = 0; // How many stitches those items have
+let stitchLayerProblemCount = 0; // How many of sewabilityProblems are highlighted on the layer
+let stitchLayerTravelEnd = null; // Where the needle left the last item drawn, or null
 
-    ctx.beginPath(); // Start a new path
-    // Move to the first point, applying the character's offset and global word offset
-    const startPoint = transformPoint(points[0][0], points[0][1], xOffset);
-    ctx.moveTo(startPoint.x, startPoint.y);
+/**
+ * Marks the stitch layer as out of date, so the next redraw draws it again from scratch.
+ */
+function invalidateStitchLayer() {
+    stitchLayerItems = null;
+}
 
-    // Draw lines to all subsequent points
-    for (let i = 1; i < points.length; i++) {
-        const point = transformPoint(points[i][0], points[i][1], xOffset);
-        ctx.lineTo(point.x, point.y);
+/**
+ * Brings the stitch layer up to date with completedCharacters, adding the characters
+ * finished since the last frame or drawing them all again if anything else changed.
+ */
+function updateStitchLayer() {
+    // Seeking forwards only adds characters; anything else starts the layer again
+    const isExtended = stitchLayerItems && stitchLayerItems.length <= completedCharacters.length &&
+        stitchLayerItems.every((item, index) => item === completedCharacters[index]);
+    if (!isExtended) {
+        stitchLayerCtx.clearRect(0, 0, currentCanvasWidth, currentCanvasHeight);
+        stitchLayerItems = [];
+        stitchLayerStitchCount = 0;
+        stitchLayerProblemCount = 0;
+        stitchLayerTravelEnd = null;
+    }
+
+    for (const item of completedCharacters.slice(stitchLayerItems.length)) {
+        stitchLayerItems.push(item);
+        drawTravelPath(stitchLayerCtx, stitchLayerTravelEnd, item);
+        drawStitches(stitchLayerCtx, item.processedPoints, item.xOffset, item.yOffset, item.thread);
+
+        stitchLayerStitchCount += item.processedPoints.length;
+        if (showProblemsInput.checked) {
+            stitchLayerProblemCount = drawSewabilityProblems(stitchLayerCtx, stitchLayerProblemCount, stitchLayerStitchCount - 1);
+        }
+        const endpoints = getItemEndpoints(item);
+        if (endpoints) {
+            stitchLayerTravelEnd = endpoints.end;
+        }
     }
-    ctx.stroke(); // Render the path
 }
 
-// --- Animation Loop ---
-let lastTimestamp = 0;
-const ANIMATION_INTERVAL_MS = 10; // Corresponds to `interval=20` in Python code (50 FPS)
+// --- Realistic Preview ---
+// The wireframe view draws stitches as hairlines. The realistic view draws them as thread
+// of its real width at the current scale, shaded so it looks round, with the needle holes
+// showing, on a fabric background.
+const THREAD_WIDTH_MM = 0.4; // Width of a 40 weight embroidery thread lying on the fabric
+const FABRIC_TILE_SIZE_PX = 12;
+
+const previewSettings = { mode: 'wireframe', fabricTexture: 'linen', fabricColor: '#f3eee3' };
+let fabricPattern = null; // Pattern for the current fabric, or null when it needs drawing again
 
 /**
- * The main animation loop.
- * Handles frame progression and transitions between characters.
- * Drawing is delegated to redrawCanvasContent().
- * @param {DOMHighResTimeStamp} timestamp - The current time provided by requestAnimationFrame.
+ * Draws a run of stitches in the given thread, as a hairline or as real thread
+ * depending on the preview mode.
+ * @param {CanvasRenderingContext2D} context - Where to draw: the page canvas or the stitch layer.
+ * @param {Array<Array<number>>} points - Needle positions in the item's data coordinates.
+ * @param {number} xOffset - Horizontal offset of the item in data units.
+ * @param {number} yOffset - Vertical offset of the item in data units.
+ * @param {number} thread - Index of the thread in THREAD_PALETTE.
  */
-function animate(timestamp) {
-    if (!animationActive) {
-        animationFrameId = null; // Clear the animation frame ID if animation stops
-        return;
+function drawStitches(context, points, xOffset, yOffset, thread) {
+    const color = THREAD_PALETTE[thread].color;
+    if (previewSettings.mode === 'realistic') {
+        drawThreadStitches(context, points, xOffset, yOffset, color);
+    } else {
+        context.strokeStyle = color;
+        context.lineWidth = STITCH_LINE_WIDTH_PX;
+        drawPath(context, points, xOffset, yOffset);
     }
+}
 
-    const deltaTime = timestamp - lastTimestamp;
+/**
+ * Mixes a hex colour with white (positive amounts) or black (negative amounts).
+ * @param {string} hexColor - Colour as "#rrggbb".
+ * @param {number} amount - How far to move towards white or black, from -1 to 1.
+ * @returns {string} The shaded colour as "rgb(r, g, b)".
+ */
+function shadeColor(hexColor, amount) {
+    const target = amount > 0 ? 255 : 0;
+    const weight = Math.abs(amount);
+    const channels = [1, 3, 5].map(start => {
+        const value = parseInt(hexColor.slice(start, start + 2), 16);
+        return Math.round(value + (target - value) * weight);
+    });
+    return `rgb(${channels.join(', ')})`;
+}
 
-    if (deltaTime >= ANIMATION_INTERVAL_MS) {
-        lastTimestamp = timestamp - (deltaTime % ANIMATION_INTERVAL_MS);
+/**
+ * Draws stitches as thread of THREAD_WIDTH_MM at the current scale. Each stitch is a
+ * separate round-capped stroke: a soft shadow, the thread darkened towards its edges and
+ * a highlight along its top left side, as if lit from the top left. A dark dot marks
+ * where the needle went through the fabric.
+ * @param {CanvasRenderingContext2D} context - Where to draw.
+ * @param {Array<Array<number>>} points - Needle positions in the item's data coordinates.
+ * @param {number} xOffset - Horizontal offset of the item in data units.
+ * @param {number} yOffset - Vertical offset of the item in data units.
+ * @param {string} color - Thread colour as "#rrggbb".
+ */
+function drawThreadStitches(context, points, xOffset, yOffset, color) {
+    if (points.length === 0) {
+        return;
+    }
+    const canvasPoints = points.map(point => transformPoint(point[0], point[1], xOffset, yOffset));
+    const threadWidthPx = Math.max(1, THREAD_WIDTH_MM / DATA_UNIT_MM * pixelsPerDataUnit);
+
+    // Shadow, edges, body and highlight, each drawn a little towards or away from the light
+    const passes = [
+        { style: 'rgba(0, 0, 0, 0.25)', width: 1.2, shift: 0.2 },
+        { style: shadeColor(color, -0.3), width: 1, shift: 0 },
+        { style: color, width: 0.6, shift: -0.08 },
+        { style: shadeColor(color, 0.5), width: 0.2, shift: -0.2 }
+    ];
+    context.save();
+    context.lineCap = 'round';
+    for (const pass of passes) {
+        const shift = pass.shift * threadWidthPx;
+        context.strokeStyle = pass.style;
+        context.lineWidth = pass.width * threadWidthPx;
+        context.beginPath();
+        for (let i = 1; i < canvasPoints.length; i++) {
+            context.moveTo(canvasPoints[i - 1].x + shift, canvasPoints[i - 1].y + shift);
+            context.lineTo(canvasPoints[i].x + shift, canvasPoints[i].y + shift);
+        }
+        context.stroke();
+    }
 
-        // Redraw the entire canvas content for the current frame
-        redrawCanvasContent();
+    // Needle penetrations
+    context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    context.beginPath();
+    for (const point of canvasPoints) {
+        context.moveTo(point.x + threadWidthPx * 0.3, point.y);
+        context.arc(point.x, point.y, threadWidthPx * 0.3, 0, 2 * Math.PI);
+    }
+    context.fill();
+    context.restore();
+}
 
-        // Advance frame or move to the next character
-        if (currentWordCharIndex < wordToAnimate.length) {
-             // Check if the current character's animation is finished
-            if (currentFrame >= totalFramesForCurrentChar - 1) {
-                // The current character's animation has just finished
-                // Add its full drawing data to the `completedCharacters` array
-                completedCharacters.push({
-                    char: wordToAnimate[currentWordCharIndex],
-                    processedPoints: processedPointsForCurrentChar, // Store the complete flattened points
-                    xOffset: currentWordCharIndex * CHAR_WIDTH_DATA_UNITS // Store the offset it was drawn at
-                });
-
-                currentWordCharIndex++; // Move to the next character in the word
-                currentFrame = 0; // Reset frame count for the new character
-                // Clear `processedPointsForCurrentChar` to force `prepareAnimationForCharacter`
-                // to load data for the next character in the next frame if needed.
-                processedPointsForCurrentChar = [];
-
-                if (currentWordCharIndex < wordToAnimate.length) {
-                    messageDiv.textContent = `Stitching: '${wordToAnimate}' - Current char: '${wordToAnimate[currentWordCharIndex]}'`;
-                    // Prepare data for the next character immediately
-                    prepareAnimationForCharacter(wordToAnimate[currentWordCharIndex]);
-                } else {
-                    messageDiv.textContent = `Animation finished: ${wordToAnimate}`;
-                    // Animation is complete
-                    animationActive = false; // Stop the animation loop
-                }
-            } else {
-                currentFrame++; // Continue animating the current character by drawing the next point
-            }
-        } else {
-             // This case should ideally not be reached if animationActive is false when finished.
-             // It's a safeguard.
-             animationActive = false;
-             messageDiv.textContent = `Animation finished: ${wordToAnimate}`;
+/**
+ * Draws one tile of the fabric texture, to be repeated over the canvas.
+ * @param {string} texture - 'plain', 'linen', 'twill' or 'felt'.
+ * @param {string} color - Fabric colour as "#rrggbb".
+ * @param {number} pixelRatio - Device pixels per CSS pixel to draw the tile with.
+ * @returns {HTMLCanvasElement} The tile.
+ */
+function createFabricTile(texture, color, pixelRatio = 1) {
+    const tile = document.createElement('canvas');
+    tile.width = Math.round(FABRIC_TILE_SIZE_PX * pixelRatio);
+    tile.height = Math.round(FABRIC_TILE_SIZE_PX * pixelRatio);
+    const tileCtx = tile.getContext('2d');
+    tileCtx.scale(pixelRatio, pixelRatio);
+    const size = FABRIC_TILE_SIZE_PX;
+    tileCtx.fillStyle = color;
+    tileCtx.fillRect(0, 0, size, size);
+
+    const light = shadeColor(color, 0.25);
+    const dark = shadeColor(color, -0.12);
+    tileCtx.lineWidth = 1;
+    if (texture === 'linen') {
+        // Plain weave: warp and weft threads passing over each other in turn
+        const half = size / 2;
+        for (const [x, y, horizontal] of [[0, 0, true], [half, half, true], [half, 0, false], [0, half, false]]) {
+            tileCtx.fillStyle = light;
+            tileCtx.fillRect(x + 1, y + 1, horizontal ? half - 2 : half / 2 - 1, horizontal ? half / 2 - 1 : half - 2);
+            tileCtx.fillStyle = dark;
+            tileCtx.fillRect(x, y + half - 1, half, 1);
+        }
+    } else if (texture === 'twill') {
+        // Diagonal ribs, as on denim
+        tileCtx.strokeStyle = dark;
+        tileCtx.lineWidth = 2;
+        for (let offset = -size; offset <= size; offset += size / 3) {
+            tileCtx.beginPath();
+            tileCtx.moveTo(offset, size);
+            tileCtx.lineTo(offset + size, 0);
+            tileCtx.stroke();
+        }
+    } else if (texture === 'felt') {
+        // Speckles of matted fibres, placed the same way every time
+        let seed = 7;
+        for (let i = 0; i < size * 2; i++) {
+            seed = (seed * 16807) % 2147483647;
+            const x = seed % size;
+            seed = (seed * 16807) % 2147483647;
+            const y = seed % size;
+            tileCtx.fillStyle = i % 2 === 0 ? light : dark;
+            tileCtx.fillRect(x, y, 1, 1);
         }
     }
+    return tile;
+}
 
-    // Request the next animation frame if animation is still active
-    if (animationActive) {
-        animationFrameId = requestAnimationFrame(animate);
+/**
+ * Fills the canvas with the chosen fabric.
+ */
+function drawFabric() {
+    if (!fabricPattern) {
+        const tile = createFabricTile(previewSettings.fabricTexture, previewSettings.fabricColor, canvasPixelRatio);
+        fabricPattern = ctx.createPattern(tile, 'repeat');
+        // The tile has device pixels while the canvas draws in CSS pixels
+        fabricPattern.setTransform(new DOMMatrix([1 / canvasPixelRatio, 0, 0, 1 / canvasPixelRatio, 0, 0]));
     }
+    ctx.save();
+    ctx.fillStyle = fabricPattern;
+    ctx.fillRect(0, 0, currentCanvasWidth, currentCanvasHeight);
+    ctx.restore();
 }
 
-// --- Event Listener for Animation Button ---
-animateButton.addEventListener('click', () => {
-    let inputValue = textInput.value.trim().toUpperCase(); // Get input, trim whitespace, convert to uppercase
 
-    // Filter out any characters not defined in CHARACTER_DRAWING_DATA
-    const supportedCharsInInput = inputValue.split('').filter(char => CHARACTER_DRAWING_DATA.hasOwnProperty(char));
-    wordToAnimate = supportedCharsInInput.join(''); // Reconstruct the word with only supported characters
+/**
+ * Draws the outline of the hoop's sewing area around the hoop centre, with centre marks
+ * like those on a hoop template, and its size.
+ */
+function drawHoop() {
+    const pixelsPerMm = pixelsPerDataUnit / DATA_UNIT_MM;
+    const width = hoopSettings.widthMm * pixelsPerMm;
+    const height = hoopSettings.heightMm * pixelsPerMm;
+    const hoopCentre = getHoopCentre();
+    const { x: centreX, y: centreY } = transformPoint(hoopCentre.x, hoopCentre.y);
+    const markLength = Math.min(width, height) * 0.05;
+
+    ctx.save();
+    ctx.strokeStyle = '#8a8d8f';
+    ctx.fillStyle = '#8a8d8f';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(centreX - width / 2, centreY - height / 2, width, height);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(centreX - markLength, centreY);
+    ctx.lineTo(centreX + markLength, centreY);
+    ctx.moveTo(centreX, centreY - markLength);
+    ctx.lineTo(centreX, centreY + markLength);
+    ctx.stroke();
+    ctx.font = '12px Arial, sans-serif';
+    ctx.fillText(`${hoopSettings.widthMm} × ${hoopSettings.heightMm} mm`, centreX - width / 2 + 6, centreY - height / 2 + 16);
+    ctx.restore();
+}
 
-    // Stop any ongoing animation
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
+/**
+ * Draws the needle's travel to an item as a dashed line: grey for a plain jump,
+ * red where the thread is trimmed before jumping.
+ * @param {CanvasRenderingContext2D} context - Where to draw.
+ * @param {Array<number>|null} previousEnd - Where the needle left the previous item, or null if there is none.
+ * @param {Object} item - The item the needle travels to.
+ */
+function drawTravelPath(context, previousEnd, item) {
+    const endpoints = getItemEndpoints(item);
+    if (!previousEnd || !endpoints) {
+        return;
     }
-    animationActive = false; // Ensure the flag is false
+    context.save();
+    context.lineWidth = 1;
+    context.setLineDash([4, 4]);
+    context.strokeStyle = isTrimmedTravel(previousEnd, endpoints.start) ? '#d9534f' : '#999';
+    drawPath(context, [previousEnd, endpoints.start], 0);
+    context.restore();
+}
+
+
+// --- Helper to Draw a Path ---
+// This function draws a sequence of points onto the given context.
+function drawPath(context, points, xOffset, yOffset = 0) {
+    if (points.length < 2) return; // Need at least two points to draw a line
+
+    context.beginPath(); // Start a new path
+    // Move to the first point, applying the character's offset and global word offset
+    const startPoint = transformPoint(points[0][0], points[0][1], xOffset, yOffset);
+    context.moveTo(startPoint.x, startPoint.y);
+
+    // Draw lines to all subsequent points
+    for (let i = 1; i < points.length; i++) {
+        const point = transformPoint(points[i][0], points[i][1], xOffset, yOffset);
+        context.lineTo(point.x, point.y);
+    }
+    context.stroke(); // Render the path
+}
+
+// --- Animation Loop ---
+let lastTimestamp = 0;
+const ANIMATION_INTERVAL_MS = 10; // Shortest time between two frames
+const ANIMATION_SPEED_MM_PER_SECOND = 40; // How fast the needle moves along the thread in the preview
+let playbackSpeed = 1; // Multiplier chosen with the speed control
+
+/**
+ * Works out how long to wait before drawing the next stitch of the current character,
+ * so long stitches take longer than short ones and the needle moves at a steady speed.
+ * @returns {number} The wait in milliseconds.
+ */
+function getFrameIntervalMs() {
+    return getStitchIntervalMs(processedPointsForCurrentChar, currentFrame);
+}
 
-    if (wordToAnimate.length === 0) {
-        messageDiv.textContent = 'Please enter supported characters (A-F) to stitch.';
-        ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear canvas
-        completedCharacters = []; // Clear any previous completed chars
-        wordScaleFactor = 1; // Reset word scale
-        centerXOffsetPixels = 0; // Reset pixel offsets
-        centerYOffsetPixels = 0;
+/**
+ * Moves the animation on by one stitch, finishing the current character and
+ * moving to the next one when its last point has been drawn.
+ */
+function advanceAnimationFrame() {
+    if (currentWordCharIndex >= animationItems.length) {
+        animationActive = false; // Safeguard: nothing left to stitch
         return;
     }
 
-    // --- Calculate Scaling and Centering for the new word ---
-    // Call updateCanvasDimensions first to ensure canvas size and base scale are current
-    updateCanvasDimensions();
-    // Then calculate word-specific scaling and offset based on the word and current canvas size
-    calculateWordScalingAndOffset(wordToAnimate);
+    // Check if the current character's animation is finished
+    if (currentFrame < totalFramesForCurrentChar - 1) {
+        currentFrame++; // Continue animating the current character by drawing the next point
+        return;
+    }
 
+    // The current character's animation has just finished
+    // Add its full drawing data (complete flattened points and offset) to the `completedCharacters` array
+    completedCharacters.push(animationItems[currentWordCharIndex]);
 
-    // Inform the user if any unsupported characters were entered and filtered
-    const allInputChars = inputValue.split('');
-    const unsupportedCharsEntered = allInputChars.filter(char => !CHARACTER_DRAWING_DATA.hasOwnProperty(char));
-    if (unsupportedCharsEntered.length > 0) {
-        messageDiv.textContent = `Warning: Chars '${unsupportedCharsEntered.join(', ')}' not defined. Animating: ${wordToAnimate}`;
+    currentWordCharIndex++; // Move to the next character in the word
+    currentFrame = 0; // Reset frame count for the new character
+    processedPointsForCurrentChar = [];
+
+    if (currentWordCharIndex < animationItems.length) {
+        // Prepare data for the next character immediately
+        prepareAnimationForCharacter(currentWordCharIndex);
     } else {
-        messageDiv.textContent = `Stitching: ${wordToAnimate}`;
+        // Animation is complete
+        animationActive = false;
     }
+}
 
-    // Reset all animation state variables for a new word
-    currentWordCharIndex = 0;
-    currentFrame = 0;
-    processedPointsForCurrentChar = []; // Ensure data for the first char is prepared
+/**
+ * Returns the index of the stitch currently shown, counted across the whole design.
+ * @returns {number} The stitch index, or the last stitch once the animation has finished.
+ */
+function getCurrentStitchIndex() {
+    if (!animationActive) {
+        return Math.max(0, totalAnimationStitches - 1);
+    }
+    return itemStartStitchIndices[currentWordCharIndex] + currentFrame;
+}
 
-    // Prepare data for the very first character of the new word BEFORE starting animation
-    const firstChar = wordToAnimate[0];
-    if (!prepareAnimationForCharacter(firstChar)) {
-         // Handle case where the very first character is unsupported (should be filtered, but as safeguard)
-         messageDiv.textContent = `Error: Could not prepare animation for '${firstChar}'. Please use supported characters.`;
-         ctx.clearRect(0, 0, canvas.width, canvas.height);
-         completedCharacters = [];
-         wordToAnimate = ''; // Clear the word if the first char is invalid
-         wordScaleFactor = 1; // Reset scaling
-         centerXOffsetPixels = 0; // Reset pixel offsets
-         centerYOffsetPixels = 0;
-         return;
+/**
+ * Jumps the animation to any stitch of the design, rebuilding the completed characters
+ * and the current character's progress. Seeking to the last stitch finishes the animation.
+ * @param {number} stitchIndex - Index of the stitch across the whole design.
+ */
+function seekToStitch(stitchIndex) {
+    if (totalAnimationStitches === 0) {
+        return;
     }
+    const targetIndex = Math.min(Math.max(0, Math.round(stitchIndex)), totalAnimationStitches - 1);
 
-    completedCharacters = []; // Clear previously completed characters on the canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear the canvas before starting a new animation
+    if (targetIndex === totalAnimationStitches - 1) {
+        completedCharacters = [...animationItems];
+        currentWordCharIndex = animationItems.length;
+        processedPointsForCurrentChar = [];
+        animationActive = false;
+    } else {
+        // Find the item holding the target stitch (items without points never match)
+        const itemIndex = animationItems.findIndex((item, index) =>
+            targetIndex < itemStartStitchIndices[index] + item.processedPoints.length);
+        completedCharacters = animationItems.slice(0, itemIndex);
+        currentWordCharIndex = itemIndex;
+        prepareAnimationForCharacter(itemIndex);
+        currentFrame = targetIndex - itemStartStitchIndices[itemIndex];
+        animationActive = true;
+    }
 
-    animationActive = true; // Activate the animation loop
-    lastTimestamp = performance.now(); // Reset timestamp for smooth start
-    animationFrameId = requestAnimationFrame(animate); // Start the animation loop
+    redrawCanvasContent();
+    updatePlaybackControls();
+}
+
+/**
+ * Shows the current character, stitch index and total stitches in the message area
+ * and keeps the playback controls in step with the animation.
+ */
+function updatePlaybackControls() {
+    const stitchIndex = getCurrentStitchIndex();
+    timelineSlider.value = stitchIndex;
+    playPauseButton.textContent = animationActive && !animationPaused ? 'Pause' : 'Play';
+
+    const note = animationNote ? ` (${animationNote})` : '';
+    if (!animationActive) {
+        messageDiv.textContent = `Animation finished: ${wordToAnimate} · ${totalAnimationStitches} stitches${note}`;
+        return;
+    }
+    const state = animationPaused ? 'Paused' : 'Stitching';
+    const currentItem = animationItems[currentWordCharIndex];
+    const threadName = THREAD_PALETTE[currentItem.thread].name;
+    messageDiv.textContent = `${state}: '${wordToAnimate}' · char ${describeAnimationItem(currentItem)} (${threadName})` +
+        ` · stitch ${stitchIndex + 1} / ${totalAnimationStitches}${note}`;
+}
+
+/**
+ * Forgets the current design's timeline so the playback controls have nothing to play.
+ */
+function clearPlaybackTimeline() {
+    animationItems = [];
+    itemStartStitchIndices = [];
+    totalAnimationStitches = 0;
+    sewabilityProblems = [];
+    animationPaused = false;
+    timelineSlider.max = 0;
+    timelineSlider.value = 0;
+    playPauseButton.textContent = 'Play';
+}
+
+/**
+ * Pauses the animation, keeping the partly stitched design on screen.
+ */
+function pauseAnimation() {
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+    animationPaused = true;
+    updatePlaybackControls();
+}
+
+/**
+ * Resumes a paused animation, or replays a finished one from the start.
+ */
+function resumeAnimation() {
+    if (totalAnimationStitches === 0) {
+        return;
+    }
+    if (!animationActive) {
+        seekToStitch(0);
+    }
+    animationPaused = false;
+    lastTimestamp = performance.now();
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+    }
+    animationFrameId = requestAnimationFrame(animate);
+    updatePlaybackControls();
+}
+
+/**
+ * The main animation loop.
+ * Handles frame progression and transitions between characters.
+ * Drawing is delegated to redrawCanvasContent().
+ * @param {DOMHighResTimeStamp} timestamp - The current time provided by requestAnimationFrame.
+ */
+function animate(timestamp) {
+    if (!animationActive || animationPaused) {
+        animationFrameId = null; // Clear the animation frame ID if animation stops
+        return;
+    }
+
+    // Advance as many stitches as the elapsed time allows, so fast playback isn't capped by the frame rate
+    let elapsed = timestamp - lastTimestamp;
+    let advanced = false;
+    while (animationActive && elapsed >= getFrameIntervalMs()) {
+        elapsed -= getFrameIntervalMs();
+        advanceAnimationFrame();
+        advanced = true;
+    }
+
+    if (advanced) {
+        lastTimestamp = timestamp - elapsed;
+        // Redraw the entire canvas content for the current frame
+        redrawCanvasContent();
+        updatePlaybackControls();
+    }
+
+    // Request the next animation frame if animation is still active
+    if (animationActive) {
+        animationFrameId = requestAnimationFrame(animate);
+    } else {
+        animationFrameId = null;
+    }
+}
+
+// --- Event Listener for Animation Button ---
+/**
+ * Explains why a design built by fitTextDesignToHoop() doesn't fit the hoop and what to change.
+ * @param {Object} design - The design, whose `fits` is false.
+ * @param {string} label - The design's text on one line.
+ * @returns {string} The error message.
+ */
+function describeHoopMisfit(design, label) {
+    const size = `${design.widthMm.toFixed(1)} × ${design.heightMm.toFixed(1)} mm`;
+    const hoopSize = `${hoopSettings.widthMm} × ${hoopSettings.heightMm} mm`;
+    return hoopSettings.autoShrink
+        ? `Error: '${label}' doesn't fit the ${hoopSize} hoop even with ${design.letterHeightMm} mm letters ` +
+          `(it is ${size}). Choose a bigger hoop, shorter text or a lower minimum letter height.`
+        : `Error: '${label}' is ${size} and doesn't fit the ${hoopSize} hoop. ` +
+          'Lower the letter height, choose a bigger hoop or turn on auto-shrink.';
+}
+
+/**
+ * Takes the current design off the canvas, leaving the empty hoop.
+ */
+function clearDesign() {
+    ctx.clearRect(0, 0, currentCanvasWidth, currentCanvasHeight); // Clear canvas
+    completedCharacters = []; // Clear any previous completed chars
+    clearPlaybackTimeline();
+    showDesignInHoop(null);
+}
+
+animateButton.addEventListener('click', () => {
+    // Build the design from the trimmed input; the engine takes out the thread markup and
+    // any characters not defined in CHARACTER_DRAWING_DATA (once missing ones have been
+    // generated from the fallback font), keeping line breaks, and shrinks the letters to
+    // fit the hoop if that is turned on
+    generateMissingGlyphs(textInput.value.trim());
+    const design = fitTextDesignToHoop(textInput.value.trim(), getDesignSettings());
+    wordToAnimate = design.text;
+    wordThreads = design.threads;
+
+    // Stop any ongoing animation
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+    }
+    animationActive = false; // Ensure the flag is false
+
+    if (wordToAnimate.replace(/\n/g, '').length === 0) {
+        messageDiv.textContent = `Please enter supported characters (${describeSupportedCharacters()}) to stitch.`;
+        clearDesign();
+        return;
+    }
+
+    const label = wordToAnimate.replace(/\n/g, ' ');
+    if (!design.fits) {
+        messageDiv.textContent = describeHoopMisfit(design, label);
+        clearDesign();
+        return;
+    }
+
+    // --- Centre the new design in the hoop ---
+    showDesignInHoop(measureItems(design.items));
+
+
+    // Inform the user if any unsupported characters were entered and filtered
+    const warnings = [];
+    if (design.skippedChars.length > 0) {
+        const hint = fallbackFont ? '' : ' (choose a fallback font to generate them)';
+        warnings.push(`skipped undefined '${design.skippedChars.join(', ')}'${hint}`);
+    }
+    const generatedNote = describeGeneratedGlyphs(design.text);
+    if (generatedNote) {
+        warnings.push(generatedNote);
+    }
+    if (design.unknownThreads.length > 0) {
+        warnings.push(`unknown threads '${design.unknownThreads.join(', ')}'`);
+    }
+    if (design.letterHeightMm !== layoutSettings.letterHeightMm) {
+        warnings.push(`letters shrunk to ${design.letterHeightMm} mm to fit the hoop`);
+    }
+    if (warnings.length > 0) {
+        messageDiv.textContent = `Warning: ${warnings.join('; ')}. Animating: ${wordToAnimate}`;
+    } else {
+        messageDiv.textContent = `Stitching: ${wordToAnimate}`;
+    }
+    animationNote = warnings.join('; ');
+
+    // Start animating the characters of the new word, already grouped by thread, from the first one
+    if (!startAnimation(design.items)) {
+         // Handle case where the very first character is unsupported (should be filtered, but as safeguard)
+         messageDiv.textContent = `Error: Could not prepare animation for '${Array.from(wordToAnimate)[0]}'. Please use supported characters.`;
+         wordToAnimate = ''; // Clear the word if the first char is invalid
+         clearDesign();
+         return;
+    }
+});
+
+// --- Event Listeners for Playback Controls ---
+playPauseButton.addEventListener('click', () => {
+    if (animationActive && !animationPaused) {
+        pauseAnimation();
+    } else {
+        resumeAnimation();
+    }
+});
+
+/**
+ * Pauses playback and moves the needle by a number of stitches.
+ * @param {number} delta - Stitches to move; negative steps backwards.
+ */
+function stepAnimation(delta) {
+    if (totalAnimationStitches === 0) {
+        return;
+    }
+    pauseAnimation();
+    seekToStitch(getCurrentStitchIndex() + delta);
+}
+
+stepBackButton.addEventListener('click', () => stepAnimation(-1));
+stepForwardButton.addEventListener('click', () => stepAnimation(1));
+
+timelineSlider.addEventListener('input', () => {
+    if (totalAnimationStitches === 0) {
+        return;
+    }
+    const stitchIndex = parseInt(timelineSlider.value, 10); // Read before pausing resets the slider
+    pauseAnimation();
+    seekToStitch(stitchIndex);
+});
+
+speedSelect.addEventListener('change', () => {
+    playbackSpeed = parseFloat(speedSelect.value) || 1;
+});
+
+/**
+ * Offers binary or text data to the user as a file download.
+ * @param {BlobPart} data - The file contents.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} mimeType - MIME type of the contents.
+ */
+function downloadFile(data, fileName, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// --- Event Listener for DST Export Button ---
+exportDstButton.addEventListener('click', () => {
+    if (animationActive) {
+        messageDiv.textContent = 'Wait for stitching to finish before exporting.';
+        return;
+    }
+    if (completedCharacters.length === 0) {
+        messageDiv.textContent = 'Stitch a word first, then export it as DST.';
+        return;
+    }
+
+    const dstData = buildDstFile(buildStitchPlan(completedCharacters), wordToAnimate.replace(/\n/g, ' '));
+    downloadFile(dstData, `${designFileBaseName(wordToAnimate)}.dst`, 'application/octet-stream');
+    messageDiv.textContent = `Exported ${wordToAnimate} as DST.`;
+});
+
+// --- Event Listener for SVG Export Button ---
+exportSvgButton.addEventListener('click', () => {
+    // Export every item of the current design (or the typed text if nothing has been stitched yet)
+    // so the export does not depend on how far the animation has progressed.
+    let characters = animationItems;
+    let word = wordToAnimate;
+    if (characters.length === 0) {
+        generateMissingGlyphs(textInput.value.trim());
+        const design = fitTextDesignToHoop(textInput.value.trim(), getDesignSettings());
+        word = design.text;
+        characters = design.items;
+        if (characters.length > 0 && !design.fits) {
+            messageDiv.textContent = describeHoopMisfit(design, word.replace(/\n/g, ' '));
+            return;
+        }
+    }
+    if (characters.length === 0) {
+        messageDiv.textContent = `Enter supported characters (${describeSupportedCharacters()}) to export as SVG.`;
+        return;
+    }
+
+    downloadFile(buildSvgDocument(characters, word), `${designFileBaseName(word)}.svg`, 'image/svg+xml');
+    messageDiv.textContent = `Exported ${word} as SVG.`;
+});
+
+/**
+ * Parses an imported embroidery file and animates it stitch by stitch.
+ * @param {string} fileName - Name of the file, used to pick the format.
+ * @param {Uint8Array} bytes - The file contents.
+ */
+function replayEmbroideryFile(fileName, bytes) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    let commands;
+    try {
+        if (extension === 'dst') {
+            commands = parseDstFile(bytes);
+        } else if (extension === 'exp') {
+            commands = parseExpFile(bytes);
+        } else {
+            messageDiv.textContent = `Unsupported file type '.${extension}'. Please choose a DST or EXP file.`;
+            return;
+        }
+    } catch (error) {
+        messageDiv.textContent = `Could not import ${fileName}: ${error.message}`;
+        return;
+    }
+
+    const paths = splitStitchCommandsIntoPaths(commands);
+    if (paths.length === 0) {
+        messageDiv.textContent = `No stitches found in ${fileName}.`;
+        return;
+    }
+
+    // Stop any ongoing animation
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+    }
+    animationActive = false;
+
+    const design = buildImportedDesignItems(paths);
+    wordToAnimate = fileName;
+    showDesignInHoop(measureItems(design.items));
+
+    const stitchCount = commands.filter(stitchCommand => stitchCommand.command === 'stitch').length;
+    messageDiv.textContent = `Replaying ${fileName}: ${stitchCount} stitches in ${paths.length} paths`;
+    animationNote = fitsHoop(designBounds) ? `${paths.length} paths` : `${paths.length} paths, larger than the hoop`;
+    startAnimation(design.items);
+}
+
+// --- Event Listener for Embroidery File Import ---
+importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        replayEmbroideryFile(file.name, new Uint8Array(event.target.result));
+    };
+    reader.onerror = () => {
+        messageDiv.textContent = `Could not read ${file.name}.`;
+    };
+    reader.readAsArrayBuffer(file);
+
+    // Allow the same file to be chosen again later
+    importFileInput.value = '';
+});
+
+// --- Event Listener for the Turtle Run Button ---
+runTurtleButton.addEventListener('click', () => {
+    const settings = getDesignSettings();
+    let design;
+    try {
+        design = buildTurtleDesign(turtleInput.value, settings);
+    } catch (error) {
+        if (!(error instanceof TurtleError)) {
+            throw error;
+        }
+        messageDiv.textContent = `Turtle error: ${error.message}`;
+        return;
+    }
+    if (design.items.length === 0) {
+        messageDiv.textContent = 'The turtle program did not stitch anything. Use forward with the pen down.';
+        return;
+    }
+    const bounds = measureItems(design.items);
+    if (!fitsHoop(bounds)) {
+        const size = `${((bounds.maxX - bounds.minX) * DATA_UNIT_MM).toFixed(1)} × ${((bounds.maxY - bounds.minY) * DATA_UNIT_MM).toFixed(1)} mm`;
+        messageDiv.textContent = `Error: the turtle drawing is ${size} and doesn't fit the ` +
+            `${hoopSettings.widthMm} × ${hoopSettings.heightMm} mm hoop. Draw it smaller or choose a bigger hoop.`;
+        return;
+    }
+
+    // Stop any ongoing animation
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+    }
+    animationActive = false;
+
+    wordToAnimate = 'Turtle drawing';
+    showDesignInHoop(bounds);
+    animationNote = `${design.items.length} paths`;
+    startAnimation(settings.optimizeTravel ? optimizeTravelDirections(design.items) : design.items);
+});
+
+// --- Custom Glyph Storage ---
+// Glyphs edited in the glyph editor are kept in localStorage per font and layered
+// over that font's glyphs, replacing its characters or adding new ones. Saved generated
+// glyphs are kept as outline glyphs in the font format, so they are filled with the settings.
+const CUSTOM_GLYPHS_STORAGE_KEY = 'turtleStitch.customGlyphs';
+
+/**
+ * Reads the saved custom glyphs of every font.
+ * @returns {Object<string, Object<string, (Array<Array<Array<number>>>|Object)>>} Segments or outline glyphs keyed by
+ *     font name, then character.
+ */
+function loadAllCustomGlyphs() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_GLYPHS_STORAGE_KEY)) || {};
+        // Glyphs saved before fonts existed are keyed directly by character; they belong to the default font
+        if (Object.values(stored).some(Array.isArray)) {
+            return { [DEFAULT_FONT_DATA.name]: stored };
+        }
+        return stored;
+    } catch (error) {
+        console.warn('Could not read custom glyphs from localStorage.', error);
+        return {};
+    }
+}
+
+/**
+ * Reads the saved custom glyphs of a font.
+ * @param {string} [fontName] - Name of the font, the active font by default.
+ * @returns {Object<string, (Array<Array<Array<number>>>|Object)>} Segments or outline glyphs keyed by character.
+ */
+function loadCustomGlyphs(fontName = activeFont.name) {
+    return loadAllCustomGlyphs()[fontName] || {};
+}
+
+/**
+ * Stores the custom glyphs of a font.
+ * @param {Object<string, (Array<Array<Array<number>>>|Object)>} customGlyphs - Segments or outline glyphs keyed by character.
+ * @param {string} [fontName] - Name of the font, the active font by default.
+ */
+function storeCustomGlyphs(customGlyphs, fontName = activeFont.name) {
+    const allCustomGlyphs = loadAllCustomGlyphs();
+    allCustomGlyphs[fontName] = customGlyphs;
+    localStorage.setItem(CUSTOM_GLYPHS_STORAGE_KEY, JSON.stringify(allCustomGlyphs));
+}
+
+/**
+ * Copies the active font's saved custom glyphs into CHARACTER_DRAWING_DATA, adding the
+ * outline glyphs to designFont so they are filled like the font's own.
+ */
+function applyCustomGlyphs() {
+    for (const [char, glyphData] of Object.entries(loadCustomGlyphs())) {
+        if (Array.isArray(glyphData)) {
+            CHARACTER_DRAWING_DATA[char] = glyphData;
+            continue;
+        }
+        try {
+            designFont.glyphs[char] = loadGlyph(char, glyphData);
+        } catch (error) {
+            console.warn(`Skipping saved custom glyph: ${error.message}`);
+            continue;
+        }
+        CHARACTER_DRAWING_DATA[char] = designFont.glyphs[char].segments;
+    }
+}
+
+
+// --- User Font Storage ---
+// Fonts loaded from files are kept in localStorage so they are still available after a reload.
+const USER_FONTS_STORAGE_KEY = 'turtleStitch.userFonts';
+const SELECTED_FONT_STORAGE_KEY = 'turtleStitch.selectedFont';
+
+/**
+ * Reads the font data of the fonts loaded from files.
+ * @returns {Array<Object>} Raw font data, one entry per font.
+ */
+function loadUserFontData() {
+    try {
+        return JSON.parse(localStorage.getItem(USER_FONTS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read user fonts from localStorage.', error);
+        return [];
+    }
+}
+
+/**
+ * Adds (or replaces) a font loaded from a file in localStorage.
+ * @param {Object} fontData - Raw font data that passed loadFont().
+ */
+function storeUserFontData(fontData) {
+    const userFonts = loadUserFontData().filter(stored => stored.name !== fontData.name);
+    userFonts.push(fontData);
+    localStorage.setItem(USER_FONTS_STORAGE_KEY, JSON.stringify(userFonts));
+}
+
+/**
+ * Fills the font selector with the registered fonts.
+ */
+function renderFontOptions() {
+    fontSelect.replaceChildren();
+    for (const fontName of registeredFonts.keys()) {
+        const option = document.createElement('option');
+        option.value = fontName;
+        option.textContent = fontName;
+        option.selected = activeFont !== null && fontName === activeFont.name;
+        fontSelect.appendChild(option);
+    }
+    if (activeFont) {
+        fontSelect.value = activeFont.name;
+    }
+}
+
+/**
+ * Registers the default font and any saved user fonts, then selects the last used font.
+ */
+function initializeFonts() {
+    // The default font goes through the same loader as user fonts
+    registerFont(loadFont(DEFAULT_FONT_DATA));
+    for (const fontData of loadUserFontData()) {
+        try {
+            registerFont(loadFont(fontData));
+        } catch (error) {
+            console.warn(`Skipping saved font '${fontData && fontData.name}': ${error.message}`);
+        }
+    }
+
+    if (!selectFont(localStorage.getItem(SELECTED_FONT_STORAGE_KEY))) {
+        selectFont(DEFAULT_FONT_DATA.name);
+    }
+    renderFontOptions();
+}
+
+/**
+ * Switches to another registered font and remembers the choice.
+ * @param {string} fontName - Name of the font.
+ */
+function changeFont(fontName) {
+    if (!selectFont(fontName)) {
+        return;
+    }
+    localStorage.setItem(SELECTED_FONT_STORAGE_KEY, fontName);
+    renderFontOptions();
+    if (glyphEditorActive) {
+        loadGlyphIntoEditor(editorChar);
+    } else {
+        messageDiv.textContent = `Font: ${fontName}. Supported characters: ${describeSupportedCharacters()}.`;
+    }
+}
+
+// --- Event Listeners for Fonts ---
+fontSelect.addEventListener('change', () => changeFont(fontSelect.value));
+
+fontFileInput.addEventListener('change', () => {
+    const file = fontFileInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        let fontData;
+        let font;
+        try {
+            fontData = JSON.parse(event.target.result);
+            font = loadFont(fontData);
+        } catch (error) {
+            messageDiv.textContent = `Could not load font ${file.name}: ${error.message}`;
+            return;
+        }
+        registerFont(font);
+        storeUserFontData(fontData);
+        changeFont(font.name);
+        recordProjectState();
+    };
+    reader.onerror = () => {
+        messageDiv.textContent = `Could not read ${file.name}.`;
+    };
+    reader.readAsText(file);
+
+    // Allow the same file to be chosen again later
+    fontFileInput.value = '';
+});
+
+
+// --- Generated Glyphs ---
+// When a fallback font is chosen, characters the active font doesn't have are rendered with
+// that installed font and traced into outline glyphs (see createGeneratedGlyph() in
+// stitch-engine.js) before text is stitched. They are added to the active font marked as
+// generated, so they are filled and spaced like its outline glyphs and go out with Export
+// Font, and can be saved as custom glyphs to tune them by hand in the glyph editor.
+const GENERATED_CAP_HEIGHT_PX = 64; // Height capitals are rendered at for tracing
+const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+let fallbackFont = ''; // Installed font missing characters are generated from, or '' for none
+const generatedGlyphs = new Set(); // Glyphs generated on this page, so they can be taken out again
+
+/**
+ * Writes a font family the way the canvas font property expects it.
+ * @param {string} family - A font family name, e.g. "Times New Roman" or "serif".
+ * @returns {string} The family, quoted unless it is a generic family.
+ */
+function formatFontFamily(family) {
+    return GENERIC_FONT_FAMILIES.includes(family) ? family : `"${family.replace(/"/g, '')}"`;
+}
+
+/**
+ * Checks whether a font is installed, by whether text set in it differs in width
+ * from the generic fonts the browser would otherwise fall back to.
+ * @param {string} family - A font family name.
+ * @returns {boolean} True if the font can be used.
+ */
+function isFontInstalled(family) {
+    if (GENERIC_FONT_FAMILIES.includes(family)) {
+        return true;
+    }
+    const sample = 'mmmmmmmmmmlliWQ@#';
+    const context = document.createElement('canvas').getContext('2d');
+    return ['monospace', 'serif'].some(generic => {
+        context.font = `72px ${generic}`;
+        const genericWidth = context.measureText(sample).width;
+        context.font = `72px ${formatFontFamily(family)}, ${generic}`;
+        return context.measureText(sample).width !== genericWidth;
+    });
+}
+
+/**
+ * Tells whether a character is currently stitched with a generated glyph.
+ * @param {string} char - A character of CHARACTER_DRAWING_DATA.
+ * @returns {boolean} True if it comes from a font's generated glyph rather than one drawn by hand.
+ */
+function isGeneratedGlyph(char) {
+    const fontGlyph = activeFont.glyphs[char];
+    return Boolean(fontGlyph && fontGlyph.metadata.generatedFrom && CHARACTER_DRAWING_DATA[char] === fontGlyph.segments);
+}
+
+/**
+ * Renders a character with an installed font on an offscreen canvas and traces it into a glyph.
+ * The font is sized so its capitals are as tall as the fonts' own (FONT_UNITS_HEIGHT);
+ * createGeneratedGlyph() then fits characters that reach outside the glyph box into it.
+ * @param {string} char - The character.
+ * @param {string} family - The installed font.
+ * @returns {Object|null} The glyph (see createGeneratedGlyph()), or null if the character draws nothing.
+ */
+function renderGeneratedGlyph(char, family) {
+    const glyphCanvas = document.createElement('canvas');
+    const context = glyphCanvas.getContext('2d');
+    context.font = `100px ${formatFontFamily(family)}`;
+    const capHeightRatio = context.measureText('H').actualBoundingBoxAscent / 100 || 0.7;
+    const fontSizePx = GENERATED_CAP_HEIGHT_PX / capHeightRatio;
+
+    // Leave room for accents above the capitals, descenders below and letters wider than they are tall
+    glyphCanvas.width = Math.ceil(fontSizePx * 2);
+    glyphCanvas.height = Math.ceil(fontSizePx * 2);
+    context.font = `${fontSizePx}px ${formatFontFamily(family)}`; // Resizing the canvas reset it
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = 'black';
+    const placement = {
+        originX: Math.round(fontSizePx / 2),
+        baselineY: Math.round(fontSizePx * 1.4),
+        unitsPerPixel: FONT_UNITS_HEIGHT / GENERATED_CAP_HEIGHT_PX,
+        advancePx: context.measureText(char).width
+    };
+    context.fillText(char, placement.originX, placement.baselineY);
+    return createGeneratedGlyph(context.getImageData(0, 0, glyphCanvas.width, glyphCanvas.height), placement, family);
+}
+
+/**
+ * Generates glyphs from the fallback font for the characters of a text that the active font
+ * and its custom glyphs don't have, and adds them to the active font.
+ * @param {string} text - The text as typed, with any thread markup.
+ */
+function generateMissingGlyphs(text) {
+    if (!fallbackFont) {
+        return;
+    }
+    let generated = false;
+    for (const char of new Set(parseThreadMarkup(text).text)) {
+        // Spaces draw nothing
+        if (/\s/.test(char) || Object.prototype.hasOwnProperty.call(CHARACTER_DRAWING_DATA, char)) {
+            continue;
+        }
+        const glyph = renderGeneratedGlyph(char, fallbackFont);
+        if (glyph) {
+            activeFont.glyphs[char] = glyph;
+            generatedGlyphs.add(glyph);
+            generated = true;
+        }
+    }
+    if (generated) {
+        selectFont(activeFont.name); // Fills the new outlines and adds them to CHARACTER_DRAWING_DATA
+    }
+}
+
+/**
+ * Takes the glyphs generated on this page out of every font, e.g. when the fallback font changes.
+ */
+function removeGeneratedGlyphs() {
+    for (const font of registeredFonts.values()) {
+        for (const [char, glyph] of Object.entries(font.glyphs)) {
+            if (generatedGlyphs.has(glyph)) {
+                delete font.glyphs[char];
+            }
+        }
+    }
+    generatedGlyphs.clear();
+    selectFont(activeFont.name);
+}
+
+/**
+ * Lists the characters of a text that are stitched with generated glyphs, by the font they came from.
+ * @param {string} text - Text of a design, as built by the stitch engine.
+ * @returns {string} E.g. "'a, é' generated from Georgia", or '' if there are none.
+ */
+function describeGeneratedGlyphs(text) {
+    const charsBySource = new Map();
+    for (const char of new Set(text)) {
+        if (isGeneratedGlyph(char)) {
+            const source = activeFont.glyphs[char].metadata.generatedFrom;
+            charsBySource.set(source, [...(charsBySource.get(source) || []), char]);
+        }
+    }
+    return [...charsBySource].map(([source, chars]) => `'${chars.join(', ')}' generated from ${source}`).join('; ');
+}
+
+// --- Event Listeners for Generated Glyphs ---
+/**
+ * Reads the fallback font input and takes out the glyphs generated from the previous font.
+ * A font that isn't installed is reported and the previous one is kept.
+ */
+function updateFallbackFont() {
+    const family = fallbackFontInput.value.trim();
+    if (family && !isFontInstalled(family)) {
+        messageDiv.textContent = `The font '${family}' isn't installed. Choose another fallback font, or leave it empty.`;
+        return;
+    }
+    fallbackFont = family;
+    removeGeneratedGlyphs();
+    messageDiv.textContent = family
+        ? `Characters missing from the font will be generated from ${family}. Click Stitch to apply.`
+        : 'Characters missing from the font will be left out. Click Stitch to apply.';
+}
+
+fallbackFontInput.addEventListener('change', updateFallbackFont);
+
+saveGeneratedButton.addEventListener('click', () => {
+    const chars = Object.keys(CHARACTER_DRAWING_DATA).filter(isGeneratedGlyph);
+    if (chars.length === 0) {
+        messageDiv.textContent = 'There are no generated glyphs to save. Choose a fallback font and stitch some text first.';
+        return;
+    }
+    const customGlyphs = loadCustomGlyphs();
+    for (const char of chars) {
+        // Keep the outlines rather than their fill, so the glyph is filled again when the settings change
+        const glyph = activeFont.glyphs[char];
+        customGlyphs[char] = { outlines: glyph.outlines, segments: glyph.handSegments, advance: glyph.advance };
+    }
+    storeCustomGlyphs(customGlyphs);
+    selectFont(activeFont.name);
+    recordProjectState();
+    if (chars.includes(editorChar)) {
+        loadGlyphIntoEditor(editorChar);
+    }
+    messageDiv.textContent = `Saved '${chars.join(', ')}' as custom glyphs of ${activeFont.name}, ready to tune by hand.`;
+});
+
+
+// --- Glyph Editor ---
+// The editor shows one glyph on its 0-6 x 0-8 data grid. Clicking adds segments
+// that chain from the previous end point, endpoints can be dragged, and the
+// segment list sets the stroke order.
+const EDITOR_GLYPH_WIDTH = 6;
+const EDITOR_GLYPH_HEIGHT = 8;
+const EDITOR_HANDLE_RADIUS_PX = 5;
+const EDITOR_HIT_RADIUS_PX = 8;
+
+let glyphEditorActive = false;
+let editorChar = '';
+let editorSegments = [];
+let editorSelectedIndex = -1;
+let editorPendingStart = null; // Point the next clicked segment starts from, or null
+let editorHoverPoint = null; // Snapped point under the mouse
+let editorDrag = null; // {segmentIndex, endIndex, moved} of the endpoint being dragged
+
+/**
+ * Converts a mouse event to snapped data coordinates within the editor area.
+ * @param {MouseEvent} event - The pointer event on the canvas.
+ * @returns {Array<number>} The snapped [x, y] point.
+ */
+function getSnappedEditorPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    const dataPoint = inverseTransformPoint(event.clientX - rect.left, event.clientY - rect.top);
+    const snap = parseFloat(snapSelect.value) || 0.5;
+    const snapValue = (value, min, max) => {
+        const snapped = Math.round(value / snap) * snap;
+        return Math.min(max, Math.max(min, Math.round(snapped * 1000) / 1000));
+    };
+    return [
+        snapValue(dataPoint.x, X_MIN, CHAR_WIDTH_DATA_UNITS + X_MIN),
+        snapValue(dataPoint.y, Y_MIN, Y_MAX)
+    ];
+}
+
+/**
+ * Finds the segment endpoint closest to a canvas position.
+ * @param {number} canvasX - X position on the canvas in pixels.
+ * @param {number} canvasY - Y position on the canvas in pixels.
+ * @returns {{segmentIndex: number, endIndex: number}|null} The endpoint within the hit radius, or null.
+ */
+function findEditorEndpoint(canvasX, canvasY) {
+    let closest = null;
+    let closestDistance = EDITOR_HIT_RADIUS_PX;
+    editorSegments.forEach((segment, segmentIndex) => {
+        segment.forEach((point, endIndex) => {
+            const canvasPoint = transformPoint(point[0], point[1]);
+            const distance = Math.hypot(canvasPoint.x - canvasX, canvasPoint.y - canvasY);
+            // Prefer the selected segment when endpoints overlap
+            if (distance < closestDistance || (distance === closestDistance && segmentIndex === editorSelectedIndex)) {
+                closest = { segmentIndex, endIndex };
+                closestDistance = distance;
+            }
+        });
+    });
+    return closest;
+}
+
+/**
+ * Draws the glyph grid, the edited segments and their handles.
+ */
+function drawGlyphEditor() {
+    const snap = parseFloat(snapSelect.value) || 0.5;
+
+    // Snap grid, with whole data units drawn darker
+    ctx.lineWidth = 1;
+    for (let x = 0; x <= EDITOR_GLYPH_WIDTH + 1e-9; x += snap) {
+        ctx.strokeStyle = Math.abs(x - Math.round(x)) < 1e-9 ? '#bbb' : '#e4e4e4';
+        drawPath(ctx, [[x, 0], [x, EDITOR_GLYPH_HEIGHT]], 0);
+    }
+    for (let y = 0; y <= EDITOR_GLYPH_HEIGHT + 1e-9; y += snap) {
+        ctx.strokeStyle = Math.abs(y - Math.round(y)) < 1e-9 ? '#bbb' : '#e4e4e4';
+        drawPath(ctx, [[0, y], [EDITOR_GLYPH_WIDTH, y]], 0);
+    }
+    ctx.strokeStyle = '#888';
+    drawPath(ctx, [[0, 0], [EDITOR_GLYPH_WIDTH, 0], [EDITOR_GLYPH_WIDTH, EDITOR_GLYPH_HEIGHT], [0, EDITOR_GLYPH_HEIGHT], [0, 0]], 0);
+
+    // While a preview animation runs or is on screen, only the grid is shown underneath it
+    if (animationActive || completedCharacters.length > 0) {
+        return;
+    }
+
+    // Segments, with the selected one highlighted
+    editorSegments.forEach((segment, index) => {
+        ctx.lineWidth = index === editorSelectedIndex ? 3 : STITCH_LINE_WIDTH_PX;
+        ctx.strokeStyle = index === editorSelectedIndex ? '#d9534f' : STITCH_COLOR;
+        drawPath(ctx, segment, 0);
+    });
+
+    // Endpoint handles; the very first point of the glyph is marked green
+    editorSegments.forEach((segment, segmentIndex) => {
+        segment.forEach((point, endIndex) => {
+            const canvasPoint = transformPoint(point[0], point[1]);
+            ctx.beginPath();
+            ctx.arc(canvasPoint.x, canvasPoint.y, EDITOR_HANDLE_RADIUS_PX, 0, Math.PI * 2);
+            ctx.fillStyle = segmentIndex === 0 && endIndex === 0 ? '#28a745' : '#007bff';
+            ctx.fill();
+        });
+    });
+
+    // Rubber band from the pending start point to the mouse
+    if (editorPendingStart) {
+        const start = transformPoint(editorPendingStart[0], editorPendingStart[1]);
+        ctx.beginPath();
+        ctx.arc(start.x, start.y, EDITOR_HANDLE_RADIUS_PX + 2, 0, Math.PI * 2);
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        if (editorHoverPoint) {
+            ctx.setLineDash([4, 4]);
+            drawPath(ctx, [editorPendingStart, editorHoverPoint], 0);
+            ctx.setLineDash([]);
+        }
+    }
+}
+
+/**
+ * Rebuilds the segment list shown next to the canvas.
+ */
+function renderSegmentList() {
+    const formatPoint = (point) => `(${point[0]}, ${point[1]})`;
+    const makeButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    };
+
+    segmentList.replaceChildren();
+    editorSegments.forEach((segment, index) => {
+        const item = document.createElement('li');
+        item.classList.toggle('selected', index === editorSelectedIndex);
+        const label = document.createElement('span');
+        label.textContent = `${formatPoint(segment[0])} → ${formatPoint(segment[1])}`;
+        item.appendChild(label);
+        item.appendChild(makeButton('↑', 'Stitch earlier', () => moveEditorSegment(index, -1)));
+        item.appendChild(makeButton('↓', 'Stitch later', () => moveEditorSegment(index, 1)));
+        item.appendChild(makeButton('✕', 'Delete segment', () => deleteEditorSegment(index)));
+        item.addEventListener('click', () => {
+            editorSelectedIndex = index;
+            refreshGlyphEditor();
+        });
+        segmentList.appendChild(item);
+    });
+}
+
+/**
+ * Redraws the editor canvas and segment list after a change.
+ * Any finished preview is cleared so the edited segments are visible again.
+ */
+function refreshGlyphEditor() {
+    if (!animationActive) {
+        completedCharacters = [];
+    }
+    renderSegmentList();
+    redrawCanvasContent();
+}
+
+/**
+ * Moves a segment one place earlier or later in the stroke order.
+ * @param {number} index - Position of the segment.
+ * @param {number} direction - -1 to move it earlier, 1 to move it later.
+ */
+function moveEditorSegment(index, direction) {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= editorSegments.length) {
+        return;
+    }
+    [editorSegments[index], editorSegments[targetIndex]] = [editorSegments[targetIndex], editorSegments[index]];
+    editorSelectedIndex = targetIndex;
+    refreshGlyphEditor();
+}
+
+/**
+ * Removes a segment from the edited glyph.
+ * @param {number} index - Position of the segment.
+ */
+function deleteEditorSegment(index) {
+    editorSegments.splice(index, 1);
+    editorSelectedIndex = Math.min(editorSelectedIndex, editorSegments.length - 1);
+    refreshGlyphEditor();
+}
+
+/**
+ * Works out which glyph a typed character edits: letters are edited as capitals,
+ * unless the glyphs have the letter as typed (e.g. one generated from the fallback font).
+ * @param {string} char - The typed character, or ''.
+ * @returns {string} The character to edit.
+ */
+function getEditorChar(char) {
+    return Object.prototype.hasOwnProperty.call(CHARACTER_DRAWING_DATA, char) ? char : char.toUpperCase();
+}
+
+/**
+ * Loads a character's current segments into the editor.
+ * @param {string} char - The character to edit.
+ */
+function loadGlyphIntoEditor(char) {
+    editorChar = char;
+    // Copy the segments so edits don't touch the live data until saved
+    editorSegments = (getGlyphSegments(char, getDesignSettings()) || []).map(segment => segment.map(point => [...point]));
+    editorSelectedIndex = -1;
+    editorPendingStart = null;
+
+    if (!char) {
+        messageDiv.textContent = 'Type a character to edit.';
+    } else if (!CHARACTER_DRAWING_DATA[char]) {
+        messageDiv.textContent = `New glyph '${char}': click on the grid to add segments.`;
+    } else if (isGeneratedGlyph(char)) {
+        messageDiv.textContent = `Editing '${char}', generated from ${activeFont.glyphs[char].metadata.generatedFrom} ` +
+            `(${editorSegments.length} segments). Save keeps it as a custom glyph.`;
+    } else {
+        messageDiv.textContent = `Editing '${char}' (${editorSegments.length} segments). Click to add, drag endpoints to move.`;
+    }
+    refreshGlyphEditor();
+}
+
+/**
+ * Switches the canvas between the stitch view and the glyph editor.
+ * @param {boolean} active - True to open the editor.
+ */
+function setGlyphEditorActive(active) {
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+    }
+    animationActive = false;
+    completedCharacters = [];
+    clearPlaybackTimeline();
+    glyphEditorActive = active;
+    glyphEditorPanel.hidden = !active;
+    editGlyphsButton.textContent = active ? 'Close Editor' : 'Edit Glyphs';
+
+    if (active) {
+        // Fit a single character to the canvas
+        wordToAnimate = '';
+        resetView();
+        updateCanvasDimensions();
+        loadGlyphIntoEditor(getEditorChar(glyphCharInput.value) || 'A');
+        glyphCharInput.value = editorChar;
+    } else {
+        showDesignInHoop(null);
+        messageDiv.textContent = `Enter characters (${describeSupportedCharacters()}) to stitch.`;
+    }
+}
+
+// --- Event Listeners for the Glyph Editor ---
+editGlyphsButton.addEventListener('click', () => setGlyphEditorActive(!glyphEditorActive));
+
+glyphCharInput.addEventListener('input', () => {
+    glyphCharInput.value = getEditorChar(glyphCharInput.value);
+    loadGlyphIntoEditor(glyphCharInput.value);
+});
+
+snapSelect.addEventListener('change', () => redrawCanvasContent());
+
+canvas.addEventListener('pointerdown', (event) => {
+    if (!glyphEditorActive || animationActive || !editorChar) {
+        return;
+    }
+    const rect = canvas.getBoundingClientRect();
+    const hit = findEditorEndpoint(event.clientX - rect.left, event.clientY - rect.top);
+    const point = getSnappedEditorPoint(event);
+    completedCharacters = []; // Leave any finished preview
+
+    if (hit && !editorPendingStart) {
+        // Start dragging an existing endpoint
+        editorDrag = hit;
+        editorSelectedIndex = hit.segmentIndex;
+        canvas.setPointerCapture(event.pointerId);
+    } else if (!editorPendingStart) {
+        editorPendingStart = point;
+    } else if (point[0] === editorPendingStart[0] && point[1] === editorPendingStart[1]) {
+        // Clicking the start point again ends the chain of segments
+        editorPendingStart = null;
+    } else {
+        editorSegments.push([editorPendingStart, point]);
+        editorSelectedIndex = editorSegments.length - 1;
+        editorPendingStart = point; // Chain the next segment from this end point
+    }
+    refreshGlyphEditor();
+});
+
+canvas.addEventListener('pointermove', (event) => {
+    if (!glyphEditorActive || animationActive) {
+        return;
+    }
+    editorHoverPoint = getSnappedEditorPoint(event);
+    if (editorDrag) {
+        editorSegments[editorDrag.segmentIndex][editorDrag.endIndex] = editorHoverPoint;
+        editorDrag.moved = true;
+        renderSegmentList();
+    }
+    if (editorDrag || editorPendingStart) {
+        redrawCanvasContent();
+    }
+});
+
+canvas.addEventListener('pointerup', () => {
+    if (editorDrag && !editorDrag.moved) {
+        // A click on an endpoint without dragging starts a new segment from it
+        editorPendingStart = [...editorSegments[editorDrag.segmentIndex][editorDrag.endIndex]];
+        redrawCanvasContent();
+    }
+    editorDrag = null;
+});
+
+document.addEventListener('keydown', (event) => {
+    if (!glyphEditorActive || event.target === glyphCharInput) {
+        return;
+    }
+    if (event.key === 'Escape') {
+        editorPendingStart = null;
+        refreshGlyphEditor();
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && editorSelectedIndex >= 0) {
+        event.preventDefault();
+        deleteEditorSegment(editorSelectedIndex);
+    }
+});
+
+previewGlyphButton.addEventListener('click', () => {
+    if (editorSegments.length === 0) {
+        messageDiv.textContent = 'Add some segments before previewing.';
+        return;
+    }
+    editorPendingStart = null;
+    wordToAnimate = editorChar;
+    messageDiv.textContent = `Previewing stroke order of '${editorChar}'`;
+    animationNote = 'preview';
+    const stitchTypes = getSegmentStitchTypes(editorChar, editorSegments.length, stitchSettings, CHARACTER_DRAWING_DATA);
+    startAnimation([{ char: editorChar, processedPoints: flattenSegments(editorSegments, stitchSettings, stitchTypes), xOffset: 0, yOffset: 0,
+        thread: threadSettings.defaultThread }]);
+});
+
+saveGlyphButton.addEventListener('click', () => {
+    if (!editorChar) {
+        return;
+    }
+    const customGlyphs = loadCustomGlyphs();
+    customGlyphs[editorChar] = editorSegments;
+    storeCustomGlyphs(customGlyphs);
+    CHARACTER_DRAWING_DATA[editorChar] = editorSegments.map(segment => segment.map(point => [...point]));
+    recordProjectState();
+    messageDiv.textContent = `Saved '${editorChar}' (${editorSegments.length} segments).`;
+});
+
+revertGlyphButton.addEventListener('click', () => {
+    if (!editorChar) {
+        return;
+    }
+    const customGlyphs = loadCustomGlyphs();
+    delete customGlyphs[editorChar];
+    storeCustomGlyphs(customGlyphs);
+    selectFont(activeFont.name); // Takes a custom outline glyph out of designFont too
+    const fontGlyph = activeFont.glyphs[editorChar];
+    loadGlyphIntoEditor(editorChar);
+    recordProjectState();
+    messageDiv.textContent = fontGlyph
+        ? `Reverted '${editorChar}' to the ${activeFont.name} glyph.`
+        : `Removed custom glyph '${editorChar}'.`;
+});
+
+exportFontButton.addEventListener('click', () => {
+    const fontData = buildActiveFontData();
+    downloadFile(JSON.stringify(fontData, null, 2), `${designFileBaseName(fontData.name)}.json`, 'application/json');
+    messageDiv.textContent = `Exported font ${fontData.name}.`;
+});
+
+// --- Event Listeners for Zoom, Pan and Stitch Inspection ---
+// The mouse wheel or a pinch zooms and dragging pans, except in the glyph editor where dragging
+// edits the glyph. Hovering near a stitch that has been sewn describes it.
+const TOOLTIP_HIT_RADIUS_PX = 8;
+const TOOLTIP_OFFSET_PX = 14;
+
+const viewPointers = new Map(); // Canvas position of each pointer held down for panning, by pointer id
+
+/**
+ * Converts a mouse or pointer event to a position on the canvas.
+ * @param {MouseEvent} event - The event on the canvas.
+ * @returns {{x: number, y: number}} The position in canvas pixels.
+ */
+function getCanvasPosition(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+/**
+ * Describes the pointers held down on the canvas as one gesture.
+ * @returns {{x: number, y: number, distance: number}} Their average position, and the distance
+ *     between the first two for a pinch (0 with a single pointer).
+ */
+function describeViewPointers() {
+    const positions = [...viewPointers.values()];
+    const x = positions.reduce((sum, position) => sum + position.x, 0) / positions.length;
+    const y = positions.reduce((sum, position) => sum + position.y, 0) / positions.length;
+    const distance = positions.length > 1
+        ? Math.hypot(positions[1].x - positions[0].x, positions[1].y - positions[0].y)
+        : 0;
+    return { x, y, distance };
+}
+
+/**
+ * Finds the needle position closest to a canvas position among the stitches sewn so far.
+ * @param {number} canvasX - X position on the canvas in pixels.
+ * @param {number} canvasY - Y position on the canvas in pixels.
+ * @returns {{item: Object, pointIndex: number, stitchIndex: number}|null} The stitch within the
+ *     hit radius, with its item and its index in the item and in the design, or null.
+ */
+function findStitchNear(canvasX, canvasY) {
+    if (totalAnimationStitches === 0) {
+        return null;
+    }
+    const currentStitchIndex = getCurrentStitchIndex();
+    let closest = null;
+    let closestDistance = TOOLTIP_HIT_RADIUS_PX;
+    animationItems.forEach((item, itemIndex) => {
+        const firstStitchIndex = itemStartStitchIndices[itemIndex];
+        const sewnPoints = Math.min(item.processedPoints.length, currentStitchIndex - firstStitchIndex + 1);
+        for (let pointIndex = 0; pointIndex < sewnPoints; pointIndex++) {
+            const [x, y] = item.processedPoints[pointIndex];
+            const canvasPoint = transformPoint(x, y, item.xOffset, item.yOffset);
+            const distance = Math.hypot(canvasPoint.x - canvasX, canvasPoint.y - canvasY);
+            if (distance < closestDistance) {
+                closest = { item, pointIndex, stitchIndex: firstStitchIndex + pointIndex };
+                closestDistance = distance;
+            }
+        }
+    });
+    return closest;
+}
+
+/**
+ * Shows the character, segment, stitch index and data coordinates of the stitch under
+ * the mouse next to it, or hides the tooltip if there is none.
+ * @param {{x: number, y: number}} position - The mouse position in canvas pixels.
+ */
+function updateStitchTooltip(position) {
+    const stitch = glyphEditorActive ? null : findStitchNear(position.x, position.y);
+    if (!stitch) {
+        stitchTooltip.hidden = true;
+        return;
+    }
+
+    const { item, pointIndex, stitchIndex } = stitch;
+    const [x, y] = item.processedPoints[pointIndex];
+    const parts = [describeAnimationItem(item)];
+    if (item.segmentIndices) {
+        parts.push(`segment ${item.segmentIndices[pointIndex] + 1}`);
+    }
+    parts.push(`stitch ${stitchIndex + 1} / ${totalAnimationStitches}`);
+    parts.push(`(${(x + item.xOffset).toFixed(2)}, ${(y + item.yOffset).toFixed(2)})`);
+    stitchTooltip.textContent = parts.join(' · ');
+    stitchTooltip.style.left = `${canvas.offsetLeft + position.x + TOOLTIP_OFFSET_PX}px`;
+    stitchTooltip.style.top = `${canvas.offsetTop + position.y + TOOLTIP_OFFSET_PX}px`;
+    stitchTooltip.hidden = false;
+}
+
+canvas.addEventListener('wheel', (event) => {
+    event.preventDefault(); // Zoom the canvas rather than scrolling the page
+    const position = getCanvasPosition(event);
+    const deltaPixels = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY; // Mode 1 scrolls by lines
+    zoomViewAt(position.x, position.y, Math.exp(-deltaPixels * WHEEL_ZOOM_RATE));
+}, { passive: false });
+
+canvas.addEventListener('pointerdown', (event) => {
+    if (glyphEditorActive) {
+        return;
+    }
+    viewPointers.set(event.pointerId, getCanvasPosition(event));
+    canvas.setPointerCapture(event.pointerId);
+    canvas.classList.add('panning');
+    stitchTooltip.hidden = true;
+});
+
+canvas.addEventListener('pointermove', (event) => {
+    const position = getCanvasPosition(event);
+    if (!viewPointers.has(event.pointerId)) {
+        updateStitchTooltip(position);
+        return;
+    }
+    // Move the view with the pointers' average position and, for a pinch, zoom with their spread
+    const before = describeViewPointers();
+    viewPointers.set(event.pointerId, position);
+    const after = describeViewPointers();
+    viewPanX += after.x - before.x;
+    viewPanY += after.y - before.y;
+    zoomViewAt(after.x, after.y, before.distance > 0 && after.distance > 0 ? after.distance / before.distance : 1);
+});
+
+/**
+ * Stops following a pointer that was lifted from the canvas or cancelled.
+ * @param {PointerEvent} event - The pointerup or pointercancel event.
+ */
+function releaseViewPointer(event) {
+    viewPointers.delete(event.pointerId);
+    if (viewPointers.size === 0) {
+        canvas.classList.remove('panning');
+    }
+}
+
+canvas.addEventListener('pointerup', releaseViewPointer);
+canvas.addEventListener('pointercancel', releaseViewPointer);
+canvas.addEventListener('pointerleave', () => {
+    stitchTooltip.hidden = true;
+});
+
+fitViewButton.addEventListener('click', () => {
+    resetView();
+    fitView();
+    redrawCanvasContent();
+});
+
+// --- Event Listeners for Stitch Length Settings ---
+/**
+ * Reads the stitch length inputs into stitchSettings if they make sense together.
+ * Invalid combinations are reported and the previous settings are kept.
+ */
+function updateStitchSettings() {
+    const targetLengthMm = parseFloat(stitchLengthInput.value);
+    const minLengthMm = parseFloat(minStitchLengthInput.value);
+    const maxLengthMm = parseFloat(maxStitchLengthInput.value);
+
+    if (!(minLengthMm > 0 && minLengthMm <= targetLengthMm && targetLengthMm <= maxLengthMm)) {
+        messageDiv.textContent = 'Stitch lengths must be positive, with min ≤ stitch length ≤ max.';
+        return;
+    }
+
+    stitchSettings.targetLengthMm = targetLengthMm;
+    stitchSettings.minLengthMm = minLengthMm;
+    stitchSettings.maxLengthMm = maxLengthMm;
+    selectFont(activeFont.name); // Tatami fills place their needle points by stitch length
+    messageDiv.textContent = `Stitch length ${targetLengthMm} mm (min ${minLengthMm}, max ${maxLengthMm}). Click Stitch to apply.`;
+}
+
+for (const input of [stitchLengthInput, minStitchLengthInput, maxStitchLengthInput]) {
+    input.addEventListener('change', updateStitchSettings);
+}
+
+// --- Event Listeners for Stitch Type Settings ---
+/**
+ * Reads the stitch type inputs into stitchSettings and shows the satin inputs only when
+ * some segments are sewn in satin. Invalid values are reported and the previous settings are kept.
+ */
+function updateStitchTypeSettings() {
+    const satinWidthMm = parseFloat(satinWidthInput.value);
+    const satinSpacingMm = parseFloat(satinSpacingInput.value);
+    const segmentTypes = parseSegmentStitchTypes(segmentStitchTypesInput.value);
+    if (!(satinWidthMm > 0 && satinSpacingMm > 0)) {
+        messageDiv.textContent = 'The satin width and spacing must be positive numbers of mm.';
+        return;
+    }
+    if (!segmentTypes) {
+        messageDiv.textContent = `Write segment stitches as "A satin; O 1-2 bean" using ${STITCH_TYPES.join(', ')}.`;
+        return;
+    }
+
+    stitchSettings.type = stitchTypeSelect.value;
+    stitchSettings.satinWidthMm = satinWidthMm;
+    stitchSettings.satinSpacingMm = satinSpacingMm;
+    stitchSettings.satinUnderlay = satinUnderlayInput.checked;
+    stitchSettings.segmentTypes = segmentTypes;
+    segmentStitchTypesText = segmentStitchTypesInput.value;
+    const usesSatin = stitchSettings.type === 'satin' ||
+        Object.values(segmentTypes).some(rules => rules.some(rule => rule.type === 'satin'));
+    for (const label of document.querySelectorAll('.satin-setting')) {
+        label.hidden = !usesSatin;
+    }
+    messageDiv.textContent = 'Stitch types updated. Click Stitch to apply.';
+}
+
+for (const input of [stitchTypeSelect, satinWidthInput, satinSpacingInput, satinUnderlayInput, segmentStitchTypesInput]) {
+    input.addEventListener('change', updateStitchTypeSettings);
+}
+
+// --- Event Listeners for Sewability Settings ---
+/**
+ * Reads the sewing speed and sewability limits, then refreshes the summary and
+ * highlights of the design on screen. Invalid values are reported and the previous
+ * settings are kept.
+ */
+function updateSewabilitySettings() {
+    const speed = parseFloat(stitchesPerMinuteInput.value);
+    const shortStitchMm = parseFloat(shortStitchInput.value);
+    const longStitchMm = parseFloat(longStitchInput.value);
+    const maxStitchesPerCell = parseInt(stitchDensityInput.value, 10);
+    if (!(speed > 0 && shortStitchMm >= 0 && longStitchMm > shortStitchMm && maxStitchesPerCell > 0)) {
+        messageDiv.textContent = 'The sewing speed and stitch density must be positive, and the machine maximum longer than the shortest stitch.';
+        return;
+    }
+
+    stitchesPerMinute = speed;
+    sewabilityLimits.shortStitchMm = shortStitchMm;
+    sewabilityLimits.longStitchMm = longStitchMm;
+    sewabilityLimits.maxStitchesPerCell = maxStitchesPerCell;
+    if (totalAnimationStitches > 0) {
+        showStitchPlanSummary(animationItems);
+    }
+    redrawCanvasContent();
+}
+
+for (const input of [stitchesPerMinuteInput, shortStitchInput, longStitchInput, stitchDensityInput]) {
+    input.addEventListener('change', updateSewabilitySettings);
+}
+showProblemsInput.addEventListener('change', () => {
+    invalidateStitchLayer();
+    redrawCanvasContent();
+});
+
+// --- Event Listeners for Preview Settings ---
+/**
+ * Reads the preview inputs into previewSettings, shows the fabric inputs only for
+ * the realistic preview and redraws the design.
+ */
+function updatePreviewSettings() {
+    previewSettings.mode = previewModeSelect.value;
+    previewSettings.fabricTexture = fabricTextureSelect.value;
+    previewSettings.fabricColor = fabricColorInput.value;
+    fabricPattern = null;
+    for (const label of document.querySelectorAll('.fabric-setting')) {
+        label.hidden = previewSettings.mode !== 'realistic';
+    }
+    invalidateStitchLayer();
+    redrawCanvasContent();
+}
+
+for (const input of [previewModeSelect, fabricTextureSelect, fabricColorInput]) {
+    input.addEventListener('change', updatePreviewSettings);
+}
+
+// --- Event Listeners for Text Layout Settings ---
+alignmentSelect.addEventListener('change', () => {
+    layoutSettings.alignment = alignmentSelect.value;
+    messageDiv.textContent = `Lines aligned ${alignmentSelect.value}. Click Stitch to apply.`;
+});
+
+lineSpacingInput.addEventListener('change', () => {
+    const lineSpacing = parseFloat(lineSpacingInput.value);
+    if (!(lineSpacing > 0)) {
+        messageDiv.textContent = 'Line spacing must be a positive number.';
+        return;
+    }
+    layoutSettings.lineSpacing = lineSpacing;
+    messageDiv.textContent = `Line spacing ${lineSpacing}. Click Stitch to apply.`;
+});
+
+letterHeightInput.addEventListener('change', () => {
+    const letterHeightMm = parseFloat(letterHeightInput.value);
+    if (!(letterHeightMm > 0)) {
+        messageDiv.textContent = 'The letter height must be a positive number of mm.';
+        return;
+    }
+    layoutSettings.letterHeightMm = letterHeightMm;
+    selectFont(activeFont.name); // Fill rows are spaced for the letter height
+    messageDiv.textContent = `Letters ${letterHeightMm} mm high. Click Stitch to apply.`;
+});
+
+// --- Event Listeners for Hoop Settings ---
+/**
+ * Fills the hoop selector from HOOP_SIZES, followed by a custom size.
+ */
+function renderHoopOptions() {
+    hoopSelect.replaceChildren();
+    HOOP_SIZES.forEach((hoop, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${hoop.widthMm} × ${hoop.heightMm} mm`;
+        option.selected = hoop.widthMm === hoopSettings.widthMm && hoop.heightMm === hoopSettings.heightMm;
+        hoopSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom';
+    hoopSelect.appendChild(customOption);
+}
+
+/**
+ * Reads the hoop inputs into hoopSettings if they are valid, shows the size inputs only
+ * for a custom hoop and redraws the canvas for the new hoop. Invalid values are reported
+ * and the previous settings are kept.
+ */
+function updateHoopSettings() {
+    const isCustom = hoopSelect.value === 'custom';
+    for (const label of document.querySelectorAll('.hoop-custom-setting')) {
+        label.hidden = !isCustom;
+    }
+
+    const hoop = isCustom
+        ? { widthMm: parseFloat(hoopWidthInput.value), heightMm: parseFloat(hoopHeightInput.value) }
+        : HOOP_SIZES[parseInt(hoopSelect.value, 10)];
+    const minLetterHeightMm = parseFloat(minLetterHeightInput.value);
+    if (!(hoop.widthMm > 0 && hoop.heightMm > 0)) {
+        messageDiv.textContent = 'The hoop needs a positive width and height in mm.';
+        return;
+    }
+    if (!(minLetterHeightMm > 0)) {
+        messageDiv.textContent = 'The minimum letter height must be a positive number of mm.';
+        return;
+    }
+
+    hoopSettings.widthMm = hoop.widthMm;
+    hoopSettings.heightMm = hoop.heightMm;
+    hoopSettings.autoShrink = autoShrinkInput.checked;
+    hoopSettings.minLetterHeightMm = minLetterHeightMm;
+    if (!isCustom) {
+        hoopWidthInput.value = hoop.widthMm;
+        hoopHeightInput.value = hoop.heightMm;
+    }
+    updateCanvasDimensions();
+    const fitNote = fitsHoop(designBounds) ? '' : ' The current design does not fit it.';
+    messageDiv.textContent = `Hoop ${hoop.widthMm} × ${hoop.heightMm} mm.${fitNote} Click Stitch to apply.`;
+}
+
+for (const input of [hoopSelect, hoopWidthInput, hoopHeightInput, autoShrinkInput, minLetterHeightInput]) {
+    input.addEventListener('change', updateHoopSettings);
+}
+
+// --- Event Listeners for Baseline Settings ---
+/**
+ * Reads the baseline inputs into baselineSettings if they are valid, and shows only
+ * the inputs that apply to the chosen baseline. Invalid values are reported and the
+ * previous settings are kept.
+ */
+function updateBaselineSettings() {
+    const mode = baselineSelect.value;
+    for (const label of document.querySelectorAll('.arc-setting')) {
+        label.hidden = mode !== 'arc';
+    }
+    for (const label of document.querySelectorAll('.polyline-setting')) {
+        label.hidden = mode !== 'polyline';
+    }
+
+    const radiusMm = parseFloat(arcRadiusInput.value);
+    const startAngleDegrees = parseFloat(arcStartAngleInput.value);
+    const polylineMm = parseBaselinePoints(polylineInput.value);
+    if (mode === 'arc' && !(radiusMm > 0 && Number.isFinite(startAngleDegrees))) {
+        messageDiv.textContent = 'The arc needs a positive radius and a start angle in degrees.';
+        return;
+    }
+    if (mode === 'polyline' && !polylineMm) {
+        messageDiv.textContent = 'Enter at least two different baseline points as "x,y x,y ..." in mm.';
+        return;
+    }
+
+    baselineSettings.mode = mode;
+    if (mode === 'arc') {
+        baselineSettings.radiusMm = radiusMm;
+        baselineSettings.startAngleDegrees = startAngleDegrees;
+        baselineSettings.orientation = arcOrientationSelect.value;
+    } else if (mode === 'polyline') {
+        baselineSettings.polylineMm = polylineMm;
+    }
+    messageDiv.textContent = `Text follows a ${mode} baseline. Click Stitch to apply.`;
+}
+
+for (const input of [baselineSelect, arcRadiusInput, arcStartAngleInput, arcOrientationSelect, polylineInput]) {
+    input.addEventListener('change', updateBaselineSettings);
+}
+
+// --- Event Listeners for Transform Settings ---
+/**
+ * Reads the rotation, mirror, slant and weight inputs into transformSettings.
+ * Invalid values are reported and the previous settings are kept.
+ */
+function updateTransformSettings() {
+    const rotationDegrees = parseFloat(rotationInput.value);
+    const characterRotationDegrees = parseFloat(characterRotationInput.value);
+    const slantDegrees = parseFloat(slantInput.value);
+    if (!Number.isFinite(rotationDegrees) || !Number.isFinite(characterRotationDegrees)) {
+        messageDiv.textContent = 'Rotations must be numbers of degrees.';
+        return;
+    }
+    if (!(Math.abs(slantDegrees) <= MAX_SLANT_DEGREES)) {
+        messageDiv.textContent = `The slant must be between -${MAX_SLANT_DEGREES}° and ${MAX_SLANT_DEGREES}°.`;
+        return;
+    }
+
+    transformSettings.rotationDegrees = rotationDegrees;
+    transformSettings.mirrorHorizontal = mirrorHorizontalInput.checked;
+    transformSettings.mirrorVertical = mirrorVerticalInput.checked;
+    transformSettings.characterRotationDegrees = characterRotationDegrees;
+    transformSettings.characterMirrorHorizontal = characterMirrorHorizontalInput.checked;
+    transformSettings.characterMirrorVertical = characterMirrorVerticalInput.checked;
+    transformSettings.slantDegrees = slantDegrees;
+    transformSettings.passes = parseInt(passesSelect.value, 10);
+    messageDiv.textContent = 'Rotation, mirroring, slant and weight updated. Click Stitch to apply.';
+}
+
+for (const input of [rotationInput, mirrorHorizontalInput, mirrorVerticalInput, characterRotationInput,
+    characterMirrorHorizontalInput, characterMirrorVerticalInput, slantInput, passesSelect]) {
+    input.addEventListener('change', updateTransformSettings);
+}
+
+// --- Event Listeners for Fill Settings ---
+/**
+ * Reads the fill inputs into fillSettings and regenerates the active font's outline glyphs.
+ * Invalid values are reported and the previous settings are kept.
+ */
+function updateFillSettings() {
+    const angleDegrees = parseFloat(fillAngleInput.value);
+    const spacingMm = parseFloat(fillSpacingInput.value);
+    if (!Number.isFinite(angleDegrees) || !(spacingMm > 0)) {
+        messageDiv.textContent = 'The fill needs an angle in degrees and a positive row spacing.';
+        return;
+    }
+
+    fillSettings.style = fillStyleSelect.value;
+    fillSettings.angleDegrees = angleDegrees;
+    fillSettings.spacingMm = spacingMm;
+    fillSettings.startCorner = fillStartSelect.value;
+    selectFont(activeFont.name);
+    messageDiv.textContent = `${fillStyleSelect.value} fill at ${angleDegrees}°, rows ${spacingMm} mm apart. Click Stitch to apply.`;
+}
+
+for (const input of [fillStyleSelect, fillAngleInput, fillSpacingInput, fillStartSelect]) {
+    input.addEventListener('change', updateFillSettings);
+}
+
+// --- Event Listeners for Thread Settings ---
+/**
+ * Fills the thread selector from THREAD_PALETTE.
+ */
+function renderThreadOptions() {
+    threadSelect.replaceChildren();
+    THREAD_PALETTE.forEach((thread, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = thread.name;
+        option.selected = index === threadSettings.defaultThread;
+        threadSelect.appendChild(option);
+    });
+}
+
+threadSelect.addEventListener('change', () => {
+    threadSettings.defaultThread = parseInt(threadSelect.value, 10);
+    messageDiv.textContent = `Default thread ${THREAD_PALETTE[threadSettings.defaultThread].name}. Click Stitch to apply.`;
+});
+
+segmentColorsInput.addEventListener('change', () => {
+    const segmentRules = parseSegmentColorRules(segmentColorsInput.value);
+    if (!segmentRules) {
+        messageDiv.textContent = 'Write segment colours as "A 1-9 Gold; O 5 Red" using thread names from the list.';
+        return;
+    }
+    threadSettings.segmentRules = segmentRules;
+    segmentColorsText = segmentColorsInput.value;
+    messageDiv.textContent = 'Segment colours updated. Click Stitch to apply.';
+});
+
+// --- Recording ---
+// The stitching animation can be saved as a WebM video or an animated GIF to show a design
+// before it is sewn. Frames are drawn on an offscreen canvas of the chosen size, as fast as
+// they can be encoded rather than in real time: each frame shows the stitches sewn by its
+// time at the current playback speed, in the current preview mode, and the finished design
+// is held at the end. Travel lines and sewability highlights are left out.
+const RECORDING_MARGIN_FRACTION = 0.08; // Space left around the design, as a fraction of the smaller frame side
+const RECORDING_VIDEO_BITS_PER_PIXEL = 4; // Video bitrate per pixel of a frame, per second
+const RECORDING_KEY_FRAME_SECONDS = 2; // Longest time between video key frames, so the video can be seeked
+const RECORDING_QUEUE_FRAMES = 8; // Frames waiting for the video encoder before drawing pauses
+const RECORDING_MAX_FRAME_RATE = 60;
+
+const recordingSettings = { format: 'webm', width: 1280, height: 720, frameRate: 30, background: '#ffffff', holdSeconds: 2 };
+let activeRecording = null; // {cancelled} of the recording being made, or null
+
+/**
+ * Works out how long the animation waits after a stitch before showing the next one,
+ * so long stitches take longer than short ones and the needle moves at a steady speed.
+ * @param {Array<Array<number>>} points - The stitches of an item.
+ * @param {number} index - Index of the stitch in points.
+ * @returns {number} The wait in milliseconds.
+ */
+function getStitchIntervalMs(points, index) {
+    if (index + 1 >= points.length) {
+        return ANIMATION_INTERVAL_MS / playbackSpeed;
+    }
+    const from = points[index];
+    const to = points[index + 1];
+    const lengthMm = Math.hypot(to[0] - from[0], to[1] - from[1]) * DATA_UNIT_MM;
+    return Math.max(ANIMATION_INTERVAL_MS / playbackSpeed, lengthMm / (ANIMATION_SPEED_MM_PER_SECOND * playbackSpeed) * 1000);
+}
+
+/**
+ * Works out when each stitch of a design appears in the animation.
+ * @param {Array<Object>} items - The items in stitching order.
+ * @returns {Float64Array} The time of every stitch across the design, in milliseconds from the first.
+ */
+function getStitchTimesMs(items) {
+    const times = new Float64Array(items.reduce((total, item) => total + item.processedPoints.length, 0));
+    let stitchIndex = 0;
+    let timeMs = 0;
+    for (const item of items) {
+        item.processedPoints.forEach((point, index) => {
+            times[stitchIndex++] = timeMs;
+            timeMs += getStitchIntervalMs(item.processedPoints, index);
+        });
+    }
+    return times;
+}
+
+/**
+ * Runs a drawing function with the view fitted to a recording frame instead of the page canvas.
+ * transformPoint() and the drawing functions read the view from the globals, so they are swapped
+ * for the duration of the call.
+ * @param {{width: number, height: number}} frame - Size of the frame in pixels.
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}} bounds - The design's extent, as from measureItems().
+ * @param {function()} draw - Draws on the frame.
+ */
+function drawInRecordingView(frame, bounds, draw) {
+    const pageView = [currentCanvasWidth, currentCanvasHeight, pixelsPerDataUnit, centerXOffsetPixels, centerYOffsetPixels];
+    try {
+        const margin = Math.min(frame.width, frame.height) * RECORDING_MARGIN_FRACTION;
+        currentCanvasWidth = frame.width;
+        currentCanvasHeight = frame.height;
+        pixelsPerDataUnit = Math.min(
+            (frame.width - 2 * margin) / Math.max(bounds.maxX - bounds.minX, 1e-6),
+            (frame.height - 2 * margin) / Math.max(bounds.maxY - bounds.minY, 1e-6));
+        centerXOffsetPixels = frame.width / 2 - ((bounds.minX + bounds.maxX) / 2 - X_MIN) * pixelsPerDataUnit;
+        centerYOffsetPixels = frame.height / 2 - ((bounds.minY + bounds.maxY) / 2 - Y_MIN) * pixelsPerDataUnit;
+        draw();
+    } finally {
+        [currentCanvasWidth, currentCanvasHeight, pixelsPerDataUnit, centerXOffsetPixels, centerYOffsetPixels] = pageView;
+    }
+}
+
+/**
+ * Sets up the frames of a recording: an offscreen canvas that shows the background and then
+ * gains stitches as the recording moves through the animation.
+ * @param {Array<Object>} items - The items of the design in stitching order.
+ * @param {Object} settings - Recording settings, as recordingSettings.
+ * @returns {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D, frameCount: number,
+ *     frameDurationMs: number, durationMs: number, drawFrame: function(number): boolean}} The canvas, how many
+ *     frames the recording has and how long each is shown, and a function that brings the canvas up to a
+ *     frame, returning false if nothing changed since the previous one.
+ */
+function createRecordingFrames(items, settings) {
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = settings.width;
+    frameCanvas.height = settings.height;
+    const context = frameCanvas.getContext('2d');
+    context.fillStyle = settings.background;
+    context.fillRect(0, 0, settings.width, settings.height);
+
+    const bounds = measureItems(items) || { minX: 0, maxX: 1, minY: 0, maxY: 1 };
+    const stitchTimesMs = getStitchTimesMs(items);
+    const frameDurationMs = 1000 / settings.frameRate;
+    const durationMs = stitchTimesMs[stitchTimesMs.length - 1] + frameDurationMs + settings.holdSeconds * 1000;
+    let itemIndex = 0;
+    let itemStart = 0; // Index across the design of the first stitch of items[itemIndex]
+    let stitchesDrawn = 0;
+
+    const drawFrame = (frameIndex) => {
+        // Every stitch that appears by the end of the frame is shown
+        let stitchesShown = stitchesDrawn;
+        while (stitchesShown < stitchTimesMs.length && stitchTimesMs[stitchesShown] < (frameIndex + 1) * frameDurationMs) {
+            stitchesShown++;
+        }
+        if (stitchesShown === stitchesDrawn) {
+            return false;
+        }
+        drawInRecordingView(settings, bounds, () => {
+            while (stitchesDrawn < stitchesShown) {
+                const item = items[itemIndex];
+                const itemEnd = itemStart + item.processedPoints.length;
+                // Start from the last stitch already drawn so the thread continues from it
+                const from = Math.max(0, stitchesDrawn - itemStart - 1);
+                const to = Math.min(itemEnd, stitchesShown) - itemStart;
+                drawStitches(context, item.processedPoints.slice(from, to), item.xOffset, item.yOffset, item.thread);
+                stitchesDrawn = itemStart + to;
+                if (stitchesDrawn === itemEnd) {
+                    itemIndex++;
+                    itemStart = itemEnd;
+                }
+            }
+        });
+        return true;
+    };
+
+    return {
+        canvas: frameCanvas,
+        context: context,
+        frameCount: Math.ceil(durationMs / frameDurationMs),
+        frameDurationMs: frameDurationMs,
+        durationMs: durationMs,
+        drawFrame: drawFrame
+    };
+}
+
+/**
+ * Waits for the browser to update the page, so it stays responsive while a recording is made.
+ * @returns {Promise<void>} Resolves once the page has had a turn.
+ */
+function yieldToPage() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Shows how far a recording has got.
+ * @param {string} name - What is being recorded.
+ * @param {number} frameIndex - Index of the frame being drawn.
+ * @param {number} frameCount - Frames in the recording.
+ */
+function showRecordingProgress(name, frameIndex, frameCount) {
+    messageDiv.textContent = `Recording ${name}: frame ${frameIndex + 1} / ${frameCount} ` +
+        `(${Math.round((frameIndex + 1) / frameCount * 100)}%)`;
+}
+
+/**
+ * Records frames as an animated GIF.
+ * @param {Object} frames - The recording's frames, from createRecordingFrames().
+ * @param {Array<Object>} items - The items of the design, whose threads are given exact colours.
+ * @param {Object} recording - The active recording, checked for cancellation.
+ * @param {string} name - What is being recorded, for progress messages.
+ * @returns {Promise<Uint8Array|null>} The GIF file, or null if the recording was cancelled.
+ */
+async function recordGif(frames, items, recording, name) {
+    const threadColors = items.map(item => THREAD_PALETTE[item.thread].color);
+    const palette = buildGifPalette([recordingSettings.background, ...threadColors]);
+    const encoder = createGifEncoder(frames.canvas.width, frames.canvas.height, palette);
+    for (let frameIndex = 0; frameIndex < frames.frameCount; frameIndex++) {
+        if (frames.drawFrame(frameIndex) || frameIndex === 0) {
+            const image = frames.context.getImageData(0, 0, frames.canvas.width, frames.canvas.height);
+            encoder.addFrame(image.data, frames.frameDurationMs);
+        } else {
+            encoder.holdFrame(frames.frameDurationMs);
+        }
+        showRecordingProgress(name, frameIndex, frames.frameCount);
+        await yieldToPage();
+        if (recording.cancelled) {
+            return null;
+        }
+    }
+    return encoder.finish();
+}
+
+/**
+ * Records frames as a WebM video with the browser's VP8 encoder (WebCodecs), which takes
+ * the frames as fast as they are drawn. Browsers without it capture the canvas with a
+ * MediaRecorder instead, which has to be given the frames in real time.
+ * @param {Object} frames - The recording's frames, from createRecordingFrames().
+ * @param {Object} recording - The active recording, checked for cancellation.
+ * @param {string} name - What is being recorded, for progress messages.
+ * @returns {Promise<Uint8Array|Blob|null>} The WebM file, or null if the recording was cancelled.
+ * @throws {Error} If the browser can't record video.
+ */
+async function recordWebm(frames, recording, name) {
+    if (typeof VideoEncoder === 'undefined') {
+        return recordWebmInRealTime(frames, recording, name);
+    }
+
+    const encodedFrames = [];
+    let encoderError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            encodedFrames.push({ data, timestampMs: chunk.timestamp / 1000, keyFrame: chunk.type === 'key' });
+        },
+        error: (error) => {
+            encoderError = error;
+        }
+    });
+    const config = {
+        codec: 'vp8',
+        width: frames.canvas.width,
+        height: frames.canvas.height,
+        bitrate: frames.canvas.width * frames.canvas.height * RECORDING_VIDEO_BITS_PER_PIXEL,
+        framerate: recordingSettings.frameRate
+    };
+    encoder.configure(config);
+
+    const keyFrameInterval = Math.max(1, Math.round(recordingSettings.frameRate * RECORDING_KEY_FRAME_SECONDS));
+    try {
+        for (let frameIndex = 0; frameIndex < frames.frameCount; frameIndex++) {
+            frames.drawFrame(frameIndex);
+            const videoFrame = new VideoFrame(frames.canvas, {
+                timestamp: Math.round(frameIndex * frames.frameDurationMs * 1000), // In microseconds
+                duration: Math.round(frames.frameDurationMs * 1000)
+            });
+            encoder.encode(videoFrame, { keyFrame: frameIndex % keyFrameInterval === 0 });
+            videoFrame.close();
+            showRecordingProgress(name, frameIndex, frames.frameCount);
+            do {
+                await yieldToPage();
+            } while (encoder.encodeQueueSize > RECORDING_QUEUE_FRAMES && !encoderError);
+            if (encoderError) {
+                throw encoderError;
+            }
+            if (recording.cancelled) {
+                return null;
+            }
+        }
+        await encoder.flush();
+    } finally {
+        if (encoder.state !== 'closed') {
+            encoder.close();
+        }
+    }
+    return buildWebmFile(encodedFrames, { ...config, durationMs: frames.durationMs });
+}
+
+/**
+ * Records frames as a WebM video by capturing the canvas with a MediaRecorder, one frame
+ * every frame duration, for browsers without the WebCodecs video encoder.
+ * @param {Object} frames - The recording's frames, from createRecordingFrames().
+ * @param {Object} recording - The active recording, checked for cancellation.
+ * @param {string} name - What is being recorded, for progress messages.
+ * @returns {Promise<Blob|null>} The WebM file, or null if the recording was cancelled.
+ * @throws {Error} If the browser can't record video.
+ */
+async function recordWebmInRealTime(frames, recording, name) {
+    if (typeof MediaRecorder === 'undefined' || !frames.canvas.captureStream || !MediaRecorder.isTypeSupported('video/webm')) {
+        throw new Error('This browser can\'t record WebM video. Record an animated GIF instead.');
+    }
+    const stream = frames.canvas.captureStream(0); // Frames are only captured when requested
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+    const parts = [];
+    recorder.ondataavailable = (event) => parts.push(event.data);
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+
+    recorder.start();
+    for (let frameIndex = 0; frameIndex < frames.frameCount && !recording.cancelled; frameIndex++) {
+        frames.drawFrame(frameIndex);
+        track.requestFrame();
+        showRecordingProgress(`${name} in real time`, frameIndex, frames.frameCount);
+        await new Promise(resolve => setTimeout(resolve, frames.frameDurationMs));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return recording.cancelled ? null : new Blob(parts, { type: 'video/webm' });
+}
+
+/**
+ * Records the current design's stitching animation in the chosen format and offers it as a download.
+ * @param {Array<Object>} items - The items of the design in stitching order.
+ * @param {string} name - The design's text or file name, used for the file name.
+ */
+async function recordAnimation(items, name) {
+    const recording = { cancelled: false };
+    activeRecording = recording;
+    recordButton.textContent = 'Cancel Recording';
+    const settings = { ...recordingSettings };
+    try {
+        const frames = createRecordingFrames(items, settings);
+        const label = name.replace(/\n/g, ' ');
+        const file = settings.format === 'gif'
+            ? await recordGif(frames, items, recording, label)
+            : await recordWebm(frames, recording, label);
+        if (!file) {
+            messageDiv.textContent = 'Recording cancelled.';
+            return;
+        }
+        const mimeType = settings.format === 'gif' ? 'image/gif' : 'video/webm';
+        downloadFile(file, `${designFileBaseName(name)}.${settings.format}`, mimeType);
+        messageDiv.textContent = `Recorded ${label}: ${frames.frameCount} frames, ` +
+            `${(frames.durationMs / 1000).toFixed(1)} s at ${settings.width} × ${settings.height}.`;
+    } catch (error) {
+        messageDiv.textContent = `Could not record ${name}: ${error.message}`;
+    } finally {
+        activeRecording = null;
+        recordButton.textContent = 'Record';
+    }
+}
+
+// --- Event Listeners for Recording ---
+/**
+ * Reads the recording inputs into recordingSettings. Invalid values are reported and the
+ * previous settings are kept.
+ */
+function updateRecordingSettings() {
+    const [width, height] = recordSizeSelect.value.split('x').map(Number);
+    const frameRate = parseFloat(recordFrameRateInput.value);
+    const holdSeconds = parseFloat(recordHoldInput.value);
+    const format = recordFormatSelect.value;
+    const maxFrameRate = format === 'gif' ? 1000 / GIF_MIN_DELAY_MS : RECORDING_MAX_FRAME_RATE;
+    if (!Number.isInteger(frameRate) || frameRate < 1 || frameRate > maxFrameRate) {
+        messageDiv.textContent = `The frame rate must be a whole number from 1 to ${maxFrameRate} fps` +
+            `${format === 'gif' ? ' for a GIF' : ''}.`;
+        return;
+    }
+    if (!(width > 0 && height > 0)) {
+        messageDiv.textContent = 'Choose a video size from the list.';
+        return;
+    }
+    if (!(holdSeconds >= 0)) {
+        messageDiv.textContent = 'The hold time must be 0 seconds or more.';
+        return;
+    }
+
+    recordingSettings.format = format;
+    recordingSettings.width = width;
+    recordingSettings.height = height;
+    recordingSettings.frameRate = frameRate;
+    recordingSettings.background = recordBackgroundInput.value;
+    recordingSettings.holdSeconds = holdSeconds;
+    messageDiv.textContent = `Recording ${format === 'gif' ? 'an animated GIF' : 'a WebM video'} at ${width} × ${height}, ` +
+        `${frameRate} fps, holding the finished design for ${holdSeconds} s.`;
+}
+
+for (const input of [recordFormatSelect, recordSizeSelect, recordFrameRateInput, recordBackgroundInput, recordHoldInput]) {
+    input.addEventListener('change', updateRecordingSettings);
+}
+
+recordButton.addEventListener('click', () => {
+    if (activeRecording) {
+        activeRecording.cancelled = true;
+        return;
+    }
+    if (glyphEditorActive || animationItems.length === 0) {
+        messageDiv.textContent = 'Stitch a design first, then record it.';
+        return;
+    }
+    recordAnimation(animationItems, wordToAnimate);
+});
+
+// --- Projects ---
+// A project holds the text and every setting needed to stitch it again (see readProject() in
+// stitch-engine.js). The current project is autosaved to localStorage and kept in the URL hash,
+// so reloading or sharing the link opens the same design, and each change is recorded for undo.
+const PROJECT_STORAGE_KEY = 'turtleStitch.project';
+const AUTOSAVE_UNAVAILABLE_MESSAGE = 'Autosave is unavailable; use Save Project to keep your work.';
+const PROJECT_HASH_PREFIX = '#project=';
+const MAX_UNDO_STEPS = 100;
+
+let projectHistory = []; // Serialised projects, oldest first
+let projectHistoryIndex = -1; // Position of the project on screen in projectHistory
+let applyingProject = false; // True while a project's values are being fed through the inputs
+
+/**
+ * Gathers the text, font and settings on the page into project data.
+ * @returns {Object} Project data in the Turtle Stitch project format.
+ */
+function buildProjectData() {
+    const project = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_FORMAT_VERSION,
+        text: textInput.value,
+        font: activeFont.name
+    };
+    if (activeFont.name !== DEFAULT_FONT_DATA.name) {
+        const fontData = loadUserFontData().find(stored => stored.name === activeFont.name);
+        if (fontData) {
+            project.fontData = fontData;
+        }
+    }
+    project.customGlyphs = loadCustomGlyphs();
+    project.fallbackFont = fallbackFont;
+    project.settings = {
+        stitch: { ...stitchSettings, segmentTypes: segmentStitchTypesText },
+        fill: { ...fillSettings },
+        layout: { ...layoutSettings },
+        baseline: { ...baselineSettings },
+        hoop: { ...hoopSettings },
+        transform: { ...transformSettings },
+        threads: { defaultThread: THREAD_PALETTE[threadSettings.defaultThread].name, segmentColors: segmentColorsText },
+        optimizeTravel: optimizeTravelInput.checked
+    };
+    project.sewability = { ...sewabilityLimits, stitchesPerMinute };
+    project.view = { ...previewSettings, highlightProblems: showProblemsInput.checked, recording: { ...recordingSettings } };
+    return project;
+}
+
+/**
+ * Shows a project on the page by setting every input and running its change handlers,
+ * which validate the values and update the settings objects as if they had been typed.
+ * @param {Object} project - A project returned by readProject().
+ */
+function applyProject(project) {
+    applyingProject = true;
+    try {
+        if (project.fontData) {
+            registerFont(loadFont(project.fontData));
+            storeUserFontData(project.fontData);
+        }
+        storeCustomGlyphs(project.customGlyphs, project.font);
+        if (registeredFonts.has(project.font)) {
+            changeFont(project.font);
+        }
+
+        const { stitch, fill, layout, baseline, hoop, transform, threads, optimizeTravel } = project.settings;
+        textInput.value = project.text;
+        fallbackFontInput.value = project.fallbackFont;
+        alignmentSelect.value = layout.alignment;
+        lineSpacingInput.value = layout.lineSpacing;
+        letterHeightInput.value = layout.letterHeightMm;
+        stitchLengthInput.value = stitch.targetLengthMm;
+        minStitchLengthInput.value = stitch.minLengthMm;
+        maxStitchLengthInput.value = stitch.maxLengthMm;
+        stitchTypeSelect.value = stitch.type;
+        satinWidthInput.value = stitch.satinWidthMm;
+        satinSpacingInput.value = stitch.satinSpacingMm;
+        satinUnderlayInput.checked = stitch.satinUnderlay;
+        segmentStitchTypesInput.value = project.segmentStitchTypes;
+        if (optimizeTravel !== undefined) {
+            optimizeTravelInput.checked = optimizeTravel;
+        }
+
+        const hoopIndex = HOOP_SIZES.findIndex(size => size.widthMm === hoop.widthMm && size.heightMm === hoop.heightMm);
+        hoopSelect.value = hoopIndex === -1 ? 'custom' : String(hoopIndex);
+        hoopWidthInput.value = hoop.widthMm;
+        hoopHeightInput.value = hoop.heightMm;
+        autoShrinkInput.checked = hoop.autoShrink;
+        minLetterHeightInput.value = hoop.minLetterHeightMm;
+
+        stitchesPerMinuteInput.value = project.sewability.stitchesPerMinute;
+        shortStitchInput.value = project.sewability.shortStitchMm;
+        longStitchInput.value = project.sewability.longStitchMm;
+        stitchDensityInput.value = project.sewability.maxStitchesPerCell;
+        showProblemsInput.checked = project.view.highlightProblems !== false;
+        previewModeSelect.value = project.view.mode || previewSettings.mode;
+        fabricTextureSelect.value = project.view.fabricTexture || previewSettings.fabricTexture;
+        fabricColorInput.value = project.view.fabricColor || previewSettings.fabricColor;
+        const recording = project.view.recording || {};
+        recordFormatSelect.value = recording.format || recordingSettings.format;
+        recordSizeSelect.value = `${recording.width || recordingSettings.width}x${recording.height || recordingSettings.height}`;
+        recordFrameRateInput.value = recording.frameRate || recordingSettings.frameRate;
+        recordBackgroundInput.value = recording.background || recordingSettings.background;
+        recordHoldInput.value = recording.holdSeconds !== undefined ? recording.holdSeconds : recordingSettings.holdSeconds;
+
+        fillStyleSelect.value = fill.style;
+        fillAngleInput.value = fill.angleDegrees;
+        fillSpacingInput.value = fill.spacingMm;
+        fillStartSelect.value = fill.startCorner;
+        threadSelect.value = String(threads.defaultThread);
+        segmentColorsInput.value = project.segmentColors;
+        baselineSelect.value = baseline.mode;
+        arcRadiusInput.value = baseline.radiusMm;
+        arcStartAngleInput.value = baseline.startAngleDegrees;
+        arcOrientationSelect.value = baseline.orientation;
+        polylineInput.value = baseline.polylineMm.map(point => point.join(',')).join(' ');
+        rotationInput.value = transform.rotationDegrees;
+        mirrorHorizontalInput.checked = transform.mirrorHorizontal;
+        mirrorVerticalInput.checked = transform.mirrorVertical;
+        characterRotationInput.value = transform.characterRotationDegrees;
+        characterMirrorHorizontalInput.checked = transform.characterMirrorHorizontal;
+        characterMirrorVerticalInput.checked = transform.characterMirrorVertical;
+        slantInput.value = transform.slantDegrees;
+        passesSelect.value = String(transform.passes);
+
+        // One input of each group is enough, as each handler reads all the inputs of its group
+        for (const input of [alignmentSelect, lineSpacingInput, letterHeightInput, stitchLengthInput, stitchTypeSelect, hoopSelect,
+            stitchesPerMinuteInput, showProblemsInput, previewModeSelect, fillStyleSelect, threadSelect,
+            segmentColorsInput, baselineSelect, rotationInput, fallbackFontInput, recordFormatSelect]) {
+            input.dispatchEvent(new Event('change'));
+        }
+    } finally {
+        applyingProject = false;
+    }
+}
+
+/**
+ * Encodes serialised project data for the URL hash as base64url of its UTF-8 bytes.
+ * @param {string} serialized - Project data as JSON.
+ * @returns {string} Text that is safe in a URL.
+ */
+function encodeProjectForUrl(serialized) {
+    let binary = '';
+    for (const byte of new TextEncoder().encode(serialized)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Reverses encodeProjectForUrl().
+ * @param {string} encoded - Project data from the URL hash.
+ * @returns {string} Project data as JSON.
+ */
+function decodeProjectFromUrl(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Autosaves a project to localStorage and puts it in the URL hash.
+ * If the browser won't store it (storage full or blocked), the message says so;
+ * the project is still kept in the URL.
+ * @param {string} serialized - Project data as JSON.
+ */
+function storeProjectState(serialized) {
+    try {
+        localStorage.setItem(PROJECT_STORAGE_KEY, serialized);
+    } catch (error) {
+        if (!messageDiv.textContent.endsWith(AUTOSAVE_UNAVAILABLE_MESSAGE)) {
+            messageDiv.textContent = `${messageDiv.textContent} ${AUTOSAVE_UNAVAILABLE_MESSAGE}`.trim();
+        }
+    }
+    history.replaceState(null, '', PROJECT_HASH_PREFIX + encodeProjectForUrl(serialized));
+}
+
+/**
+ * Enables the undo and redo buttons when there is a step to take.
+ */
+function updateUndoButtons() {
+    undoButton.disabled = projectHistoryIndex <= 0;
+    redoButton.disabled = projectHistoryIndex >= projectHistory.length - 1;
+}
+
+/**
+ * Records the project on the page as a new undo step, dropping any steps that were undone,
+ * and autosaves it. Nothing is recorded if the project has not changed.
+ */
+function recordProjectState() {
+    if (applyingProject) {
+        return;
+    }
+    const serialized = JSON.stringify(buildProjectData());
+    if (serialized === projectHistory[projectHistoryIndex]) {
+        return;
+    }
+    projectHistory = projectHistory.slice(0, projectHistoryIndex + 1);
+    projectHistory.push(serialized);
+    if (projectHistory.length > MAX_UNDO_STEPS) {
+        projectHistory.shift();
+    }
+    projectHistoryIndex = projectHistory.length - 1;
+    storeProjectState(serialized);
+    updateUndoButtons();
+}
+
+/**
+ * Goes back or forward through the recorded projects.
+ * @param {number} delta - -1 to undo, 1 to redo.
+ */
+function stepProjectHistory(delta) {
+    const index = projectHistoryIndex + delta;
+    if (index < 0 || index >= projectHistory.length) {
+        return;
+    }
+    projectHistoryIndex = index;
+    applyProject(readProject(JSON.parse(projectHistory[index])));
+    storeProjectState(projectHistory[index]);
+    updateUndoButtons();
+    messageDiv.textContent = `${delta < 0 ? 'Undone' : 'Redone'}. Click Stitch to apply.`;
+}
+
+/**
+ * Opens project data, records it for undo and starts stitching its text.
+ * @param {string} serialized - Project data as JSON.
+ * @param {string} source - Where the project came from, for error messages.
+ * @returns {boolean} True if the project was opened.
+ */
+function openProject(serialized, source) {
+    let project;
+    try {
+        project = readProject(JSON.parse(serialized));
+    } catch (error) {
+        messageDiv.textContent = `Could not open the project from ${source}: ${error.message}`;
+        return false;
+    }
+    applyProject(project);
+    recordProjectState();
+    messageDiv.textContent = `Opened the project from ${source}.`;
+    if (project.text.trim()) {
+        animateButton.click();
+    }
+    return true;
+}
+
+/**
+ * Opens the project in the URL hash, or else the autosaved one. Either way, the project on
+ * the page becomes the first undo step.
+ */
+function restoreProject() {
+    if (location.hash.startsWith(PROJECT_HASH_PREFIX)) {
+        let serialized = null;
+        try {
+            serialized = decodeProjectFromUrl(location.hash.slice(PROJECT_HASH_PREFIX.length));
+        } catch (error) {
+            messageDiv.textContent = 'The project in the link is damaged.';
+        }
+        if (serialized !== null && openProject(serialized, 'the link')) {
+            return;
+        }
+    } else {
+        const serialized = localStorage.getItem(PROJECT_STORAGE_KEY);
+        if (serialized && openProject(serialized, 'the last session')) {
+            return;
+        }
+    }
+    recordProjectState();
+}
+
+// --- Event Listeners for Projects ---
+// Every input's change bubbles up here after its own handler has applied it
+document.addEventListener('change', () => recordProjectState());
+
+undoButton.addEventListener('click', () => stepProjectHistory(-1));
+redoButton.addEventListener('click', () => stepProjectHistory(1));
+
+document.addEventListener('keydown', (event) => {
+    const key = event.key.toLowerCase();
+    if (!(event.ctrlKey || event.metaKey) || (key !== 'z' && key !== 'y')) {
+        return;
+    }
+    // Text fields keep their own undo
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+        return;
+    }
+    event.preventDefault();
+    stepProjectHistory(key === 'y' || event.shiftKey ? 1 : -1);
+});
+
+saveProjectButton.addEventListener('click', () => {
+    const fileName = `${designFileBaseName(textInput.value)}-project.json`;
+    downloadFile(JSON.stringify(buildProjectData(), null, 2), fileName, 'application/json');
+    messageDiv.textContent = `Saved project ${fileName}.`;
+});
+
+projectFileInput.addEventListener('change', () => {
+    const file = projectFileInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => openProject(event.target.result, file.name);
+    reader.onerror = () => {
+        messageDiv.textContent = `Could not read ${file.name}.`;
+    };
+    reader.readAsText(file);
+
+    // Allow the same file to be chosen again later
+    projectFileInput.value = '';
+});
+
+window.addEventListener('hashchange', () => {
+    const encoded = location.hash.slice(PROJECT_HASH_PREFIX.length);
+    // replaceState() does not fire hashchange, so this is a link opened or edited by hand
+    if (location.hash.startsWith(PROJECT_HASH_PREFIX) && encoded !== encodeProjectForUrl(projectHistory[projectHistoryIndex] || '')) {
+        restoreProject();
+    }
 });
 
 // --- Resize Event Listener ---
@@ -723,6 +3398,10 @@ window.addEventListener('resize', () => {
 // --- Initial Setup ---
 // Call updateCanvasDimensions once on page load to set initial size and scale
 window.onload = () => {
+    initializeFonts();
+    renderThreadOptions();
+    renderHoopOptions();
     updateCanvasDimensions();
-    messageDiv.textContent = 'Enter characters (A-F) to stitch.';
+    messageDiv.textContent = `Enter characters (${describeSupportedCharacters()}) to stitch.`;
+    restoreProject();
 };
@@ -0,0 +1,3226 @@
+// stitch-engine.js
+
+// --- Stitch Engine ---
+// Everything that turns text, fonts and settings into stitches, without touching the page:
+// fonts, fills, text layout, thread colours, baselines, stitch plans, turtle programs and
+// the DST, EXP and SVG file formats. The browser loads it as a plain script before script.js,
+// which uses its functions directly; in Node it is loaded with require() (see cli.js).
+// Functions that depend on the font or settings take them as a design settings object
+// (see createDesignSettings() below) rather than reading any shared state.
+
+// --- Data Coordinate System ---
+// These define the logical bounds of our drawing space, independent of pixel size.
+const X_MIN = -0.5;
+const X_MAX = 10;
+const Y_MIN = -0.5;
+const Y_MAX = 10;
+
+const DATA_RANGE_X = X_MAX - X_MIN; // Total width of data: 10 - (-0.5) = 10.5
+const DATA_RANGE_Y = Y_MAX - Y_MIN; // Total height of data: 10 - (-0.5) = 10.5
+
+// Define the effective width of a character in data units for horizontal spacing.
+const CHAR_WIDTH_DATA_UNITS = 7;
+
+// --- Physical Size ---
+// Real-world size of one data unit, used when exporting stitch files.
+// A glyph is 8 data units tall, so 1.25 mm per unit gives 10 mm high lettering unless
+// the layout's letter height scales it (see Text Layout).
+const DATA_UNIT_MM = 1.25;
+
+// --- Stitch Appearance ---
+// Line width (in CSS pixels) and colour used to draw stitches on the canvas and in SVG exports.
+const STITCH_LINE_WIDTH_PX = 1.5;
+const STITCH_COLOR = 'black';
+
+// --- Thread Palette ---
+// Named threads a design can be stitched in. Characters, glyph segment ranges and
+// imported paths refer to their thread by its index in this list.
+const THREAD_PALETTE = [
+    { name: 'Black', color: '#1a1a1a' },
+    { name: 'Red', color: '#c8102e' },
+    { name: 'Navy', color: '#1f2a5a' },
+    { name: 'Royal Blue', color: '#2255a4' },
+    { name: 'Emerald', color: '#00875a' },
+    { name: 'Gold', color: '#d4a017' },
+    { name: 'Orange', color: '#f26522' },
+    { name: 'Purple', color: '#6a2c91' },
+    { name: 'Pink', color: '#e56db1' },
+    { name: 'Brown', color: '#6b4226' },
+    { name: 'Grey', color: '#8a8d8f' },
+    { name: 'White', color: '#f4f4f4' }
+];
+
+// --- Design Settings ---
+// A design settings object holds the font and every setting a design is built with:
+// {
+//     font: { ... },        // Font from loadFont() providing advances and kerning, or null
+//     glyphs: { ... },      // Drawing segments by character, normally the font's glyphs
+//     outlineGlyphs: { ... }, // Filled segments of the font's outline glyphs, from generateOutlineGlyphs()
+//     stitch: { ... },      // Stitch lengths, as DEFAULT_STITCH_SETTINGS
+//     fill: { ... },        // Outline fills, as DEFAULT_FILL_SETTINGS
+//     layout: { ... },      // Alignment and line spacing, as DEFAULT_LAYOUT_SETTINGS
+//     threads: { ... },     // Default thread and segment colours, as DEFAULT_THREAD_SETTINGS
+//     baseline: { ... },    // Baseline shape, as DEFAULT_BASELINE_SETTINGS
+//     hoop: { ... },        // Hoop size and automatic shrinking, as DEFAULT_HOOP_SETTINGS
+//     transform: { ... },   // Rotation, mirroring, slant and bold passes, as DEFAULT_TRANSFORM_SETTINGS
+//     optimizeTravel: false // Whether to reverse items to shorten the jumps between them
+// }
+
+/**
+ * Creates design settings with the default values, optionally overriding some of them.
+ * The font's outline glyphs are filled with the resulting fill, stitch and letter height settings;
+ * the fills belong to the settings, so the font can be shared by settings built differently.
+ * @param {Object|null} [font=null] - A font returned by loadFont().
+ * @param {Object} [overrides={}] - Settings to change, e.g. { stitch: { targetLengthMm: 3 } }.
+ * @returns {Object} The design settings.
+ */
+function createDesignSettings(font = null, overrides = {}) {
+    const settings = {
+        font: font,
+        glyphs: {},
+        outlineGlyphs: {},
+        stitch: { ...DEFAULT_STITCH_SETTINGS, ...overrides.stitch },
+        fill: { ...DEFAULT_FILL_SETTINGS, ...overrides.fill },
+        layout: { ...DEFAULT_LAYOUT_SETTINGS, ...overrides.layout },
+        threads: { ...DEFAULT_THREAD_SETTINGS, ...overrides.threads },
+        baseline: { ...DEFAULT_BASELINE_SETTINGS, ...overrides.baseline },
+        hoop: { ...DEFAULT_HOOP_SETTINGS, ...overrides.hoop },
+        transform: { ...DEFAULT_TRANSFORM_SETTINGS, ...overrides.transform },
+        optimizeTravel: Boolean(overrides.optimizeTravel)
+    };
+    if (font) {
+        settings.outlineGlyphs = generateOutlineGlyphs(font, settings.fill, settings.stitch, getLetterScale(settings.layout));
+        for (const [char, glyph] of Object.entries(font.glyphs)) {
+            settings.glyphs[char] = glyph.segments;
+        }
+    }
+    return settings;
+}
+
+// --- Stitch Length Settings ---
+// Segments are split into stitches of roughly the target length (in mm on the fabric),
+// never shorter than the minimum or longer than the maximum where the segment allows it.
+// Each segment is sewn with one of the STITCH_TYPES (see stitchSegment()).
+const DEFAULT_STITCH_SETTINGS = Object.freeze({
+    targetLengthMm: 2.5,
+    minLengthMm: 1,
+    maxLengthMm: 4,
+    type: 'running', // Stitch type of segments without a rule in segmentTypes
+    satinWidthMm: 3,
+    satinSpacingMm: 0.4, // Distance along a satin column from one stitch across it to the next
+    satinUnderlay: true, // Whether satin columns are sewn over a centre run
+    segmentTypes: Object.freeze({}) // Character -> [{first, last, type}], with 1-based segment numbers
+});
+
+/**
+ * Works out how many stitches a segment of the given length should be split into.
+ * Segments shorter than the minimum stitch length collapse into a single stitch.
+ * @param {number} lengthMm - Length of the segment in mm.
+ * @param {{targetLengthMm: number, minLengthMm: number, maxLengthMm: number}} settings - Stitch length settings.
+ * @returns {number} The number of stitches (at least 1).
+ */
+function calculateStitchCount(lengthMm, settings) {
+    if (lengthMm <= settings.minLengthMm) {
+        return 1;
+    }
+    const fewestStitches = Math.ceil(lengthMm / settings.maxLengthMm); // Keeps stitches at or below the maximum
+    const mostStitches = Math.floor(lengthMm / settings.minLengthMm); // Keeps stitches at or above the minimum
+    const targetStitches = Math.round(lengthMm / settings.targetLengthMm);
+    // The maximum wins if both limits can't be met at once
+    return Math.max(1, fewestStitches, Math.min(mostStitches, targetStitches));
+}
+
+/**
+ * Interpolates points along a line segment, one point per needle penetration.
+ * @param {Array<Array<number>>} segment - [startPoint, endPoint] e.g., [[x1, y1], [x2, y2]]
+ * @param {{targetLengthMm: number, minLengthMm: number, maxLengthMm: number}} settings - Stitch length settings.
+ * @returns {Array<Array<number>>} An array of interpolated points.
+ */
+function interpolateSegment(segment, settings) {
+    const start = segment[0];
+    const end = segment[1];
+    const interpolatedPoints = [];
+
+    const lengthMm = Math.hypot(end[0] - start[0], end[1] - start[1]) * DATA_UNIT_MM;
+    const steps = calculateStitchCount(lengthMm, settings);
+
+    // Ensure we include the start and end points
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps; // Interpolation factor (0 to 1)
+        const x = start[0] + t * (end[0] - start[0]);
+        const y = start[1] + t * (end[1] - start[1]);
+        interpolatedPoints.push([x, y]);
+    }
+    return interpolatedPoints;
+}
+
+// --- Stitch Types ---
+//   'running' - single stitches along the segment
+//   'bean'    - each stitch sewn forwards, back and forwards again, for a heavier line
+//   'satin'   - a column satinWidthMm wide, zig-zagging across the segment, optionally sewn
+//               over a centre-run underlay that goes to the end of the segment and back
+const STITCH_TYPES = ['running', 'bean', 'satin'];
+
+/**
+ * Works out the needle points that sew one segment with a stitch type.
+ * @param {Array<Array<number>>} segment - [startPoint, endPoint] e.g., [[x1, y1], [x2, y2]]
+ * @param {string} type - One of STITCH_TYPES.
+ * @param {Object} settings - Stitch settings, as DEFAULT_STITCH_SETTINGS.
+ * @returns {Array<Array<number>>} The needle points in the order they are sewn.
+ */
+function stitchSegment(segment, type, settings) {
+    const running = interpolateSegment(segment, settings);
+    if (type === 'bean') {
+        const points = [running[0]];
+        for (let i = 1; i < running.length; i++) {
+            points.push(running[i], running[i - 1], running[i]);
+        }
+        return points;
+    }
+
+    const [start, end] = segment;
+    const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    if (type !== 'satin' || length === 0) {
+        return running;
+    }
+    const halfWidth = settings.satinWidthMm / DATA_UNIT_MM / 2;
+    const normal = [-(end[1] - start[1]) / length * halfWidth, (end[0] - start[0]) / length * halfWidth];
+    const steps = Math.max(1, Math.ceil(length * DATA_UNIT_MM / settings.satinSpacingMm));
+    const points = settings.satinUnderlay ? [...running, ...[...running].reverse().slice(1)] : [];
+    for (let i = 0; i <= steps; i++) {
+        const side = i % 2 === 0 ? 1 : -1;
+        points.push([
+            start[0] + (end[0] - start[0]) * i / steps + normal[0] * side,
+            start[1] + (end[1] - start[1]) * i / steps + normal[1] * side
+        ]);
+    }
+    return points;
+}
+
+/**
+ * Reads segment stitch type rules typed as "A satin; O 1-2 bean". A rule without segment
+ * numbers covers the whole glyph. Rules are kept under the character as typed (see findCharacterRules()).
+ * @param {string} text - Rules separated by semicolons or new lines.
+ * @returns {Object<string, Array<{first: number, last: number, type: string}>>|null}
+ *     The rules by character, or null if any rule cannot be read.
+ */
+function parseSegmentStitchTypes(text) {
+    const rules = {};
+    for (const rule of text.split(/[;\n]/).map(part => part.trim()).filter(Boolean)) {
+        const match = rule.match(/^(\S)(?:\s+(\d+)(?:\s*-\s*(\d+))?)?\s+([a-z]+)$/iu);
+        if (!match) {
+            return null;
+        }
+        const first = match[2] === undefined ? 1 : parseInt(match[2], 10);
+        const last = match[2] === undefined ? Infinity : match[3] === undefined ? first : parseInt(match[3], 10);
+        const type = match[4].toLowerCase();
+        if (first < 1 || last < first || !STITCH_TYPES.includes(type)) {
+            return null;
+        }
+        (rules[match[1]] = rules[match[1]] || []).push({ first, last, type });
+    }
+    return rules;
+}
+
+/**
+ * Gathers the segment rules that apply to a glyph. Like the text (see buildTextDesign()), a
+ * typed character the glyphs don't have stands for its capital, so a rule for 'a' covers 'a'
+ * in a font with lowercase letters and 'A' in a font of capitals only.
+ * @param {Object<string, Array<Object>>} rules - Rules by character as typed.
+ * @param {string} char - The glyph's character.
+ * @param {Object<string, Array>} glyphs - The design's glyphs.
+ * @returns {Array<Object>} The rules for the glyph, in the order their characters were first typed.
+ */
+function findCharacterRules(rules, char, glyphs) {
+    return Object.keys(rules)
+        .filter(typedChar => typedChar === char ||
+            (!Object.prototype.hasOwnProperty.call(glyphs, typedChar) && typedChar.toUpperCase() === char))
+        .flatMap(typedChar => rules[typedChar]);
+}
+
+/**
+ * Looks up the stitch type of each segment of a glyph.
+ * @param {string} char - The glyph's character.
+ * @param {number} segmentCount - How many segments the glyph has.
+ * @param {Object} settings - Stitch settings, as DEFAULT_STITCH_SETTINGS.
+ * @param {Object<string, Array>} glyphs - The design's glyphs, to match the rules to (see findCharacterRules()).
+ * @returns {Array<string>} One of STITCH_TYPES per segment.
+ */
+function getSegmentStitchTypes(char, segmentCount, settings, glyphs) {
+    const rules = findCharacterRules(settings.segmentTypes, char, glyphs);
+    return Array.from({ length: segmentCount }, (unused, index) => {
+        const rule = rules.find(candidate => index + 1 >= candidate.first && index + 1 <= candidate.last);
+        return rule ? rule.type : settings.type;
+    });
+}
+
+/**
+ * Interpolates a list of drawing segments and joins them into one continuous list of points.
+ * @param {Array<Array<Array<number>>>} segments - Segments in the same format as a font's glyphs.
+ * @param {Object} settings - Stitch settings, as DEFAULT_STITCH_SETTINGS.
+ * @param {Array<string>|null} [segmentTypes=null] - Stitch type of each segment; settings.type for all if null.
+ * @returns {Array<Array<number>>} The flattened points.
+ */
+function flattenSegments(segments, settings, segmentTypes = null) {
+    return flattenSegmentsWithIndices(segments, settings, segmentTypes).points;
+}
+
+/**
+ * Flattens segments like flattenSegments(), also recording which segment each point was
+ * stitched for. Stitches that cross over to a segment's start count as part of that segment.
+ * @param {Array<Array<Array<number>>>} segments - Segments in the same format as a font's glyphs.
+ * @param {Object} settings - Stitch settings, as DEFAULT_STITCH_SETTINGS.
+ * @param {Array<string>|null} [segmentTypes=null] - Stitch type of each segment; settings.type for all if null.
+ * @returns {{points: Array<Array<number>>, segmentIndices: Array<number>}} The flattened points and,
+ *     for each of them, the index of its segment.
+ */
+function flattenSegmentsWithIndices(segments, settings, segmentTypes = null) {
+    // Flatten all interpolated points from all segments into a single array
+    const points = [];
+    const segmentIndices = [];
+    segments.forEach((segment, segmentIndex) => {
+        // Add points for the current segment.
+        // We skip the very first point of subsequent segments if it's the same as
+        // the last point of the previous segment to avoid drawing the same point twice,
+        // maintaining a continuous stroke.
+        const interpolated = stitchSegment(segment, segmentTypes ? segmentTypes[segmentIndex] : settings.type, settings);
+        let newPoints;
+        if (points.length > 0 &&
+            interpolated.length > 0 &&
+            points[points.length - 1][0] === interpolated[0][0] &&
+            points[points.length - 1][1] === interpolated[0][1]) {
+             // If the start of the new segment is the same as the end of the previous,
+             // add points starting from the second point of the new segment.
+             newPoints = interpolated.slice(1);
+        } else if (points.length > 0 && interpolated.length > 0) {
+             // Otherwise the needle stitches straight across to the new segment's start,
+             // so split that connecting line into regular stitches as well.
+             const connector = interpolateSegment([points[points.length - 1], interpolated[0]], settings);
+             newPoints = [...connector.slice(1, -1), ...interpolated];
+        } else {
+             // Otherwise, add all points of the new segment.
+             newPoints = interpolated;
+        }
+        points.push(...newPoints);
+        segmentIndices.push(...newPoints.map(() => segmentIndex));
+    });
+    return { points, segmentIndices };
+}
+
+// --- Outline Fills ---
+// Glyphs can be drawn as closed outline polygons instead of hand-typed segments.
+// Their fill is generated in rows across the shape, turned by the fill angle:
+//   'zigzag' - one diagonal per row, running from one edge of the shape to the other
+//   'tatami' - straight rows of running stitches whose needle points are staggered row to row
+// Rows are filled region by region (a hole or a split in the shape starts a new region),
+// beginning at the chosen corner, and the outlines themselves are stitched last.
+const FILL_STYLES = ['zigzag', 'tatami'];
+const FILL_START_CORNERS = ['bottom-left', 'bottom-right', 'top-left', 'top-right'];
+const TATAMI_STAGGER_ROWS = 3; // Needle points repeat every this many rows
+
+const DEFAULT_FILL_SETTINGS = Object.freeze({
+    style: 'zigzag',
+    angleDegrees: 45,
+    spacingMm: 0.75,
+    startCorner: 'bottom-left'
+});
+
+/**
+ * Finds the spans of a row that lie inside the outlines, using the even-odd rule so inner outlines make holes.
+ * @param {Array<Array<Array<number>>>} outlines - Closed polygons.
+ * @param {number} y - Height of the row.
+ * @returns {Array<Array<number>>} [left, right] spans, sorted from left to right.
+ */
+function findRowSpans(outlines, y) {
+    const crossings = [];
+    for (const outline of outlines) {
+        outline.forEach((start, index) => {
+            const end = outline[(index + 1) % outline.length];
+            if ((start[1] <= y) !== (end[1] <= y)) {
+                crossings.push(start[0] + (y - start[1]) * (end[0] - start[0]) / (end[1] - start[1]));
+            }
+        });
+    }
+    crossings.sort((a, b) => a - b);
+    const spans = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+        spans.push([crossings[i], crossings[i + 1]]);
+    }
+    return spans;
+}
+
+/**
+ * Generates fill and outline segments for a glyph drawn as closed polygons.
+ * @param {Array<Array<Array<number>>>} outlines - Closed polygons in layout units.
+ * @param {{style: string, angleDegrees: number, spacingMm: number, startCorner: string}} options - How to fill.
+ * @param {{targetLengthMm: number}} stitchSettings - Stitch length settings; tatami rows are broken at the stitch length.
+ * @returns {Array<Array<Array<number>>>} Segments in the same format as a font's glyphs.
+ */
+function generateFillSegments(outlines, options, stitchSettings) {
+    const angle = options.angleDegrees * Math.PI / 180;
+    const rotate = ([x, y], by) => [x * Math.cos(by) - y * Math.sin(by), x * Math.sin(by) + y * Math.cos(by)];
+    const roundPoint = ([x, y]) => [Math.round(x * 1000) / 1000, Math.round(y * 1000) / 1000];
+    const spacing = options.spacingMm / DATA_UNIT_MM;
+
+    // Turn the shape so the rows run along the x axis
+    const turnedOutlines = outlines.map(outline => outline.map(point => rotate(point, -angle)));
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const outline of turnedOutlines) {
+        for (const point of outline) {
+            minY = Math.min(minY, point[1]);
+            maxY = Math.max(maxY, point[1]);
+        }
+    }
+    const rows = [];
+    for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+        rows.push({ y, spans: findRowSpans(turnedOutlines, y) });
+    }
+    if (options.startCorner.startsWith('top')) {
+        rows.reverse();
+    }
+
+    // Group the spans into regions, each continuing the overlapping span of the previous row
+    const regions = [];
+    let openRegions = [];
+    for (const row of rows) {
+        const continuedRegions = [];
+        for (const [left, right] of row.spans) {
+            let region = openRegions.find(candidate => !continuedRegions.includes(candidate) &&
+                candidate.lastSpan[0] < right && left < candidate.lastSpan[1]);
+            if (!region) {
+                region = { rows: [] };
+                regions.push(region);
+            }
+            region.rows.push({ y: row.y, left, right });
+            region.lastSpan = [left, right];
+            continuedRegions.push(region);
+        }
+        openRegions = continuedRegions;
+    }
+
+    const stitchLength = stitchSettings.targetLengthMm / DATA_UNIT_MM;
+    const startsRight = options.startCorner.endsWith('right');
+    const segments = [];
+    for (const region of regions) {
+        const points = [];
+        region.rows.forEach((row, rowIndex) => {
+            const fromRight = startsRight !== (rowIndex % 2 === 1);
+            const [from, to] = fromRight ? [row.right, row.left] : [row.left, row.right];
+            if (options.style === 'zigzag') {
+                points.push([from, row.y]);
+                return;
+            }
+            // Tatami: break the row where its needle points fall, shifted a little on each row
+            points.push([from, row.y]);
+            const rowLength = Math.abs(to - from);
+            const direction = Math.sign(to - from);
+            let distance = stitchLength * ((rowIndex % TATAMI_STAGGER_ROWS) + 1) / TATAMI_STAGGER_ROWS;
+            while (distance < rowLength) {
+                points.push([from + direction * distance, row.y]);
+                distance += stitchLength;
+            }
+            points.push([to, row.y]);
+        });
+        for (let i = 1; i < points.length; i++) {
+            segments.push([roundPoint(rotate(points[i - 1], angle)), roundPoint(rotate(points[i], angle))]);
+        }
+    }
+
+    // Run around every outline to give the fill a clean edge
+    for (const outline of outlines) {
+        outline.forEach((start, index) => {
+            segments.push([roundPoint(start), roundPoint(outline[(index + 1) % outline.length])]);
+        });
+    }
+    return segments;
+}
+
+/**
+ * Generates the segments of a font's outline glyphs from the given fill settings.
+ * Hand-typed segments of an outline glyph are stitched after its fill.
+ * Glyphs are scaled up or down by the letter scale before they are stitched, so the fill
+ * rows and tatami stitches are spaced for that scale to keep their size on the fabric.
+ * The font itself is left unchanged.
+ * @param {Object} font - A font returned by loadFont().
+ * @param {Object} fillSettings - Fill settings, as DEFAULT_FILL_SETTINGS; a glyph's own "fill" overrides them.
+ * @param {Object} stitchSettings - Stitch length settings, as DEFAULT_STITCH_SETTINGS.
+ * @param {number} [letterScale=1] - Scale the glyphs will be stitched at (see getLetterScale()).
+ * @returns {Object<string, Array<Array<Array<number>>>>} The segments of each outline glyph by character.
+ */
+function generateOutlineGlyphs(font, fillSettings, stitchSettings, letterScale = 1) {
+    const scaledStitchSettings = { ...stitchSettings, targetLengthMm: stitchSettings.targetLengthMm / letterScale };
+    const outlineGlyphs = {};
+    for (const [char, glyph] of Object.entries(font.glyphs)) {
+        if (glyph.outlines) {
+            const options = { ...fillSettings, ...glyph.fill };
+            options.spacingMm /= letterScale;
+            outlineGlyphs[char] = [...generateFillSegments(glyph.outlines, options, scaledStitchSettings), ...glyph.handSegments];
+        }
+    }
+    return outlineGlyphs;
+}
+
+/**
+ * Finds the segments a character of a design is stitched with: its filled outlines while it
+ * keeps the font's shape, otherwise its drawing segments (e.g. a custom glyph from the editor).
+ * @param {string} char - A character of the design's glyphs.
+ * @param {Object} settings - Design settings (see createDesignSettings()).
+ * @returns {Array<Array<Array<number>>>|undefined} The segments, or undefined if the character has no glyph.
+ */
+function getGlyphSegments(char, settings) {
+    const fontGlyph = settings.font && settings.font.glyphs[char];
+    const segments = settings.glyphs[char];
+    if (fontGlyph && segments === fontGlyph.segments && settings.outlineGlyphs[char]) {
+        return settings.outlineGlyphs[char];
+    }
+    return segments;
+}
+
+// --- Fonts ---
+// A font is a plain object (usually parsed from a JSON file) in the versioned
+// Turtle Stitch font format:
+// {
+//     "format": "turtle-stitch-font",
+//     "version": 1,
+//     "name": "My Font",
+//     "units": { "width": 6, "height": 8 },  // Box the glyph coordinates are drawn in
+//     "metadata": { ... },                   // Optional
+//     "glyphs": {
+//         "A": [[[x1, y1], [x2, y2]], ...],  // Segments in stitching order, or
+//         "I": { "segments": [...], "advance": 4, "metadata": { ... } },  // with optional advance width and metadata
+//         "O": { "outlines": [[[x1, y1], ...], ...], "fill": { ... } }  // Closed polygons filled automatically
+//     },
+//     "kerning": { "AV": -1, ... }           // Optional spacing adjustments for pairs of characters
+// }
+// Coordinates, advances and kerning are scaled so the font's units box is as tall as the 6 x 8 box used for layout.
+// Outline glyphs may also list "segments", which are stitched after the generated fill and outline,
+// and a "fill" object overriding the design's fill settings for that glyph (see Outline Fills below).
+const FONT_FORMAT = 'turtle-stitch-font';
+const FONT_FORMAT_VERSION = 1;
+const FONT_UNITS_WIDTH = 6;
+const FONT_UNITS_HEIGHT = 8;
+
+/**
+ * Thrown when font data does not match the font format.
+ * The message names the offending glyph when there is one.
+ */
+class FontValidationError extends Error {
+    /**
+     * @param {string} message - What is wrong.
+     * @param {string|null} [glyph=null] - The glyph the problem was found in.
+     */
+    constructor(message, glyph = null) {
+        super(glyph === null ? message : `Glyph '${glyph}': ${message}`);
+        this.name = 'FontValidationError';
+        this.glyph = glyph;
+    }
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Checks one [x, y] point of a glyph and scales it into layout units.
+ * @param {*} point - The point from the font data.
+ * @param {number} scale - Factor from font units to layout units.
+ * @param {string} where - Where the point is, for the error message (e.g. "segment 2, point 1").
+ * @param {string} char - The glyph being loaded.
+ * @returns {Array<number>} The scaled point.
+ * @throws {FontValidationError} If the point is not a pair of numbers.
+ */
+function readFontPoint(point, scale, where, char) {
+    if (!Array.isArray(point) || point.length !== 2 || !isFiniteNumber(point[0]) || !isFiniteNumber(point[1])) {
+        throw new FontValidationError(`${where} must be an [x, y] pair of numbers.`, char);
+    }
+    return [point[0] * scale, point[1] * scale];
+}
+
+/**
+ * Checks a glyph's fill options against the options generateFillSegments() understands.
+ * @param {*} fill - The "fill" object from the font data.
+ * @param {string} char - The glyph being loaded.
+ * @throws {FontValidationError} If an option is unknown or out of range.
+ */
+function validateFillOptions(fill, char) {
+    if (!isPlainObject(fill)) {
+        throw new FontValidationError('"fill" must be an object.', char);
+    }
+    if (fill.style !== undefined && !FILL_STYLES.includes(fill.style)) {
+        throw new FontValidationError(`fill style must be one of ${FILL_STYLES.join(', ')}.`, char);
+    }
+    if (fill.angleDegrees !== undefined && !isFiniteNumber(fill.angleDegrees)) {
+        throw new FontValidationError('fill angle must be a number of degrees.', char);
+    }
+    if (fill.spacingMm !== undefined && !(isFiniteNumber(fill.spacingMm) && fill.spacingMm > 0)) {
+        throw new FontValidationError('fill spacing must be a positive number of millimetres.', char);
+    }
+    if (fill.startCorner !== undefined && !FILL_START_CORNERS.includes(fill.startCorner)) {
+        throw new FontValidationError(`fill start corner must be one of ${FILL_START_CORNERS.join(', ')}.`, char);
+    }
+}
+
+/**
+ * Validates the data of one glyph and converts it into the form used by the app.
+ * Custom glyphs saved as outlines go through here too, already in layout units.
+ * @param {string} char - The character the glyph is for.
+ * @param {Array|Object} glyphData - A list of segments, or an object with "segments" or "outlines" (see loadFont()).
+ * @param {number} [scale=1] - Factor from the glyph's units to layout units.
+ * @returns {{segments: Array<Array<Array<number>>>, advance: (number|null), metadata: Object,
+ *     outlines: (Array<Array<Array<number>>>|null), fill: (Object|null), handSegments: Array<Array<Array<number>>>}} The glyph.
+ * @throws {FontValidationError} If the data is not a valid glyph.
+ */
+function loadGlyph(char, glyphData, scale = 1) {
+    if ([...char].length !== 1) {
+        throw new FontValidationError('glyph names must be a single character.', char);
+    }
+
+    const glyph = Array.isArray(glyphData) ? { segments: glyphData } : glyphData;
+    if (!isPlainObject(glyph) || !(Array.isArray(glyph.segments) || Array.isArray(glyph.outlines))) {
+        throw new FontValidationError('must be a list of segments or an object with "segments" or "outlines".', char);
+    }
+    if (glyph.segments !== undefined && !Array.isArray(glyph.segments)) {
+        throw new FontValidationError('"segments" must be a list of segments.', char);
+    }
+    if (glyph.outlines !== undefined && !Array.isArray(glyph.outlines)) {
+        throw new FontValidationError('"outlines" must be a list of closed polygons.', char);
+    }
+    if (glyph.fill !== undefined) {
+        validateFillOptions(glyph.fill, char);
+    }
+    if (glyph.advance !== undefined && (!isFiniteNumber(glyph.advance) || glyph.advance < 0)) {
+        throw new FontValidationError('"advance" must be a number of at least 0.', char);
+    }
+    if (glyph.metadata !== undefined && !isPlainObject(glyph.metadata)) {
+        throw new FontValidationError('"metadata" must be an object.', char);
+    }
+
+    const segments = (glyph.segments || []).map((segment, segmentIndex) => {
+        if (!Array.isArray(segment) || segment.length !== 2) {
+            throw new FontValidationError(`segment ${segmentIndex + 1} must be a pair of points.`, char);
+        }
+        return segment.map((point, pointIndex) =>
+            readFontPoint(point, scale, `segment ${segmentIndex + 1}, point ${pointIndex + 1}`, char));
+    });
+    const outlines = glyph.outlines === undefined ? null : glyph.outlines.map((outline, outlineIndex) => {
+        if (!Array.isArray(outline) || outline.length < 3) {
+            throw new FontValidationError(`outline ${outlineIndex + 1} must have at least three points.`, char);
+        }
+        return outline.map((point, pointIndex) =>
+            readFontPoint(point, scale, `outline ${outlineIndex + 1}, point ${pointIndex + 1}`, char));
+    });
+
+    return {
+        segments: segments,
+        advance: glyph.advance === undefined ? null : glyph.advance * scale,
+        metadata: glyph.metadata || {},
+        outlines: outlines,
+        fill: glyph.fill || null,
+        handSegments: segments
+    };
+}
+
+/**
+ * Validates font data and converts it into the form used by the app.
+ * @param {Object} fontData - Font data in the Turtle Stitch font format.
+ * @returns {{name: string, version: number, units: {width: number, height: number}, metadata: Object,
+ *     glyphs: Object<string, {segments: Array<Array<Array<number>>>, advance: (number|null), metadata: Object,
+ *         outlines: (Array<Array<Array<number>>>|null), fill: (Object|null), handSegments: Array<Array<Array<number>>>}>,
+ *     kerning: Object<string, number>}} The loaded font. Outline glyphs get their fill from generateOutlineGlyphs().
+ * @throws {FontValidationError} If the data is not a valid font.
+ */
+function loadFont(fontData) {
+    if (!isPlainObject(fontData) || fontData.format !== FONT_FORMAT) {
+        throw new FontValidationError(`Not a Turtle Stitch font (expected "format": "${FONT_FORMAT}").`);
+    }
+    if (fontData.version !== FONT_FORMAT_VERSION) {
+        throw new FontValidationError(`Unsupported font version ${fontData.version} (expected ${FONT_FORMAT_VERSION}).`);
+    }
+    if (typeof fontData.name !== 'string' || fontData.name.trim() === '') {
+        throw new FontValidationError('Font is missing a name.');
+    }
+    const units = fontData.units;
+    if (!isPlainObject(units) || !isFiniteNumber(units.width) || !isFiniteNumber(units.height) ||
+        units.width <= 0 || units.height <= 0) {
+        throw new FontValidationError('"units" must be an object with a positive width and height.');
+    }
+    if (fontData.metadata !== undefined && !isPlainObject(fontData.metadata)) {
+        throw new FontValidationError('"metadata" must be an object.');
+    }
+    if (!isPlainObject(fontData.glyphs)) {
+        throw new FontValidationError('"glyphs" must be an object keyed by character.');
+    }
+
+    const scale = FONT_UNITS_HEIGHT / units.height;
+    const glyphs = {};
+    for (const [char, glyphData] of Object.entries(fontData.glyphs)) {
+        glyphs[char] = loadGlyph(char, glyphData, scale);
+    }
+
+    if (fontData.kerning !== undefined && !isPlainObject(fontData.kerning)) {
+        throw new FontValidationError('"kerning" must be an object keyed by pairs of characters.');
+    }
+    const kerning = {};
+    for (const [pair, adjustment] of Object.entries(fontData.kerning || {})) {
+        if ([...pair].length !== 2 || !isFiniteNumber(adjustment)) {
+            throw new FontValidationError(`Kerning entry "${pair}" must map a pair of characters to a number.`);
+        }
+        kerning[pair] = adjustment * scale;
+    }
+
+    return {
+        name: fontData.name.trim(),
+        version: fontData.version,
+        units: { width: units.width * scale, height: units.height * scale },
+        metadata: fontData.metadata || {},
+        glyphs: glyphs,
+        kerning: kerning
+    };
+}
+
+// --- Glyph Tracing ---
+// Characters a font doesn't have can be generated from a font installed on the computer:
+// the page renders the character onto a canvas, and the pixels it covers are traced here
+// into closed outlines, which are filled like any other outline glyph. A generated glyph
+// records the font it came from as "generatedFrom" in its metadata.
+const TRACE_ALPHA_THRESHOLD = 128; // Pixels at least this opaque are part of the character
+const TRACE_TOLERANCE_PX = 0.75; // How far a simplified outline may stray from the pixel edges
+const TRACE_MIN_AREA_PX = 4; // Specks smaller than this are left out
+
+/**
+ * Measures the area inside a closed polygon.
+ * @param {Array<Array<number>>} polygon - The polygon's points.
+ * @returns {number} The area, positive or negative depending on the direction of the points.
+ */
+function polygonArea(polygon) {
+    let area = 0;
+    polygon.forEach((start, index) => {
+        const end = polygon[(index + 1) % polygon.length];
+        area += start[0] * end[1] - end[0] * start[1];
+    });
+    return area / 2;
+}
+
+/**
+ * Simplifies an open run of points (Douglas-Peucker), keeping its first and last point.
+ * @param {Array<Array<number>>} points - The points, in order.
+ * @param {number} tolerance - How far the result may stray from the left-out points.
+ * @returns {Array<Array<number>>} The points that are kept.
+ */
+function simplifyPolyline(points, tolerance) {
+    if (points.length < 3) {
+        return points;
+    }
+    const [startX, startY] = points[0];
+    const [endX, endY] = points[points.length - 1];
+    const length = Math.hypot(endX - startX, endY - startY);
+    let farthestIndex = 0;
+    let farthestDistance = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const [x, y] = points[i];
+        const distance = length === 0
+            ? Math.hypot(x - startX, y - startY)
+            : Math.abs((endX - startX) * (startY - y) - (startX - x) * (endY - startY)) / length;
+        if (distance > farthestDistance) {
+            farthestIndex = i;
+            farthestDistance = distance;
+        }
+    }
+    if (farthestDistance <= tolerance) {
+        return [points[0], points[points.length - 1]];
+    }
+    const before = simplifyPolyline(points.slice(0, farthestIndex + 1), tolerance);
+    const after = simplifyPolyline(points.slice(farthestIndex), tolerance);
+    return [...before.slice(0, -1), ...after];
+}
+
+/**
+ * Traces the edges of the pixels a character covers into closed outlines. Every edge between
+ * a covered and an uncovered pixel belongs to exactly one outline, so the even-odd rule used
+ * by the fill (see findRowSpans()) gets the character's holes right.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels, as from
+ *     getImageData(); only their alpha is used.
+ * @param {number} [threshold=TRACE_ALPHA_THRESHOLD] - Alpha from which a pixel counts as covered.
+ * @returns {Array<Array<Array<number>>>} Simplified outlines in pixel coordinates (y down).
+ */
+function traceBitmapOutlines(image, threshold = TRACE_ALPHA_THRESHOLD) {
+    const { data, width, height } = image;
+    const isCovered = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] >= threshold;
+
+    // Collect the pixel edges, each running clockwise (on screen) around its covered pixel
+    const pixelSides = [ // Neighbour beyond the side, then where the side starts and ends
+        [0, -1, 0, 0, 1, 0],
+        [1, 0, 1, 0, 1, 1],
+        [0, 1, 1, 1, 0, 1],
+        [-1, 0, 0, 1, 0, 0]
+    ];
+    const vertexKey = (x, y) => y * (width + 1) + x;
+    const edgesFrom = new Map();
+    let edgeCount = 0;
+    const addEdge = (fromX, fromY, toX, toY) => {
+        const key = vertexKey(fromX, fromY);
+        if (!edgesFrom.has(key)) {
+            edgesFrom.set(key, []);
+        }
+        edgesFrom.get(key).push([toX, toY]);
+        edgeCount++;
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!isCovered(x, y)) {
+                continue;
+            }
+            for (const [neighbourX, neighbourY, fromX, fromY, toX, toY] of pixelSides) {
+                if (!isCovered(x + neighbourX, y + neighbourY)) {
+                    addEdge(x + fromX, y + fromY, x + toX, y + toY);
+                }
+            }
+        }
+    }
+
+    // Chain the edges into closed loops, keeping only the corners
+    const outlines = [];
+    while (edgeCount > 0) {
+        const [startKey] = edgesFrom.keys();
+        const startX = startKey % (width + 1);
+        const startY = Math.floor(startKey / (width + 1));
+        const loop = [[startX, startY]];
+        let [x, y] = [startX, startY];
+        do {
+            const key = vertexKey(x, y);
+            const ends = edgesFrom.get(key);
+            [x, y] = ends.pop();
+            if (ends.length === 0) {
+                edgesFrom.delete(key);
+            }
+            edgeCount--;
+            loop.push([x, y]);
+        } while (x !== startX || y !== startY);
+        loop.pop();
+
+        const corners = loop.filter((point, index) => {
+            const previous = loop[(index + loop.length - 1) % loop.length];
+            const next = loop[(index + 1) % loop.length];
+            return (point[0] - previous[0]) * (next[1] - point[1]) !== (point[1] - previous[1]) * (next[0] - point[0]);
+        });
+        if (Math.abs(polygonArea(corners)) < TRACE_MIN_AREA_PX) {
+            continue;
+        }
+        // Split the loop at its point farthest from the first so both halves can be simplified as runs
+        const distanceFromFirst = (point) => Math.hypot(point[0] - corners[0][0], point[1] - corners[0][1]);
+        let farthestIndex = 0;
+        corners.forEach((point, index) => {
+            if (distanceFromFirst(point) > distanceFromFirst(corners[farthestIndex])) {
+                farthestIndex = index;
+            }
+        });
+        const outline = [
+            ...simplifyPolyline(corners.slice(0, farthestIndex + 1), TRACE_TOLERANCE_PX).slice(0, -1),
+            ...simplifyPolyline([...corners.slice(farthestIndex), corners[0]], TRACE_TOLERANCE_PX).slice(0, -1)
+        ];
+        if (outline.length >= 3) {
+            outlines.push(outline);
+        }
+    }
+    return outlines;
+}
+
+/**
+ * Builds a glyph from a character rendered onto a canvas, in the form loadFont() gives.
+ * Its outlines get their fill from generateOutlineGlyphs(), like those of a loaded font.
+ * A character that doesn't fit the 6 x 8 glyph box from the pen position and baseline
+ * (e.g. one with a descender, an accent or a wide shape) is shrunk until it is no bigger
+ * than the box and moved the shortest way into it; its advance is scaled and moved with it.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - The rendered character, as from getImageData().
+ * @param {{originX: number, baselineY: number, unitsPerPixel: number, advancePx: number}} placement - Where the
+ *     character's pen position and baseline are on the image, the size of a pixel in layout units and how far
+ *     the font moves the pen after the character, in pixels.
+ * @param {string} sourceFont - Name of the font the character was rendered with.
+ * @returns {Object|null} The glyph, or null if the character covers no pixels (e.g. a space).
+ */
+function createGeneratedGlyph(image, placement, sourceFont) {
+    const traced = traceBitmapOutlines(image).map(outline => outline.map(([x, y]) => [
+        (x - placement.originX) * placement.unitsPerPixel,
+        (placement.baselineY - y) * placement.unitsPerPixel
+    ]));
+    if (traced.length === 0) {
+        return null;
+    }
+    const bounds = measureItems([{ processedPoints: traced.flat() }]);
+    const scale = Math.min(1, FONT_UNITS_WIDTH / (bounds.maxX - bounds.minX), FONT_UNITS_HEIGHT / (bounds.maxY - bounds.minY));
+    const shiftInto = (min, max, size) => (min < 0 ? -min : Math.min(0, size - max));
+    const shiftX = shiftInto(bounds.minX * scale, bounds.maxX * scale, FONT_UNITS_WIDTH);
+    const shiftY = shiftInto(bounds.minY * scale, bounds.maxY * scale, FONT_UNITS_HEIGHT);
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const outlines = traced.map(outline => outline.map(([x, y]) => [round(x * scale + shiftX), round(y * scale + shiftY)]));
+    const handSegments = [];
+    return {
+        segments: handSegments,
+        advance: round(placement.advancePx * placement.unitsPerPixel * scale + shiftX),
+        metadata: { generatedFrom: sourceFont },
+        outlines: outlines,
+        fill: null,
+        handSegments: handSegments
+    };
+}
+
+// --- Text Layout ---
+// Text is split into lines at line breaks. Each character advances the pen by its
+// glyph's advance width (CHAR_WIDTH_DATA_UNITS unless the font says otherwise),
+// adjusted by the font's kerning table for the pair it forms with the next character.
+// Lines are stacked downwards from the first, and aligned within the widest line.
+// Glyphs, advances and line heights are all scaled so letters are letterHeightMm tall.
+const LINE_HEIGHT_DATA_UNITS = 10; // Baseline-to-baseline distance at a line spacing of 1
+const TEXT_ALIGNMENTS = { left: 0, center: 0.5, right: 1 }; // Fraction of the spare width placed before a line
+
+const DEFAULT_LAYOUT_SETTINGS = Object.freeze({
+    alignment: 'left',
+    lineSpacing: 1,
+    letterHeightMm: FONT_UNITS_HEIGHT * DATA_UNIT_MM // The glyphs' own size
+});
+
+/**
+ * Works out how much glyphs are scaled to make letters of the chosen height.
+ * @param {{letterHeightMm: number}} layoutSettings - Layout settings, as DEFAULT_LAYOUT_SETTINGS.
+ * @returns {number} The factor from glyph coordinates to design data units.
+ */
+function getLetterScale(layoutSettings) {
+    return layoutSettings.letterHeightMm / (FONT_UNITS_HEIGHT * DATA_UNIT_MM);
+}
+
+/**
+ * Returns how far a character moves the pen along its line at the design's letter height.
+ * Glyphs that replace the font's own (e.g. from the glyph editor) keep the standard advance,
+ * since the font's may not fit their new shape.
+ * @param {string} char - A character of the design's glyphs.
+ * @param {Object} settings - Design settings (see createDesignSettings()).
+ * @returns {number} The advance width in data units.
+ */
+function getGlyphAdvance(char, settings) {
+    const fontGlyph = settings.font && settings.font.glyphs[char];
+    const letterScale = getLetterScale(settings.layout);
+    if (fontGlyph && fontGlyph.advance !== null && settings.glyphs[char] === fontGlyph.segments) {
+        return fontGlyph.advance * letterScale;
+    }
+    return CHAR_WIDTH_DATA_UNITS * letterScale;
+}
+
+/**
+ * Looks up the kerning adjustment for a pair of characters in a font.
+ * @param {Object|null} font - A font returned by loadFont().
+ * @param {string} leftChar - The first character of the pair.
+ * @param {string} rightChar - The character that follows it.
+ * @returns {number} The change to the first character's advance, in data units.
+ */
+function getKerning(font, leftChar, rightChar) {
+    return (font && font.kerning[leftChar + rightChar]) || 0;
+}
+
+/**
+ * Positions every character of a (possibly multi-line) text.
+ * @param {string} text - The text to lay out; '\n' starts a new line.
+ * @param {Object} settings - Design settings; their layout gives the alignment, line spacing and letter height.
+ * @returns {{glyphs: Array<{char: string, index: number, xOffset: number, yOffset: number}>, width: number, height: number}}
+ *     Each character's position in the text and offset in data units, and the size of the whole
+ *     text block, measured like a single line.
+ */
+function layoutText(text, settings) {
+    const letterScale = getLetterScale(settings.layout);
+    let textIndex = 0;
+    const lines = text.split('\n').map(line => {
+        const chars = Array.from(line); // By code point, so characters outside the BMP stay whole
+        const glyphs = [];
+        let penX = 0;
+        chars.forEach((char, index) => {
+            glyphs.push({ char, index: textIndex++, xOffset: penX });
+            penX += getGlyphAdvance(char, settings);
+            if (index + 1 < chars.length) {
+                penX += getKerning(settings.font, char, chars[index + 1]) * letterScale;
+            }
+        });
+        textIndex++; // Step over the line break
+        return { glyphs, width: penX };
+    });
+
+    const width = Math.max(...lines.map(line => line.width));
+    const lineHeight = LINE_HEIGHT_DATA_UNITS * settings.layout.lineSpacing * letterScale;
+    const alignmentFraction = TEXT_ALIGNMENTS[settings.layout.alignment] || 0;
+    const glyphs = [];
+    lines.forEach((line, lineIndex) => {
+        const lineXOffset = (width - line.width) * alignmentFraction;
+        const lineYOffset = (lines.length - 1 - lineIndex) * lineHeight; // The last line sits on the data origin
+        for (const glyph of line.glyphs) {
+            glyphs.push({ char: glyph.char, index: glyph.index, xOffset: lineXOffset + glyph.xOffset, yOffset: lineYOffset });
+        }
+    });
+
+    return {
+        glyphs: glyphs,
+        width: width,
+        height: DATA_RANGE_Y * letterScale + (lines.length - 1) * lineHeight
+    };
+}
+
+// --- Thread Colours ---
+// Text picks its thread with markup: "[Red]HEL[Navy]LO" stitches HEL in red and LO in navy;
+// characters before any markup use the default thread. Segment colour rules such as
+// "A 1-9 Gold; O 5-8 Red" stitch ranges of a glyph's segments (numbered as in the glyph
+// editor) in another thread wherever that glyph is used.
+const DEFAULT_THREAD_SETTINGS = Object.freeze({
+    defaultThread: 0,
+    segmentRules: Object.freeze({}) // Character -> [{first, last, thread}], with 1-based segment numbers
+});
+
+/**
+ * Finds a thread in the palette by name, ignoring case.
+ * @param {string} name - A thread name such as "Royal Blue".
+ * @returns {number} The thread's index in THREAD_PALETTE, or -1 if there is no such thread.
+ */
+function findThreadIndex(name) {
+    const wanted = name.trim().toLowerCase();
+    return THREAD_PALETTE.findIndex(thread => thread.name.toLowerCase() === wanted);
+}
+
+/**
+ * Removes thread markup from text and records the thread of every remaining character.
+ * @param {string} text - Text that may contain "[Thread Name]" markup.
+ * @param {number} [defaultThread=0] - Thread for characters before any markup.
+ * @returns {{text: string, threads: Array<number>, unknownThreads: Array<string>}} The plain text,
+ *     the thread of each of its characters, and any bracketed names that are not in the palette.
+ */
+function parseThreadMarkup(text, defaultThread = DEFAULT_THREAD_SETTINGS.defaultThread) {
+    let plainText = '';
+    const threads = [];
+    const unknownThreads = [];
+    let currentThread = defaultThread;
+    const markupPattern = /\[([^\]\n]*)\]/g;
+    let lastIndex = 0;
+    const addText = (part) => {
+        plainText += part;
+        threads.push(...Array.from(part, () => currentThread));
+    };
+
+    for (const match of text.matchAll(markupPattern)) {
+        addText(text.slice(lastIndex, match.index));
+        const threadIndex = findThreadIndex(match[1]);
+        if (threadIndex === -1) {
+            unknownThreads.push(match[1]);
+        } else {
+            currentThread = threadIndex;
+        }
+        lastIndex = match.index + match[0].length;
+    }
+    addText(text.slice(lastIndex));
+    return { text: plainText, threads, unknownThreads };
+}
+
+/**
+ * Reads segment colour rules typed as "A 1-9 Gold; O 5 Red".
+ * Rules are kept under the character as typed (see findCharacterRules()).
+ * @param {string} text - Rules separated by semicolons or new lines.
+ * @returns {Object<string, Array<{first: number, last: number, thread: number}>>|null}
+ *     The rules by character, or null if any rule cannot be read.
+ */
+function parseSegmentColorRules(text) {
+    const rules = {};
+    for (const rule of text.split(/[;\n]/).map(part => part.trim()).filter(Boolean)) {
+        const match = rule.match(/^(\S)\s+(\d+)(?:\s*-\s*(\d+))?\s+(.+)$/u);
+        if (!match) {
+            return null;
+        }
+        const first = parseInt(match[2], 10);
+        const last = match[3] === undefined ? first : parseInt(match[3], 10);
+        const thread = findThreadIndex(match[4]);
+        if (first < 1 || last < first || thread === -1) {
+            return null;
+        }
+        (rules[match[1]] = rules[match[1]] || []).push({ first, last, thread });
+    }
+    return rules;
+}
+
+/**
+ * Builds a character's points at the design's letter height, sewn with each segment's stitch
+ * type and split wherever its segment colour rules change the thread.
+ * @param {string} char - A character of the design's glyphs.
+ * @param {number} baseThread - The character's own thread.
+ * @param {Object} settings - Design settings (see createDesignSettings()).
+ * @returns {Array<{processedPoints: Array<Array<number>>, segmentIndices: Array<number>, thread: number}>|null}
+ *     The runs of points in stitching order with the glyph segment of each point, or null if the
+ *     character has no drawing data.
+ */
+function buildCharacterThreadRuns(char, baseThread, settings) {
+    const glyphSegments = getGlyphSegments(char, settings);
+    if (!glyphSegments) {
+        return null;
+    }
+    // Scale and transform before splitting into stitches so the stitches keep their length
+    const letterScale = getLetterScale(settings.layout);
+    const characterTransform = createCharacterTransform(char, settings);
+    const segments = glyphSegments.map(segment => segment.map(([x, y]) => {
+        const point = [x * letterScale, y * letterScale];
+        return characterTransform ? characterTransform(point) : point;
+    }));
+    const stitchTypes = getSegmentStitchTypes(char, segments.length, settings.stitch, settings.glyphs);
+    const rules = findCharacterRules(settings.threads.segmentRules, char, settings.glyphs);
+    if (rules.length === 0) {
+        const { points, segmentIndices } = repeatRunPasses(flattenSegmentsWithIndices(segments, settings.stitch, stitchTypes), settings.transform.passes);
+        return [{ processedPoints: points, segmentIndices, thread: baseThread }];
+    }
+
+    const runs = [];
+    segments.forEach((segment, index) => {
+        const rule = rules.find(candidate => index + 1 >= candidate.first && index + 1 <= candidate.last);
+        const thread = rule ? rule.thread : baseThread;
+        if (runs.length === 0 || runs[runs.length - 1].thread !== thread) {
+            runs.push({ segments: [], glyphSegmentIndices: [], thread });
+        }
+        runs[runs.length - 1].segments.push(segment);
+        runs[runs.length - 1].glyphSegmentIndices.push(index);
+    });
+    if (runs.length === 0) {
+        return [{ processedPoints: [], segmentIndices: [], thread: baseThread }]; // A space still takes up its position
+    }
+    return runs.map(run => {
+        const runStitchTypes = run.glyphSegmentIndices.map(index => stitchTypes[index]);
+        const { points, segmentIndices } = repeatRunPasses(flattenSegmentsWithIndices(run.segments, settings.stitch, runStitchTypes), settings.transform.passes);
+        // Number the segments as in the whole glyph rather than within the run
+        return { processedPoints: points, segmentIndices: segmentIndices.map(index => run.glyphSegmentIndices[index]), thread: run.thread };
+    });
+}
+
+/**
+ * Reorders items so everything in one thread is stitched before the next thread,
+ * taking the threads in the order they first appear. Items keep their order within a thread.
+ * @param {Array<{thread: number}>} items - Items in layout order.
+ * @returns {Array<Object>} The same items grouped by thread.
+ */
+function groupItemsByThread(items) {
+    const threadOrder = [];
+    for (const item of items) {
+        if (!threadOrder.includes(item.thread)) {
+            threadOrder.push(item.thread);
+        }
+    }
+    return threadOrder.flatMap(thread => items.filter(item => item.thread === thread));
+}
+
+/**
+ * Describes the thread changes of a design in stitching order, e.g. "Black (320) → Red (96)".
+ * @param {Array<{processedPoints: Array<Array<number>>, thread: number}>} items - Items in stitching order.
+ * @returns {string} Each thread block with its number of stitches.
+ */
+function describeThreadSequence(items) {
+    const blocks = [];
+    for (const item of items) {
+        if (item.processedPoints.length === 0) {
+            continue;
+        }
+        const lastBlock = blocks[blocks.length - 1];
+        if (lastBlock && lastBlock.thread === item.thread) {
+            lastBlock.stitches += item.processedPoints.length;
+        } else {
+            blocks.push({ thread: item.thread, stitches: item.processedPoints.length });
+        }
+    }
+    return blocks.map(block => `${THREAD_PALETTE[block.thread].name} (${block.stitches})`).join(' → ');
+}
+
+// --- Transforms ---
+// Each character can be slanted like italics, mirrored and rotated about the middle of its
+// advance before it is placed on the baseline, and the finished design can be mirrored and
+// rotated as a whole. Character transforms change the glyph segments before they are split
+// into stitches, so slanted strokes still get stitches of the chosen length; the design
+// transforms only turn and flip, which keeps every stitch's length. Bold lettering sews each
+// run of stitches two or three times, turning back at each end.
+const MAX_SLANT_DEGREES = 45;
+const MAX_PASSES = 3;
+
+const DEFAULT_TRANSFORM_SETTINGS = Object.freeze({
+    rotationDegrees: 0, // Turns the whole design counter-clockwise
+    mirrorHorizontal: false, // Flips the whole design left to right, e.g. to sew on the back of sheer fabric
+    mirrorVertical: false, // Flips the whole design upside down
+    characterRotationDegrees: 0, // Turns each character counter-clockwise
+    characterMirrorHorizontal: false,
+    characterMirrorVertical: false,
+    slantDegrees: 0, // Leans each character to the right (left if negative), up to MAX_SLANT_DEGREES
+    passes: 1 // Times each run is sewn, up to MAX_PASSES: 2 or 3 make bold lettering
+});
+
+/**
+ * Creates a function that slants, mirrors and then rotates points about a centre.
+ * @param {{slantDegrees: number, mirrorHorizontal: boolean, mirrorVertical: boolean, rotationDegrees: number}} transform -
+ *     The slant (points move right by their height above the centre times its tangent), the mirroring and the
+ *     counter-clockwise rotation.
+ * @param {Array<number>} centre - The point that stays in place, in data units.
+ * @returns {(function(Array<number>): Array<number>)|null} The transform, or null if it leaves every point in place.
+ */
+function createPointTransform(transform, centre) {
+    const slant = Math.tan(transform.slantDegrees * Math.PI / 180);
+    const flipX = transform.mirrorHorizontal ? -1 : 1;
+    const flipY = transform.mirrorVertical ? -1 : 1;
+    const angle = transform.rotationDegrees * Math.PI / 180;
+    if (slant === 0 && flipX === 1 && flipY === 1 && angle === 0) {
+        return null;
+    }
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return ([x, y]) => {
+        const dx = (x - centre[0] + (y - centre[1]) * slant) * flipX;
+        const dy = (y - centre[1]) * flipY;
+        return [centre[0] + dx * cos - dy * sin, centre[1] + dx * sin + dy * cos];
+    };
+}
+
+/**
+ * Creates the transform of the transform settings' character options for one character,
+ * centred on the middle of its advance at the design's letter height.
+ * @param {string} char - A character of the design's glyphs.
+ * @param {Object} settings - Design settings (see createDesignSettings()).
+ * @returns {(function(Array<number>): Array<number>)|null} The transform, or null if it leaves the character as it is.
+ */
+function createCharacterTransform(char, settings) {
+    const transform = settings.transform;
+    const centre = [getGlyphAdvance(char, settings) / 2, FONT_UNITS_HEIGHT * getLetterScale(settings.layout) / 2];
+    return createPointTransform({
+        slantDegrees: transform.slantDegrees,
+        mirrorHorizontal: transform.characterMirrorHorizontal,
+        mirrorVertical: transform.characterMirrorVertical,
+        rotationDegrees: transform.characterRotationDegrees
+    }, centre);
+}
+
+/**
+ * Mirrors and rotates a whole design about the data origin. The design is usually moved
+ * back to the origin with alignItemsToOrigin() afterwards.
+ * @param {Array<{processedPoints: Array<Array<number>>, xOffset?: number, yOffset?: number}>} items - Items of the design.
+ * @param {Object} transformSettings - Transform settings, as DEFAULT_TRANSFORM_SETTINGS.
+ * @returns {Array<Object>|null} Copies of the items with their points in design coordinates and zero offsets,
+ *     or null if the settings leave the design as it is.
+ */
+function transformDesignItems(items, transformSettings) {
+    const designTransform = createPointTransform({
+        slantDegrees: 0,
+        mirrorHorizontal: transformSettings.mirrorHorizontal,
+        mirrorVertical: transformSettings.mirrorVertical,
+        rotationDegrees: transformSettings.rotationDegrees
+    }, [0, 0]);
+    if (!designTransform) {
+        return null;
+    }
+    return items.map(item => ({
+        ...item,
+        processedPoints: item.processedPoints.map(([x, y]) => designTransform([x + (item.xOffset || 0), y + (item.yOffset || 0)])),
+        xOffset: 0,
+        yOffset: 0
+    }));
+}
+
+/**
+ * Sews a run of stitches several times, going back along it on every second pass.
+ * An odd number of passes ends where a single pass does; an even number ends at the start.
+ * @param {{points: Array<Array<number>>, segmentIndices: Array<number>}} run - Flattened points and their segments.
+ * @param {number} passes - How many times to sew the run.
+ * @returns {{points: Array<Array<number>>, segmentIndices: Array<number>}} The points of every pass in order.
+ */
+function repeatRunPasses(run, passes) {
+    if (passes <= 1 || run.points.length < 2) {
+        return run;
+    }
+    const points = [...run.points];
+    const segmentIndices = [...run.segmentIndices];
+    const order = run.points.map((point, index) => index);
+    for (let pass = 1; pass < passes; pass++) {
+        // Each pass starts where the last one turned round, so its first point is already sewn
+        const passOrder = pass % 2 === 1 ? [...order].reverse() : order;
+        for (const index of passOrder.slice(1)) {
+            points.push(run.points[index]);
+            segmentIndices.push(run.segmentIndices[index]);
+        }
+    }
+    return { points, segmentIndices };
+}
+
+// --- Curved Baselines ---
+// Instead of running along a straight line, text can follow a circular arc or a polyline.
+// Each glyph is turned to the baseline's direction at its centre, and lines below the first
+// are offset across the baseline. Bent glyphs are stored with their points already placed
+// in design coordinates, so their items have no offsets of their own.
+const BASELINE_MODES = ['straight', 'arc', 'polyline'];
+const BASELINE_ORIENTATIONS = ['outside', 'inside'];
+
+const DEFAULT_BASELINE_SETTINGS = Object.freeze({
+    mode: 'straight', // One of BASELINE_MODES
+    radiusMm: 40,
+    startAngleDegrees: 150, // Where the text starts on the circle, counter-clockwise from the positive x axis
+    orientation: 'outside', // 'outside' runs clockwise with glyph tops away from the centre; 'inside' the reverse
+    polylineMm: Object.freeze([[0, 0], [40, 15], [80, 0]])
+});
+
+/**
+ * Creates a function that finds the position and direction of a baseline at a distance along it.
+ * A polyline baseline carries straight on past either end.
+ * @param {Object} settings - Baseline settings, as DEFAULT_BASELINE_SETTINGS.
+ * @returns {function(number): {point: Array<number>, tangent: Array<number>, normal: Array<number>}}
+ *     Takes a distance in data units; the tangent and normal (pointing to the glyph tops) are unit vectors.
+ */
+function createBaselinePath(settings) {
+    const withNormal = (point, tangent) => ({ point, tangent, normal: [-tangent[1], tangent[0]] });
+
+    if (settings.mode === 'arc') {
+        const radius = settings.radiusMm / DATA_UNIT_MM;
+        const startAngle = settings.startAngleDegrees * Math.PI / 180;
+        const direction = settings.orientation === 'inside' ? 1 : -1; // Counter-clockwise inside, clockwise outside
+        return (distance) => {
+            const angle = startAngle + direction * distance / radius;
+            const radial = [Math.cos(angle), Math.sin(angle)];
+            return withNormal([radial[0] * radius, radial[1] * radius], [-direction * radial[1], direction * radial[0]]);
+        };
+    }
+
+    const points = settings.polylineMm.map(([x, y]) => [x / DATA_UNIT_MM, y / DATA_UNIT_MM]);
+    const segments = [];
+    let startDistance = 0;
+    for (let i = 1; i < points.length; i++) {
+        const length = Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        if (length === 0) {
+            continue;
+        }
+        const tangent = [(points[i][0] - points[i - 1][0]) / length, (points[i][1] - points[i - 1][1]) / length];
+        segments.push({ start: points[i - 1], tangent, startDistance });
+        startDistance += length;
+    }
+    return (distance) => {
+        let segment = segments[0];
+        for (const candidate of segments) {
+            if (candidate.startDistance <= distance) {
+                segment = candidate;
+            }
+        }
+        const along = distance - segment.startDistance;
+        return withNormal(
+            [segment.start[0] + along * segment.tangent[0], segment.start[1] + along * segment.tangent[1]],
+            segment.tangent);
+    };
+}
+
+/**
+ * Reads a polyline typed as "x,y x,y ..." in millimetres.
+ * @param {string} text - The points, separated by spaces or semicolons.
+ * @returns {Array<Array<number>>|null} The points, or null unless there are at least two distinct valid points.
+ */
+function parseBaselinePoints(text) {
+    const points = text.trim().split(/[\s;]+/).filter(Boolean).map(pair => pair.split(',').map(Number));
+    if (points.some(point => point.length !== 2 || !point.every(Number.isFinite))) {
+        return null;
+    }
+    const hasLength = points.some(point => point[0] !== points[0][0] || point[1] !== points[0][1]);
+    return points.length >= 2 && hasLength ? points : null;
+}
+
+/**
+ * Places laid-out characters along a curved baseline.
+ * @param {Array<{char: string, processedPoints: Array<Array<number>>, xOffset: number, yOffset: number}>} items - Characters laid out on a straight line.
+ * @param {Object} settings - Design settings; their baseline is the one to follow.
+ * @returns {Array<Object>} Copies of the items with their points in design coordinates and zero offsets.
+ */
+function bendItemsAlongBaseline(items, settings) {
+    const baseline = createBaselinePath(settings.baseline);
+    return items.map(item => {
+        // Turn the glyph as a whole around the middle of its advance, so its stitches keep their lengths
+        const centreX = item.xOffset + getGlyphAdvance(item.char, settings) / 2;
+        const { point, tangent, normal } = baseline(centreX);
+        const processedPoints = item.processedPoints.map(([x, y]) => {
+            const along = x + item.xOffset - centreX;
+            const across = y + item.yOffset;
+            return [
+                point[0] + along * tangent[0] + across * normal[0],
+                point[1] + along * tangent[1] + across * normal[1]
+            ];
+        });
+        return { ...item, processedPoints, xOffset: 0, yOffset: 0 };
+    });
+}
+
+/**
+ * Finds the box around every needle position of a design.
+ * @param {Array<{processedPoints: Array<Array<number>>, xOffset?: number, yOffset?: number}>} items - Items of the design.
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}|null} The box in design data units,
+ *     or null if the items have no points.
+ */
+function measureItems(items) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const item of items) {
+        const xOffset = item.xOffset || 0;
+        const yOffset = item.yOffset || 0;
+        for (const [x, y] of item.processedPoints) {
+            minX = Math.min(minX, x + xOffset);
+            maxX = Math.max(maxX, x + xOffset);
+            minY = Math.min(minY, y + yOffset);
+            maxY = Math.max(maxY, y + yOffset);
+        }
+    }
+    return minX === Infinity ? null : { minX, maxX, minY, maxY };
+}
+
+/**
+ * Shifts items whose points are in design coordinates so the design starts at the
+ * data origin, and measures it with the same margin the data origin leaves around a word.
+ * @param {Array<{processedPoints: Array<Array<number>>}>} items - Items with zero offsets.
+ * @returns {{items: Array<Object>, width: number, height: number}} The shifted items and the design's size in data units.
+ */
+function alignItemsToOrigin(items) {
+    const { minX, maxX, minY, maxY } = measureItems(items) || { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+
+    return {
+        items: items.map(item => ({
+            ...item,
+            processedPoints: item.processedPoints.map(([x, y]) => [x - minX, y - minY])
+        })),
+        width: maxX - minX - 2 * X_MIN,
+        height: maxY - minY - 2 * Y_MIN
+    };
+}
+
+/**
+ * Builds the flattened points for every character of a text, laid out along the
+ * baseline of the settings and transformed by their transform settings, together with
+ * the size of the design.
+ * Characters without drawing data are skipped but still take up their position.
+ * A character whose segments use several threads becomes one item per run of segments.
+ * @param {string} word - The text to build; '\n' starts a new line.
+ * @param {Array<number>} threads - Thread of each character of the text. Characters without one use the default thread.
+ * @param {Object} settings - Design settings (see createDesignSettings()).
+ * @returns {{items: Array<{char: string, processedPoints: Array<Array<number>>, segmentIndices: Array<number>,
+ *     xOffset: number, yOffset: number, thread: number}>, width: number, height: number}} The characters of
+ *     the text, with the glyph segment each point belongs to, and the design's size in data units.
+ */
+function buildWordDesign(word, threads, settings) {
+    const layout = layoutText(word, settings);
+    const characters = [];
+    layout.glyphs.forEach(glyph => {
+        const baseThread = threads[glyph.index] === undefined ? settings.threads.defaultThread : threads[glyph.index];
+        const runs = buildCharacterThreadRuns(glyph.char, baseThread, settings);
+        if (!runs) {
+            return;
+        }
+        for (const run of runs) {
+            characters.push({
+                char: glyph.char,
+                processedPoints: run.processedPoints,
+                segmentIndices: run.segmentIndices,
+                xOffset: glyph.xOffset,
+                yOffset: glyph.yOffset,
+                thread: run.thread
+            });
+        }
+    });
+
+    const placed = settings.baseline.mode === 'straight' ? characters : bendItemsAlongBaseline(characters, settings);
+    const transformed = transformDesignItems(placed, settings.transform);
+    if (settings.baseline.mode === 'straight' && !transformed) {
+        return { items: characters, width: layout.width, height: layout.height };
+    }
+    return alignItemsToOrigin(transformed || placed);
+}
+
+/**
+ * Builds a complete design from typed text: takes out the thread markup, drops the characters
+ * the glyphs don't cover, lays out the rest and works out the stitch plan.
+ * Letters the glyphs only have as capitals are stitched as capitals, and items are grouped by
+ * thread so each thread is used once.
+ * @param {string} text - The text, with optional "[Thread Name]" markup; '\n' starts a new line.
+ * @param {Object} settings - Design settings (see createDesignSettings()).
+ * @returns {{text: string, threads: Array<number>, skippedChars: Array<string>, unknownThreads: Array<string>,
+ *     items: Array<Object>, width: number, height: number, plan: Array<Object>}} The supported text and the
+ *     thread of each of its characters, what was left out, the items in stitching order, the design's size
+ *     in data units and its stitch plan (see buildStitchPlan()).
+ */
+function buildTextDesign(text, settings) {
+    const markup = parseThreadMarkup(text, settings.threads.defaultThread);
+    const hasGlyph = (char) => char === '\n' || Object.prototype.hasOwnProperty.call(settings.glyphs, char);
+    let supportedText = '';
+    const threads = [];
+    const skippedChars = [];
+    Array.from(markup.text).forEach((char, index) => {
+        // A capital can be more than one letter (e.g. 'ß' is 'SS')
+        const stitchedChars = hasGlyph(char) ? [char] : Array.from(char.toUpperCase());
+        if (!stitchedChars.every(hasGlyph)) {
+            skippedChars.push(char);
+            return;
+        }
+        supportedText += stitchedChars.join('');
+        threads.push(...stitchedChars.map(() => markup.threads[index]));
+    });
+
+    const design = buildWordDesign(supportedText, threads, settings);
+    let items = groupItemsByThread(design.items);
+    if (settings.optimizeTravel) {
+        items = optimizeTravelDirections(items);
+    }
+    return {
+        text: supportedText,
+        threads: threads,
+        skippedChars: skippedChars,
+        unknownThreads: markup.unknownThreads,
+        items: items,
+        width: design.width,
+        height: design.height,
+        plan: buildStitchPlan(items)
+    };
+}
+
+// --- Hoops ---
+// A design has to fit the sewing area of the hoop it is stitched in. Text that is too big
+// can be shrunk automatically, but never below a letter height that is still legible.
+const HOOP_SIZES = Object.freeze([
+    Object.freeze({ widthMm: 100, heightMm: 100 }),
+    Object.freeze({ widthMm: 130, heightMm: 180 }),
+    Object.freeze({ widthMm: 200, heightMm: 300 })
+]);
+const HOOP_FIT_ATTEMPTS = 8; // Shrinking is repeated since curved baselines don't scale with the letters
+
+const DEFAULT_HOOP_SETTINGS = Object.freeze({
+    widthMm: 100,
+    heightMm: 100,
+    autoShrink: false,
+    minLetterHeightMm: 5
+});
+
+/**
+ * Builds a text design (see buildTextDesign()) and checks that it fits the hoop of the settings.
+ * If it doesn't and the hoop settings allow it, the letters are made smaller until it fits,
+ * down to the minimum letter height. Each letter height tried fills the outline glyphs
+ * from the design settings; the settings themselves are left unchanged.
+ * @param {string} text - The text, with optional "[Thread Name]" markup; '\n' starts a new line.
+ * @param {Object} settings - Design settings (see createDesignSettings()).
+ * @returns {Object} The design as from buildTextDesign(), plus `fits` (whether it fits the hoop),
+ *     `letterHeightMm` (the letter height it was built with) and its `widthMm` and `heightMm`.
+ */
+function fitTextDesignToHoop(text, settings) {
+    const hoop = settings.hoop;
+    const buildAtHeight = (letterHeightMm) => {
+        const layout = { ...settings.layout, letterHeightMm };
+        let outlineGlyphs = settings.outlineGlyphs;
+        if (settings.font && letterHeightMm !== settings.layout.letterHeightMm) {
+            outlineGlyphs = generateOutlineGlyphs(settings.font, settings.fill, settings.stitch, getLetterScale(layout));
+        }
+        const design = buildTextDesign(text, { ...settings, layout, outlineGlyphs });
+        const summary = summarizeStitchPlan(design.plan);
+        const fits = summary.widthMm <= hoop.widthMm && summary.heightMm <= hoop.heightMm;
+        return { ...design, fits, letterHeightMm, widthMm: summary.widthMm, heightMm: summary.heightMm };
+    };
+
+    let design = buildAtHeight(settings.layout.letterHeightMm);
+    for (let attempt = 0; attempt < HOOP_FIT_ATTEMPTS && !design.fits && hoop.autoShrink; attempt++) {
+        if (design.letterHeightMm <= hoop.minLetterHeightMm) {
+            break;
+        }
+        const ratio = Math.min(hoop.widthMm / design.widthMm, hoop.heightMm / design.heightMm);
+        const letterHeightMm = Math.floor(design.letterHeightMm * ratio * 10) / 10; // Round down to 0.1 mm
+        design = buildAtHeight(Math.max(hoop.minLetterHeightMm, Math.min(letterHeightMm, design.letterHeightMm - 0.1)));
+    }
+
+    return design;
+}
+
+// --- Projects ---
+// A project records everything the page needs to recreate a design, as a plain object
+// (usually a JSON file) in the versioned Turtle Stitch project format:
+// {
+//     "format": "turtle-stitch-project",
+//     "version": 1,
+//     "text": "[Red]ANNA",
+//     "font": "My Font",                  // Name of the font
+//     "fontData": { ... },                // Optional: the font itself, for fonts loaded from files
+//     "customGlyphs": {                   // Optional: glyphs from the glyph editor, in layout units
+//         "A": [[[x1, y1], [x2, y2]], ...],
+//         "é": { "outlines": [...], "advance": 5.5 }  // Saved generated glyphs, filled with the settings
+//     },
+//     "fallbackFont": "Georgia",          // Optional: installed font that missing characters are generated from
+//     "settings": {                       // Optional groups as in design settings; missing values are defaults
+//         "stitch": { "segmentTypes": "A satin", ... },  // Segment stitch types and colours are typed as on the page
+//         "threads": { "defaultThread": "Black", "segmentColors": "A 1-9 Gold" },
+//         "fill": { ... }, "layout": { ... }, "baseline": { ... }, "hoop": { ... }, "transform": { ... },
+//         "optimizeTravel": true
+//     },
+//     "sewability": { ... },              // Optional: as DEFAULT_SEWABILITY_LIMITS, plus "stitchesPerMinute"
+//     "view": { ... }                     // Optional: how the page shows the design, kept as it is
+// }
+const PROJECT_FORMAT = 'turtle-stitch-project';
+const PROJECT_FORMAT_VERSION = 1;
+
+/**
+ * Thrown when project data does not match the project format.
+ */
+class ProjectValidationError extends Error {
+    /**
+     * @param {string} message - What is wrong.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectValidationError';
+    }
+}
+
+/**
+ * Checks a group of settings from a project against the defaults it overrides: each value
+ * must be a known setting of the same type, and named choices must be one of their options.
+ * @param {*} group - The group from the project data, or undefined.
+ * @param {Object} defaults - The group's default settings.
+ * @param {string} where - Name of the group, for error messages (e.g. "settings.fill").
+ * @param {Object<string, Array<string>>} [choices={}] - Options of the settings that are named choices.
+ * @returns {Object} The defaults with the project's values applied.
+ * @throws {ProjectValidationError} If a value is unknown or of the wrong type.
+ */
+function readProjectSettings(group, defaults, where, choices = {}) {
+    if (group === undefined) {
+        return { ...defaults };
+    }
+    if (!isPlainObject(group)) {
+        throw new ProjectValidationError(`"${where}" must be an object.`);
+    }
+    const settings = { ...defaults };
+    for (const [key, value] of Object.entries(group)) {
+        if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+            throw new ProjectValidationError(`"${where}.${key}" is not a setting.`);
+        }
+        const expectedType = Array.isArray(defaults[key]) ? 'list' : typeof defaults[key];
+        const valueType = Array.isArray(value) ? 'list' : typeof value;
+        if (valueType !== expectedType || (valueType === 'number' && !Number.isFinite(value))) {
+            throw new ProjectValidationError(`"${where}.${key}" must be a ${expectedType}.`);
+        }
+        if (choices[key] && !choices[key].includes(value)) {
+            throw new ProjectValidationError(`"${where}.${key}" must be one of ${choices[key].join(', ')}.`);
+        }
+        settings[key] = value;
+    }
+    return settings;
+}
+
+/**
+ * Validates project data and converts it into settings the page can apply.
+ * @param {Object} projectData - Project data in the Turtle Stitch project format.
+ * @returns {{text: string, font: string, fontData: (Object|null), customGlyphs: Object<string, (Array<Array<Array<number>>>|Object)>,
+ *     fallbackFont: string,
+ *     settings: {stitch: Object, fill: Object, layout: Object, baseline: Object, hoop: Object, transform: Object,
+ *         threads: {defaultThread: number, segmentRules: Object}, optimizeTravel: (boolean|undefined)},
+ *     segmentColors: string, segmentStitchTypes: string, sewability: Object, view: Object}} The project, with
+ *     defaults for anything it leaves out and its segment colours and stitch types both as typed and as rules.
+ * @throws {ProjectValidationError} If the data is not a valid project.
+ */
+function readProject(projectData) {
+    if (!isPlainObject(projectData) || projectData.format !== PROJECT_FORMAT) {
+        throw new ProjectValidationError(`Not a Turtle Stitch project (expected "format": "${PROJECT_FORMAT}").`);
+    }
+    if (projectData.version !== PROJECT_FORMAT_VERSION) {
+        throw new ProjectValidationError(`Unsupported project version ${projectData.version} (expected ${PROJECT_FORMAT_VERSION}).`);
+    }
+    if (typeof projectData.text !== 'string') {
+        throw new ProjectValidationError('"text" must be a string.');
+    }
+    if (typeof projectData.font !== 'string' || projectData.font.trim() === '') {
+        throw new ProjectValidationError('Project is missing a font name.');
+    }
+    if (projectData.fontData !== undefined) {
+        try {
+            loadFont(projectData.fontData);
+        } catch (error) {
+            throw new ProjectValidationError(`Font: ${error.message}`);
+        }
+    }
+
+    const customGlyphs = projectData.customGlyphs === undefined ? {} : projectData.customGlyphs;
+    if (!isPlainObject(customGlyphs)) {
+        throw new ProjectValidationError('"customGlyphs" must be an object keyed by character.');
+    }
+    const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(isFiniteNumber);
+    for (const [char, glyph] of Object.entries(customGlyphs)) {
+        if (isPlainObject(glyph)) {
+            try {
+                loadGlyph(char, glyph);
+            } catch (error) {
+                throw new ProjectValidationError(`Custom glyphs: ${error.message}`);
+            }
+            continue;
+        }
+        const isSegmentList = Array.isArray(glyph) &&
+            glyph.every(segment => Array.isArray(segment) && segment.length === 2 && segment.every(isPoint));
+        if ([...char].length !== 1 || !isSegmentList) {
+            throw new ProjectValidationError(`Custom glyph '${char}' must be a list of segments, each a pair of [x, y] points.`);
+        }
+    }
+
+    if (projectData.fallbackFont !== undefined && typeof projectData.fallbackFont !== 'string') {
+        throw new ProjectValidationError('"fallbackFont" must be the name of a font, or empty for none.');
+    }
+
+    const settingsData = projectData.settings === undefined ? {} : projectData.settings;
+    if (!isPlainObject(settingsData)) {
+        throw new ProjectValidationError('"settings" must be an object.');
+    }
+    const baseline = readProjectSettings(settingsData.baseline, DEFAULT_BASELINE_SETTINGS, 'settings.baseline',
+        { mode: BASELINE_MODES, orientation: BASELINE_ORIENTATIONS });
+    if (baseline.polylineMm.length < 2 || !baseline.polylineMm.every(isPoint)) {
+        throw new ProjectValidationError('"settings.baseline.polylineMm" must be a list of at least two [x, y] points.');
+    }
+
+    const stitchData = readProjectSettings(settingsData.stitch, { ...DEFAULT_STITCH_SETTINGS, segmentTypes: '' }, 'settings.stitch',
+        { type: STITCH_TYPES });
+    const segmentTypes = parseSegmentStitchTypes(stitchData.segmentTypes);
+    if (!segmentTypes) {
+        throw new ProjectValidationError(`"settings.stitch.segmentTypes" can't be read: '${stitchData.segmentTypes}'.`);
+    }
+
+    const transform = readProjectSettings(settingsData.transform, DEFAULT_TRANSFORM_SETTINGS, 'settings.transform');
+    if (Math.abs(transform.slantDegrees) > MAX_SLANT_DEGREES) {
+        throw new ProjectValidationError(`"settings.transform.slantDegrees" must be between -${MAX_SLANT_DEGREES} and ${MAX_SLANT_DEGREES}.`);
+    }
+    if (!Number.isInteger(transform.passes) || transform.passes < 1 || transform.passes > MAX_PASSES) {
+        throw new ProjectValidationError(`"settings.transform.passes" must be a whole number from 1 to ${MAX_PASSES}.`);
+    }
+
+    const threadsData = readProjectSettings(settingsData.threads, { defaultThread: THREAD_PALETTE[0].name, segmentColors: '' },
+        'settings.threads');
+    const defaultThread = findThreadIndex(threadsData.defaultThread);
+    if (defaultThread === -1) {
+        throw new ProjectValidationError(`"settings.threads.defaultThread" names an unknown thread '${threadsData.defaultThread}'.`);
+    }
+    const segmentRules = parseSegmentColorRules(threadsData.segmentColors);
+    if (!segmentRules) {
+        throw new ProjectValidationError(`"settings.threads.segmentColors" can't be read: '${threadsData.segmentColors}'.`);
+    }
+    if (settingsData.optimizeTravel !== undefined && typeof settingsData.optimizeTravel !== 'boolean') {
+        throw new ProjectValidationError('"settings.optimizeTravel" must be a boolean.');
+    }
+
+    if (projectData.view !== undefined && !isPlainObject(projectData.view)) {
+        throw new ProjectValidationError('"view" must be an object.');
+    }
+
+    return {
+        text: projectData.text,
+        font: projectData.font.trim(),
+        fontData: projectData.fontData || null,
+        customGlyphs: customGlyphs,
+        fallbackFont: (projectData.fallbackFont || '').trim(),
+        settings: {
+            stitch: { ...stitchData, segmentTypes },
+            fill: readProjectSettings(settingsData.fill, DEFAULT_FILL_SETTINGS, 'settings.fill',
+                { style: FILL_STYLES, startCorner: FILL_START_CORNERS }),
+            layout: readProjectSettings(settingsData.layout, DEFAULT_LAYOUT_SETTINGS, 'settings.layout',
+                { alignment: Object.keys(TEXT_ALIGNMENTS) }),
+            baseline: baseline,
+            hoop: readProjectSettings(settingsData.hoop, DEFAULT_HOOP_SETTINGS, 'settings.hoop'),
+            transform: transform,
+            threads: { defaultThread, segmentRules },
+            optimizeTravel: settingsData.optimizeTravel // Left undefined when missing, so the page keeps its own default
+        },
+        segmentColors: threadsData.segmentColors,
+        segmentStitchTypes: stitchData.segmentTypes,
+        sewability: readProjectSettings(projectData.sewability,
+            { ...DEFAULT_SEWABILITY_LIMITS, stitchesPerMinute: DEFAULT_STITCHES_PER_MINUTE }, 'sewability'),
+        view: projectData.view || {}
+    };
+}
+
+// --- Stitch Plan ---
+// The stitch plan is the sequence of typed machine commands for a design, in data units:
+//   'stitch' - needle penetration at (x, y)
+//   'jump'   - move the frame to (x, y) without stitching
+//   'trim'   - cut the thread at the current position
+//   'stop'   - pause the machine (e.g. for a thread change)
+// Each command also records the index of the character (or imported path) it belongs to.
+const TRIM_JUMP_THRESHOLD_MM = 3; // Jumps longer than this are trimmed first so no loose thread is left behind
+const TRIM_COST_MM = 10; // How much jumping a trim is worth avoiding when optimising travel
+
+/**
+ * Returns the first and last needle positions of an item in design coordinates.
+ * @param {{processedPoints: Array<Array<number>>, xOffset: number, yOffset: number}} item - A character or imported path.
+ * @returns {{start: Array<number>, end: Array<number>}|null} The endpoints, or null if the item has no points.
+ */
+function getItemEndpoints(item) {
+    const points = item.processedPoints;
+    if (points.length === 0) {
+        return null;
+    }
+    return {
+        start: [points[0][0] + item.xOffset, points[0][1] + item.yOffset],
+        end: [points[points.length - 1][0] + item.xOffset, points[points.length - 1][1] + item.yOffset]
+    };
+}
+
+/**
+ * Checks whether the needle travel between two points needs a trim.
+ * @param {Array<number>} from - Where the previous item ended.
+ * @param {Array<number>} to - Where the next item starts.
+ * @returns {boolean} True if the jump is long enough to be trimmed.
+ */
+function isTrimmedTravel(from, to) {
+    return Math.hypot(to[0] - from[0], to[1] - from[1]) * DATA_UNIT_MM > TRIM_JUMP_THRESHOLD_MM;
+}
+
+/**
+ * Builds the typed stitch commands for a list of characters or imported paths.
+ * The needle jumps to the start of each item, trimming first if the jump is long.
+ * When the thread changes, the old thread is trimmed and the machine stops for the new colour.
+ * @param {Array<{processedPoints: Array<Array<number>>, xOffset: number, yOffset: number}>} items - Items in stitching order.
+ * @returns {Array<{command: string, x: number, y: number, itemIndex: number}>} The stitch plan.
+ */
+function buildStitchPlan(items) {
+    const plan = [];
+    let previousEnd = null;
+    let previousThread = null;
+
+    items.forEach((item, itemIndex) => {
+        const endpoints = getItemEndpoints(item);
+        if (!endpoints) {
+            return; // Spaces take up room but have no stitches
+        }
+
+        const [startX, startY] = endpoints.start;
+        if (!previousEnd) {
+            plan.push({ command: 'jump', x: startX, y: startY, itemIndex }); // Move to the first stitch
+        } else {
+            const moved = previousEnd[0] !== startX || previousEnd[1] !== startY;
+            if (item.thread !== previousThread) {
+                plan.push({ command: 'trim', x: previousEnd[0], y: previousEnd[1], itemIndex });
+                plan.push({ command: 'stop', x: previousEnd[0], y: previousEnd[1], itemIndex });
+            } else if (moved && isTrimmedTravel(previousEnd, endpoints.start)) {
+                plan.push({ command: 'trim', x: previousEnd[0], y: previousEnd[1], itemIndex });
+            }
+            if (moved) {
+                plan.push({ command: 'jump', x: startX, y: startY, itemIndex });
+            }
+        }
+
+        for (const point of item.processedPoints) {
+            plan.push({ command: 'stitch', x: point[0] + item.xOffset, y: point[1] + item.yOffset, itemIndex });
+        }
+        previousEnd = endpoints.end;
+        previousThread = item.thread;
+    });
+    return plan;
+}
+
+/**
+ * Counts the commands in a stitch plan and measures the design. The jump to the
+ * very first stitch is not counted, since the machine always has to get there.
+ * The thread length is the top thread laid along the stitches; jumps are not included.
+ * @param {Array<{command: string, x: number, y: number}>} plan - A stitch plan.
+ * @returns {{stitches: number, jumps: number, trims: number, stops: number, jumpLengthMm: number,
+ *     threadLengthMm: number, widthMm: number, heightMm: number}} The totals.
+ */
+function summarizeStitchPlan(plan) {
+    const summary = {
+        stitches: 0, jumps: 0, trims: 0, stops: 0, jumpLengthMm: 0,
+        threadLengthMm: 0, widthMm: 0, heightMm: 0
+    };
+    let previous = null;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const stitchCommand of plan) {
+        if (stitchCommand.command === 'stitch') {
+            summary.stitches++;
+            if (previous && previous.command === 'stitch') {
+                summary.threadLengthMm += Math.hypot(stitchCommand.x - previous.x, stitchCommand.y - previous.y) * DATA_UNIT_MM;
+            }
+            minX = Math.min(minX, stitchCommand.x);
+            maxX = Math.max(maxX, stitchCommand.x);
+            minY = Math.min(minY, stitchCommand.y);
+            maxY = Math.max(maxY, stitchCommand.y);
+        } else if (stitchCommand.command === 'jump' && summary.stitches > 0) {
+            summary.jumps++;
+            summary.jumpLengthMm += Math.hypot(stitchCommand.x - previous.x, stitchCommand.y - previous.y) * DATA_UNIT_MM;
+        } else if (stitchCommand.command === 'trim') {
+            summary.trims++;
+        } else if (stitchCommand.command === 'stop') {
+            summary.stops++;
+        }
+        previous = stitchCommand;
+    }
+    if (summary.stitches > 0) {
+        summary.widthMm = (maxX - minX) * DATA_UNIT_MM;
+        summary.heightMm = (maxY - minY) * DATA_UNIT_MM;
+    }
+    return summary;
+}
+
+/**
+ * Chooses for every item whether to stitch it forwards or backwards so the
+ * jumps between items (and the trims they cause) are as short as possible.
+ * Runs a small dynamic programme over the two directions of each item.
+ * @param {Array<{processedPoints: Array<Array<number>>, xOffset: number, yOffset: number}>} items - Items in stitching order.
+ * @returns {Array<Object>} The items, with reversed copies (marked `reversed: true`) where that is shorter.
+ */
+function optimizeTravelDirections(items) {
+    const travelCost = (from, to) => {
+        const lengthMm = Math.hypot(to[0] - from[0], to[1] - from[1]) * DATA_UNIT_MM;
+        return lengthMm + (isTrimmedTravel(from, to) ? TRIM_COST_MM : 0);
+    };
+
+    // For each stitched item: the best total cost so far when it is stitched forwards (0) or backwards (1)
+    const stitched = items.map((item, index) => ({ index, endpoints: getItemEndpoints(item) }))
+        .filter(entry => entry.endpoints && items[entry.index].processedPoints.length > 1);
+    const costs = [];
+    const choices = [];
+    stitched.forEach((entry, position) => {
+        const { start, end } = entry.endpoints;
+        const directions = [{ start, end }, { start: end, end: start }];
+        if (position === 0) {
+            costs.push([0, 0]);
+            choices.push([null, null]);
+            return;
+        }
+        const previous = stitched[position - 1].endpoints;
+        const previousEnds = [previous.end, previous.start];
+        const rowCosts = [];
+        const rowChoices = [];
+        for (const direction of directions) {
+            const viaForward = costs[position - 1][0] + travelCost(previousEnds[0], direction.start);
+            const viaBackward = costs[position - 1][1] + travelCost(previousEnds[1], direction.start);
+            rowCosts.push(Math.min(viaForward, viaBackward));
+            rowChoices.push(viaForward <= viaBackward ? 0 : 1);
+        }
+        costs.push(rowCosts);
+        choices.push(rowChoices);
+    });
+
+    // Walk back through the choices to find each item's direction
+    const reversedIndices = new Set();
+    if (stitched.length > 0) {
+        const lastCosts = costs[costs.length - 1];
+        let direction = lastCosts[0] <= lastCosts[1] ? 0 : 1;
+        for (let position = stitched.length - 1; position >= 0; position--) {
+            if (direction === 1) {
+                reversedIndices.add(stitched[position].index);
+            }
+            direction = position > 0 ? choices[position][direction] : direction;
+        }
+    }
+
+    return items.map((item, index) => {
+        if (!reversedIndices.has(index)) {
+            return item;
+        }
+        const reversedItem = { ...item, processedPoints: [...item.processedPoints].reverse(), reversed: true };
+        if (item.segmentIndices) {
+            reversedItem.segmentIndices = [...item.segmentIndices].reverse();
+        }
+        return reversedItem;
+    });
+}
+
+// --- Sewability Checks ---
+// Stitches the machine is likely to struggle with. Needle penetrations are counted
+// in squares of densityCellMm; more than maxStitchesPerCell in one square piles the
+// thread up and can break needles or pucker the fabric.
+const DEFAULT_SEWABILITY_LIMITS = Object.freeze({
+    shortStitchMm: 0.5, // Shorter stitches tend to break the thread or make knots
+    longStitchMm: 12.1, // The longest stitch the machine sews (a single DST record)
+    densityCellMm: 1,
+    maxStitchesPerCell: 10
+});
+const DEFAULT_STITCHES_PER_MINUTE = 600;
+const SAME_HOLE_MM = 0.01; // Stitches closer than this go into the same hole
+
+/**
+ * Estimates how long the machine takes to sew a design. Only stitches are counted;
+ * jumps, trims and thread changes add a little on top.
+ * @param {{stitches: number}} summary - Totals from summarizeStitchPlan().
+ * @param {number} [stitchesPerMinute=DEFAULT_STITCHES_PER_MINUTE] - The machine's sewing speed.
+ * @returns {number} The sewing time in minutes.
+ */
+function estimateSewingMinutes(summary, stitchesPerMinute = DEFAULT_STITCHES_PER_MINUTE) {
+    return summary.stitches / stitchesPerMinute;
+}
+
+/**
+ * Formats a duration in minutes as "m:ss", or "h:mm:ss" for an hour or more.
+ * @param {number} minutes - The duration.
+ * @returns {string} The formatted duration.
+ */
+function formatSewingTime(minutes) {
+    const totalSeconds = Math.round(minutes * 60);
+    const hours = Math.floor(totalSeconds / 3600);
+    const mins = Math.floor(totalSeconds / 60) % 60;
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${seconds}` : `${mins}:${seconds}`;
+}
+
+/**
+ * Finds stitches that are too short, stitches longer than the machine can sew and
+ * squares where too many stitches pile up. Stitches into the same hole (such as the
+ * needle going down where a jump ended) are not reported as short.
+ * Each problem records the index of the stitch it belongs to, counted over the
+ * plan's stitch commands, so it can be shown once the animation reaches it.
+ * Short and long problems run from (fromX, fromY) to (x, y); dense problems cover
+ * the square of the given size whose lower left corner is (x, y). Coordinates are in data units.
+ * @param {Array<{command: string, x: number, y: number}>} plan - A stitch plan.
+ * @param {Object} [limits=DEFAULT_SEWABILITY_LIMITS] - Thresholds, as DEFAULT_SEWABILITY_LIMITS.
+ * @returns {Array<{type: string, stitchIndex: number, x: number, y: number, fromX?: number, fromY?: number,
+ *     lengthMm?: number, size?: number, count?: number}>} The problems, in stitching order.
+ */
+function findSewabilityProblems(plan, limits = DEFAULT_SEWABILITY_LIMITS) {
+    const problems = [];
+    const cellSize = limits.densityCellMm / DATA_UNIT_MM;
+    const cellCounts = new Map();
+    const denseCells = new Map(); // Reported problem by square
+    let stitchIndex = -1;
+    let previous = null;
+
+    for (const stitchCommand of plan) {
+        if (stitchCommand.command === 'stitch') {
+            stitchIndex++;
+            if (previous && previous.command === 'stitch') {
+                const lengthMm = Math.hypot(stitchCommand.x - previous.x, stitchCommand.y - previous.y) * DATA_UNIT_MM;
+                const type = lengthMm > limits.longStitchMm ? 'long'
+                    : (lengthMm >= SAME_HOLE_MM && lengthMm < limits.shortStitchMm ? 'short' : null);
+                if (type) {
+                    problems.push({
+                        type, stitchIndex, x: stitchCommand.x, y: stitchCommand.y,
+                        fromX: previous.x, fromY: previous.y, lengthMm
+                    });
+                }
+            }
+
+            // Report a square once, at the stitch that takes it over the limit
+            const cellX = Math.floor(stitchCommand.x / cellSize);
+            const cellY = Math.floor(stitchCommand.y / cellSize);
+            const key = `${cellX},${cellY}`;
+            const count = (cellCounts.get(key) || 0) + 1;
+            cellCounts.set(key, count);
+            if (count === limits.maxStitchesPerCell + 1) {
+                const problem = { type: 'dense', stitchIndex, x: cellX * cellSize, y: cellY * cellSize, size: cellSize, count };
+                denseCells.set(key, problem);
+                problems.push(problem);
+            }
+        }
+        previous = stitchCommand;
+    }
+
+    // Dense squares keep collecting stitches after they are first reported
+    for (const [key, problem] of denseCells) {
+        problem.count = cellCounts.get(key);
+    }
+    return problems;
+}
+
+/**
+ * Counts sewability problems by type.
+ * @param {Array<{type: string}>} problems - Problems from findSewabilityProblems().
+ * @returns {{short: number, long: number, dense: number}} The number of problems of each type.
+ */
+function countSewabilityProblems(problems) {
+    const counts = { short: 0, long: 0, dense: 0 };
+    for (const problem of problems) {
+        counts[problem.type]++;
+    }
+    return counts;
+}
+
+// --- DST Embroidery Export ---
+// Tajima DST stores stitches as 3-byte relative moves in units of 0.1 mm,
+// preceded by a 512-byte text header.
+const DST_HEADER_SIZE = 512;
+const DST_MAX_STEP = 121; // Largest move a single record can encode (12.1 mm)
+
+/**
+ * Encodes one DST stitch record. Each axis is stored as a sum of the
+ * balanced-ternary weights 1, 3, 9, 27 and 81 spread over three bytes.
+ * @param {number} dx - Relative X move in 0.1 mm (-121 to 121).
+ * @param {number} dy - Relative Y move in 0.1 mm (-121 to 121), positive is up.
+ * @param {boolean} isJump - True to move the frame without stitching.
+ * @returns {Array<number>} The three record bytes.
+ */
+function encodeDstRecord(dx, dy, isJump) {
+    const bytes = [0x00, 0x00, 0x03]; // Bits 0 and 1 of the third byte are always set
+    if (isJump) {
+        bytes[2] |= 0x80;
+    }
+
+    // Weights in descending order, with the [byte index, plus bit, minus bit] they map to
+    const xWeights = [[81, 2, 0x04, 0x08], [27, 1, 0x04, 0x08], [9, 0, 0x04, 0x08], [3, 1, 0x01, 0x02], [1, 0, 0x01, 0x02]];
+    const yWeights = [[81, 2, 0x20, 0x10], [27, 1, 0x20, 0x10], [9, 0, 0x20, 0x10], [3, 1, 0x80, 0x40], [1, 0, 0x80, 0x40]];
+
+    const encodeAxis = (value, weights) => {
+        for (const [weight, byteIndex, plusBit, minusBit] of weights) {
+            // A weight is needed once the remainder can no longer be reached by the smaller weights
+            const reachableBySmaller = (weight - 1) / 2;
+            if (value > reachableBySmaller) {
+                bytes[byteIndex] |= plusBit;
+                value -= weight;
+            } else if (value < -reachableBySmaller) {
+                bytes[byteIndex] |= minusBit;
+                value += weight;
+            }
+        }
+    };
+    encodeAxis(dx, xWeights);
+    encodeAxis(dy, yWeights);
+
+    return bytes;
+}
+
+/**
+ * Writes a Tajima DST file for a stitch plan. The design is centred on the origin,
+ * which is where embroidery machines start, and moves longer than 12.1 mm are
+ * split into several records. DST has no trim command, so trims are written as
+ * the usual short sequence of jumps, and stops as colour changes.
+ * @param {Array<{command: string, x: number, y: number}>} plan - Stitch plan in data units (see buildStitchPlan).
+ * @param {string} label - Design name written to the header (max 16 characters).
+ * @returns {Uint8Array} The complete .dst file contents.
+ */
+function buildDstFile(plan, label) {
+    // Convert to 0.1 mm and centre the stitches on the origin
+    const toTenthMm = (value) => value * DATA_UNIT_MM * 10;
+    let minStitchX = Infinity;
+    let maxStitchX = -Infinity;
+    let minStitchY = Infinity;
+    let maxStitchY = -Infinity;
+    for (const stitchCommand of plan) {
+        if (stitchCommand.command === 'stitch') {
+            minStitchX = Math.min(minStitchX, toTenthMm(stitchCommand.x));
+            maxStitchX = Math.max(maxStitchX, toTenthMm(stitchCommand.x));
+            minStitchY = Math.min(minStitchY, toTenthMm(stitchCommand.y));
+            maxStitchY = Math.max(maxStitchY, toTenthMm(stitchCommand.y));
+        }
+    }
+    const centerX = minStitchX === Infinity ? 0 : (minStitchX + maxStitchX) / 2;
+    const centerY = minStitchY === Infinity ? 0 : (minStitchY + maxStitchY) / 2;
+
+    const records = [];
+    let colorChangeCount = 0;
+    let currentX = 0;
+    let currentY = 0;
+    let minX = 0;
+    let maxX = 0;
+    let minY = 0;
+    let maxY = 0;
+
+    // Adds one or more records moving the needle to (x, y), never exceeding DST_MAX_STEP per axis
+    const moveTo = (x, y, isJump) => {
+        const dx = x - currentX;
+        const dy = y - currentY;
+        if (dx === 0 && dy === 0) {
+            return;
+        }
+        const steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / DST_MAX_STEP);
+        let stepStartX = currentX;
+        let stepStartY = currentY;
+        for (let i = 1; i <= steps; i++) {
+            const stepEndX = currentX + Math.round(dx * i / steps);
+            const stepEndY = currentY + Math.round(dy * i / steps);
+            records.push(encodeDstRecord(stepEndX - stepStartX, stepEndY - stepStartY, isJump));
+            stepStartX = stepEndX;
+            stepStartY = stepEndY;
+        }
+        currentX = x;
+        currentY = y;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    };
+
+    for (const stitchCommand of plan) {
+        const x = Math.round(toTenthMm(stitchCommand.x) - centerX);
+        const y = Math.round(toTenthMm(stitchCommand.y) - centerY);
+        if (stitchCommand.command === 'stitch') {
+            moveTo(x, y, false);
+        } else if (stitchCommand.command === 'jump') {
+            moveTo(x, y, true);
+        } else if (stitchCommand.command === 'trim') {
+            records.push(encodeDstRecord(2, 2, true), encodeDstRecord(-4, -4, true), encodeDstRecord(2, 2, true));
+        } else if (stitchCommand.command === 'stop') {
+            records.push([0x00, 0x00, 0xC3]);
+            colorChangeCount++;
+        }
+    }
+
+    const stitchCount = records.length;
+    records.push([0x00, 0x00, 0xF3]); // END record
+
+    const signed = (value) => (value < 0 ? '-' : '+') + String(Math.abs(value)).padStart(5, ' ');
+    const headerText = [
+        `LA:${label.slice(0, 16).padEnd(16, ' ')}`,
+        `ST:${String(stitchCount).padStart(7, ' ')}`,
+        `CO:${String(colorChangeCount).padStart(3, ' ')}`,
+        `+X:${String(maxX).padStart(5, ' ')}`,
+        `-X:${String(Math.abs(minX)).padStart(5, ' ')}`,
+        `+Y:${String(maxY).padStart(5, ' ')}`,
+        `-Y:${String(Math.abs(minY)).padStart(5, ' ')}`,
+        `AX:${signed(currentX)}`,
+        `AY:${signed(currentY)}`,
+        `MX:${signed(0)}`,
+        `MY:${signed(0)}`,
+        'PD:******'
+    ].map(line => line + '\r').join('') + '\x1a';
+
+    const file = new Uint8Array(DST_HEADER_SIZE + records.length * 3);
+    file.fill(0x20, 0, DST_HEADER_SIZE); // The header is padded with spaces
+    for (let i = 0; i < headerText.length; i++) {
+        file[i] = headerText.charCodeAt(i) & 0xFF;
+    }
+    records.forEach((record, index) => file.set(record, DST_HEADER_SIZE + index * 3));
+    return file;
+}
+
+/**
+ * Turns the stitched word into a safe base file name.
+ * @param {string} word - The word being stitched.
+ * @returns {string} File name without extension.
+ */
+function designFileBaseName(word) {
+    const cleaned = word.replace(/[^A-Z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+    return cleaned || 'design';
+}
+
+// --- SVG Export ---
+const MM_PER_CSS_PIXEL = 25.4 / 96; // CSS defines 96 pixels per inch
+
+/**
+ * Formats a number for SVG output with at most three decimals.
+ * @param {number} value - The number to format.
+ * @returns {string} The formatted number.
+ */
+function formatSvgNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Escapes text for use inside SVG/XML markup.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return text.replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[char]);
+}
+
+/**
+ * Builds an SVG document of the given characters at real-world size (millimetres).
+ * Each character becomes its own group holding a single polyline whose points follow
+ * the stitching order, so the file keeps the stroke order of the animation.
+ * @param {Array<{char: string, processedPoints: Array<Array<number>>, xOffset: number, yOffset: number}>} characters - Characters to export.
+ * @param {string} title - Title written into the document.
+ * @returns {string} The SVG markup.
+ */
+function buildSvgDocument(characters, title) {
+    const strokeWidthMm = STITCH_LINE_WIDTH_PX * MM_PER_CSS_PIXEL;
+    const toMm = (value) => value * DATA_UNIT_MM;
+
+    // Find the word's extents in millimetres, padded so the stroke is not clipped
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const characterData of characters) {
+        for (const point of characterData.processedPoints) {
+            minX = Math.min(minX, toMm(point[0] + characterData.xOffset));
+            maxX = Math.max(maxX, toMm(point[0] + characterData.xOffset));
+            minY = Math.min(minY, toMm(point[1] + characterData.yOffset));
+            maxY = Math.max(maxY, toMm(point[1] + characterData.yOffset));
+        }
+    }
+    if (minX === Infinity) {
+        minX = maxX = minY = maxY = 0;
+    }
+    minX -= strokeWidthMm;
+    minY -= strokeWidthMm;
+    maxX += strokeWidthMm;
+    maxY += strokeWidthMm;
+
+    const widthMm = maxX - minX;
+    const heightMm = maxY - minY;
+
+    const groups = characters.map((characterData, index) => {
+        // SVG's Y axis points down, so flip the data Y axis around the top edge
+        const pointList = characterData.processedPoints.map(point =>
+            `${formatSvgNumber(toMm(point[0] + characterData.xOffset))},${formatSvgNumber(maxY + minY - toMm(point[1] + characterData.yOffset))}`
+        ).join(' ');
+        const path = characterData.processedPoints.length > 1 ? `\n    <polyline points="${pointList}"/>\n  ` : '';
+        const thread = THREAD_PALETTE[characterData.thread];
+        return `  <g id="char-${index}" data-char="${escapeXml(characterData.char)}" data-thread="${escapeXml(thread.name)}" ` +
+            `stroke="${thread.color}">${path}</g>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${formatSvgNumber(widthMm)}mm" height="${formatSvgNumber(heightMm)}mm" ` +
+            `viewBox="${formatSvgNumber(minX)} ${formatSvgNumber(minY)} ${formatSvgNumber(widthMm)} ${formatSvgNumber(heightMm)}">`,
+        `<title>${escapeXml(title)}</title>`,
+        `<g fill="none" stroke="${STITCH_COLOR}" stroke-width="${formatSvgNumber(strokeWidthMm)}" stroke-linejoin="round" stroke-linecap="round">`,
+        ...groups,
+        '</g>',
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+// --- Animated GIF Export ---
+// A GIF89a file holds up to 256 colours shared by all frames. Each frame stores only the
+// rectangle that changed since the frame before, compressed with variable-length LZW codes,
+// and frames that show nothing new are merged into the previous frame's delay.
+const GIF_MAX_COLORS = 256;
+const GIF_MAX_CODE_SIZE = 12; // LZW codes are at most 12 bits, so the code table holds 4096 entries
+const GIF_MIN_DELAY_MS = 20; // Browsers slow down frames shown for less than this
+
+/**
+ * Chooses the colours of a GIF: the given colours exactly, then an even spread
+ * of the rest of the RGB cube for everything else (anti-aliased edges, shading).
+ * @param {Array<string>} keyColors - Colours that must be reproduced exactly, as "#rrggbb".
+ * @returns {Array<Array<number>>} Up to GIF_MAX_COLORS [r, g, b] colours.
+ */
+function buildGifPalette(keyColors) {
+    const palette = [];
+    for (const color of new Set(keyColors.map(color => color.toLowerCase()))) {
+        if (palette.length < GIF_MAX_COLORS / 2) {
+            palette.push([1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16)));
+        }
+    }
+    const levels = Math.max(2, Math.floor(Math.cbrt(GIF_MAX_COLORS - palette.length)));
+    for (let r = 0; r < levels; r++) {
+        for (let g = 0; g < levels; g++) {
+            for (let b = 0; b < levels; b++) {
+                palette.push([r, g, b].map(level => Math.round(level * 255 / (levels - 1))));
+            }
+        }
+    }
+    return palette.slice(0, GIF_MAX_COLORS);
+}
+
+/**
+ * Compresses palette indices with GIF's variable-length LZW and splits the result into sub-blocks.
+ * @param {Uint8Array} indices - Palette index of every pixel, row by row.
+ * @returns {Uint8Array} The image data: the minimum code size, the sub-blocks and their terminator.
+ */
+function encodeGifLzw(indices) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [minCodeSize];
+    let block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bitBuffer & 0xFF);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                output.push(255, ...block);
+                block = [];
+            }
+        }
+    };
+
+    // Each table entry is keyed by the code of its prefix and the index that follows it
+    let table = new Map();
+    let nextCode = endCode + 1;
+    writeCode(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * 256 + indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        writeCode(prefix);
+        if (nextCode < 1 << GIF_MAX_CODE_SIZE) {
+            table.set(key, nextCode);
+            if (nextCode === 1 << codeSize) {
+                codeSize++;
+            }
+            nextCode++;
+        } else {
+            // The table is full: start again with a fresh one
+            writeCode(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+        prefix = indices[i];
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) {
+        block.push(bitBuffer & 0xFF);
+    }
+    if (block.length > 0) {
+        output.push(block.length, ...block);
+    }
+    output.push(0);
+    return Uint8Array.from(output);
+}
+
+/**
+ * Joins byte arrays into one.
+ * @param {Array<Uint8Array|Array<number>>} parts - The bytes, in order.
+ * @returns {Uint8Array} All the bytes.
+ */
+function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+/**
+ * Starts an animated GIF that loops forever. Frames are added one at a time as RGBA pixels
+ * (as from getImageData()) and mapped to the nearest palette colour; their alpha is ignored.
+ * @param {number} width - Width of every frame in pixels.
+ * @param {number} height - Height of every frame in pixels.
+ * @param {Array<Array<number>>} palette - Colours, as from buildGifPalette().
+ * @returns {{addFrame: function(Uint8ClampedArray, number), holdFrame: function(number), finish: function(): Uint8Array}}
+ *     Adds a frame shown for a number of milliseconds, shows the last frame for longer, and
+ *     returns the finished file.
+ */
+function createGifEncoder(width, height, palette) {
+    const le16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+    const colorTable = new Uint8Array(GIF_MAX_COLORS * 3);
+    palette.forEach((color, index) => colorTable.set(color, index * 3));
+    const parts = [
+        [...'GIF89a'].map(char => char.charCodeAt(0)),
+        [...le16(width), ...le16(height), 0xF7, 0, 0], // Global colour table of 256 entries
+        colorTable,
+        [0x21, 0xFF, 0x0B, ...[...'NETSCAPE2.0'].map(char => char.charCodeAt(0)), 0x03, 0x01, 0, 0, 0x00] // Loop forever
+    ];
+
+    const nearestIndices = new Map(); // Palette index by 0xRRGGBB, filled in as colours turn up
+    const findNearest = (rgb) => {
+        let index = nearestIndices.get(rgb);
+        if (index === undefined) {
+            let bestDistance = Infinity;
+            palette.forEach(([r, g, b], candidate) => {
+                const distance = ((rgb >> 16) - r) ** 2 + (((rgb >> 8) & 0xFF) - g) ** 2 + ((rgb & 0xFF) - b) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    index = candidate;
+                }
+            });
+            nearestIndices.set(rgb, index);
+        }
+        return index;
+    };
+
+    let written = null; // Indices of the last frame written to the file
+    let pending = null; // {indices, delayMs} of the frame waiting for its delay to be known
+    let writtenMs = 0; // Time the frames written so far are shown for, so rounding errors don't add up
+
+    const writePending = () => {
+        // Find the rectangle that changed since the last frame written
+        let left = 0;
+        let top = 0;
+        let right = width - 1;
+        let bottom = height - 1;
+        if (written) {
+            left = width;
+            top = height;
+            right = -1;
+            bottom = -1;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (pending.indices[y * width + x] !== written[y * width + x]) {
+                        left = Math.min(left, x);
+                        right = Math.max(right, x);
+                        top = Math.min(top, y);
+                        bottom = y;
+                    }
+                }
+            }
+            if (right === -1) {
+                left = top = right = bottom = 0; // Nothing changed; a single pixel keeps the delay
+            }
+        }
+        const rectWidth = right - left + 1;
+        const rectHeight = bottom - top + 1;
+        const rect = new Uint8Array(rectWidth * rectHeight);
+        for (let y = 0; y < rectHeight; y++) {
+            rect.set(pending.indices.subarray((top + y) * width + left, (top + y) * width + right + 1), y * rectWidth);
+        }
+
+        const delayCs = Math.round((writtenMs + pending.delayMs) / 10) - Math.round(writtenMs / 10);
+        writtenMs += pending.delayMs;
+        parts.push(
+            [0x21, 0xF9, 0x04, 0x04, ...le16(delayCs), 0, 0x00], // Leave the frame in place for the next one
+            [0x2C, ...le16(left), ...le16(top), ...le16(rectWidth), ...le16(rectHeight), 0],
+            encodeGifLzw(rect)
+        );
+        written = pending.indices;
+    };
+
+    return {
+        addFrame(rgba, delayMs) {
+            const indices = new Uint8Array(width * height);
+            for (let i = 0; i < indices.length; i++) {
+                indices[i] = findNearest((rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2]);
+            }
+            if (pending && indices.every((index, i) => index === pending.indices[i])) {
+                pending.delayMs += delayMs;
+                return;
+            }
+            if (pending) {
+                writePending();
+            }
+            pending = { indices, delayMs };
+        },
+        holdFrame(delayMs) {
+            if (pending) {
+                pending.delayMs += delayMs;
+            }
+        },
+        finish() {
+            if (pending) {
+                writePending();
+                pending = null;
+            }
+            parts.push([0x3B]);
+            return concatBytes(parts);
+        }
+    };
+}
+
+// --- WebM Export ---
+// WebM is a Matroska file: nested EBML elements, each an ID, a size and its content.
+// Video frames already encoded by the browser are stored as SimpleBlocks in clusters
+// that each start at a key frame, with times in milliseconds.
+const WEBM_CODEC_IDS = { vp8: 'V_VP8', vp09: 'V_VP9' }; // By the start of the WebCodecs codec string
+const WEBM_MAX_CLUSTER_MS = 30000; // Block times are 16-bit offsets from the start of their cluster
+
+/**
+ * Encodes one EBML element.
+ * @param {number} id - Element ID, including its length marker bits (e.g. 0x1A45DFA3).
+ * @param {number|string|Uint8Array|Array<Uint8Array>} content - An unsigned integer, ASCII text,
+ *     raw bytes or already encoded child elements.
+ * @returns {Uint8Array} The element.
+ */
+function encodeEbmlElement(id, content) {
+    let body;
+    if (typeof content === 'number') {
+        const bytes = [];
+        for (let value = content; bytes.length === 0 || value > 0; value = Math.floor(value / 256)) {
+            bytes.unshift(value % 256);
+        }
+        body = Uint8Array.from(bytes);
+    } else if (typeof content === 'string') {
+        body = Uint8Array.from([...content].map(char => char.charCodeAt(0)));
+    } else if (Array.isArray(content)) {
+        body = concatBytes(content);
+    } else {
+        body = content;
+    }
+
+    const idBytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        idBytes.unshift(value % 256);
+    }
+    // Sizes are written in as few bytes as they fit in; a length of n bytes leaves 7n bits for the value
+    let sizeLength = 1;
+    while (body.length >= 2 ** (7 * sizeLength) - 1) {
+        sizeLength++;
+    }
+    const sizeBytes = [];
+    for (let i = 0, value = body.length; i < sizeLength; i++, value = Math.floor(value / 256)) {
+        sizeBytes.unshift(value % 256);
+    }
+    sizeBytes[0] |= 0x80 >> (sizeLength - 1);
+    return concatBytes([idBytes, sizeBytes, body]);
+}
+
+/**
+ * Encodes an EBML element holding a 64-bit float.
+ * @param {number} id - Element ID.
+ * @param {number} value - The number.
+ * @returns {Uint8Array} The element.
+ */
+function encodeEbmlFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return encodeEbmlElement(id, bytes);
+}
+
+/**
+ * Writes a WebM file holding one video track.
+ * @param {Array<{data: Uint8Array, timestampMs: number, keyFrame: boolean}>} frames - Encoded frames in order,
+ *     starting with a key frame, as from a WebCodecs VideoEncoder.
+ * @param {{codec: string, width: number, height: number, durationMs: number}} video - The encoder's codec
+ *     string (e.g. "vp8"), the frame size in pixels and how long the video lasts.
+ * @returns {Uint8Array} The complete .webm file contents.
+ * @throws {Error} If the codec can't be stored in WebM.
+ */
+function buildWebmFile(frames, video) {
+    const codecId = WEBM_CODEC_IDS[Object.keys(WEBM_CODEC_IDS).find(prefix => video.codec.startsWith(prefix))];
+    if (!codecId) {
+        throw new Error(`WebM can't hold ${video.codec} video.`);
+    }
+
+    const clusters = [];
+    let cluster = null;
+    for (const frame of frames) {
+        const timestampMs = Math.round(frame.timestampMs);
+        if (!cluster || frame.keyFrame || timestampMs - cluster.startMs > WEBM_MAX_CLUSTER_MS) {
+            cluster = { startMs: timestampMs, blocks: [encodeEbmlElement(0xE7, timestampMs)] };
+            clusters.push(cluster);
+        }
+        const offsetMs = timestampMs - cluster.startMs;
+        const header = [0x81, (offsetMs >> 8) & 0xFF, offsetMs & 0xFF, frame.keyFrame ? 0x80 : 0x00]; // Track 1
+        cluster.blocks.push(encodeEbmlElement(0xA3, concatBytes([header, frame.data])));
+    }
+
+    return concatBytes([
+        encodeEbmlElement(0x1A45DFA3, [ // EBML header
+            encodeEbmlElement(0x4286, 1), // EBMLVersion
+            encodeEbmlElement(0x42F7, 1), // EBMLReadVersion
+            encodeEbmlElement(0x42F2, 4), // EBMLMaxIDLength
+            encodeEbmlElement(0x42F3, 8), // EBMLMaxSizeLength
+            encodeEbmlElement(0x4282, 'webm'), // DocType
+            encodeEbmlElement(0x4287, 2), // DocTypeVersion
+            encodeEbmlElement(0x4285, 2) // DocTypeReadVersion
+        ]),
+        encodeEbmlElement(0x18538067, [ // Segment
+            encodeEbmlElement(0x1549A966, [ // Info
+                encodeEbmlElement(0x2AD7B1, 1000000), // TimestampScale: times are in milliseconds
+                encodeEbmlElement(0x4D80, 'Turtle Stitch'), // MuxingApp
+                encodeEbmlElement(0x5741, 'Turtle Stitch'), // WritingApp
+                encodeEbmlFloat(0x4489, video.durationMs) // Duration
+            ]),
+            encodeEbmlElement(0x1654AE6B, [ // Tracks
+                encodeEbmlElement(0xAE, [ // TrackEntry
+                    encodeEbmlElement(0xD7, 1), // TrackNumber
+                    encodeEbmlElement(0x73C5, 1), // TrackUID
+                    encodeEbmlElement(0x83, 1), // TrackType: video
+                    encodeEbmlElement(0x9C, 0), // FlagLacing
+                    encodeEbmlElement(0x86, codecId), // CodecID
+                    encodeEbmlElement(0xE0, [ // Video
+                        encodeEbmlElement(0xB0, video.width), // PixelWidth
+                        encodeEbmlElement(0xBA, video.height) // PixelHeight
+                    ])
+                ])
+            ]),
+            ...clusters.map(({ blocks }) => encodeEbmlElement(0x1F43B675, blocks)) // Clusters
+        ])
+    ]);
+}
+
+// --- DST/EXP Embroidery Import ---
+// Imported files are read into a list of stitch commands in absolute 0.1 mm
+// coordinates (Y up), then split into separate paths wherever the needle
+// jumps, trims or changes colour.
+
+/**
+ * Thrown when an imported embroidery file has records the reader doesn't understand.
+ */
+class EmbroideryFileError extends Error {
+    /**
+     * @param {string} message - What is wrong with the file.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'EmbroideryFileError';
+    }
+}
+
+/**
+ * Reads the stitch records of a Tajima DST file.
+ * @param {Uint8Array} bytes - The file contents.
+ * @returns {Array<{command: string, x: number, y: number}>} Commands: 'stitch', 'jump', 'colorChange' or 'end'.
+ */
+function parseDstFile(bytes) {
+    const commands = [];
+    let x = 0;
+    let y = 0;
+    const bit = (byte, index) => (byte >> index) & 1;
+
+    for (let offset = DST_HEADER_SIZE; offset + 2 < bytes.length; offset += 3) {
+        const b0 = bytes[offset];
+        const b1 = bytes[offset + 1];
+        const b2 = bytes[offset + 2];
+
+        if ((b2 & 0xF3) === 0xF3) {
+            commands.push({ command: 'end', x, y });
+            break;
+        }
+
+        x += 81 * (bit(b2, 2) - bit(b2, 3)) + 27 * (bit(b1, 2) - bit(b1, 3)) + 9 * (bit(b0, 2) - bit(b0, 3)) +
+             3 * (bit(b1, 0) - bit(b1, 1)) + (bit(b0, 0) - bit(b0, 1));
+        y += 81 * (bit(b2, 5) - bit(b2, 4)) + 27 * (bit(b1, 5) - bit(b1, 4)) + 9 * (bit(b0, 5) - bit(b0, 4)) +
+             3 * (bit(b1, 7) - bit(b1, 6)) + (bit(b0, 7) - bit(b0, 6));
+
+        if ((b2 & 0xC3) === 0xC3) {
+            commands.push({ command: 'colorChange', x, y });
+        } else if (b2 & 0x80) {
+            commands.push({ command: 'jump', x, y });
+        } else {
+            commands.push({ command: 'stitch', x, y });
+        }
+    }
+    return commands;
+}
+
+/**
+ * Reads the stitch records of a Melco EXP file. Plain stitches are two signed bytes;
+ * a 0x80 byte introduces a control code followed by a two-byte move.
+ * @param {Uint8Array} bytes - The file contents.
+ * @returns {Array<{command: string, x: number, y: number}>} Commands: 'stitch', 'jump', 'trim' or 'colorChange'.
+ * @throws {EmbroideryFileError} If the file has a control code other than stitch, jump, trim or colour change.
+ */
+function parseExpFile(bytes) {
+    const commands = [];
+    let x = 0;
+    let y = 0;
+    const signedByte = (byte) => (byte > 127 ? byte - 256 : byte);
+
+    for (let offset = 0; offset + 1 < bytes.length; offset += 2) {
+        if (bytes[offset] !== 0x80) {
+            x += signedByte(bytes[offset]);
+            y += signedByte(bytes[offset + 1]);
+            commands.push({ command: 'stitch', x, y });
+            continue;
+        }
+
+        const control = bytes[offset + 1];
+        offset += 2;
+        if (offset + 1 >= bytes.length) {
+            break;
+        }
+        const dx = signedByte(bytes[offset]);
+        const dy = signedByte(bytes[offset + 1]);
+
+        if (control === 0x80) {
+            commands.push({ command: 'trim', x, y });
+        } else if (control === 0x02) {
+            x += dx;
+            y += dy;
+            commands.push({ command: 'stitch', x, y });
+        } else if (control === 0x04) {
+            x += dx;
+            y += dy;
+            commands.push({ command: 'jump', x, y });
+        } else if (control === 0x01) {
+            commands.push({ command: 'colorChange', x, y });
+            if (dx !== 0 || dy !== 0) {
+                x += dx;
+                y += dy;
+                commands.push({ command: 'jump', x, y });
+            }
+        } else {
+            throw new EmbroideryFileError(`Unknown EXP control code 0x${control.toString(16)} at byte ${offset - 2}.`);
+        }
+    }
+    return commands;
+}
+
+/**
+ * Splits a list of stitch commands into continuous stitched paths.
+ * Jumps, trims and colour changes end the current path; the next stitch
+ * starts a new one from wherever the needle landed. Files don't say which
+ * colours they use, so each colour change moves on to the next palette thread.
+ * @param {Array<{command: string, x: number, y: number}>} commands - Parsed stitch commands.
+ * @returns {Array<{points: Array<Array<number>>, thread: number}>} Paths of [x, y] points in 0.1 mm, with their threads.
+ */
+function splitStitchCommandsIntoPaths(commands) {
+    const paths = [];
+    let currentPath = [];
+    let thread = 0;
+    let x = 0;
+    let y = 0;
+
+    for (const stitchCommand of commands) {
+        if (stitchCommand.command === 'stitch') {
+            if (currentPath.length === 0) {
+                currentPath.push([x, y]);
+            }
+            currentPath.push([stitchCommand.x, stitchCommand.y]);
+        } else {
+            if (currentPath.length > 0) {
+                paths.push({ points: currentPath, thread });
+                currentPath = [];
+            }
+            if (stitchCommand.command === 'colorChange') {
+                thread = (thread + 1) % THREAD_PALETTE.length;
+            }
+        }
+        x = stitchCommand.x;
+        y = stitchCommand.y;
+    }
+    if (currentPath.length > 0) {
+        paths.push({ points: currentPath, thread });
+    }
+    return paths;
+}
+
+/**
+ * Converts imported paths into animation items in data units, shifted so the
+ * design starts at the data origin like a word does.
+ * @param {Array<{points: Array<Array<number>>, thread: number}>} paths - Paths of [x, y] points in 0.1 mm.
+ * @returns {{items: Array<{char: string, label: string, processedPoints: Array<Array<number>>, xOffset: number, yOffset: number, thread: number}>,
+ *     width: number, height: number}}
+ *     The items plus the design's width and height in data units.
+ */
+function buildImportedDesignItems(paths) {
+    const unitsPerTenthMm = 1 / (DATA_UNIT_MM * 10);
+
+    const items = paths.map((path, index) => ({
+        char: '',
+        label: `path ${index + 1} of ${paths.length}`,
+        processedPoints: path.points.map(([x, y]) => [x * unitsPerTenthMm, y * unitsPerTenthMm]),
+        xOffset: 0,
+        yOffset: 0,
+        thread: path.thread
+    }));
+    return alignItemsToOrigin(items);
+}
+
+// --- Turtle Graphics ---
+// A small Logo-style language for drawing designs with a turtle that starts at the
+// origin facing up. Distances are in millimetres and angles in degrees.
+//   forward n / fd n, back n / bk n   move, stitching while the pen is down
+//   left deg / lt deg, right deg / rt deg   turn
+//   penup / pu, pendown / pd          stop or start stitching
+//   repeat n [ ... ]                  run a block n times
+//   make "name expression             set a variable, read back as :name; inside a procedure
+//                                     this sets its parameter of that name, else the global
+//   to name :param ... end            define a procedure, called as name arg ...
+// Numbers can be combined with + - * / and parentheses. ';' starts a comment.
+// Each stretch drawn with the pen down becomes one path of the design.
+const TURTLE_COMMANDS = {
+    forward: 'forward', fd: 'forward',
+    back: 'back', bk: 'back',
+    left: 'left', lt: 'left',
+    right: 'right', rt: 'right',
+    penup: 'penup', pu: 'penup',
+    pendown: 'pendown', pd: 'pendown'
+};
+const TURTLE_COMMAND_ARGUMENTS = { forward: 1, back: 1, left: 1, right: 1, penup: 0, pendown: 0 };
+const TURTLE_MAX_STEPS = 100000; // Commands and repeat rounds a program may run before it is stopped
+const TURTLE_MAX_DEPTH = 200; // How deeply procedure calls and repeat blocks may be nested while running
+const TURTLE_MAX_NESTING = 100; // How deeply brackets, minus signs, blocks and procedure definitions may be nested
+const TURTLE_MAX_THREAD_MM = 100000; // Stitched distance a program may draw before it is stopped
+
+/**
+ * Thrown for mistakes in a turtle program. The message starts with the line number.
+ */
+class TurtleError extends Error {
+    /**
+     * @param {string} message - What went wrong.
+     * @param {number} line - The line of the program it went wrong on.
+     */
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'TurtleError';
+        this.line = line;
+    }
+}
+
+/**
+ * Splits a turtle program into tokens.
+ * @param {string} source - The program text.
+ * @returns {Array<{type: string, value: (string|number), line: number}>} Tokens of type 'number',
+ *     'word', 'variable' (:name), 'quoted' ("name) or 'symbol'.
+ * @throws {TurtleError} If the program contains a character the language doesn't use.
+ */
+function tokenizeTurtleProgram(source) {
+    const tokens = [];
+    source.split('\n').forEach((text, lineIndex) => {
+        const line = lineIndex + 1;
+        const code = text.split(';')[0];
+        const tokenPattern = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|([:"])?([A-Za-z_][\w]*)|([[\]()+\-*/]))/y;
+        let index = 0;
+        while (index < code.length) {
+            if (/^\s*$/.test(code.slice(index))) {
+                break;
+            }
+            tokenPattern.lastIndex = index;
+            const match = tokenPattern.exec(code);
+            if (!match) {
+                throw new TurtleError(`Unexpected '${code.slice(index).trim()[0]}'.`, line);
+            }
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]), line });
+            } else if (match[3] !== undefined) {
+                const type = match[2] === ':' ? 'variable' : match[2] === '"' ? 'quoted' : 'word';
+                tokens.push({ type, value: match[3].toLowerCase(), line });
+            } else {
+                tokens.push({ type: 'symbol', value: match[4], line });
+            }
+            index = tokenPattern.lastIndex;
+        }
+    });
+    return tokens;
+}
+
+/**
+ * Parses a turtle program into statements. Procedures may be called before they are defined.
+ * @param {string} source - The program text.
+ * @returns {{statements: Array<Object>, procedures: Map<string, {params: Array<string>, body: Array<Object>}>}} The parsed program.
+ * @throws {TurtleError} If the program can't be parsed.
+ */
+function parseTurtleProgram(source) {
+    const tokens = tokenizeTurtleProgram(source);
+    let position = 0;
+    const lastLine = tokens.length > 0 ? tokens[tokens.length - 1].line : 1;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isSymbol = (token, value) => token && token.type === 'symbol' && token.value === value;
+    let nesting = 0;
+    const enter = (line) => {
+        if (++nesting > TURTLE_MAX_NESTING) {
+            throw new TurtleError(`Brackets or blocks nested more than ${TURTLE_MAX_NESTING} deep.`, line);
+        }
+    };
+    const leave = () => {
+        nesting--;
+    };
+
+    // Find every procedure's parameters first so calls know how many arguments to read
+    const procedures = new Map();
+    tokens.forEach((token, index) => {
+        if (token.type === 'word' && token.value === 'to' && tokens[index + 1] && tokens[index + 1].type === 'word') {
+            const name = tokens[index + 1].value;
+            if (procedures.has(name)) {
+                throw new TurtleError(`Procedure '${name}' is defined twice.`, token.line);
+            }
+            const params = [];
+            for (let i = index + 2; tokens[i] && tokens[i].type === 'variable' && tokens[i].line === token.line; i++) {
+                params.push(tokens[i].value);
+            }
+            procedures.set(name, { params, body: [] });
+        }
+    });
+
+    const parseFactor = () => {
+        const token = next();
+        if (!token) {
+            throw new TurtleError('Expected a number but the program ended.', lastLine);
+        }
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'variable') {
+            return { type: 'variable', name: token.value, line: token.line };
+        }
+        if (isSymbol(token, '-')) {
+            enter(token.line);
+            const operand = parseFactor();
+            leave();
+            return { type: 'negate', operand };
+        }
+        if (isSymbol(token, '(')) {
+            enter(token.line);
+            const expression = parseExpression();
+            if (!isSymbol(next(), ')')) {
+                throw new TurtleError("Expected ')'.", token.line);
+            }
+            leave();
+            return expression;
+        }
+        throw new TurtleError(`Expected a number but found '${token.value}'.`, token.line);
+    };
+    // A run of operators of the same precedence is kept in one list, so long sums don't nest
+    const parseBinary = (parseOperand, operators) => () => {
+        const first = parseOperand();
+        const rest = [];
+        while (peek() && peek().type === 'symbol' && operators.includes(peek().value)) {
+            const operator = next();
+            rest.push({ operator: operator.value, operand: parseOperand(), line: operator.line });
+        }
+        return rest.length === 0 ? first : { type: 'binary', first, rest };
+    };
+    const parseTerm = parseBinary(parseFactor, ['*', '/']);
+    const parseExpression = parseBinary(parseTerm, ['+', '-']);
+
+    const parseBlock = (line) => {
+        if (!isSymbol(next(), '[')) {
+            throw new TurtleError("Expected '[' to start the block.", line);
+        }
+        enter(line);
+        const body = [];
+        while (!isSymbol(peek(), ']')) {
+            if (!peek()) {
+                throw new TurtleError("Missing ']' for the block started here.", line);
+            }
+            body.push(parseStatement());
+        }
+        next();
+        leave();
+        return body;
+    };
+
+    const parseStatement = () => {
+        const token = next();
+        if (token.type !== 'word') {
+            throw new TurtleError(`Expected a command but found '${token.value}'.`, token.line);
+        }
+        const name = token.value;
+        const line = token.line;
+        if (TURTLE_COMMANDS[name]) {
+            const command = TURTLE_COMMANDS[name];
+            const args = [];
+            for (let i = 0; i < TURTLE_COMMAND_ARGUMENTS[command]; i++) {
+                args.push(parseExpression());
+            }
+            return { type: 'command', command, args, line };
+        }
+        if (name === 'repeat') {
+            const count = parseExpression();
+            return { type: 'repeat', count, body: parseBlock(line), line };
+        }
+        if (name === 'make') {
+            const variable = next();
+            if (!variable || variable.type !== 'quoted') {
+                throw new TurtleError('make needs a quoted variable name, e.g. make "size 10.', line);
+            }
+            return { type: 'make', name: variable.value, value: parseExpression(), line };
+        }
+        if (name === 'to') {
+            const procedureName = next();
+            if (!procedureName || procedureName.type !== 'word') {
+                throw new TurtleError('to needs a procedure name.', line);
+            }
+            if (TURTLE_COMMANDS[procedureName.value] || ['repeat', 'make', 'to', 'end'].includes(procedureName.value)) {
+                throw new TurtleError(`'${procedureName.value}' is a built-in command.`, line);
+            }
+            const procedure = procedures.get(procedureName.value);
+            position += procedure.params.length;
+            enter(line);
+            while (!(peek() && peek().type === 'word' && peek().value === 'end')) {
+                if (!peek()) {
+                    throw new TurtleError(`Missing 'end' for procedure '${procedureName.value}'.`, line);
+                }
+                procedure.body.push(parseStatement());
+            }
+            next();
+            leave();
+            return { type: 'define', line };
+        }
+        if (procedures.has(name)) {
+            const args = procedures.get(name).params.map(() => parseExpression());
+            return { type: 'call', name, args, line };
+        }
+        throw new TurtleError(`Unknown command '${name}'.`, line);
+    };
+
+    const statements = [];
+    while (peek()) {
+        statements.push(parseStatement());
+    }
+    return { statements, procedures };
+}
+
+/**
+ * Runs a parsed turtle program and collects the paths the turtle stitched.
+ * The program is stopped as soon as its stitches spread wider or taller than the
+ * given size, before they can grow too long to split into stitches.
+ * @param {{statements: Array<Object>, procedures: Map<string, Object>}} program - A program from parseTurtleProgram().
+ * @param {number} [maxSizeMm=Infinity] - How far apart the stitches may be, across and up, in mm.
+ * @returns {Array<Array<Array<number>>>} Paths of [x, y] points in mm.
+ * @throws {TurtleError} If the program fails while running.
+ */
+function runTurtleProgram(program, maxSizeMm = Infinity) {
+    const turtle = { x: 0, y: 0, heading: 0, penDown: true };
+    const paths = [];
+    let currentPath = null;
+    let steps = 0;
+    let threadMm = 0;
+    const extent = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+
+    const evaluate = (expression, scope) => {
+        switch (expression.type) {
+            case 'number':
+                return expression.value;
+            case 'variable':
+                for (let frame = scope; frame; frame = frame.parent) {
+                    if (frame.variables.has(expression.name)) {
+                        return frame.variables.get(expression.name);
+                    }
+                }
+                throw new TurtleError(`Variable ':${expression.name}' has no value.`, expression.line);
+            case 'negate':
+                return -evaluate(expression.operand, scope);
+            default: {
+                let left = evaluate(expression.first, scope);
+                for (const { operator, operand, line } of expression.rest) {
+                    const right = evaluate(operand, scope);
+                    if (operator === '/' && right === 0) {
+                        throw new TurtleError('Division by zero.', line);
+                    }
+                    left = { '+': left + right, '-': left - right, '*': left * right, '/': left / right }[operator];
+                }
+                return left;
+            }
+        }
+    };
+
+    const move = (distance, line) => {
+        const radians = turtle.heading * Math.PI / 180;
+        const x = turtle.x + distance * Math.sin(radians);
+        const y = turtle.y + distance * Math.cos(radians);
+        if (turtle.penDown && distance !== 0) {
+            for (const [pointX, pointY] of [[turtle.x, turtle.y], [x, y]]) {
+                extent.minX = Math.min(extent.minX, pointX);
+                extent.maxX = Math.max(extent.maxX, pointX);
+                extent.minY = Math.min(extent.minY, pointY);
+                extent.maxY = Math.max(extent.maxY, pointY);
+            }
+            // Written so a distance that isn't a finite number fails the checks as well
+            if (!(extent.maxX - extent.minX <= maxSizeMm && extent.maxY - extent.minY <= maxSizeMm)) {
+                throw new TurtleError(`The drawing would be more than ${Math.round(maxSizeMm)} mm across, ` +
+                    'too big for the hoop.', line);
+            }
+            threadMm += Math.abs(distance);
+            if (!(threadMm <= TURTLE_MAX_THREAD_MM)) {
+                throw new TurtleError(`Stopped after stitching ${TURTLE_MAX_THREAD_MM / 1000} m; ` +
+                    'is there an endless loop?', line);
+            }
+            if (!currentPath) {
+                currentPath = [[turtle.x, turtle.y]];
+                paths.push(currentPath);
+            }
+            currentPath.push([x, y]);
+        }
+        turtle.x = x;
+        turtle.y = y;
+    };
+
+    // Every round of a repeat counts as well, so loops with empty bodies are stopped too
+    const countStep = (line) => {
+        if (++steps > TURTLE_MAX_STEPS) {
+            throw new TurtleError(`Stopped after ${TURTLE_MAX_STEPS} steps; is there an endless loop?`, line);
+        }
+    };
+
+    const execute = (statements, scope, depth) => {
+        for (const statement of statements) {
+            countStep(statement.line);
+            switch (statement.type) {
+                case 'command': {
+                    const [value] = statement.args.map(arg => evaluate(arg, scope));
+                    if (statement.command === 'forward') {
+                        move(value, statement.line);
+                    } else if (statement.command === 'back') {
+                        move(-value, statement.line);
+                    } else if (statement.command === 'left') {
+                        turtle.heading -= value;
+                    } else if (statement.command === 'right') {
+                        turtle.heading += value;
+                    } else if (statement.command === 'penup') {
+                        turtle.penDown = false;
+                        currentPath = null;
+                    } else {
+                        turtle.penDown = true;
+                    }
+                    break;
+                }
+                case 'repeat': {
+                    const count = evaluate(statement.count, scope);
+                    if (!Number.isInteger(count) || count < 0) {
+                        throw new TurtleError(`repeat needs a whole number of times, not ${count}.`, statement.line);
+                    }
+                    if (count > 0 && depth >= TURTLE_MAX_DEPTH) {
+                        throw new TurtleError(`Procedures and repeats nested more than ${TURTLE_MAX_DEPTH} deep.`, statement.line);
+                    }
+                    for (let i = 0; i < count; i++) {
+                        countStep(statement.line);
+                        execute(statement.body, scope, depth + 1);
+                    }
+                    break;
+                }
+                case 'make': {
+                    // Like Logo, set the variable where it already lives and make new ones global
+                    let frame = scope;
+                    while (frame.parent && !frame.variables.has(statement.name)) {
+                        frame = frame.parent;
+                    }
+                    frame.variables.set(statement.name, evaluate(statement.value, scope));
+                    break;
+                }
+                case 'call': {
+                    if (depth >= TURTLE_MAX_DEPTH) {
+                        throw new TurtleError(`Procedures and repeats nested more than ${TURTLE_MAX_DEPTH} deep.`, statement.line);
+                    }
+                    const procedure = program.procedures.get(statement.name);
+                    const variables = new Map(procedure.params.map((param, index) =>
+                        [param, evaluate(statement.args[index], scope)]));
+                    execute(procedure.body, { variables, parent: globalScope }, depth + 1);
+                    break;
+                }
+                default:
+                    break; // Procedure definitions were collected while parsing
+            }
+        }
+    };
+
+    const globalScope = { variables: new Map(), parent: null };
+    execute(program.statements, globalScope, 0);
+    return paths;
+}
+
+/**
+ * Compiles a turtle program into design items, in the same shape as imported stitch paths.
+ * Each line the turtle drew counts as a segment of its path.
+ * @param {string} source - The program text.
+ * @param {Object} settings - Design settings; the paths use their stitch lengths, default thread, design
+ *     rotation and mirroring, and passes, and may reach no further than the hoop's diagonal.
+ * @returns {{items: Array<Object>, width: number, height: number}} The items and the design's size in data units.
+ * @throws {TurtleError} If the program can't be parsed or run.
+ */
+function buildTurtleDesign(source, settings) {
+    // The diagonal leaves room for any design rotation; the caller checks the exact fit
+    const maxSizeMm = Math.hypot(settings.hoop.widthMm, settings.hoop.heightMm);
+    const paths = runTurtleProgram(parseTurtleProgram(source), maxSizeMm);
+    const items = paths.map((path, index) => {
+        const points = path.map(([x, y]) => [x / DATA_UNIT_MM, y / DATA_UNIT_MM]);
+        const segments = points.slice(1).map((point, pointIndex) => [points[pointIndex], point]);
+        const flattened = repeatRunPasses(flattenSegmentsWithIndices(segments, settings.stitch), settings.transform.passes);
+        return {
+            char: '',
+            label: `path ${index + 1} of ${paths.length}`,
+            processedPoints: flattened.points,
+            segmentIndices: flattened.segmentIndices,
+            xOffset: 0,
+            yOffset: 0,
+            thread: settings.threads.defaultThread
+        };
+    });
+    return alignItemsToOrigin(transformDesignItems(items, settings.transform) || items);
+}
+
+// --- Node Exports ---
+// In the browser the declarations above are shared with script.js as globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        X_MIN, Y_MIN, DATA_RANGE_X, DATA_RANGE_Y, CHAR_WIDTH_DATA_UNITS, DATA_UNIT_MM, THREAD_PALETTE,
+        DEFAULT_STITCH_SETTINGS, DEFAULT_FILL_SETTINGS, DEFAULT_LAYOUT_SETTINGS, DEFAULT_THREAD_SETTINGS,
+        DEFAULT_BASELINE_SETTINGS, DEFAULT_HOOP_SETTINGS, HOOP_SIZES, FILL_STYLES, FILL_START_CORNERS, TEXT_ALIGNMENTS, BASELINE_MODES, BASELINE_ORIENTATIONS,
+        createDesignSettings, calculateStitchCount, interpolateSegment,
+        STITCH_TYPES, stitchSegment, parseSegmentStitchTypes, findCharacterRules, getSegmentStitchTypes, flattenSegments, flattenSegmentsWithIndices,
+        generateFillSegments, generateOutlineGlyphs, getGlyphSegments,
+        FONT_FORMAT, FONT_FORMAT_VERSION, FontValidationError, loadFont, loadGlyph,
+        traceBitmapOutlines, createGeneratedGlyph,
+        getLetterScale, getGlyphAdvance, getKerning, layoutText,
+        findThreadIndex, parseThreadMarkup, parseSegmentColorRules, groupItemsByThread, describeThreadSequence,
+        MAX_SLANT_DEGREES, MAX_PASSES, DEFAULT_TRANSFORM_SETTINGS, createPointTransform, createCharacterTransform,
+        transformDesignItems, repeatRunPasses,
+        createBaselinePath, parseBaselinePoints, bendItemsAlongBaseline, measureItems, alignItemsToOrigin,
+        buildWordDesign, buildTextDesign, fitTextDesignToHoop,
+        PROJECT_FORMAT, PROJECT_FORMAT_VERSION, ProjectValidationError, readProject,
+        buildStitchPlan, summarizeStitchPlan, optimizeTravelDirections,
+        DEFAULT_SEWABILITY_LIMITS, DEFAULT_STITCHES_PER_MINUTE, estimateSewingMinutes, formatSewingTime,
+        findSewabilityProblems, countSewabilityProblems,
+        buildDstFile, designFileBaseName, buildSvgDocument,
+        buildGifPalette, createGifEncoder, buildWebmFile,
+        EmbroideryFileError, parseDstFile, parseExpFile, splitStitchCommandsIntoPaths, buildImportedDesignItems,
+        TurtleError, parseTurtleProgram, runTurtleProgram, buildTurtleDesign
+    };
+}
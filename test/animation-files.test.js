@@ -0,0 +1,222 @@
+// test/animation-files.test.js
+
+// --- GIF and WebM Files ---
+// Encodes small animations and reads the files back with minimal decoders.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+/**
+ * Decodes an animated GIF with a global colour table into the colour indices of each frame.
+ * @param {Uint8Array} bytes - The file contents.
+ * @returns {{width: number, height: number, palette: Array<Array<number>>, loops: boolean,
+ *     frames: Array<{delay: number, pixels: Uint8Array}>}} The screen after each frame and its delay in 1/100 s.
+ */
+function decodeGif(bytes) {
+    const readUint16 = (offset) => bytes[offset] | (bytes[offset + 1] << 8);
+    const width = readUint16(6);
+    const height = readUint16(8);
+    const paletteSize = 2 << (bytes[10] & 7);
+    const palette = [];
+    for (let i = 0; i < paletteSize; i++) {
+        palette.push([...bytes.slice(13 + i * 3, 16 + i * 3)]);
+    }
+    const screen = new Uint8Array(width * height);
+    const frames = [];
+    let loops = false;
+    let delay = 0;
+    let offset = 13 + paletteSize * 3;
+    const readSubBlocks = () => {
+        const data = [];
+        while (bytes[offset] !== 0) {
+            data.push(...bytes.slice(offset + 1, offset + 1 + bytes[offset]));
+            offset += bytes[offset] + 1;
+        }
+        offset++;
+        return data;
+    };
+
+    while (bytes[offset] !== 0x3b) {
+        if (bytes[offset] === 0x21) {
+            const label = bytes[offset + 1];
+            offset += 2;
+            const data = readSubBlocks();
+            if (label === 0xf9) {
+                delay = data[1] | (data[2] << 8);
+            } else if (label === 0xff) {
+                loops = true;
+            }
+            continue;
+        }
+        assert.equal(bytes[offset], 0x2c, `image descriptor expected at byte ${offset}`);
+        const [left, top, frameWidth, frameHeight] = [1, 3, 5, 7].map(field => readUint16(offset + field));
+        const minCodeSize = bytes[offset + 10];
+        offset += 11;
+        const data = readSubBlocks();
+
+        const clearCode = 1 << minCodeSize;
+        let codeSize = minCodeSize + 1;
+        let dictionary = [];
+        let previous = null;
+        let bit = 0;
+        const indices = [];
+        while (true) {
+            let code = 0;
+            for (let i = 0; i < codeSize; i++, bit++) {
+                code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+            }
+            if (code === clearCode) {
+                dictionary = Array.from({ length: clearCode + 2 }, (_, index) => [index]);
+                codeSize = minCodeSize + 1;
+                previous = null;
+                continue;
+            }
+            if (code === clearCode + 1) {
+                break;
+            }
+            const entry = code < dictionary.length ? dictionary[code] : [...previous, previous[0]];
+            indices.push(...entry);
+            if (previous) {
+                dictionary.push([...previous, entry[0]]);
+                if (dictionary.length === 1 << codeSize && codeSize < 12) {
+                    codeSize++;
+                }
+            }
+            previous = entry;
+        }
+        assert.equal(indices.length, frameWidth * frameHeight);
+        indices.forEach((index, i) => {
+            screen[(top + Math.floor(i / frameWidth)) * width + left + (i % frameWidth)] = index;
+        });
+        frames.push({ delay, pixels: screen.slice() });
+    }
+    return { width, height, palette, loops, frames };
+}
+
+/**
+ * Reads the elements of an EBML (WebM) document.
+ * @param {Uint8Array} bytes - The document.
+ * @param {Set<number>} masterIds - IDs of elements that contain other elements.
+ * @returns {Array<{id: number, data: Uint8Array, children: Array<Object>}>} The top-level elements.
+ */
+function readEbml(bytes, masterIds) {
+    const readVint = (offset, keepMarker) => {
+        let length = 1;
+        while (!(bytes[offset] & (0x80 >> (length - 1)))) {
+            length++;
+        }
+        let value = keepMarker ? bytes[offset] : bytes[offset] & (0xff >> length);
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + bytes[offset + i];
+        }
+        return [value, length];
+    };
+    const readElements = (start, end) => {
+        const elements = [];
+        let offset = start;
+        while (offset < end) {
+            const [id, idLength] = readVint(offset, true);
+            const [size, sizeLength] = readVint(offset + idLength, false);
+            const dataStart = offset + idLength + sizeLength;
+            const data = bytes.slice(dataStart, dataStart + size);
+            elements.push({ id, data, children: masterIds.has(id) ? readElements(dataStart, dataStart + size) : [] });
+            offset = dataStart + size;
+        }
+        assert.equal(offset, end, 'elements fill their parent exactly');
+        return elements;
+    };
+    return readElements(0, bytes.length);
+}
+
+const WHITE = [255, 255, 255, 255];
+const RED = [200, 16, 46, 255];
+
+/**
+ * Makes RGBA pixels of a white frame with some pixels in another colour.
+ * @param {number} width - Frame width.
+ * @param {number} height - Frame height.
+ * @param {Array<Array<number>>} points - [x, y] pixels to colour.
+ * @param {Array<number>} color - Their RGBA colour.
+ * @returns {Uint8ClampedArray} The pixels.
+ */
+function makeFrame(width, height, points, color) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels.set(WHITE, i * 4);
+    }
+    for (const [x, y] of points) {
+        pixels.set(color, (y * width + x) * 4);
+    }
+    return pixels;
+}
+
+test('the GIF palette holds the key colours exactly', () => {
+    const palette = engine.buildGifPalette(['#ffffff', '#c8102e', '#1a1a1a']);
+    assert.ok(palette.length <= 256);
+    assert.deepEqual(palette.slice(0, 3), [[255, 255, 255], [200, 16, 46], [26, 26, 26]]);
+});
+
+test('GIF frames decode to the pixels and delays they were added with', () => {
+    const palette = engine.buildGifPalette(['#ffffff', '#c8102e']);
+    const encoder = engine.createGifEncoder(8, 6, palette);
+    encoder.addFrame(makeFrame(8, 6, [], RED), 100);
+    encoder.addFrame(makeFrame(8, 6, [[2, 1]], RED), 40);
+    encoder.holdFrame(200);
+    encoder.addFrame(makeFrame(8, 6, [[2, 1], [7, 5]], RED), 100);
+    const bytes = encoder.finish();
+    const gif = decodeGif(bytes);
+
+    assert.equal(Buffer.from(bytes.slice(0, 6)).toString(), 'GIF89a');
+    assert.deepEqual([gif.width, gif.height, gif.loops], [8, 6, true]);
+    assert.deepEqual(gif.frames.map(frame => frame.delay), [10, 24, 10]);
+    const colorAt = (frame, x, y) => gif.palette[frame.pixels[y * 8 + x]];
+    assert.deepEqual(colorAt(gif.frames[0], 2, 1), [255, 255, 255]);
+    assert.deepEqual(colorAt(gif.frames[1], 2, 1), [200, 16, 46]);
+    assert.deepEqual(colorAt(gif.frames[2], 7, 5), [200, 16, 46]);
+    assert.deepEqual(colorAt(gif.frames[2], 0, 0), [255, 255, 255]);
+});
+
+test('GIF delays keep their total when they are not whole hundredths of a second', () => {
+    const encoder = engine.createGifEncoder(2, 2, engine.buildGifPalette(['#ffffff', '#c8102e']));
+    for (let i = 0; i < 30; i++) {
+        encoder.addFrame(makeFrame(2, 2, [[i % 2, 0]], RED), 1000 / 30);
+    }
+    const delays = decodeGif(encoder.finish()).frames.map(frame => frame.delay);
+    assert.equal(delays.reduce((total, delay) => total + delay, 0), 100);
+});
+
+test('a WebM file holds one VP8 track with a block per frame and a cluster per key frame', () => {
+    const frames = [0, 40, 80, 120].map((timestampMs, index) => ({
+        data: new Uint8Array([index, 1, 2]),
+        timestampMs,
+        keyFrame: index % 2 === 0
+    }));
+    const bytes = engine.buildWebmFile(frames, { codec: 'vp8', width: 320, height: 240, durationMs: 160 });
+    const [header, segment] = readEbml(bytes, new Set([0x1a45dfa3, 0x18538067, 0x1654ae6b, 0xae, 0xe0, 0x1f43b675]));
+    const find = (element, id) => element.children.filter(child => child.id === id);
+    const readUint = (element) => element.data.reduce((value, byte) => value * 256 + byte, 0);
+
+    assert.equal(Buffer.from(find(header, 0x4282)[0].data).toString(), 'webm');
+    const [track] = find(find(segment, 0x1654ae6b)[0], 0xae);
+    assert.equal(Buffer.from(find(track, 0x86)[0].data).toString(), 'V_VP8');
+    const [video] = find(track, 0xe0);
+    assert.deepEqual([readUint(find(video, 0xb0)[0]), readUint(find(video, 0xba)[0])], [320, 240]);
+
+    const clusters = find(segment, 0x1f43b675);
+    assert.deepEqual(clusters.map(cluster => readUint(find(cluster, 0xe7)[0])), [0, 80]);
+    const blocks = clusters.flatMap(cluster => find(cluster, 0xa3).map(block => ({ cluster, block })));
+    assert.equal(blocks.length, 4);
+    blocks.forEach(({ cluster, block }, index) => {
+        const clusterTime = readUint(find(cluster, 0xe7)[0]);
+        assert.equal(block.data[0], 0x81, 'track 1');
+        assert.equal(clusterTime + ((block.data[1] << 8) | block.data[2]), frames[index].timestampMs);
+        assert.equal(Boolean(block.data[3] & 0x80), frames[index].keyFrame);
+        assert.deepEqual([...block.data.slice(4)], [...frames[index].data]);
+    });
+});
+
+test('a WebM file refuses codecs it can not hold', () => {
+    assert.throws(() => engine.buildWebmFile([], { codec: 'avc1.42001f', width: 2, height: 2, durationMs: 0 }));
+});
@@ -0,0 +1,82 @@
+// test/baselines.test.js
+
+// --- Baselines ---
+// Checks typed polyline points, the position and direction along arc and polyline baselines,
+// and characters bent along them.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+const DEFAULT_FONT_DATA = require('../fonts/default-font.js');
+
+/**
+ * Compares two points allowing for rounding.
+ * @param {Array<number>} actual - The point found.
+ * @param {Array<number>} expected - The point expected.
+ */
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual[0] - expected[0]) < 1e-9 && Math.abs(actual[1] - expected[1]) < 1e-9,
+        `expected [${expected}], got [${actual}]`);
+}
+
+test('polyline points are read as x,y pairs separated by spaces or semicolons', () => {
+    assert.deepEqual(engine.parseBaselinePoints(' 0,0 10,5;20,-2.5 '), [[0, 0], [10, 5], [20, -2.5]]);
+});
+
+test('polyline points are refused unless they give a line with some length', () => {
+    assert.equal(engine.parseBaselinePoints('0,0'), null);
+    assert.equal(engine.parseBaselinePoints('5,5 5,5'), null);
+    assert.equal(engine.parseBaselinePoints('0,0 10'), null);
+    assert.equal(engine.parseBaselinePoints('0,0 ten,5'), null);
+});
+
+test('a polyline baseline is followed by distance and carried straight on past its ends', () => {
+    const baseline = engine.createBaselinePath({
+        ...engine.DEFAULT_BASELINE_SETTINGS,
+        mode: 'polyline',
+        polylineMm: [[0, 0], [10, 0], [10, 10]]
+    });
+    const toData = (mm) => mm / engine.DATA_UNIT_MM;
+    assertNear(baseline(toData(5)).point, [toData(5), 0]);
+    assertNear(baseline(toData(15)).point, [toData(10), toData(5)]);
+    assertNear(baseline(toData(15)).tangent, [0, 1]);
+    assertNear(baseline(toData(25)).point, [toData(10), toData(15)]);
+    assertNear(baseline(toData(-5)).point, [toData(-5), 0]);
+    assertNear(baseline(0).normal, [0, 1]);
+});
+
+test('text outside an arc has its tops away from the centre, and inside towards it', () => {
+    const arc = { ...engine.DEFAULT_BASELINE_SETTINGS, mode: 'arc', radiusMm: 40, startAngleDegrees: 90 };
+    const radius = 40 / engine.DATA_UNIT_MM;
+    const outside = engine.createBaselinePath({ ...arc, orientation: 'outside' })(0);
+    assertNear(outside.point, [0, radius]);
+    assertNear(outside.normal, [0, 1]);
+    assertNear(outside.tangent, [1, 0]);
+    const inside = engine.createBaselinePath({ ...arc, orientation: 'inside' })(0);
+    assertNear(inside.normal, [0, -1]);
+    assertNear(inside.tangent, [-1, 0]);
+    const quarter = engine.createBaselinePath({ ...arc, orientation: 'outside' })(radius * Math.PI / 2);
+    assertNear(quarter.point, [radius, 0]);
+});
+
+test('characters bent along an arc keep their stitch lengths', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(DEFAULT_FONT_DATA), {
+        baseline: { mode: 'arc', radiusMm: 30, startAngleDegrees: 120 }
+    });
+    const items = [
+        { char: 'A', processedPoints: [[0, 0], [3, 8], [6, 0]], xOffset: 0, yOffset: 0 },
+        { char: 'B', processedPoints: [[0, 0], [0, 8]], xOffset: engine.CHAR_WIDTH_DATA_UNITS, yOffset: 0 }
+    ];
+    const lengths = (points) => points.slice(1).map((point, index) =>
+        Math.hypot(point[0] - points[index][0], point[1] - points[index][1]));
+    const bent = engine.bendItemsAlongBaseline(items, settings);
+    bent.forEach((item, index) => {
+        assert.equal(item.xOffset, 0);
+        assert.equal(item.yOffset, 0);
+        lengths(item.processedPoints).forEach((length, stitch) => {
+            assert.ok(Math.abs(length - lengths(items[index].processedPoints)[stitch]) < 1e-9);
+        });
+    });
+    assert.notDeepEqual(bent[0].processedPoints, items[0].processedPoints);
+});
@@ -0,0 +1,93 @@
+// test/embroidery-files.test.js
+
+// --- DST and EXP Files ---
+// Writes stitch plans as DST and reads them back, and reads hand-made EXP records.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+const TENTHS_MM_PER_UNIT = engine.DATA_UNIT_MM * 10;
+
+/**
+ * Builds the stitch plan of two short runs in different threads, far enough apart to trim.
+ * @returns {Array<Object>} The stitch plan.
+ */
+function buildTwoColorPlan() {
+    return engine.buildStitchPlan([
+        { processedPoints: [[0, 0], [4, 0], [4, 4]], xOffset: 0, yOffset: 0, thread: 0 },
+        { processedPoints: [[0, 0], [2, 2]], xOffset: 20, yOffset: 8, thread: 1 }
+    ]);
+}
+
+test('a DST file has a 512-byte header naming the design and ends with an end record', () => {
+    const bytes = engine.buildDstFile(buildTwoColorPlan(), 'TEST');
+    const header = Buffer.from(bytes.slice(0, 512)).toString('latin1');
+    assert.match(header, /^LA:TEST {12}\r/);
+    assert.match(header, /CO: {2}1\r/);
+    assert.equal((bytes.length - 512) % 3, 0);
+    assert.deepEqual([...bytes.slice(-3)], [0x00, 0x00, 0xf3]);
+});
+
+test('DST stitches read back at the positions they were written', () => {
+    const plan = buildTwoColorPlan();
+    const commands = engine.parseDstFile(engine.buildDstFile(plan, 'TEST'));
+    // A stitch where the needle already is (e.g. straight after a jump) is left out of the file
+    const written = plan.filter((command, index) => command.command === 'stitch' &&
+        (index === 0 || command.x !== plan[index - 1].x || command.y !== plan[index - 1].y))
+        .map(({ x, y }) => [Math.round(x * TENTHS_MM_PER_UNIT), Math.round(y * TENTHS_MM_PER_UNIT)]);
+    const read = commands.filter(command => command.command === 'stitch').map(({ x, y }) => [x, y]);
+    // The file is centred on the origin, so compare the moves from the first stitch
+    const relative = (points) => points.map(([x, y]) => [x - points[0][0], y - points[0][1]]);
+    assert.deepEqual(relative(read), relative(written));
+    assert.equal(commands.filter(command => command.command === 'colorChange').length, 1);
+    assert.equal(commands[commands.length - 1].command, 'end');
+});
+
+test('DST moves longer than one record are split into several jumps', () => {
+    const plan = engine.buildStitchPlan([
+        { processedPoints: [[0, 0], [1, 0]], xOffset: 0, yOffset: 0, thread: 0 },
+        { processedPoints: [[0, 0], [1, 0]], xOffset: 60, yOffset: 0, thread: 0 }
+    ]);
+    const commands = engine.parseDstFile(engine.buildDstFile(plan, 'LONG'));
+    const jumps = commands.filter(command => command.command === 'jump');
+    assert.ok(jumps.length >= Math.ceil(59 * TENTHS_MM_PER_UNIT / 121));
+    commands.slice(1).forEach((command, index) => {
+        assert.ok(Math.abs(command.x - commands[index].x) <= 121, 'each record moves at most 12.1 mm');
+    });
+});
+
+test('EXP records are read as stitches, jumps and colour changes', () => {
+    const bytes = new Uint8Array([
+        10, 0, // Stitch 1 mm right
+        0x80, 0x04, 20, 0xfb, // Jump 2 mm right, 0.5 mm down
+        3, 3,
+        0x80, 0x01, 0, 0, // Colour change
+        0xf9, 2
+    ]);
+    assert.deepEqual(engine.parseExpFile(bytes), [
+        { command: 'stitch', x: 10, y: 0 },
+        { command: 'jump', x: 30, y: -5 },
+        { command: 'stitch', x: 33, y: -2 },
+        { command: 'colorChange', x: 33, y: -2 },
+        { command: 'stitch', x: 26, y: 0 }
+    ]);
+});
+
+test('an EXP file with an unknown control code is rejected instead of cut short', () => {
+    const bytes = new Uint8Array([10, 0, 0x80, 0x10, 0, 0, 10, 0]);
+    assert.throws(() => engine.parseExpFile(bytes), (error) => {
+        assert.ok(error instanceof engine.EmbroideryFileError);
+        assert.match(error.message, /control code 0x10 at byte 2/);
+        return true;
+    });
+});
+
+test('imported commands are split into paths that change thread at colour changes', () => {
+    const paths = engine.splitStitchCommandsIntoPaths(engine.parseExpFile(new Uint8Array([
+        10, 0, 10, 0, 0x80, 0x01, 0, 0, 0, 10, 0, 10
+    ])));
+    assert.deepEqual(paths.map(path => path.thread), [0, 1]);
+    assert.deepEqual(paths[1].points[paths[1].points.length - 1], [20, 20]);
+});
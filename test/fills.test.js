@@ -0,0 +1,114 @@
+// test/fills.test.js
+
+// --- Outline Fills ---
+// Checks the zigzag and tatami rows generated inside closed outlines, their holes and start
+// corners, and the filling of a font's outline glyphs.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+const SQUARE = [[0, 0], [4, 0], [4, 4], [0, 4]];
+const HOLE = [[1, 1], [3, 1], [3, 3], [1, 3]];
+const ROWS_ONE_UNIT_APART = {
+    style: 'zigzag',
+    angleDegrees: 0,
+    spacingMm: engine.DATA_UNIT_MM,
+    startCorner: 'bottom-left'
+};
+
+/**
+ * Splits generated segments into the fill and the outline run around its edge.
+ * @param {Array<Array<Array<number>>>} segments - Segments from generateFillSegments().
+ * @param {Array<Array<Array<number>>>} outlines - The outlines they were generated for.
+ * @returns {{fill: Array<Array<Array<number>>>, edge: Array<Array<Array<number>>>}} The two parts.
+ */
+function splitFill(segments, outlines) {
+    const edgeCount = outlines.reduce((count, outline) => count + outline.length, 0);
+    return { fill: segments.slice(0, -edgeCount), edge: segments.slice(-edgeCount) };
+}
+
+test('a zigzag fill runs one diagonal per row from the start corner, then stitches the outline', () => {
+    const segments = engine.generateFillSegments([SQUARE], ROWS_ONE_UNIT_APART, engine.DEFAULT_STITCH_SETTINGS);
+    const { fill, edge } = splitFill(segments, [SQUARE]);
+    assert.deepEqual(fill, [
+        [[0, 0.5], [4, 1.5]],
+        [[4, 1.5], [0, 2.5]],
+        [[0, 2.5], [4, 3.5]]
+    ]);
+    assert.deepEqual(edge, [[[0, 0], [4, 0]], [[4, 0], [4, 4]], [[4, 4], [0, 4]], [[0, 4], [0, 0]]]);
+});
+
+test('the start corner sets where the first row begins', () => {
+    const fill = (startCorner) => engine.generateFillSegments([SQUARE], { ...ROWS_ONE_UNIT_APART, startCorner },
+        engine.DEFAULT_STITCH_SETTINGS)[0][0];
+    assert.deepEqual(fill('bottom-right'), [4, 0.5]);
+    assert.deepEqual(fill('top-left'), [0, 3.5]);
+    assert.deepEqual(fill('top-right'), [4, 3.5]);
+});
+
+test('tatami rows are broken into stitches no longer than the stitch length', () => {
+    const options = { ...ROWS_ONE_UNIT_APART, style: 'tatami' };
+    const stitch = { ...engine.DEFAULT_STITCH_SETTINGS, targetLengthMm: engine.DATA_UNIT_MM };
+    const { fill } = splitFill(engine.generateFillSegments([SQUARE], options, stitch), [SQUARE]);
+    const rowStitches = fill.filter(([start, end]) => start[1] === end[1]);
+    assert.ok(rowStitches.length > 4);
+    for (const [start, end] of rowStitches) {
+        // Points are rounded to a thousandth of a unit
+        assert.ok(Math.abs(end[0] - start[0]) <= 1.001, `stitch from [${start}] to [${end}]`);
+    }
+});
+
+test('an inner outline makes a hole the fill runs around', () => {
+    for (const style of engine.FILL_STYLES) {
+        const outlines = [SQUARE, HOLE];
+        const options = { ...ROWS_ONE_UNIT_APART, style };
+        const { fill } = splitFill(engine.generateFillSegments(outlines, options, engine.DEFAULT_STITCH_SETTINGS), outlines);
+        for (const [start, end] of fill) {
+            const middle = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+            const inHole = middle[0] > 1.01 && middle[0] < 2.99 && middle[1] > 1.01 && middle[1] < 2.99;
+            assert.ok(!inHole, `${style} stitch from [${start}] to [${end}] crosses the hole`);
+        }
+    }
+});
+
+const BLOCK_FONT_DATA = {
+    format: engine.FONT_FORMAT,
+    version: engine.FONT_FORMAT_VERSION,
+    name: 'Blocks',
+    units: { width: 6, height: 8 },
+    glyphs: {
+        O: { outlines: [SQUARE], segments: [[[0, 0], [4, 4]]] },
+        I: { outlines: [SQUARE], fill: { spacingMm: 2 * engine.DATA_UNIT_MM } }
+    }
+};
+
+test('outline glyphs of a font are filled with the design\'s fill settings, followed by their own segments', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(BLOCK_FONT_DATA), { fill: ROWS_ONE_UNIT_APART });
+    const o = engine.getGlyphSegments('O', settings);
+    assert.deepEqual(o.slice(0, 3), splitFill(engine.generateFillSegments([SQUARE], ROWS_ONE_UNIT_APART,
+        settings.stitch), [SQUARE]).fill);
+    assert.deepEqual(o[o.length - 1], [[0, 0], [4, 4]]);
+    const i = engine.getGlyphSegments('I', settings);
+    assert.equal(i.length, 1 + SQUARE.length, 'the glyph\'s own fill spacing gives two rows');
+});
+
+test('designs sharing a font keep their own fills and leave the font unchanged', () => {
+    const font = engine.loadFont(BLOCK_FONT_DATA);
+    const fontSegments = JSON.stringify(font.glyphs.O.segments);
+    const zigzag = engine.createDesignSettings(font, { fill: ROWS_ONE_UNIT_APART });
+    const tatami = engine.createDesignSettings(font, { fill: { ...ROWS_ONE_UNIT_APART, style: 'tatami' } });
+    assert.notDeepEqual(engine.getGlyphSegments('O', zigzag), engine.getGlyphSegments('O', tatami));
+    assert.deepEqual(engine.getGlyphSegments('O', zigzag),
+        engine.generateOutlineGlyphs(font, zigzag.fill, zigzag.stitch).O);
+    assert.equal(JSON.stringify(font.glyphs.O.segments), fontSegments);
+});
+
+test('a glyph replaced in the design\'s glyphs is stitched as drawn instead of filled', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(BLOCK_FONT_DATA));
+    const drawn = [[[0, 0], [0, 8]]];
+    settings.glyphs.O = drawn;
+    assert.equal(engine.getGlyphSegments('O', settings), drawn);
+    assert.equal(engine.getGlyphSegments('X', settings), undefined);
+});
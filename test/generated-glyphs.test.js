@@ -0,0 +1,118 @@
+// test/generated-glyphs.test.js
+
+// --- Generated Glyphs ---
+// Checks the outlines traced from a rendered character and the glyph built from them.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+/**
+ * Makes an RGBA image with opaque rectangles on a transparent background.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @param {Array<Array<number>>} filled - [left, top, right, bottom] of each opaque rectangle, right and bottom excluded.
+ * @param {Array<Array<number>>} [cleared=[]] - Rectangles made transparent again afterwards.
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} The image.
+ */
+function makeImage(width, height, filled, cleared = []) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const paint = ([left, top, right, bottom], alpha) => {
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                data[(y * width + x) * 4 + 3] = alpha;
+            }
+        }
+    };
+    filled.forEach(rectangle => paint(rectangle, 255));
+    cleared.forEach(rectangle => paint(rectangle, 0));
+    return { data, width, height };
+}
+
+/**
+ * Sorts the corners of an outline so outlines can be compared whatever their starting corner.
+ * @param {Array<Array<number>>} outline - A closed polygon.
+ * @returns {Array<Array<number>>} Its corners, sorted.
+ */
+function sortedCorners(outline) {
+    return [...outline].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+test('a filled rectangle is traced as one outline through its corners', () => {
+    const outlines = engine.traceBitmapOutlines(makeImage(10, 10, [[2, 3, 8, 9]]));
+    assert.equal(outlines.length, 1);
+    assert.deepEqual(sortedCorners(outlines[0]), [[2, 3], [2, 9], [8, 3], [8, 9]]);
+});
+
+test('a ring is traced as an outer outline and a hole', () => {
+    const outlines = engine.traceBitmapOutlines(makeImage(12, 12, [[1, 1, 11, 11]], [[4, 4, 8, 8]]));
+    assert.equal(outlines.length, 2);
+    const corners = outlines.map(sortedCorners).sort((a, b) => a[0][0] - b[0][0]);
+    assert.deepEqual(corners[0], [[1, 1], [1, 11], [11, 1], [11, 11]]);
+    assert.deepEqual(corners[1], [[4, 4], [4, 8], [8, 4], [8, 8]]);
+});
+
+test('a generated glyph is placed on the pen position and baseline in layout units', () => {
+    const image = makeImage(20, 20, [[4, 2, 10, 18]]);
+    const glyph = engine.createGeneratedGlyph(image, { originX: 4, baselineY: 18, unitsPerPixel: 0.5, advancePx: 8 }, 'serif');
+    assert.deepEqual(sortedCorners(glyph.outlines[0]), [[0, 0], [0, 8], [3, 0], [3, 8]]);
+    assert.equal(glyph.advance, 4);
+    assert.deepEqual(glyph.metadata, { generatedFrom: 'serif' });
+    assert.deepEqual(glyph.segments, []);
+});
+
+/**
+ * Measures the outlines of a glyph.
+ * @param {{outlines: Array<Array<Array<number>>>}} glyph - A glyph from createGeneratedGlyph().
+ * @returns {Array<number>} [minX, minY, maxX, maxY] in layout units.
+ */
+function outlineBounds(glyph) {
+    const points = glyph.outlines.flat();
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+test('a character reaching below the baseline and above the capitals is shrunk into the glyph box', () => {
+    // 4 px wide and 20 px tall at 0.5 units per pixel: 2 x 10 units, from 2 below the baseline
+    const image = makeImage(20, 30, [[4, 4, 8, 24]]);
+    const glyph = engine.createGeneratedGlyph(image, { originX: 4, baselineY: 20, unitsPerPixel: 0.5, advancePx: 6 }, 'serif');
+    assert.deepEqual(outlineBounds(glyph), [0, 0, 1.6, 8]);
+    assert.equal(glyph.advance, 2.4);
+});
+
+test('a character wider than the glyph box is shrunk to its width', () => {
+    const image = makeImage(40, 20, [[2, 10, 34, 18]]);
+    const glyph = engine.createGeneratedGlyph(image, { originX: 2, baselineY: 18, unitsPerPixel: 0.5, advancePx: 32 }, 'serif');
+    assert.deepEqual(outlineBounds(glyph), [0, 0, 6, 1.5]);
+    assert.equal(glyph.advance, 6);
+});
+
+test('a character that fits the glyph box but sticks out of it is moved in, taking its advance along', () => {
+    // A descender 1 unit below the baseline and a left side 1 unit before the pen position
+    const image = makeImage(20, 20, [[2, 4, 6, 20]]);
+    const glyph = engine.createGeneratedGlyph(image, { originX: 4, baselineY: 18, unitsPerPixel: 0.5, advancePx: 6 }, 'serif');
+    assert.deepEqual(outlineBounds(glyph), [0, 0, 2, 8]);
+    assert.equal(glyph.advance, 4);
+});
+
+test('a character that covers no pixels gives no glyph', () => {
+    const placement = { originX: 0, baselineY: 10, unitsPerPixel: 1, advancePx: 4 };
+    assert.equal(engine.createGeneratedGlyph(makeImage(10, 10, []), placement, 'serif'), null);
+});
+
+test('a generated glyph saved as a custom glyph keeps its outlines and is filled for the letter height', () => {
+    const image = makeImage(20, 20, [[4, 2, 10, 18]]);
+    const generated = engine.createGeneratedGlyph(image, { originX: 4, baselineY: 18, unitsPerPixel: 0.5, advancePx: 8 }, 'serif');
+    const saved = JSON.parse(JSON.stringify({ outlines: generated.outlines, segments: generated.handSegments, advance: generated.advance }));
+    const glyph = engine.loadGlyph('é', saved);
+    assert.deepEqual(glyph.outlines, generated.outlines);
+    assert.equal(glyph.advance, 4);
+
+    const font = { glyphs: { 'é': glyph } };
+    const fill = engine.DEFAULT_FILL_SETTINGS;
+    const small = engine.generateOutlineGlyphs(font, fill, engine.DEFAULT_STITCH_SETTINGS, 0.5)['é'];
+    const large = engine.generateOutlineGlyphs(font, fill, engine.DEFAULT_STITCH_SETTINGS, 2)['é'];
+    assert.ok(small.length < large.length, 'rows keep their spacing on the fabric');
+});
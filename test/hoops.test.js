@@ -0,0 +1,91 @@
+// test/hoops.test.js
+
+// --- Hoops ---
+// Checks that fitTextDesignToHoop() reports whether text fits the hoop, and shrinks it to fit
+// when asked without going below the minimum letter height or changing the settings.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+const DEFAULT_FONT_DATA = require('../fonts/default-font.js');
+
+const BLOCK_FONT_DATA = {
+    format: engine.FONT_FORMAT,
+    version: engine.FONT_FORMAT_VERSION,
+    name: 'Blocks',
+    units: { width: 6, height: 8 },
+    glyphs: {
+        O: { outlines: [[[0, 0], [4, 0], [4, 4], [0, 4]]] }
+    }
+};
+
+/**
+ * Creates design settings for the default font.
+ * @param {Object} [overrides={}] - Settings to change, as for createDesignSettings().
+ * @returns {Object} The design settings.
+ */
+function defaultFontSettings(overrides = {}) {
+    return engine.createDesignSettings(engine.loadFont(DEFAULT_FONT_DATA), overrides);
+}
+
+test('a design that fits the hoop is built at the letter height asked for', () => {
+    const settings = defaultFontSettings({ layout: { letterHeightMm: 10 } });
+    const design = engine.fitTextDesignToHoop('ANNA', settings);
+    assert.equal(design.fits, true);
+    assert.equal(design.letterHeightMm, 10);
+    assert.ok(design.widthMm > 0 && design.widthMm <= settings.hoop.widthMm);
+    assert.deepEqual(design.plan, engine.buildTextDesign('ANNA', settings).plan);
+});
+
+test('a design too big for the hoop is reported and left alone without auto-shrink', () => {
+    const design = engine.fitTextDesignToHoop('CAROLINE', defaultFontSettings({ layout: { letterHeightMm: 30 } }));
+    assert.equal(design.fits, false);
+    assert.equal(design.letterHeightMm, 30);
+    assert.ok(design.widthMm > engine.DEFAULT_HOOP_SETTINGS.widthMm);
+});
+
+test('auto-shrink makes the letters smaller until the design fits', () => {
+    const settings = defaultFontSettings({ layout: { letterHeightMm: 30 }, hoop: { autoShrink: true } });
+    const design = engine.fitTextDesignToHoop('CAROLINE', settings);
+    assert.equal(design.fits, true);
+    assert.ok(design.letterHeightMm < 30 && design.letterHeightMm >= settings.hoop.minLetterHeightMm);
+    assert.ok(design.widthMm <= settings.hoop.widthMm && design.heightMm <= settings.hoop.heightMm);
+    assert.equal(settings.layout.letterHeightMm, 30, 'the settings keep their letter height');
+});
+
+test('auto-shrink also fits text on a curved baseline', () => {
+    const settings = defaultFontSettings({
+        layout: { letterHeightMm: 25 },
+        baseline: { mode: 'arc', radiusMm: 60 },
+        hoop: { autoShrink: true }
+    });
+    const design = engine.fitTextDesignToHoop('CAROLINE', settings);
+    assert.equal(design.fits, true);
+    assert.ok(design.widthMm <= settings.hoop.widthMm && design.heightMm <= settings.hoop.heightMm);
+});
+
+test('auto-shrink stops at the minimum letter height', () => {
+    const settings = defaultFontSettings({ hoop: { autoShrink: true, minLetterHeightMm: 8 } });
+    const design = engine.fitTextDesignToHoop('ABCDEFGHIJKLMNOPQRSTUVWXYZ', settings);
+    assert.equal(design.fits, false);
+    assert.equal(design.letterHeightMm, 8);
+});
+
+test('fills of shrunk outline glyphs keep their row spacing on the fabric', () => {
+    const font = engine.loadFont(BLOCK_FONT_DATA);
+    const settings = engine.createDesignSettings(font, {
+        // Long stitches so every fill row is one stitch
+        stitch: { targetLengthMm: 100, minLengthMm: 50, maxLengthMm: 100 },
+        fill: { style: 'zigzag', angleDegrees: 0, spacingMm: 1 },
+        layout: { letterHeightMm: 40 },
+        hoop: { widthMm: 20, heightMm: 20, autoShrink: true }
+    });
+    const glyphsBefore = JSON.stringify(settings.glyphs);
+    const design = engine.fitTextDesignToHoop('OO', settings);
+    assert.equal(design.fits, true);
+    assert.ok(design.letterHeightMm < 40);
+    const points = design.items[0].processedPoints;
+    assert.ok(Math.abs((points[1][1] - points[0][1]) * engine.DATA_UNIT_MM - 1) < 0.01);
+    assert.equal(JSON.stringify(settings.glyphs), glyphsBefore, 'the settings\' glyphs are unchanged');
+});
@@ -0,0 +1,91 @@
+// test/projects.test.js
+
+// --- Project Files ---
+// Checks that readProject() fills in defaults and rejects data it can't use.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+/**
+ * Makes the smallest valid project, with some of its fields replaced.
+ * @param {Object} [changes={}] - Fields to add or replace.
+ * @returns {Object} Project data.
+ */
+function makeProject(changes = {}) {
+    return {
+        format: engine.PROJECT_FORMAT,
+        version: engine.PROJECT_FORMAT_VERSION,
+        text: 'ANNA',
+        font: 'Turtle Sans',
+        ...changes
+    };
+}
+
+test('a minimal project gets the default settings', () => {
+    const project = engine.readProject(makeProject());
+    assert.equal(project.text, 'ANNA');
+    assert.equal(project.font, 'Turtle Sans');
+    assert.equal(project.fallbackFont, '');
+    assert.deepEqual(project.customGlyphs, {});
+    assert.deepEqual(project.settings.layout, { ...engine.DEFAULT_LAYOUT_SETTINGS });
+    assert.deepEqual(project.settings.hoop, { ...engine.DEFAULT_HOOP_SETTINGS });
+    assert.equal(project.settings.threads.defaultThread, 0);
+    assert.equal(project.settings.optimizeTravel, undefined, 'the page keeps its own default');
+    assert.deepEqual(project.view, {});
+});
+
+test('project settings are read with their thread names and segment rules', () => {
+    const project = engine.readProject(makeProject({
+        settings: {
+            layout: { alignment: 'right', letterHeightMm: 20 },
+            threads: { defaultThread: 'navy', segmentColors: 'A 1-2 Red' },
+            stitch: { type: 'satin', segmentTypes: 'B bean' },
+            optimizeTravel: false
+        }
+    }));
+    assert.equal(project.settings.layout.alignment, 'right');
+    assert.equal(project.settings.layout.letterHeightMm, 20);
+    assert.equal(project.settings.threads.defaultThread, engine.findThreadIndex('Navy'));
+    assert.deepEqual(Object.keys(project.settings.threads.segmentRules), ['A']);
+    assert.equal(project.settings.stitch.type, 'satin');
+    assert.equal(project.settings.optimizeTravel, false);
+    assert.equal(project.segmentColors, 'A 1-2 Red');
+});
+
+test('custom glyphs may be segment lists or outline glyphs', () => {
+    const customGlyphs = {
+        A: [[[0, 0], [3, 8]]],
+        'é': { outlines: [[[0, 0], [4, 0], [4, 6]]], segments: [], advance: 5 }
+    };
+    assert.deepEqual(engine.readProject(makeProject({ customGlyphs })).customGlyphs, customGlyphs);
+});
+
+const INVALID_PROJECTS = [
+    ['data that is not a project', []],
+    ['another format', makeProject({ format: 'turtle-stitch-font' })],
+    ['another version', makeProject({ version: engine.PROJECT_FORMAT_VERSION + 1 })],
+    ['text that is not a string', makeProject({ text: 42 })],
+    ['a missing font name', makeProject({ font: ' ' })],
+    ['font data that fails to load', makeProject({ fontData: { format: 'turtle-stitch-font', version: 99 } })],
+    ['a custom glyph of more than one character', makeProject({ customGlyphs: { AB: [] } })],
+    ['a custom glyph with a bad point', makeProject({ customGlyphs: { A: [[[0, 0], [1]]] } })],
+    ['a custom outline glyph with a bad outline', makeProject({ customGlyphs: { 'é': { outlines: [[[0, 0], [1, 1]]] } } })],
+    ['settings that are not an object', makeProject({ settings: 'big' })],
+    ['an unknown setting', makeProject({ settings: { layout: { size: 3 } } })],
+    ['a setting of the wrong type', makeProject({ settings: { hoop: { widthMm: '100' } } })],
+    ['an unknown alignment', makeProject({ settings: { layout: { alignment: 'justify' } } })],
+    ['an unknown thread', makeProject({ settings: { threads: { defaultThread: 'Chartreuse' } } })],
+    ['unreadable segment colours', makeProject({ settings: { threads: { segmentColors: 'A red' } } })],
+    ['too much slant', makeProject({ settings: { transform: { slantDegrees: engine.MAX_SLANT_DEGREES + 1 } } })],
+    ['too many passes', makeProject({ settings: { transform: { passes: engine.MAX_PASSES + 1 } } })],
+    ['a baseline of one point', makeProject({ settings: { baseline: { polylineMm: [[0, 0]] } } })],
+    ['a view that is not an object', makeProject({ view: 'wireframe' })]
+];
+
+for (const [description, projectData] of INVALID_PROJECTS) {
+    test(`a project with ${description} is rejected`, () => {
+        assert.throws(() => engine.readProject(projectData), engine.ProjectValidationError);
+    });
+}
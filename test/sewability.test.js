@@ -0,0 +1,78 @@
+// test/sewability.test.js
+
+// --- Design Statistics and Sewability ---
+// Checks the totals of a stitch plan, the sewing time and the short, long and dense
+// stitches findSewabilityProblems() reports.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+/**
+ * Makes a stitch plan command.
+ * @param {string} command - 'stitch', 'jump', 'trim' or 'stop'.
+ * @param {number} x - Position in data units.
+ * @param {number} y - Position in data units.
+ * @returns {{command: string, x: number, y: number}} The command.
+ */
+function at(command, x, y) {
+    return { command, x, y };
+}
+
+test('a plan is summed up with its stitches, travel, thread length and size', () => {
+    const summary = engine.summarizeStitchPlan([
+        at('jump', 0, 0), at('stitch', 0, 0), at('stitch', 4, 0), at('stitch', 4, 2),
+        at('trim', 4, 2), at('jump', 8, 2), at('stitch', 8, 2), at('stitch', 8, 6)
+    ]);
+    assert.equal(summary.stitches, 5);
+    assert.equal(summary.jumps, 1);
+    assert.equal(summary.trims, 1);
+    assert.equal(summary.jumpLengthMm, 4 * engine.DATA_UNIT_MM);
+    assert.equal(summary.threadLengthMm, 10 * engine.DATA_UNIT_MM);
+    assert.equal(summary.widthMm, 8 * engine.DATA_UNIT_MM);
+    assert.equal(summary.heightMm, 6 * engine.DATA_UNIT_MM);
+});
+
+test('the sewing time follows the stitch count and is shown as minutes and seconds', () => {
+    assert.equal(engine.estimateSewingMinutes({ stitches: 900 }), 1.5);
+    assert.equal(engine.estimateSewingMinutes({ stitches: 900 }, 300), 3);
+    assert.equal(engine.formatSewingTime(1.5), '1:30');
+    assert.equal(engine.formatSewingTime(0.1), '0:06');
+    assert.equal(engine.formatSewingTime(61.25), '1:01:15');
+});
+
+test('short and long stitches are reported where they end, but stitches into the same hole are not', () => {
+    const shortUnits = 0.25 / engine.DATA_UNIT_MM;
+    const longUnits = 13 / engine.DATA_UNIT_MM;
+    const problems = engine.findSewabilityProblems([
+        at('jump', 0, 0), at('stitch', 0, 0), at('stitch', 0, 0), at('stitch', shortUnits, 0),
+        at('stitch', shortUnits + 2, 0), at('stitch', shortUnits + 2 + longUnits, 0)
+    ]);
+    assert.deepEqual(problems.map(problem => [problem.type, problem.stitchIndex]), [['short', 2], ['long', 4]]);
+    assert.equal(problems[0].fromX, 0);
+    assert.ok(Math.abs(problems[1].lengthMm - 13) < 1e-9);
+});
+
+test('a square is reported once when too many stitches land in it, with all of its stitches counted', () => {
+    const limits = engine.DEFAULT_SEWABILITY_LIMITS;
+    const cell = limits.densityCellMm / engine.DATA_UNIT_MM;
+    const plan = [at('jump', 0.1, 0.1)];
+    for (let i = 0; i < limits.maxStitchesPerCell + 3; i++) {
+        plan.push(at('stitch', 0.1 + (i % 2) * cell / 2, 0.1));
+    }
+    const problems = engine.findSewabilityProblems(plan).filter(problem => problem.type === 'dense');
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].stitchIndex, limits.maxStitchesPerCell);
+    assert.equal(problems[0].count, limits.maxStitchesPerCell + 3);
+    assert.deepEqual([problems[0].x, problems[0].y, problems[0].size], [0, 0, cell]);
+    assert.deepEqual(engine.countSewabilityProblems(engine.findSewabilityProblems(plan)),
+        { short: 0, long: 0, dense: 1 });
+});
+
+test('looser limits report fewer problems', () => {
+    const plan = [at('stitch', 0, 0), at('stitch', 0.2, 0), at('stitch', 12, 0)];
+    assert.equal(engine.findSewabilityProblems(plan).length, 2);
+    const loose = { ...engine.DEFAULT_SEWABILITY_LIMITS, shortStitchMm: 0.1, longStitchMm: 20 };
+    assert.deepEqual(engine.findSewabilityProblems(plan, loose), []);
+});
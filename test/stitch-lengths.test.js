@@ -0,0 +1,59 @@
+// test/stitch-lengths.test.js
+
+// --- Stitch Lengths ---
+// Checks how segments are split into stitches between the minimum, target and maximum lengths.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+const SETTINGS = { targetLengthMm: 2.5, minLengthMm: 1, maxLengthMm: 4 };
+
+/**
+ * Measures the stitches between consecutive points.
+ * @param {Array<Array<number>>} points - Needle positions in data units.
+ * @returns {Array<number>} The length of each stitch in mm.
+ */
+function stitchLengthsMm(points) {
+    return points.slice(1).map((point, index) =>
+        Math.hypot(point[0] - points[index][0], point[1] - points[index][1]) * engine.DATA_UNIT_MM);
+}
+
+test('segments are split into stitches close to the target length', () => {
+    assert.equal(engine.calculateStitchCount(10, SETTINGS), 4);
+    assert.equal(engine.calculateStitchCount(11, SETTINGS), 4);
+});
+
+test('segments no longer than the minimum length are a single stitch', () => {
+    assert.equal(engine.calculateStitchCount(0, SETTINGS), 1);
+    assert.equal(engine.calculateStitchCount(1, SETTINGS), 1);
+});
+
+test('the maximum length wins over the target and the minimum', () => {
+    const coarse = { targetLengthMm: 6, minLengthMm: 1, maxLengthMm: 4 };
+    assert.equal(engine.calculateStitchCount(12, coarse), 3);
+    const fine = { targetLengthMm: 0.5, minLengthMm: 1, maxLengthMm: 4 };
+    assert.equal(engine.calculateStitchCount(3, fine), 3);
+    const clashing = { targetLengthMm: 2.5, minLengthMm: 3, maxLengthMm: 3.5 };
+    assert.equal(engine.calculateStitchCount(4, clashing), 2);
+});
+
+test('a segment is interpolated into evenly spaced points from start to end', () => {
+    const points = engine.interpolateSegment([[0, 0], [8, 0]], SETTINGS);
+    assert.deepEqual(points, [[0, 0], [2, 0], [4, 0], [6, 0], [8, 0]]);
+});
+
+test('joined segments share their meeting point', () => {
+    const points = engine.flattenSegments([[[0, 0], [4, 0]], [[4, 0], [4, 4]]], SETTINGS);
+    assert.deepEqual(points, [[0, 0], [2, 0], [4, 0], [4, 2], [4, 4]]);
+});
+
+test('the needle stitches across to a segment that does not join on, within the maximum length', () => {
+    const points = engine.flattenSegments([[[0, 0], [1, 0]], [[9, 0], [10, 0]]], SETTINGS);
+    assert.deepEqual(points[0], [0, 0]);
+    assert.deepEqual(points[points.length - 1], [10, 0]);
+    for (const length of stitchLengthsMm(points)) {
+        assert.ok(length <= SETTINGS.maxLengthMm, `stitch of ${length} mm`);
+    }
+});
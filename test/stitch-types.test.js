@@ -0,0 +1,91 @@
+// test/stitch-types.test.js
+
+// --- Stitch Types ---
+// Checks the needle points of running, bean and satin stitches and the rules that give
+// single segments of a glyph their own stitch type.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+const DEFAULT_FONT_DATA = require('../fonts/default-font.js');
+
+const SEGMENT = [[0, 0], [4, 0]]; // 5 mm, two stitches at the default length
+
+test('a running stitch follows the segment', () => {
+    const points = engine.stitchSegment(SEGMENT, 'running', engine.DEFAULT_STITCH_SETTINGS);
+    assert.deepEqual(points, [[0, 0], [2, 0], [4, 0]]);
+});
+
+test('a bean stitch sews each stitch forwards, back and forwards again', () => {
+    const points = engine.stitchSegment(SEGMENT, 'bean', engine.DEFAULT_STITCH_SETTINGS);
+    assert.deepEqual(points.map(([x]) => x), [0, 2, 0, 2, 4, 2, 4]);
+});
+
+test('a satin column zig-zags across the segment at its width and spacing', () => {
+    const settings = { ...engine.DEFAULT_STITCH_SETTINGS, satinUnderlay: false };
+    const points = engine.stitchSegment(SEGMENT, 'satin', settings);
+    const halfWidth = settings.satinWidthMm / engine.DATA_UNIT_MM / 2;
+    assert.equal(points.length, Math.ceil(5 / settings.satinSpacingMm) + 1);
+    assert.deepEqual(points[0], [0, halfWidth]);
+    assert.deepEqual(points[1][1], -halfWidth);
+    assert.equal(points[points.length - 1][0], 4);
+    points.slice(1).forEach((point, index) => {
+        assert.ok(point[0] > points[index][0], 'every stitch moves along the column');
+    });
+});
+
+test('a satin underlay runs along the segment and back before the column', () => {
+    const points = engine.stitchSegment(SEGMENT, 'satin', engine.DEFAULT_STITCH_SETTINGS);
+    assert.deepEqual(points.slice(0, 5), [[0, 0], [2, 0], [4, 0], [2, 0], [0, 0]]);
+    assert.equal(points.length, 5 + Math.ceil(5 / engine.DEFAULT_STITCH_SETTINGS.satinSpacingMm) + 1);
+});
+
+test('segment stitch type rules are read by character and segment number', () => {
+    assert.deepEqual(engine.parseSegmentStitchTypes('A satin; O 1-2 BEAN\nO 4 satin'), {
+        A: [{ first: 1, last: Infinity, type: 'satin' }],
+        O: [{ first: 1, last: 2, type: 'bean' }, { first: 4, last: 4, type: 'satin' }]
+    });
+    assert.deepEqual(engine.parseSegmentStitchTypes(' '), {});
+});
+
+test('unreadable segment stitch type rules are refused', () => {
+    for (const text of ['A zigzag', 'A 2-1 bean', 'A 0 bean', 'AB bean', 'A 1 2 bean']) {
+        assert.equal(engine.parseSegmentStitchTypes(text), null, text);
+    }
+});
+
+test('segments without a rule get the design\'s stitch type', () => {
+    const settings = {
+        ...engine.DEFAULT_STITCH_SETTINGS,
+        type: 'satin',
+        segmentTypes: engine.parseSegmentStitchTypes('O 1-2 bean')
+    };
+    const glyphs = { A: [], O: [] };
+    assert.deepEqual(engine.getSegmentStitchTypes('O', 4, settings, glyphs), ['bean', 'bean', 'satin', 'satin']);
+    assert.deepEqual(engine.getSegmentStitchTypes('A', 2, settings, glyphs), ['satin', 'satin']);
+});
+
+test('a rule for a character the glyphs don\'t have applies to its capital', () => {
+    const rules = engine.parseSegmentStitchTypes('a 1 bean; A 2 satin');
+    assert.deepEqual(Object.keys(rules), ['a', 'A']);
+    assert.deepEqual(engine.findCharacterRules(rules, 'A', { A: [] }).map(rule => rule.type), ['bean', 'satin']);
+    assert.deepEqual(engine.findCharacterRules(rules, 'A', { A: [], a: [] }).map(rule => rule.type), ['satin']);
+    assert.deepEqual(engine.findCharacterRules(rules, 'a', { A: [], a: [] }).map(rule => rule.type), ['bean']);
+});
+
+test('flattened points record the segment each was stitched for', () => {
+    const { points, segmentIndices } = engine.flattenSegmentsWithIndices(
+        [SEGMENT, [[4, 0], [4, 4]]], engine.DEFAULT_STITCH_SETTINGS, ['running', 'bean']);
+    assert.equal(points.length, segmentIndices.length);
+    assert.deepEqual(segmentIndices, [0, 0, 0, 1, 1, 1, 1, 1, 1]);
+    assert.deepEqual(points[points.length - 1], [4, 4]);
+});
+
+test('satin lettering sews more stitches than running lettering', () => {
+    const font = engine.loadFont(DEFAULT_FONT_DATA);
+    const count = (type) => engine.summarizeStitchPlan(
+        engine.buildTextDesign('ANNA', engine.createDesignSettings(font, { stitch: { type } })).plan).stitches;
+    assert.ok(count('satin') > count('bean'));
+    assert.ok(count('bean') > count('running'));
+});
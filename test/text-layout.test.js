@@ -0,0 +1,93 @@
+// test/text-layout.test.js
+
+// --- Text Layout ---
+// Checks where layoutText() places characters with advances, kerning, alignment and line spacing.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+const DEFAULT_FONT_DATA = require('../fonts/default-font.js');
+
+const NARROW_FONT_DATA = {
+    format: engine.FONT_FORMAT,
+    version: engine.FONT_FORMAT_VERSION,
+    name: 'Narrow',
+    units: { width: 6, height: 8 },
+    glyphs: {
+        A: { segments: [[[0, 0], [2, 8]], [[2, 8], [4, 0]]], advance: 5 },
+        V: { segments: [[[0, 8], [2, 0]], [[2, 0], [4, 8]]], advance: 5 },
+        I: { segments: [[[1, 0], [1, 8]]], advance: 2 },
+        '\u{1D11E}': { segments: [[[0, 0], [3, 8]]], advance: 3 } // Musical G clef, outside the BMP
+    },
+    kerning: { AV: -1 }
+};
+
+/**
+ * Lays out text and lists each character with its offset.
+ * @param {string} text - The text.
+ * @param {Object} settings - Design settings.
+ * @returns {Array<Array>} [char, xOffset, yOffset] for each character.
+ */
+function place(text, settings) {
+    return engine.layoutText(text, settings).glyphs.map(glyph => [glyph.char, glyph.xOffset, glyph.yOffset]);
+}
+
+test('characters of the default font are spaced by the standard character width', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(DEFAULT_FONT_DATA));
+    const layout = engine.layoutText('AB', settings);
+    assert.deepEqual(layout.glyphs.map(glyph => glyph.xOffset), [0, engine.CHAR_WIDTH_DATA_UNITS]);
+    assert.equal(layout.width, 2 * engine.CHAR_WIDTH_DATA_UNITS);
+});
+
+test('advance widths and kerning pairs set the spacing', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(NARROW_FONT_DATA));
+    assert.deepEqual(place('AVI', settings), [['A', 0, 0], ['V', 4, 0], ['I', 9, 0]]);
+});
+
+test('lines stack downwards and are aligned within the widest line', () => {
+    const font = engine.loadFont(NARROW_FONT_DATA);
+    const left = place('AI\nI', engine.createDesignSettings(font));
+    const right = place('AI\nI', engine.createDesignSettings(font, { layout: { alignment: 'right' } }));
+    const centre = place('AI\nI', engine.createDesignSettings(font, { layout: { alignment: 'center' } }));
+    assert.equal(left[2][1], 0);
+    assert.equal(right[2][1], 5);
+    assert.equal(centre[2][1], 2.5);
+    assert.ok(left[0][2] > left[2][2], 'the first line is above the second');
+});
+
+test('line spacing scales the distance between lines', () => {
+    const font = engine.loadFont(NARROW_FONT_DATA);
+    const lineGap = (lineSpacing) => {
+        const [first, second] = place('I\nI', engine.createDesignSettings(font, { layout: { lineSpacing } }));
+        return first[2] - second[2];
+    };
+    assert.equal(lineGap(2), 2 * lineGap(1));
+});
+
+test('the letter height scales positions', () => {
+    const font = engine.loadFont(NARROW_FONT_DATA);
+    const height = engine.DEFAULT_LAYOUT_SETTINGS.letterHeightMm;
+    const doubled = place('AVI', engine.createDesignSettings(font, { layout: { letterHeightMm: height * 2 } }));
+    assert.deepEqual(doubled.map(([, x]) => x), [0, 8, 18]);
+});
+
+test('characters outside the Basic Multilingual Plane are laid out whole', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(NARROW_FONT_DATA));
+    assert.deepEqual(place('I\u{1D11E}I', settings), [['I', 0, 0], ['\u{1D11E}', 2, 0], ['I', 5, 0]]);
+    const design = engine.buildTextDesign('[Red]\u{1D11E}[Gold]I', settings);
+    assert.equal(design.text, '\u{1D11E}I');
+    assert.deepEqual(design.skippedChars, []);
+    assert.deepEqual(design.threads, [engine.findThreadIndex('Red'), engine.findThreadIndex('Gold')]);
+});
+
+test('segment colour rules can be written for characters outside the Basic Multilingual Plane', () => {
+    assert.deepEqual(engine.parseSegmentColorRules('\u{1D11E} 1-2 Red'),
+        { '\u{1D11E}': [{ first: 1, last: 2, thread: engine.findThreadIndex('Red') }] });
+});
+
+test('segment stitch type rules can be written for characters outside the Basic Multilingual Plane', () => {
+    assert.deepEqual(engine.parseSegmentStitchTypes('\u{1D11E} satin; \u{1D11E} 2 bean'), {
+        '\u{1D11E}': [{ first: 1, last: Infinity, type: 'satin' }, { first: 2, last: 2, type: 'bean' }]
+    });
+});
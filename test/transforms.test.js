@@ -0,0 +1,92 @@
+// test/transforms.test.js
+
+// --- Transforms ---
+// Checks slanting, mirroring and rotating points, characters and whole designs, and runs
+// sewn several times for bold lettering.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+const DEFAULT_FONT_DATA = require('../fonts/default-font.js');
+
+const NO_TRANSFORM = { slantDegrees: 0, mirrorHorizontal: false, mirrorVertical: false, rotationDegrees: 0 };
+
+/**
+ * Compares two points allowing for rounding.
+ * @param {Array<number>} actual - The point found.
+ * @param {Array<number>} expected - The point expected.
+ */
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual[0] - expected[0]) < 1e-9 && Math.abs(actual[1] - expected[1]) < 1e-9,
+        `expected [${expected}], got [${actual}]`);
+}
+
+test('a transform that changes nothing is left out', () => {
+    assert.equal(engine.createPointTransform(NO_TRANSFORM, [0, 0]), null);
+    assert.equal(engine.transformDesignItems([], engine.DEFAULT_TRANSFORM_SETTINGS), null);
+});
+
+test('points are slanted, mirrored and rotated about the centre', () => {
+    const slant = engine.createPointTransform({ ...NO_TRANSFORM, slantDegrees: 45 }, [1, 1]);
+    assertNear(slant([1, 3]), [3, 3]);
+    assertNear(slant([1, 0]), [0, 0]);
+    const mirror = engine.createPointTransform({ ...NO_TRANSFORM, mirrorHorizontal: true, mirrorVertical: true }, [3, 0]);
+    assertNear(mirror([1, 2]), [5, -2]);
+    const rotate = engine.createPointTransform({ ...NO_TRANSFORM, rotationDegrees: 90 }, [0, 0]);
+    assertNear(rotate([2, 0]), [0, 2]);
+});
+
+test('characters turn about the middle of their advance at the letter height', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(DEFAULT_FONT_DATA), {
+        layout: { letterHeightMm: 20 },
+        transform: { characterRotationDegrees: 180 }
+    });
+    const transform = engine.createCharacterTransform('A', settings);
+    const centre = [engine.getGlyphAdvance('A', settings) / 2, 20 / engine.DATA_UNIT_MM / 2];
+    assertNear(transform(centre), centre);
+    assertNear(transform([0, 0]), [2 * centre[0], 2 * centre[1]]);
+});
+
+test('slanted characters are still split into stitches no longer than the maximum', () => {
+    const settings = engine.createDesignSettings(engine.loadFont(DEFAULT_FONT_DATA), {
+        layout: { letterHeightMm: 40 },
+        transform: { slantDegrees: engine.MAX_SLANT_DEGREES }
+    });
+    for (const item of engine.buildTextDesign('WAVE', settings).items) {
+        item.processedPoints.slice(1).forEach((point, index) => {
+            const previous = item.processedPoints[index];
+            const lengthMm = Math.hypot(point[0] - previous[0], point[1] - previous[1]) * engine.DATA_UNIT_MM;
+            assert.ok(lengthMm <= settings.stitch.maxLengthMm + 1e-9, `stitch of ${lengthMm} mm`);
+        });
+    }
+});
+
+test('a whole design is mirrored and rotated about the origin with its offsets', () => {
+    const items = [{ char: 'A', processedPoints: [[1, 0], [1, 2]], xOffset: 3, yOffset: 1 }];
+    const mirrored = engine.transformDesignItems(items, { ...engine.DEFAULT_TRANSFORM_SETTINGS, mirrorHorizontal: true });
+    assert.deepEqual(mirrored[0].processedPoints, [[-4, 1], [-4, 3]]);
+    assert.equal(mirrored[0].xOffset, 0);
+    const turned = engine.transformDesignItems(items, { ...engine.DEFAULT_TRANSFORM_SETTINGS, rotationDegrees: 90 });
+    assertNear(turned[0].processedPoints[1], [-3, 4]);
+});
+
+test('turning a design a quarter turn swaps its width and height', () => {
+    const font = engine.loadFont(DEFAULT_FONT_DATA);
+    const summarize = (overrides) => engine.summarizeStitchPlan(
+        engine.buildTextDesign('ANNA', engine.createDesignSettings(font, overrides)).plan);
+    const upright = summarize({});
+    const turned = summarize({ transform: { rotationDegrees: 90 } });
+    assert.ok(Math.abs(turned.widthMm - upright.heightMm) < 1e-6);
+    assert.ok(Math.abs(turned.heightMm - upright.widthMm) < 1e-6);
+    assert.equal(turned.stitches, upright.stitches);
+});
+
+test('a run sewn several times goes back along itself on every second pass', () => {
+    const run = { points: [[0, 0], [1, 0], [2, 0]], segmentIndices: [0, 0, 1] };
+    assert.equal(engine.repeatRunPasses(run, 1), run);
+    assert.deepEqual(engine.repeatRunPasses(run, 2).points, [[0, 0], [1, 0], [2, 0], [1, 0], [0, 0]]);
+    const threePasses = engine.repeatRunPasses(run, 3);
+    assert.deepEqual(threePasses.points.map(([x]) => x), [0, 1, 2, 1, 0, 1, 2]);
+    assert.deepEqual(threePasses.segmentIndices, [0, 0, 1, 0, 0, 0, 1]);
+});
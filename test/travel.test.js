@@ -0,0 +1,69 @@
+// test/travel.test.js
+
+// --- Stitch Plans and Travel ---
+// Checks the jumps, trims and stops between items, and the choice of stitching direction
+// that keeps the travel between items short.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+/**
+ * Makes an item with zero offsets.
+ * @param {Array<Array<number>>} processedPoints - Its needle positions.
+ * @param {number} [thread=0] - Its thread.
+ * @returns {Object} The item.
+ */
+function makeItem(processedPoints, thread = 0) {
+    return { char: 'A', processedPoints, xOffset: 0, yOffset: 0, thread };
+}
+
+/**
+ * Adds up how far the needle travels without stitching.
+ * @param {Array<Object>} plan - A stitch plan.
+ * @returns {number} The length of all jumps after the first, in data units.
+ */
+function travelLength(plan) {
+    let length = 0;
+    plan.forEach((command, index) => {
+        if (command.command === 'jump' && index > 0) {
+            const previous = plan[index - 1];
+            length += Math.hypot(command.x - previous.x, command.y - previous.y);
+        }
+    });
+    return length;
+}
+
+test('a plan starts with a jump and runs straight on between items that join', () => {
+    const plan = engine.buildStitchPlan([makeItem([[0, 0], [2, 0]]), makeItem([[2, 0], [4, 0]])]);
+    assert.deepEqual(plan.map(command => command.command), ['jump', 'stitch', 'stitch', 'stitch', 'stitch']);
+    assert.deepEqual(plan.map(command => command.itemIndex), [0, 0, 0, 1, 1]);
+});
+
+test('a change of thread trims and stops before jumping to the next item', () => {
+    const plan = engine.buildStitchPlan([makeItem([[0, 0], [2, 0]]), makeItem([[2, 2], [4, 2]], 1)]);
+    assert.deepEqual(plan.slice(3, 6).map(command => command.command), ['trim', 'stop', 'jump']);
+    assert.deepEqual([plan[5].x, plan[5].y], [2, 2]);
+});
+
+test('items without stitches are left out of the plan', () => {
+    const plan = engine.buildStitchPlan([makeItem([]), makeItem([[0, 0], [2, 0]])]);
+    assert.deepEqual(plan.map(command => command.itemIndex), [1, 1, 1]);
+});
+
+test('items are reversed where that shortens the travel to the next', () => {
+    const items = [makeItem([[0, 0], [4, 0]]), makeItem([[12, 0], [5, 0]]), makeItem([[12, 1], [16, 1]])];
+    const optimized = engine.optimizeTravelDirections(items);
+    assert.equal(optimized[0], items[0]);
+    assert.equal(optimized[1].reversed, true);
+    assert.deepEqual(optimized[1].processedPoints, [[5, 0], [12, 0]]);
+    assert.equal(optimized[2], items[2]);
+    assert.deepEqual(items[1].processedPoints, [[12, 0], [5, 0]], 'the original item is left alone');
+    assert.ok(travelLength(engine.buildStitchPlan(optimized)) < travelLength(engine.buildStitchPlan(items)));
+});
+
+test('the first item is reversed when that gives the shorter route', () => {
+    const optimized = engine.optimizeTravelDirections([makeItem([[10, 0], [0, 0]]), makeItem([[11, 0], [20, 0]])]);
+    assert.deepEqual(optimized.map(item => Boolean(item.reversed)), [true, false]);
+});
@@ -0,0 +1,124 @@
+// test/turtle.test.js
+
+// --- Turtle Graphics ---
+// Checks how turtle programs are parsed and run: moves and turns, repeat, procedures,
+// variables, and the line-numbered errors for mistakes and runaway programs.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../stitch-engine.js');
+
+/**
+ * Parses and runs a turtle program, rounding the points it stitched (and turning -0 into 0).
+ * @param {string} source - The program text.
+ * @returns {Array<Array<Array<number>>>} Paths of [x, y] points in mm.
+ */
+function draw(source) {
+    return engine.runTurtleProgram(engine.parseTurtleProgram(source)).map(path =>
+        path.map(([x, y]) => [Math.round(x * 1000) / 1000 + 0, Math.round(y * 1000) / 1000 + 0]));
+}
+
+/**
+ * Checks that parsing or running a program fails with a TurtleError on the given line.
+ * @param {string} source - The program text.
+ * @param {number} line - The line the error should name.
+ * @param {RegExp} message - What the error should say.
+ * @param {Object} [settings] - Design settings; if given, the program is built with buildTurtleDesign().
+ */
+function assertTurtleError(source, line, message, settings) {
+    assert.throws(() => (settings ? engine.buildTurtleDesign(source, settings) : draw(source)), (error) => {
+        assert.ok(error instanceof engine.TurtleError, `expected a TurtleError, got ${error.name}: ${error.message}`);
+        assert.equal(error.line, line);
+        assert.match(error.message, new RegExp(`^Line ${line}: `));
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('the turtle starts at the origin facing up and stitches while the pen is down', () => {
+    assert.deepEqual(draw('forward 10 right 90 fd 5 bk 2'), [[[0, 0], [0, 10], [5, 10], [3, 10]]]);
+    assert.deepEqual(draw('lt 90 fd 4'), [[[0, 0], [-4, 0]]]);
+});
+
+test('lifting the pen starts a new path', () => {
+    assert.deepEqual(draw('fd 5 penup fd 5 pd fd 5 pu rt 90 fd 1'), [[[0, 0], [0, 5]], [[0, 10], [0, 15]]]);
+});
+
+test('commands and names are read case-insensitively, with comments and expressions', () => {
+    assert.deepEqual(draw('FD 2 * (3 + 1) - 10 / 5 ; six\nRT 180 ; turn round\nfd -(-1)'),
+        [[[0, 0], [0, 6], [0, 5]]]);
+});
+
+test('repeat runs its block the given number of times', () => {
+    assert.deepEqual(draw('repeat 4 [fd 10 rt 90]'), [[[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]]);
+    assert.deepEqual(draw('repeat 0 [fd 10]'), []);
+    assert.deepEqual(draw('repeat 2 [repeat 2 [fd 1]]')[0].length, 5);
+});
+
+test('procedures take parameters and may be called before they are defined', () => {
+    const paths = draw('square 3\nto square :size\n  repeat 4 [fd :size rt 90]\nend');
+    assert.deepEqual(paths, [[[0, 0], [0, 3], [3, 3], [3, 0], [0, 0]]]);
+    assert.deepEqual(draw('to step :n\n  fd :n\n  make "n :n + 1\n  fd :n\nend\nstep 1 step 1')[0].map(([, y]) => y),
+        [0, 1, 3, 4, 6]);
+});
+
+test('procedures may call themselves', () => {
+    const paths = draw('to stairs :n\n  fd 1 rt 90 fd 1 lt 90\n  repeat :n - 1 [stairs :n - 1]\nend\nstairs 2');
+    assert.deepEqual(paths, [[[0, 0], [0, 1], [1, 1], [1, 2], [2, 2]]]);
+});
+
+test('make sets a global variable, or the parameter of that name inside a procedure', () => {
+    assert.deepEqual(draw('make "size 4\nfd :size * 2'), [[[0, 0], [0, 8]]]);
+    assert.deepEqual(draw('to grow\n  make "size :size + 1\nend\nmake "size 1\ngrow grow\nfd :size'),
+        [[[0, 0], [0, 3]]]);
+    assert.deepEqual(draw('make "n 5\nto go :n\n  make "n 1\n  fd :n\nend\ngo 9\nfd :n'),
+        [[[0, 0], [0, 1], [0, 6]]]);
+});
+
+test('mistakes are reported with the line they are on', () => {
+    assertTurtleError('fd 1\nfd 2 +', 2, /program ended/);
+    assertTurtleError('fd 1\n\nfd 1 % 2', 3, /Unexpected '%'/);
+    assertTurtleError('fd 1\njump 4', 2, /Unknown command 'jump'/);
+    assertTurtleError('repeat 2\n[fd 1', 1, /Missing '\]'/);
+    assertTurtleError('fd 1\nrepeat 1.5 [fd 1]', 2, /whole number/);
+    assertTurtleError('fd 1\nfd :size', 2, /':size' has no value/);
+    assertTurtleError('make "a 0\nfd 1 / :a', 2, /Division by zero/);
+    assertTurtleError('to fd\nend', 1, /built-in command/);
+    assertTurtleError('to a\nend\nto a\nend', 3, /defined twice/);
+    assertTurtleError('to a\nfd 1', 1, /Missing 'end'/);
+});
+
+test('programs that run too long are stopped', () => {
+    assertTurtleError('fd 1\nrepeat 1000000 []', 2, /Stopped after \d+ steps/);
+    assertTurtleError('to loop\n  loop\nend\nloop', 2, /nested more than \d+ deep/);
+});
+
+test('drawings that outgrow the hoop are stopped while the program runs', () => {
+    const settings = engine.createDesignSettings(null);
+    assertTurtleError('fd 10\nrt 90\nforward 1000000000', 3, /too big for the hoop/, settings);
+    assertTurtleError('pu fd 1000000000 pd\nfd 10\nbk 200', 3, /too big for the hoop/, settings);
+    assertTurtleError('repeat 100000 [fd 50 bk 50]', 1, /Stopped after stitching/, settings);
+    const design = engine.buildTurtleDesign('pu fd 1000000000 pd\nrepeat 4 [fd 20 rt 90]', settings);
+    assert.equal(design.items.length, 1, 'moving far with the pen up is allowed');
+});
+
+test('deeply nested brackets and blocks are reported instead of overflowing the stack', () => {
+    const depth = 100000;
+    assertTurtleError(`fd 1\nfd ${'('.repeat(depth)}1${')'.repeat(depth)}`, 2, /nested more than \d+ deep/);
+    assertTurtleError(`fd 1\nfd ${'- '.repeat(depth)}1`, 2, /nested more than \d+ deep/);
+    assertTurtleError(`${'repeat 1 [\n'.repeat(depth)}fd 1${']'.repeat(depth)}`, 101, /nested more than \d+ deep/);
+    const recursion = `to p\n${'repeat 1 [\n'.repeat(50)}fd 0.01 p\n${']\n'.repeat(50)}end\np`;
+    assertTurtleError(recursion, 48, /nested more than \d+ deep/);
+    assert.deepEqual(draw(`fd 0${' + 0.0001'.repeat(depth)}`), [[[0, 0], [0, 10]]], 'long sums don\'t nest');
+});
+
+test('a turtle design is split into stitches and placed at the data origin', () => {
+    const settings = engine.createDesignSettings(null);
+    const design = engine.buildTurtleDesign('fd 10\npu fd 5 pd\nrt 90 fd 5', settings);
+    assert.deepEqual(design.items.map(item => item.label), ['path 1 of 2', 'path 2 of 2']);
+    assert.equal(design.items[0].processedPoints.length, 5, '10 mm at the 2.5 mm stitch length');
+    assert.equal(design.items[0].thread, settings.threads.defaultThread);
+    const bounds = engine.measureItems(design.items);
+    assert.ok(Math.abs((bounds.maxY - bounds.minY) * engine.DATA_UNIT_MM - 15) < 1e-9);
+});